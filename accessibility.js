@@ -0,0 +1,140 @@
+/**
+ * -----------------------------------------------------------------------------
+ * KEYBOARD & SCREEN-READER SUPPORT
+ * -----------------------------------------------------------------------------
+ * This script makes the simulator usable without a mouse. The body model's drop
+ * zones (`.cell`) and the probe are focusable: Enter / Space on a zone places the
+ * probe there, and the arrow keys move the focused probe to the previous / next zone.
+ * Hotspot circles are focusable buttons (see loadquestions.js), and view changes are
+ * announced through the `aria-live` containers around `#viewDisplay` and `#partDisplay`.
+ *
+ * KEYBOARD SHORTCUTS (while the simulator is open, not while typing in a field):
+ * - Tab / Shift+Tab: Move focus between the zones, the probe, the hotspots and the buttons.
+ * - Arrow keys (probe or zone focused): Move the probe to the previous / next zone.
+ * - Enter / Space (zone focused): Place the probe on that zone.
+ * - V: Switch View (Shift+V: previous view) · C: Colour Doppler on / off · A: Show Answer · N: Next Question / End Quiz.
+ * - Q / E / T: Rotate the probe and flip its tail in manual orientation mode (probe.js).
+ *
+ * FUNCTIONS:
+ * - labelZones(): Gives every zone its role, tab stop and label ("Place the probe on the Parasternal window").
+ * - canMoveProbe(): True when the probe may be moved (simulator or sandbox open, no modal or prompt showing).
+ * - moveProbeToZone(pos): Centers the probe on a zone and shows its view.
+ * - moveProbeByZone(step): Moves the probe to the zone 'step' places before / after the current one.
+ * - clickIfShown(button, panel): Clicks a button only when it (and the panel holding it) is visible.
+ * - handleZoneArrows(e): Arrow key handling shared by the zones and the probe.
+ *
+ * EVENT LISTENERS:
+ * - .cell (keydown): Enter / Space places the probe, arrow keys move it to the neighbouring zone.
+ * - probe (keydown): Arrow keys move the probe to the neighbouring zone.
+ * - document (keydown): V / Shift+V / C / A / N hotkeys.
+ * - document (localechange): Labels the zones in the new language.
+ *
+ * GLOBAL VARIABLES (State):
+ * - zoneOrder: The zone numbers in the order the arrow keys visit them.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - cells, lastCellPos, isSandBoxActive, isSimulatorActive, isFeedbackActive, toggleButton, updateImagePreview(), switchView() (loadquestions.js)
+ * - bodyZones (imagedata.js), probe, lastProbeCoords (probe.js), updateRope() (rope.js)
+ * - container, containerOverlay (main.js), showAnswerButton, nextQuestionButton, feedbackBox (feedback.js)
+ * - isChallengePaused() (challenge.js), saveCurrentQuiz() (resume.js), colorToggleButton (doppler.js)
+ * - t(), getZoneName() (i18n.js)
+**/
+
+const zoneOrder = Array.from(cells).map(cell => +cell.dataset.pos);
+
+// Role, tab stop and spoken label of each drop zone
+function labelZones() {
+  cells.forEach(cell => {
+    cell.tabIndex = 0;
+    cell.setAttribute('role', 'button');
+    cell.setAttribute('aria-label', t('accessibility.zoneLabel', { zone: getZoneName(cell.dataset.pos) }));
+  });
+}
+
+// The probe can be moved while the simulator is open and nothing covers it
+function canMoveProbe() {
+  return !container.classList.contains('hidden') &&
+    (isSimulatorActive || isSandBoxActive) &&
+    !isFeedbackActive &&
+    containerOverlay.classList.contains('hidden');
+}
+
+// Center the probe on a zone and show its view
+function moveProbeToZone(pos) {
+  const cell = Array.from(cells).find(c => +c.dataset.pos === pos);
+  if (!cell || !canMoveProbe()) return;
+
+  // Same coordinates as dragging: relative to the container
+  const containerRect = container.getBoundingClientRect();
+  const cellRect = cell.getBoundingClientRect();
+  probe.style.left = `${cellRect.left + cellRect.width / 2 - containerRect.left - probe.offsetWidth / 2}px`;
+  probe.style.top = `${cellRect.top + cellRect.height / 2 - containerRect.top - probe.offsetHeight / 2}px`;
+
+  lastProbeCoords = null;
+  updateRope();
+  updateImagePreview();
+  saveCurrentQuiz();
+}
+
+// Move the probe to the previous (step -1) or next (step 1) zone
+function moveProbeByZone(step) {
+  const current = zoneOrder.indexOf(lastCellPos);
+  const next = current === -1
+    ? (step > 0 ? 0 : zoneOrder.length - 1)
+    : (current + step + zoneOrder.length) % zoneOrder.length;
+  moveProbeToZone(zoneOrder[next]);
+}
+
+// Click a button only when the user can see it
+function clickIfShown(button, panel) {
+  if (button.classList.contains('hidden') || (panel && panel.classList.contains('hidden'))) return;
+  button.click();
+}
+
+// Arrow keys: previous / next zone
+function handleZoneArrows(e) {
+  if (['ArrowLeft', 'ArrowUp'].includes(e.key)) {
+    e.preventDefault();
+    moveProbeByZone(-1);
+  } else if (['ArrowRight', 'ArrowDown'].includes(e.key)) {
+    e.preventDefault();
+    moveProbeByZone(1);
+  }
+}
+
+// Zones: Enter / Space places the probe, arrows move it along
+cells.forEach(cell => {
+  cell.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      moveProbeToZone(+cell.dataset.pos);
+    } else {
+      handleZoneArrows(e);
+    }
+  });
+});
+
+// Focused probe: arrows move it along the zones
+probe.addEventListener('keydown', handleZoneArrows);
+
+// V / C / A / N hotkeys while the simulator is open
+document.addEventListener('keydown', (e) => {
+  if (container.classList.contains('hidden') || isChallengePaused()) return;
+  if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'v') {
+    if (canMoveProbe() && !toggleButton.classList.contains('hidden')) switchView(e.shiftKey ? -1 : 1);
+  } else if (key === 'c') {
+    if (canMoveProbe() && !colorToggleButton.disabled) colorToggleButton.click();
+  } else if (key === 'a') {
+    clickIfShown(showAnswerButton, feedbackBox);
+  } else if (key === 'n') {
+    clickIfShown(nextQuestionButton, feedbackBox);
+  }
+});
+
+document.addEventListener('localechange', labelZones);
+
+labelZones();
@@ -0,0 +1,169 @@
+/**
+ * -----------------------------------------------------------------------------
+ * ON-DEMAND ASSET LOADER
+ * -----------------------------------------------------------------------------
+ * This script downloads the simulator's images through one prioritised queue instead
+ * of a blocking preload. The list of assets comes from the data itself (the page's
+ * images, the probe and tutorial images, the view catalog, the patient cases and the
+ * quiz banks), and every file is fetched once however many times it is referenced.
+ *
+ * PRIORITIES:
+ * - core: Title screen, probe and tutorial images. The loading screen waits for these only.
+ * - current: The images of the current question's view, and of the view on screen.
+ * - background: Everything else (e.g., checking the catalog images at startup), fetched when the queue is free.
+ * A queued asset that is requested again at a higher priority moves up the queue.
+ *
+ * PLACEHOLDERS:
+ * A view may declare a low-resolution `preview` image (imagedata.js). Until the full image
+ * has loaded the view is shown with its preview, which is swapped for the full image as
+ * soon as it arrives. Measurements (measure.js) wait for the full image, since the
+ * view's calibration is in pixels of the full image.
+ *
+ * FUNCTIONS:
+ * - normalizeAssetUrl(src): The absolute URL of a path, so "./a.png" and "a.png" are one asset.
+ * - requestAsset(src, priority): Queues an asset (once); resolves true when it loads, false if it fails.
+ * - pumpAssetQueue(): Starts the next queued downloads, highest priority first.
+ * - isAssetLoaded(src): True once an asset has been downloaded.
+ * - getCoreAssetSources(): The page, probe and tutorial images.
+ * - getViewAssetSources(view): Every image of a view (preview, image, off-axis, probe, colour flow, clip frames).
+ * - loadCoreAssets(onProgress): Requests the core assets; resolves when all have loaded (or failed).
+ * - prioritizeQuestionAssets(qData): Moves the images of a question's view to the front of the queue.
+ * - getViewImageSource(view): The full image if it has loaded, otherwise the preview (if any).
+ * - createViewImage(view): The <img> of a still view: its preview first, then the full image.
+ *
+ * GLOBAL VARIABLES (State):
+ * - assetPriorities: Queue order of the priorities; assetConcurrency: Downloads at a time.
+ * - assetEntries: (Map) Absolute URL -> { src, priority, order, status, promise, resolve }.
+ * - activeAssetLoads, assetRequestCount: Downloads in progress and requests so far (keeps the queue in request order).
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - getCatalogView() (viewcatalog.js), probeImages (probe.js), tutorialSlides (tutorial.js)
+ * - updateMeasureTools() (measure.js), renderColorFlow() (doppler.js): Refreshed when a placeholder is swapped.
+**/
+
+const assetPriorities = { core: 0, current: 1, background: 2 };
+const assetConcurrency = 2;
+const assetEntries = new Map();
+
+let activeAssetLoads = 0;
+let assetRequestCount = 0;
+
+// "./Echo_Images/a.png" and "Echo_Images/a.png" are the same file
+function normalizeAssetUrl(src) {
+  return new URL(src, document.baseURI).href;
+}
+
+// Queue an asset once; asking again at a higher priority moves it up the queue
+function requestAsset(src, priority = 'background') {
+  const url = normalizeAssetUrl(src);
+  let entry = assetEntries.get(url);
+
+  if (!entry) {
+    entry = { src, priority, order: assetRequestCount++, status: 'queued' };
+    entry.promise = new Promise(resolve => { entry.resolve = resolve; });
+    assetEntries.set(url, entry);
+  } else if (entry.status === 'queued' && assetPriorities[priority] < assetPriorities[entry.priority]) {
+    entry.priority = priority;
+  }
+
+  pumpAssetQueue();
+  return entry.promise;
+}
+
+// Start the next downloads: highest priority first, then in request order
+function pumpAssetQueue() {
+  while (activeAssetLoads < assetConcurrency) {
+    let next = null;
+    assetEntries.forEach(entry => {
+      if (entry.status !== 'queued') return;
+      if (!next || assetPriorities[entry.priority] < assetPriorities[next.priority] ||
+          (entry.priority === next.priority && entry.order < next.order)) {
+        next = entry;
+      }
+    });
+    if (!next) return;
+
+    const entry = next;
+    entry.status = 'loading';
+    activeAssetLoads++;
+
+    const img = new Image();
+    const finish = ok => {
+      entry.status = ok ? 'loaded' : 'failed';
+      activeAssetLoads--;
+      entry.resolve(ok);
+      pumpAssetQueue();
+    };
+    img.onload = () => finish(true);
+    img.onerror = () => finish(false);
+    img.src = entry.src;
+  }
+}
+
+// Downloaded (and so in the browser's cache)
+function isAssetLoaded(src) {
+  const entry = assetEntries.get(normalizeAssetUrl(src));
+  return !!entry && entry.status === 'loaded';
+}
+
+// Images of the page itself, the probe and the tutorial
+function getCoreAssetSources() {
+  const pageImages = Array.from(document.querySelectorAll('img[src]')).map(img => img.getAttribute('src'));
+  return pageImages
+    .concat(Object.values(probeImages))
+    .concat(tutorialSlides.map(slide => slide.imageSrc))
+    .filter(Boolean);
+}
+
+// Every image a view can show
+function getViewAssetSources(view) {
+  return [view.preview, view.image, view.offAxis?.image, view.probeImage, view.colorFlow?.image]
+    .concat(Array.isArray(view.clip?.frames) ? view.clip.frames : [])
+    .filter(src => typeof src === 'string' && src);
+}
+
+// Request the core assets, reporting the percentage loaded; resolves when all have loaded or failed
+function loadCoreAssets(onProgress) {
+  const sources = [...new Set(getCoreAssetSources().map(normalizeAssetUrl))];
+  let done = 0;
+
+  return Promise.all(sources.map(src => requestAsset(src, 'core').then(ok => {
+    if (!ok) console.warn(`Failed to load image: ${src}`);
+    done++;
+    onProgress(Math.round(done / sources.length * 100));
+  })));
+}
+
+// The current question's view comes first: its preview, then its full image
+function prioritizeQuestionAssets(qData) {
+  const view = qData ? getCatalogView(qData.correctPosition, qData.key) : null;
+  if (!view) return;
+  getViewAssetSources(view).forEach(src => requestAsset(src, 'current'));
+  if (qData.correctImage) requestAsset(qData.correctImage, 'current');
+}
+
+// Full image once it has loaded, otherwise the low-resolution preview
+function getViewImageSource(view) {
+  return view.preview && !isAssetLoaded(view.image) ? view.preview : view.image;
+}
+
+// Still image of a view: the preview until the full image has loaded
+function createViewImage(view) {
+  const img = document.createElement('img');
+  img.src = getViewImageSource(view);
+  if (img.getAttribute('src') === view.image) return img;
+
+  img.dataset.placeholder = 'true';
+  requestAsset(view.preview, 'current');
+  requestAsset(view.image, 'current').then(ok => {
+    if (!ok) return;
+    img.addEventListener('load', () => {
+      if (!img.isConnected) return;
+      updateMeasureTools();
+      renderColorFlow();
+    }, { once: true });
+    delete img.dataset.placeholder;
+    img.src = view.image;
+  });
+  return img;
+}
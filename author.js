@@ -0,0 +1,570 @@
+/**
+ * -----------------------------------------------------------------------------
+ * HOTSPOT AUTHORING TOOL (AUTHOR MODE)
+ * -----------------------------------------------------------------------------
+ * This script drives the "Author Mode" screen, where instructors place the
+ * anatomical hotspots of a view instead of hand-typing percentages. Any catalog
+ * view (or any other image path) can be loaded; hotspots are added by clicking
+ * the image, moved by dragging and labelled with an answer ID and structure name.
+ * The result is exported as a `viewCatalog` entry in the same format as
+ * imagedata.js, ready to be pasted into the catalog.
+ *
+ * Hotspot coordinates follow the simulator's convention: `x` / `y` are the
+ * percentages of the display at which the circle's top-left corner sits. The
+ * stage therefore copies the size of the simulator's `#imageDisplay` panel.
+ *
+ * FUNCTIONS:
+ * - openAuthorMode(): Shows the Author Mode screen and loads the first catalog view.
+ * - renderAuthorSelects(): Lists the catalog views and the zones in the current language.
+ * - loadAuthorView(view): Loads a catalog view (or a blank entry) into the editor.
+ * - renderAuthorStage() / renderAuthorForm(): Redraw the image, circles, list and label fields.
+ * - getAuthorHotspotItem(hotspot): Text of a hotspot in the list.
+ * - recordAuthorHistory(): Saves the hotspots before a change so it can be undone.
+ * - undoAuthorChange() / redoAuthorChange(): Step backwards / forwards through the edits.
+ * - getStagePercent(clientX, clientY, centerOffset): Converts a pointer position to circle coordinates (%), 
+ * or to region vertex coordinates when 'centerOffset' is 0.
+ * - buildAuthorEntry(): Builds the catalog entry from the form and hotspots.
+ * - formatViewEntry(entry): Formats an entry as imagedata.js source code.
+ * - exportAuthorView(): Validates the entry and writes it to the export box.
+ * - renderAuthorStatus(state): Shows the status line ('export', 'copied' or '' for none).
+ *
+ * EVENT LISTENERS:
+ * - authorButton / authorBackButton (click): Open and leave Author Mode.
+ * - authorViewSelect (change), authorImageInput (change): Load a view or another image.
+ * - authorStage (click): Adds a hotspot; circles (pointerdown) start a drag with the mouse, a pen or a finger.
+ * - document (pointermove / pointerup / pointercancel): Moves the dragged hotspot / ends the drag.
+ * - authorAnswerInput, authorTextInput (input): Label the selected hotspot.
+ * - authorUndoButton, authorRedoButton, authorDeleteButton (click) and Ctrl+Z / Ctrl+Y / Delete keys.
+ * - authorRegionButton, authorClearRegionButton (click): Draw (click vertices) or remove the selected hotspot's polygon region.
+ * - authorExportButton, authorCopyButton, authorDownloadButton (click): Export the entry.
+ * - document (localechange): Shows the lists, hotspots and status line in the new language.
+ *
+ * GLOBAL VARIABLES (State & Elements):
+ * - authorHotspots: (Array) Hotspots being edited.
+ * - authorSelectedIndex: Index of the selected hotspot (-1 if none).
+ * - authorUndoStack / authorRedoStack: Snapshots of `authorHotspots` for undo/redo.
+ * - authorDrag: Hotspot being dragged ({ index, moved }) or null.
+ * - authorBaseView: Catalog view the editor started from (keeps its optional fields on export).
+ * - authorDrawingRegion: (boolean) True while clicks add vertices to the selected hotspot's region.
+ * - authorExportProblems: Problems found by the last export (messages from localMessage(), see i18n.js).
+ * - authorStatusState: What the status line shows ('export', 'copied', 'selected' or '').
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - viewCatalog, bodyZones (imagedata.js)
+ * - validateViewCatalog(), getViewById() (viewcatalog.js)
+ * - circleSize, createRegionOverlay() (loadquestions.js)
+ * - titleScreen, imagePanel (main.js)
+ * - t(), getViewName(), getZoneName() (i18n.js)
+**/
+
+const authorScreen = document.getElementById('authorScreen');
+const authorButton = document.getElementById('authorButton');
+const authorBackButton = document.getElementById('authorBackButton');
+const authorViewSelect = document.getElementById('authorViewSelect');
+const authorImageInput = document.getElementById('authorImageInput');
+const authorIdInput = document.getElementById('authorIdInput');
+const authorNameInput = document.getElementById('authorNameInput');
+const authorZoneSelect = document.getElementById('authorZoneSelect');
+const authorAngleInput = document.getElementById('authorAngleInput');
+const authorTailSelect = document.getElementById('authorTailSelect');
+const authorStage = document.getElementById('authorStage');
+const authorAnswerInput = document.getElementById('authorAnswerInput');
+const authorTextInput = document.getElementById('authorTextInput');
+const authorHotspotList = document.getElementById('authorHotspotList');
+const authorUndoButton = document.getElementById('authorUndoButton');
+const authorRedoButton = document.getElementById('authorRedoButton');
+const authorDeleteButton = document.getElementById('authorDeleteButton');
+const authorRegionButton = document.getElementById('authorRegionButton');
+const authorClearRegionButton = document.getElementById('authorClearRegionButton');
+const authorExportButton = document.getElementById('authorExportButton');
+const authorCopyButton = document.getElementById('authorCopyButton');
+const authorDownloadButton = document.getElementById('authorDownloadButton');
+const authorExportText = document.getElementById('authorExportText');
+const authorStatus = document.getElementById('authorStatus');
+
+let authorHotspots = [];
+let authorSelectedIndex = -1;
+let authorUndoStack = [];
+let authorRedoStack = [];
+let authorDrag = null;
+let authorBaseView = null;
+let authorDrawingRegion = false;
+let authorExportProblems = [];
+let authorStatusState = '';
+
+// Show the Author Mode screen
+function openAuthorMode() {
+  titleScreen.classList.add('hidden');
+  authorScreen.classList.remove('hidden');
+
+  // Match the simulator's display size so percentages line up (if it has been laid out)
+  if (imagePanel.offsetWidth && imagePanel.offsetHeight) {
+    authorStage.style.width = `${imagePanel.offsetWidth}px`;
+    authorStage.style.height = `${imagePanel.offsetHeight}px`;
+  }
+
+  if (!authorViewSelect.options.length) renderAuthorSelects();
+
+  loadAuthorView(getViewById(authorViewSelect.value));
+}
+
+// List the catalog views and the zones (again, after a change of language)
+function renderAuthorSelects() {
+  const listed = authorViewSelect.options.length > 0;
+  const selectedView = authorViewSelect.value;
+  const selectedZone = authorZoneSelect.value;
+  authorViewSelect.innerHTML = '';
+  authorZoneSelect.innerHTML = '';
+
+  viewCatalog.forEach(view => {
+    const option = document.createElement('option');
+    option.value = view.id;
+    option.textContent = t('author.viewOption', { name: getViewName(view), id: view.id });
+    authorViewSelect.appendChild(option);
+  });
+  const blank = document.createElement('option');
+  blank.value = '';
+  blank.textContent = t('author.newView');
+  authorViewSelect.appendChild(blank);
+
+  Object.keys(bodyZones).forEach(zone => {
+    const option = document.createElement('option');
+    option.value = zone;
+    option.textContent = t('author.zoneOption', { zone, name: getZoneName(zone) });
+    authorZoneSelect.appendChild(option);
+  });
+
+  if (listed) {
+    authorViewSelect.value = selectedView;
+    authorZoneSelect.value = selectedZone;
+  }
+}
+
+// Load a catalog view (or a blank entry when 'view' is null) into the editor
+function loadAuthorView(view) {
+  authorBaseView = view;
+  authorHotspots = view ? view.hotspots.map(h => ({ ...h })) : [];
+  authorSelectedIndex = -1;
+  authorUndoStack = [];
+  authorRedoStack = [];
+
+  authorImageInput.value = view ? view.image : '';
+  authorIdInput.value = view ? view.id : '';
+  authorNameInput.value = view ? view.name : '';
+  authorZoneSelect.value = view ? view.zone : Object.keys(bodyZones)[0];
+  authorAngleInput.value = view ? view.angle : 0;
+  authorTailSelect.value = view ? view.tail : 'up';
+  authorExportText.value = '';
+  renderAuthorStatus('');
+
+  renderAuthorStage();
+}
+
+// Redraw the image and the hotspot circles
+function renderAuthorStage() {
+  authorStage.innerHTML = '';
+
+  if (!authorImageInput.value) {
+    const placeholder = document.createElement('span');
+    placeholder.textContent = t('author.emptyStage');
+    authorStage.appendChild(placeholder);
+  } else {
+    authorHotspots.forEach((hotspot, index) => {
+      const circle = document.createElement('div');
+      circle.className = 'circle author-circle';
+      circle.classList.toggle('active-circle', index === authorSelectedIndex);
+      circle.style.left = `${hotspot.x}%`;
+      circle.style.top = `${hotspot.y}%`;
+      circle.textContent = hotspot.answer;
+      circle.title = hotspot.text;
+
+      circle.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        authorSelectedIndex = index;
+        authorDrag = { index, moved: false };
+        renderAuthorForm();
+        authorStage.querySelectorAll('.active-circle').forEach(el => el.classList.remove('active-circle'));
+        circle.classList.add('active-circle');
+        e.preventDefault();
+        // Keep the pointer (mouse, pen or finger) on the circle until it is released
+        if (circle.setPointerCapture) circle.setPointerCapture(e.pointerId);
+      });
+
+      authorStage.appendChild(circle);
+    });
+
+    // Region outlines (the selected hotspot's region is highlighted)
+    const overlay = createRegionOverlay();
+    authorHotspots.forEach((hotspot, index) => {
+      if (!hotspot.region || !hotspot.region.length) return;
+      const polygon = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+      polygon.setAttribute('points', hotspot.region.map(([x, y]) => `${x},${y}`).join(' '));
+      polygon.setAttribute('class', `region-outline ${index === authorSelectedIndex ? 'region-selected' : 'region-incorrect'}`);
+      overlay.appendChild(polygon);
+    });
+    authorStage.appendChild(overlay);
+
+    const img = document.createElement('img');
+    img.src = authorImageInput.value;
+    img.alt = t('author.imageAlt');
+    img.draggable = false;
+    authorStage.appendChild(img);
+  }
+
+  renderAuthorForm();
+}
+
+// Refresh the hotspot list, label fields and button states
+function renderAuthorForm() {
+  const selected = authorHotspots[authorSelectedIndex];
+
+  authorAnswerInput.disabled = !selected;
+  authorTextInput.disabled = !selected;
+  authorDeleteButton.disabled = !selected;
+  authorClearRegionButton.disabled = !selected || !selected.region;
+  authorRegionButton.textContent = t(authorDrawingRegion ? 'author.finishRegion' : 'author.drawRegion');
+  authorRegionButton.classList.toggle('author-btn-active', authorDrawingRegion);
+  authorAnswerInput.value = selected ? selected.answer : '';
+  authorTextInput.value = selected ? selected.text : '';
+  authorUndoButton.disabled = !authorUndoStack.length;
+  authorRedoButton.disabled = !authorRedoStack.length;
+
+  authorHotspotList.innerHTML = '';
+  authorHotspots.forEach((hotspot, index) => {
+    const item = document.createElement('li');
+    item.textContent = getAuthorHotspotItem(hotspot);
+    item.classList.toggle('selected', index === authorSelectedIndex);
+    item.addEventListener('click', () => {
+      authorSelectedIndex = index;
+      renderAuthorStage();
+    });
+    authorHotspotList.appendChild(item);
+  });
+}
+
+// "A: Right Ventricle (40, 25)" in the hotspot list
+function getAuthorHotspotItem(hotspot) {
+  return t('author.hotspotItem', { answer: hotspot.answer, name: hotspot.text || t('author.noName'), x: hotspot.x, y: hotspot.y });
+}
+
+// Save the current hotspots so the next change can be undone
+function recordAuthorHistory() {
+  authorUndoStack.push(authorHotspots.map(h => ({ ...h, ...(h.region && { region: h.region.map(p => [...p]) }) })));
+  authorRedoStack = [];
+}
+
+// Undo the last change
+function undoAuthorChange() {
+  if (!authorUndoStack.length) return;
+  authorRedoStack.push(authorHotspots);
+  authorHotspots = authorUndoStack.pop();
+  authorSelectedIndex = Math.min(authorSelectedIndex, authorHotspots.length - 1);
+  renderAuthorStage();
+}
+
+// Redo the last undone change
+function redoAuthorChange() {
+  if (!authorRedoStack.length) return;
+  authorUndoStack.push(authorHotspots);
+  authorHotspots = authorRedoStack.pop();
+  authorSelectedIndex = Math.min(authorSelectedIndex, authorHotspots.length - 1);
+  renderAuthorStage();
+}
+
+// Delete the selected hotspot
+function deleteAuthorHotspot() {
+  if (authorSelectedIndex === -1) return;
+  recordAuthorHistory();
+  authorHotspots.splice(authorSelectedIndex, 1);
+  authorSelectedIndex = -1;
+  renderAuthorStage();
+}
+
+// Convert a pointer position to circle coordinates, centring the circle on the pointer
+function getStagePercent(clientX, clientY, centerOffset = circleSize / 2) {
+  const rect = authorStage.getBoundingClientRect();
+  const toPercent = (offset, size) =>
+    Math.max(0, Math.min(100, Math.round((offset - centerOffset) / size * 100)));
+
+  return {
+    x: toPercent(clientX - rect.left, rect.width || 1),
+    y: toPercent(clientY - rect.top, rect.height || 1)
+  };
+}
+
+// First single letter (A-Z) not used by another hotspot
+function nextAnswerId() {
+  const used = new Set(authorHotspots.map(h => h.answer));
+  for (let code = 65; code <= 90; code++) {
+    const letter = String.fromCharCode(code);
+    if (!used.has(letter)) return letter;
+  }
+  return `${authorHotspots.length + 1}`;
+}
+
+// Build the catalog entry from the form and the hotspots
+function buildAuthorEntry() {
+  const entry = {
+    id: authorIdInput.value.trim(),
+    name: authorNameInput.value.trim(),
+    zone: +authorZoneSelect.value,
+    angle: +authorAngleInput.value,
+    tail: authorTailSelect.value,
+    image: authorImageInput.value.trim()
+  };
+
+  // Keep the optional probe / rope overrides, calibration, depth, preview, off-axis image, colour flow and cine clip of the view we started from
+  ['probeImage', 'rotationLabel', 'tailLabel', 'ropeAnchor', 'pixelsPerCm', 'depth', 'preview', 'offAxis', 'colorFlow', 'clip'].forEach(field => {
+    if (authorBaseView && authorBaseView[field] !== undefined) {
+      entry[field] = authorBaseView[field];
+    }
+  });
+  // A placeholder drawing stays flagged until another image replaces it
+  if (authorBaseView && authorBaseView.placeholder && entry.image === authorBaseView.image) {
+    entry.placeholder = true;
+  }
+
+  entry.hotspots = authorHotspots.map(({ x, y, answer, structure, text, region, frames, phase, maxDepth }) => ({
+    x, y, answer,
+    ...(structure && { structure }),
+    text,
+    ...(region && region.length && { region }),
+    ...(frames && { frames }),
+    ...(phase && { phase }),
+    ...(maxDepth && { maxDepth })
+  }));
+  return entry;
+}
+
+// Source code for a value in imagedata.js style
+function formatSourceValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatSourceValue).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value).map(key => `${key}: ${formatSourceValue(value[key])}`);
+    return `{ ${fields.join(', ')} }`;
+  }
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+// Format a catalog entry as it is written in imagedata.js
+function formatViewEntry(entry) {
+  const lines = ['      {'];
+
+  Object.keys(entry).forEach(field => {
+    if (field === 'hotspots') return;
+    lines.push(`          ${field}: ${formatSourceValue(entry[field])},`);
+  });
+
+  lines.push('          hotspots: [');
+  entry.hotspots.forEach(hotspot => {
+    lines.push(`              ${formatSourceValue(hotspot)},`);
+  });
+  lines.push('          ]');
+  lines.push('      },');
+
+  return lines.join('\n');
+}
+
+// Validate the entry and write it to the export box
+function exportAuthorView() {
+  const entry = buildAuthorEntry();
+  const problems = validateViewCatalog([entry], bodyZones);
+
+  authorExportText.value = formatViewEntry(entry);
+  authorExportProblems = problems;
+  renderAuthorStatus('export');
+
+  return entry;
+}
+
+// The status line: the export result or 'copied' (kept so a change of language can show it again)
+function renderAuthorStatus(state) {
+  authorStatusState = state;
+  if (state === 'copied') {
+    authorStatus.textContent = t('author.copied');
+  } else if (state === 'selected') {
+    authorStatus.textContent = t('author.copySelected');
+  } else if (state === 'export') {
+    authorStatus.textContent = authorExportProblems.length
+      ? t('author.checkProblems', { problems: authorExportProblems.join('; ') })
+      : t('author.ready');
+  } else {
+    authorStatus.textContent = '';
+  }
+  authorStatus.classList.toggle('author-status-error', state !== '' && authorExportProblems.length > 0);
+}
+
+// Open Author Mode from the title screen
+authorButton.addEventListener('click', () => {
+  openAuthorMode();
+});
+
+// Back to the title screen
+authorBackButton.addEventListener('click', () => {
+  authorScreen.classList.add('hidden');
+  titleScreen.classList.remove('hidden');
+});
+
+// Start from another catalog view (or a new one)
+authorViewSelect.addEventListener('change', () => {
+  loadAuthorView(getViewById(authorViewSelect.value));
+});
+
+// Use any other image (e.g. Echo_Images/new_view.png)
+authorImageInput.addEventListener('change', () => {
+  renderAuthorStage();
+});
+
+// Click on the image adds a hotspot
+authorStage.addEventListener('click', (e) => {
+  if (!authorImageInput.value || e.target.classList.contains('circle')) return;
+
+  // In region mode, clicks add vertices to the selected hotspot's polygon
+  if (authorDrawingRegion) {
+    const hotspot = authorHotspots[authorSelectedIndex];
+    if (!hotspot) return;
+    const { x, y } = getStagePercent(e.clientX, e.clientY, 0);
+    recordAuthorHistory();
+    hotspot.region = (hotspot.region || []).concat([[x, y]]);
+    renderAuthorStage();
+    return;
+  }
+
+  recordAuthorHistory();
+  authorHotspots.push({ ...getStagePercent(e.clientX, e.clientY), answer: nextAnswerId(), text: '' });
+  authorSelectedIndex = authorHotspots.length - 1;
+  renderAuthorStage();
+  authorTextInput.focus();
+});
+
+// Drag the selected hotspot
+document.addEventListener('pointermove', (e) => {
+  if (!authorDrag) return;
+
+  if (!authorDrag.moved) {
+    recordAuthorHistory();   // One undo step per drag
+    authorDrag.moved = true;
+  }
+
+  const hotspot = authorHotspots[authorDrag.index];
+  Object.assign(hotspot, getStagePercent(e.clientX, e.clientY));
+
+  const circle = authorStage.querySelectorAll('.circle')[authorDrag.index];
+  circle.style.left = `${hotspot.x}%`;
+  circle.style.top = `${hotspot.y}%`;
+});
+
+// End the drag
+['pointerup', 'pointercancel'].forEach(type => document.addEventListener(type, () => {
+  if (!authorDrag) return;
+  const moved = authorDrag.moved;
+  authorDrag = null;
+  if (moved) renderAuthorStage();
+}));
+
+// Label the selected hotspot (one undo step per field focus)
+[authorAnswerInput, authorTextInput].forEach(input => {
+  input.addEventListener('focus', () => {
+    input.dataset.recorded = '';
+  });
+
+  input.addEventListener('input', () => {
+    const hotspot = authorHotspots[authorSelectedIndex];
+    if (!hotspot) return;
+
+    if (!input.dataset.recorded) {
+      recordAuthorHistory();
+      input.dataset.recorded = 'true';
+    }
+    hotspot[input === authorAnswerInput ? 'answer' : 'text'] = input.value.trim();
+
+    const circle = authorStage.querySelectorAll('.circle')[authorSelectedIndex];
+    if (circle) {
+      circle.textContent = hotspot.answer;
+      circle.title = hotspot.text;
+    }
+    authorUndoButton.disabled = false;
+    authorRedoButton.disabled = true;
+    authorHotspotList.children[authorSelectedIndex].textContent = getAuthorHotspotItem(hotspot);
+  });
+});
+
+// Start / finish drawing the selected hotspot's region
+authorRegionButton.addEventListener('click', () => {
+  authorDrawingRegion = !authorDrawingRegion;
+  renderAuthorForm();
+});
+
+// Remove the selected hotspot's region
+authorClearRegionButton.addEventListener('click', () => {
+  const hotspot = authorHotspots[authorSelectedIndex];
+  if (!hotspot || !hotspot.region) return;
+  recordAuthorHistory();
+  delete hotspot.region;
+  renderAuthorStage();
+});
+
+authorUndoButton.addEventListener('click', undoAuthorChange);
+authorRedoButton.addEventListener('click', redoAuthorChange);
+authorDeleteButton.addEventListener('click', deleteAuthorHotspot);
+
+// Keyboard shortcuts: Ctrl+Z undo, Ctrl+Y / Ctrl+Shift+Z redo, Delete removes the selected hotspot
+document.addEventListener('keydown', (e) => {
+  if (authorScreen.classList.contains('hidden')) return;
+  if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+  const key = e.key.toLowerCase();
+  if ((e.ctrlKey || e.metaKey) && key === 'z') {
+    e.preventDefault();
+    if (e.shiftKey) redoAuthorChange(); else undoAuthorChange();
+  } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+    e.preventDefault();
+    redoAuthorChange();
+  } else if (key === 'delete' || key === 'backspace') {
+    deleteAuthorHotspot();
+  }
+});
+
+// Export the entry as text
+authorExportButton.addEventListener('click', () => {
+  exportAuthorView();
+});
+
+// Copy the exported entry to the clipboard
+authorCopyButton.addEventListener('click', () => {
+  exportAuthorView();
+  const selectExport = () => {
+    authorExportText.select();
+    renderAuthorStatus('selected');
+  };
+
+  // The Clipboard API only exists on secure origins (HTTPS or localhost)
+  if (!navigator.clipboard || !navigator.clipboard.writeText) {
+    selectExport();
+    return;
+  }
+  navigator.clipboard.writeText(authorExportText.value)
+    .then(() => { renderAuthorStatus('copied'); })
+    .catch(selectExport);
+});
+
+// Labels, lists and status in the new language (once Author Mode has been opened)
+document.addEventListener('localechange', () => {
+  if (!authorViewSelect.options.length) return;
+  renderAuthorSelects();
+  renderAuthorStage();
+  renderAuthorStatus(authorStatusState);
+});
+
+// Download the exported entry as a file
+authorDownloadButton.addEventListener('click', () => {
+  const entry = exportAuthorView();
+  const blob = new Blob([`${authorExportText.value}\n`], { type: 'text/javascript' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${entry.id || 'new-view'}.view.js`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+});
@@ -0,0 +1,241 @@
+/**
+ * -----------------------------------------------------------------------------
+ * PATIENT CASES & MULTIPLE-CHOICE QUESTIONS
+ * -----------------------------------------------------------------------------
+ * This script picks the patient scanned during a quiz from `caseLibrary` (imagedata.js)
+ * and asks multiple-choice questions about what is seen. A case replaces the images
+ * (and hotspots, clips...) of some catalog views with its own, so the same view shows
+ * a different heart from one patient to the next. The other views stay normal.
+ *
+ * QUESTIONS:
+ * A quiz question with `choices` and a `correctChoice`, or `"diagnosis": true`, is answered
+ * with the buttons of the choice panel instead of a hotspot, once the asked-for view is
+ * obtained. A diagnosis question offers `diagnosisChoices` and its answer is the diagnosis
+ * of the current case. Scoring is the same two-stage scoring as hotspot questions (scoring.js).
+ *
+ * FUNCTIONS:
+ * - getCaseById(id): Returns the case with the given ID.
+ * - applyCaseToCatalog(catalog, caseEntry): Returns the catalog with the case's views in place of the normal ones.
+ * - drawRandomCase(): A random valid case.
+ * - getNextCase(): The patient the next quiz will scan (the selected case, or the random case drawn for it).
+ * - selectCase(id): Makes a case (the drawn random one if 'id' is empty or unknown) the current case and indexes its views.
+ * - validateCaseLibrary(library, catalog): Returns a list of problems found in the case library.
+ * - getCaseViewId(caseEntry, id): How a case's version of a view is named in problem messages.
+ * - checkCaseImages(library): Resolves with a problem message for every case image that fails to load.
+ * - renderCaseSelect(): Lists the cases in the title screen select.
+ * - getQuestionChoices(qData): The choices and correct answer ({ id, text }) of a multiple-choice question (null for other questions).
+ * - renderChoicePanel(): Shows the answer buttons of the current question (hidden for other questions).
+ * - submitChoice(choice): Scores a multiple-choice answer, if the view has been obtained (recorded in English).
+ *
+ * EVENT LISTENERS:
+ * - document (DOMContentLoaded): Validates the case library and its images.
+ * - document (localechange): Lists the cases in the new language.
+ * - caseSelect (change): Updates the quiz builder summary (colour jet questions depend on the patient).
+ *
+ * GLOBAL VARIABLES (State & Elements):
+ * - currentCase: (Object) The case being scanned (the first valid case until a quiz starts).
+ * - nextRandomCase: (Object) The case "Random patient" scans in the next quiz, drawn in advance so the
+ * quiz builder summary counts the questions that quiz will really ask (null until needed).
+ * - caseSelect: Title screen setting ("Random patient" or a case).
+ * - caseDisplay, choicePanel, choiceButtons, choiceStatus: Patient label and answer buttons in the question area.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - caseLibrary, diagnosisChoices, viewCatalog (imagedata.js)
+ * - useCatalogViews(), checkViewCatalogImages(), reportDataProblems() (viewcatalog.js), getColorFlowProblems() (doppler.js)
+ * - quizData, currentQuestionIndex, lastCellPos, activeView, isFeedbackActive, gameStarted,
+ * isSandBoxActive, finishQuizAnswer() (loadquestions.js)
+ * - isOffAxis (mapping.js), pauseCine() (cine.js), scoreChoice() (scoring.js), stopChallengeTimer() (challenge.js)
+ * - t(), localMessage(), localizeText(), getTextId(), getDiagnosisName(), inLocale(), defaultLocale (i18n.js)
+ * - updateQuizBuilderStatus() (quizbuilder.js)
+**/
+
+const caseSelect = document.getElementById('caseSelect');
+const caseDisplay = document.getElementById('caseDisplay');
+const choicePanel = document.getElementById('choicePanel');
+const choiceButtons = document.getElementById('choiceButtons');
+const choiceStatus = document.getElementById('choiceStatus');
+
+let currentCase = caseLibrary[0];
+let nextRandomCase = null;
+
+// Case with the given ID
+function getCaseById(id) {
+  return caseLibrary.find(caseEntry => caseEntry.id === id) || null;
+}
+
+// Catalog as seen in a patient: the case's fields replace those of the views it lists
+function applyCaseToCatalog(catalog, caseEntry) {
+  const overrides = caseEntry.views || {};
+  return catalog.map(view => {
+    const override = overrides[view.id];
+    if (!override) return view;
+    // A case image without its own preview must not be previewed with the normal heart
+    return { ...view, ...(override.image ? { preview: undefined } : {}), ...override };
+  });
+}
+
+// Any valid case
+function drawRandomCase() {
+  const valid = caseLibrary.filter(caseEntry => !validateCaseLibrary([caseEntry], viewCatalog).length);
+  return valid[Math.floor(Math.random() * valid.length)] || caseLibrary[0];
+}
+
+// Patient of the next quiz: the selected case, or the one drawn for "Random patient"
+function getNextCase() {
+  return getCaseById(caseSelect.value) || nextRandomCase || (nextRandomCase = drawRandomCase());
+}
+
+// Scan the case with the given ID, or the drawn random case (the next quiz draws another one)
+function selectCase(id) {
+  currentCase = getCaseById(id) || nextRandomCase || drawRandomCase();
+  nextRandomCase = null;
+
+  useCatalogViews(applyCaseToCatalog(viewCatalog, currentCase));
+  caseDisplay.textContent = currentCase ? t('cases.patient', { patient: currentCase.patient }) : '';
+  updateQuizBuilderStatus();
+}
+
+// Problems with the case library (empty when valid)
+function validateCaseLibrary(library, catalog) {
+  const problems = [];
+  const seenIds = new Set();
+
+  library.forEach((caseEntry, index) => {
+    const label = localMessage('dataProblems.caseLabel', { id: caseEntry.id || `#${index + 1}` });
+
+    if (!caseEntry.id) problems.push(localMessage('dataProblems.missingField', { label, field: 'id' }));
+    if (seenIds.has(caseEntry.id)) problems.push(localMessage('dataProblems.duplicateCaseId', { label }));
+    seenIds.add(caseEntry.id);
+
+    if (!caseEntry.patient) problems.push(localMessage('dataProblems.missingField', { label, field: 'patient' }));
+    if (!diagnosisChoices.includes(caseEntry.diagnosis)) {
+      problems.push(localMessage('dataProblems.caseDiagnosis', { label, diagnosis: caseEntry.diagnosis }));
+    }
+
+    Object.keys(caseEntry.views || {}).forEach(id => {
+      const view = catalog.find(v => v.id === id);
+      const override = caseEntry.views[id];
+      if (!view) {
+        problems.push(localMessage('dataProblems.caseViewUnknown', { label, view: id }));
+        return;
+      }
+      if (override.image !== undefined && (typeof override.image !== 'string' || !override.image)) {
+        problems.push(localMessage('dataProblems.caseViewImage', { label, view: id }));
+      }
+      if (override.colorFlow !== undefined) {
+        problems.push(...getColorFlowProblems({ id: getCaseViewId(caseEntry, id), colorFlow: override.colorFlow }));
+      }
+
+      // Quiz questions name the answers of the normal view
+      if (override.hotspots !== undefined) {
+        const answers = Array.isArray(override.hotspots) ? override.hotspots.map(h => h.answer) : [];
+        const missing = view.hotspots.map(h => h.answer).filter(answer => !answers.includes(answer));
+        if (!Array.isArray(override.hotspots)) {
+          problems.push(localMessage('dataProblems.caseViewHotspots', { label, view: id }));
+        } else if (missing.length) {
+          problems.push(localMessage('dataProblems.caseViewAnswers', { label, view: id, answers: missing.join(', ') }));
+        }
+      }
+    });
+  });
+
+  return problems;
+}
+
+// How a case's version of a view is named in its problems ("A4C (case effusion)")
+function getCaseViewId(caseEntry, id) {
+  return localMessage('dataProblems.caseView', { view: id, case: caseEntry.id });
+}
+
+// Try to load the images of every case; resolves with a message for each one that fails
+function checkCaseImages(library) {
+  const checks = library.map(caseEntry => {
+    const views = Object.keys(caseEntry.views || {})
+      .map(id => ({ id: getCaseViewId(caseEntry, id), ...caseEntry.views[id] }));
+    return checkViewCatalogImages(views);
+  });
+
+  return Promise.all(checks).then(results => results.flat());
+}
+
+// Cases offered on the title screen, after "Random patient"
+function renderCaseSelect() {
+  const selected = caseSelect.value;
+  caseSelect.length = 1;
+  caseLibrary.forEach(caseEntry => {
+    const option = document.createElement('option');
+    option.value = caseEntry.id;
+    option.textContent = caseEntry.patient;   // The diagnosis is what the quiz asks
+    caseSelect.appendChild(option);
+  });
+  caseSelect.value = selected;
+}
+
+// Choices and correct answer of a multiple-choice question (null for other questions), as { id, text }:
+// answers are compared by ID, the text is in the current language
+function getQuestionChoices(qData) {
+  if (qData.diagnosis === true) {
+    const toChoice = id => ({ id, text: getDiagnosisName(id) });
+    return { choices: diagnosisChoices.map(toChoice), correct: toChoice(currentCase.diagnosis) };
+  }
+  if (Array.isArray(qData.choices)) {
+    const toChoice = value => ({ id: getTextId(value), text: localizeText(value) });
+    return { choices: qData.choices.map(toChoice), correct: toChoice(qData.correctChoice) };
+  }
+  return null;
+}
+
+// Answer buttons of the current question (quiz mode only)
+function renderChoicePanel() {
+  const qData = gameStarted && !isSandBoxActive ? quizData[currentQuestionIndex] : null;
+  const asked = qData && getQuestionChoices(qData);
+
+  choiceButtons.innerHTML = '';
+  choiceStatus.textContent = '';
+  choicePanel.classList.toggle('hidden', !asked);
+  if (!asked) return;
+
+  asked.choices.forEach(choice => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'choice-btn';
+    button.textContent = choice.text;
+    button.addEventListener('click', () => submitChoice(choice));
+    choiceButtons.appendChild(button);
+  });
+}
+
+// Score a multiple-choice answer, once a view (not an off-axis image) is on screen
+function submitChoice(choice) {
+  if (isFeedbackActive) return;
+  if (!activeView || isOffAxis) {
+    choiceStatus.textContent = t('cases.obtainViewFirst');
+    return;
+  }
+
+  const qData = quizData[currentQuestionIndex];
+  choiceStatus.textContent = '';
+  pauseCine();
+
+  const result = scoreChoice(qData, lastCellPos, activeView, choice, stopChallengeTimer());
+  const recorded = inLocale(defaultLocale, () => getQuestionChoices(qData).choices.find(c => c.id === choice.id).text);
+  finishQuizAnswer(qData, result, lastCellPos, activeView, recorded);
+}
+
+// Validate the case library and its images, reporting anything that is wrong
+document.addEventListener('DOMContentLoaded', () => {
+  const problems = validateCaseLibrary(caseLibrary, viewCatalog);
+
+  checkCaseImages(caseLibrary).then(missing => {
+    reportDataProblems('dataProblems.caseLibraryTitle', problems.concat(missing));
+  });
+});
+
+// Case names in the new language
+document.addEventListener('localechange', renderCaseSelect);
+
+// Colour jet questions are only asked of patients who have the jet
+caseSelect.addEventListener('change', updateQuizBuilderStatus);
+
+renderCaseSelect();
+selectCase(currentCase && currentCase.id);
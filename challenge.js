@@ -0,0 +1,254 @@
+/**
+ * -----------------------------------------------------------------------------
+ * TIMED CHALLENGE MODE
+ * -----------------------------------------------------------------------------
+ * This script adds the 'Timed Challenge' mode: every question has a countdown, the
+ * points of an answer are weighted by the time left, and the final result can be
+ * saved to a local leaderboard (name, score, time, date) shown on the End Screen.
+ * The countdown pauses while the tutorial, the exit prompt or the fullscreen prompt
+ * (shown when leaving fullscreen) is open.
+ *
+ * SCORING:
+ * The two-stage points of an answer (scoring.js) are multiplied by a speed factor
+ * between 1 (answered at once) and `challengeMinSpeedFactor` (answered as time runs out).
+ * A question whose countdown reaches zero scores 0.
+ *
+ * FUNCTIONS:
+ * - startChallengeTimer(remainingMs): Starts the countdown of the current question (challenge mode only).
+ * - stopChallengeTimer(): Stops the countdown; returns the speed factor of the answer (1 outside challenge mode).
+ * - leaveChallengeMode(): Stops the countdown, hides it and ends challenge mode (exit to the title screen, sandbox).
+ * - isChallengePaused(): True while an overlay that pauses the game is open.
+ * - tickChallengeTimer(): Counts down (unless paused) and ends the question when time runs out.
+ * - renderChallengeTimer(): Updates the countdown display.
+ * - handleChallengeTimeout(): Records the unanswered question and opens the feedback modal.
+ * - loadLeaderboard() / addLeaderboardEntry(entry): Read and update the stored leaderboard.
+ * - renderLeaderboard(highlight): Shows the leaderboard table on the End Screen.
+ * - showChallengeResults(): Shows the name form and leaderboard at the end of a challenge.
+ * - formatChallengeTime(ms): Formats a duration as m:ss.
+ *
+ * EVENT LISTENERS:
+ * - saveScoreButton (click): Saves the result under the entered name.
+ *
+ * GLOBAL VARIABLES (State & Elements):
+ * - isChallengeMode: (boolean) True while a timed challenge is being played.
+ * - challengeTimeLimitMs: Time allowed per question.
+ * - challengeRemainingMs, challengeTotalTimeMs: Time left on the current question / time used in the whole challenge.
+ * - leaderboardStorageKey, playerNameStorageKey, leaderboardSize: Leaderboard storage.
+ * - challengeTimer, challengeResults, playerNameInput, saveScoreButton, leaderboardContainer: UI elements.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - readStore(), writeStore(), recordAttempt(), getQuestionTime() (storage.js), trackAnswer() (lms.js)
+ * - quizData, currentQuestionIndex, score, openFeedbackModal() (loadquestions.js)
+ * - getExpectedAnswer(), formatPoints() (scoring.js), currentQuizBankTitle (quizbank.js)
+ * - tutorialOverlay (tutorial.js), exitPrompt, fullscreenPrompt (main.js)
+ * - feedbackText, showAnswerButton, nextQuestionButton, correctAnswerImage (feedback.js)
+ * - t(), getLocale(), getQuestionText(), inLocale(), defaultLocale (i18n.js): Translated text; attempts are recorded in English.
+**/
+
+const challengeTimer = document.getElementById('challengeTimer');
+const challengeResults = document.getElementById('challengeResults');
+const playerNameInput = document.getElementById('playerNameInput');
+const saveScoreButton = document.getElementById('saveScoreButton');
+const leaderboardContainer = document.getElementById('leaderboardContainer');
+
+const challengeTimeLimitMs = 30000;      // Per question
+const challengeMinSpeedFactor = 0.5;     // Points multiplier when answering as time runs out
+const challengeTickMs = 100;
+const leaderboardStorageKey = 'echosim.leaderboard';
+const playerNameStorageKey = 'echosim.playerName';
+const leaderboardSize = 10;
+
+let isChallengeMode = false;
+let challengeRemainingMs = 0;
+let challengeTotalTimeMs = 0;
+let challengeInterval = null;
+let lastChallengeTick = 0;
+
+// m:ss
+function formatChallengeTime(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+// Overlays that pause the game
+function isChallengePaused() {
+  return !tutorialOverlay.classList.contains('hidden') ||
+    !exitPrompt.classList.contains('hidden') ||
+    !fullscreenPrompt.classList.contains('hidden');
+}
+
+// Countdown display
+function renderChallengeTimer() {
+  const time = formatChallengeTime(challengeRemainingMs);
+  challengeTimer.textContent = isChallengePaused() ? t('challenge.timerPaused', { time }) : t('challenge.timer', { time });
+  challengeTimer.classList.toggle('challenge-timer-low', challengeRemainingMs <= 5000);
+}
+
+// Start the countdown of the current question
+function startChallengeTimer(remainingMs = challengeTimeLimitMs) {
+  challengeTimer.classList.toggle('hidden', !isChallengeMode);
+  if (!isChallengeMode) return;
+
+  clearInterval(challengeInterval);
+  challengeRemainingMs = remainingMs;
+  lastChallengeTick = Date.now();
+  renderChallengeTimer();
+  challengeInterval = setInterval(tickChallengeTimer, challengeTickMs);
+}
+
+// Stop the countdown; returns the speed factor of the answer (1 outside challenge mode)
+function stopChallengeTimer() {
+  clearInterval(challengeInterval);
+  challengeInterval = null;
+  if (!isChallengeMode) return 1;
+
+  const timeLeft = Math.max(0, challengeRemainingMs) / challengeTimeLimitMs;
+  return challengeMinSpeedFactor + (1 - challengeMinSpeedFactor) * timeLeft;
+}
+
+// Stop and hide the countdown when leaving the quiz (a saved challenge restores the mode when resumed)
+function leaveChallengeMode() {
+  stopChallengeTimer();
+  isChallengeMode = false;
+  challengeTimer.classList.add('hidden');
+}
+
+// Count down unless the game is paused
+function tickChallengeTimer() {
+  const now = Date.now();
+  const elapsed = now - lastChallengeTick;
+  lastChallengeTick = now;
+
+  if (!isChallengePaused()) {
+    challengeRemainingMs -= elapsed;
+    challengeTotalTimeMs += elapsed;
+  }
+  renderChallengeTimer();
+
+  if (challengeRemainingMs <= 0) {
+    handleChallengeTimeout();
+  }
+}
+
+// Time ran out before an answer was given
+function handleChallengeTimeout() {
+  stopChallengeTimer();
+  challengeRemainingMs = 0;
+  renderChallengeTimer();
+
+  const qData = quizData[currentQuestionIndex];
+  const attempt = inLocale(defaultLocale, () => ({
+    questionIndex: currentQuestionIndex,
+    question: getQuestionText(qData),
+    ...getExpectedAnswer(qData),
+    chosenZone: null,
+    chosenView: null,
+    chosenStructure: null,
+    correct: false,
+    viewCorrect: false,
+    structureCorrect: false,
+    points: 0,
+    timedOut: true,
+    timeTakenMs: getQuestionTime(),
+    hintsShown: areHintsEnabled()
+  }));
+  recordAttempt(attempt);
+  trackAnswer(attempt);
+
+  feedbackText.textContent = t('challenge.timeUp');
+  correctAnswerImage.classList.add('hidden');
+  showAnswerButton.classList.remove('hidden');
+  nextQuestionButton.classList.remove('hidden');
+  openFeedbackModal();
+}
+
+// Stored leaderboard, best first
+function loadLeaderboard() {
+  const entries = readStore(leaderboardStorageKey, []);
+  return Array.isArray(entries) ? entries : [];
+}
+
+// Add a result; returns the stored entry if it made the leaderboard, otherwise null
+function addLeaderboardEntry(entry) {
+  const entries = loadLeaderboard().concat(entry)
+    .sort((a, b) => b.score - a.score || a.timeMs - b.timeMs)
+    .slice(0, leaderboardSize);
+
+  writeStore(leaderboardStorageKey, entries);
+  return entries.includes(entry) ? entry : null;
+}
+
+// Leaderboard table (the player's new entry is highlighted)
+function renderLeaderboard(highlight) {
+  const entries = loadLeaderboard();
+  leaderboardContainer.innerHTML = '';
+
+  if (!entries.length) {
+    leaderboardContainer.textContent = t('challenge.noResults');
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'leaderboard-table';
+  const header = table.createTHead().insertRow();
+  ['#', t('challenge.name'), t('challenge.score'), t('challenge.time'), t('challenge.date')].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    header.appendChild(th);
+  });
+
+  const body = table.createTBody();
+  entries.forEach((entry, i) => {
+    const row = body.insertRow();
+    [
+      `${i + 1}`,
+      entry.name,
+      `${formatPoints(entry.score)} / ${entry.questionCount}`,
+      formatChallengeTime(entry.timeMs),
+      new Date(entry.date).toLocaleDateString(getLocale())
+    ].forEach(text => {
+      row.insertCell().textContent = text;
+    });
+
+    if (highlight && entry.date === highlight.date && entry.name === highlight.name) {
+      row.classList.add('leaderboard-new');
+    }
+  });
+
+  leaderboardContainer.appendChild(table);
+}
+
+// Name form and leaderboard at the end of a challenge
+function showChallengeResults() {
+  challengeResults.classList.toggle('hidden', !isChallengeMode);
+  challengeTimer.classList.add('hidden');
+  if (!isChallengeMode) return;
+
+  playerNameInput.value = readStore(playerNameStorageKey, '');
+  saveScoreButton.disabled = false;
+  renderLeaderboard();
+}
+
+// Save the result under the entered name
+saveScoreButton.addEventListener('click', () => {
+  const name = playerNameInput.value.trim() || t('challenge.anonymous');
+  writeStore(playerNameStorageKey, name);
+
+  const entry = addLeaderboardEntry({
+    name,
+    score: Math.round(score * 100) / 100,
+    questionCount: quizData.length,
+    timeMs: challengeTotalTimeMs,
+    date: new Date().toISOString(),
+    bankTitle: currentQuizBankTitle
+  });
+
+  saveScoreButton.disabled = true;
+  renderLeaderboard(entry);
+
+  if (!entry) {
+    const note = document.createElement('p');
+    note.textContent = t('challenge.notInTop', { count: leaderboardSize });
+    leaderboardContainer.appendChild(note);
+  }
+});
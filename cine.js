@@ -0,0 +1,295 @@
+/**
+ * -----------------------------------------------------------------------------
+ * CINE-LOOP PLAYBACK
+ * -----------------------------------------------------------------------------
+ * This script plays echo clips in `#imageDisplay`. A catalog view may declare an
+ * optional `clip` (see imagedata.js): either a frame sequence (a list of image paths)
+ * or a video file, shown instead of its still `image`. The player has play/pause,
+ * frame step, speed and loop controls and shows the current frame and cardiac phase.
+ *
+ * Hotspots of a clip view can be limited to some frames (`frames: [first, last]`) or
+ * to a cardiac phase (`phase: 'diastole'`), so a question can ask for a structure in
+ * one phase (e.g., the open mitral valve in diastole). Outside those frames the hotspot
+ * is hidden and cannot be selected. The clip pauses on the frame the user answered on.
+ *
+ * The media element of the current clip is reused while the probe stays on the same view,
+ * so dragging the probe (which redraws `#imageDisplay`) does not restart the clip.
+ *
+ * FUNCTIONS:
+ * - createViewMedia(view): Returns the element showing a view: its still image, or the clip's image/video element.
+ * - addCineControls(panel): Adds the player controls for the current clip to the image panel.
+ * - createCineControls(): Builds the player controls of a new clip.
+ * - getClipFps(view), getClipFrameCount(view): Frame rate and number of frames of a view's clip.
+ * - getCinePhase(view, frame): Name of the cardiac phase a frame belongs to, or null.
+ * - isHotspotShown(hotspot): True when a hotspot can be seen and selected on the current frame.
+ * - playCine() / pauseCine(): Start or stop playback.
+ * - showCineFrame(frame): Shows a frame (frame step).
+ * - tickCine(): Advances the frame sequence (or follows the video) during playback.
+ * - updateCineHotspots(): Hides the hotspots that are not on the current frame.
+ * - renderCineStatus(): Updates the play button and the frame / phase display.
+ * - stopCine(): Stops the current clip and forgets it.
+ *
+ * EVENT LISTENERS:
+ * - Player buttons (click), speed select and loop checkbox (change): Built in createCineControls().
+ *
+ * GLOBAL VARIABLES (State):
+ * - cineView, cineMedia, cineControls: The clip view being shown, its media element and its controls.
+ * - cineFrame: (number) Current frame index (0-based).
+ * - isCinePlaying, cineSpeed, isCineLooping: Playback state (speed and loop carry over between clips).
+ * - cineSpeeds: Speeds offered in the speed select.
+ * - defaultCineFps: Frame rate used when a clip does not declare `fps`.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - imagePanel (main.js), activeView (loadquestions.js), createViewImage(), getViewImageSource() (assets.js)
+ * - t(), translateName() (i18n.js): Control labels and phase names (translated under `cine.phases.<phase>`).
+**/
+
+const cineSpeeds = [0.25, 0.5, 1];
+const defaultCineFps = 25;
+
+let cineView = null;
+let cineMedia = null;
+let cineControls = null;
+let cineFrame = 0;
+let isCinePlaying = false;
+let cineSpeed = 1;
+let isCineLooping = true;
+let cineInterval = null;
+
+// Frames per second of a clip
+function getClipFps(view) {
+  return view.clip.fps || defaultCineFps;
+}
+
+// Number of frames in a clip (for a video: from its duration once known)
+function getClipFrameCount(view) {
+  const clip = view.clip;
+  if (clip.frames) return clip.frames.length;
+  if (view === cineView && cineMedia.duration) return Math.max(1, Math.round(cineMedia.duration * getClipFps(view)));
+  return clip.frameCount || 1;
+}
+
+// Cardiac phase containing a frame ({ systole: [0, 11], diastole: [12, 29] })
+function getCinePhase(view, frame) {
+  const phases = (view.clip && view.clip.phases) || {};
+  return Object.keys(phases).find(name => frame >= phases[name][0] && frame <= phases[name][1]) || null;
+}
+
+// Hotspots limited to some frames or a phase are only shown on those frames
+function isHotspotShown(hotspot) {
+  if (!activeView || !activeView.clip || activeView !== cineView) return true;
+  if (hotspot.frames && (cineFrame < hotspot.frames[0] || cineFrame > hotspot.frames[1])) return false;
+  if (hotspot.phase && getCinePhase(activeView, cineFrame) !== hotspot.phase) return false;
+  return true;
+}
+
+// Element showing a view: its still image, or its clip (reused while the view stays the same)
+function createViewMedia(view) {
+  if (!view.clip) {
+    stopCine();
+    return createViewImage(view);
+  }
+  if (view === cineView && cineMedia) return cineMedia;
+
+  stopCine();
+  cineView = view;
+  cineFrame = 0;
+
+  if (view.clip.frames) {
+    cineMedia = document.createElement('img');
+    cineMedia.src = view.clip.frames[0];
+  } else {
+    cineMedia = document.createElement('video');
+    cineMedia.src = view.clip.video;
+    cineMedia.poster = getViewImageSource(view);
+    cineMedia.muted = true;
+    cineMedia.playsInline = true;
+    cineMedia.addEventListener('loadedmetadata', renderCineStatus);
+    cineMedia.addEventListener('ended', () => {
+      if (isCineLooping) {
+        cineMedia.currentTime = 0;
+        cineMedia.play().catch(() => {});
+      } else {
+        pauseCine();
+      }
+    });
+  }
+
+  cineControls = createCineControls();
+  playCine();
+  return cineMedia;
+}
+
+// Player controls: frame back, play/pause, frame forward, speed, loop, frame / phase
+function createCineControls() {
+  const controls = document.createElement('div');
+  controls.className = 'cine-controls';
+
+  const button = (action, label, text, onClick) => {
+    const el = document.createElement('button');
+    el.type = 'button';
+    el.className = 'cine-btn';
+    el.dataset.action = action;
+    el.setAttribute('aria-label', label);
+    el.textContent = text;
+    el.addEventListener('click', onClick);
+    controls.appendChild(el);
+    return el;
+  };
+
+  button('back', t('cine.previousFrame'), '⏮', () => {
+    pauseCine();
+    showCineFrame(cineFrame - 1);
+  });
+  button('play', t('cine.play'), '▶', () => {
+    if (isCinePlaying) {
+      pauseCine();
+    } else {
+      playCine();
+    }
+  });
+  button('forward', t('cine.nextFrame'), '⏭', () => {
+    pauseCine();
+    showCineFrame(cineFrame + 1);
+  });
+
+  const speed = document.createElement('select');
+  speed.className = 'cine-speed';
+  speed.setAttribute('aria-label', t('cine.speed'));
+  cineSpeeds.forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = `${value}×`;
+    speed.appendChild(option);
+  });
+  speed.value = cineSpeed;
+  speed.addEventListener('change', () => {
+    cineSpeed = parseFloat(speed.value);
+    if (isCinePlaying) playCine();
+  });
+  controls.appendChild(speed);
+
+  const loopLabel = document.createElement('label');
+  loopLabel.className = 'cine-loop';
+  const loop = document.createElement('input');
+  loop.type = 'checkbox';
+  loop.checked = isCineLooping;
+  loop.addEventListener('change', () => {
+    isCineLooping = loop.checked;
+  });
+  loopLabel.append(loop, ` ${t('cine.loop')}`);
+  controls.appendChild(loopLabel);
+
+  const status = document.createElement('span');
+  status.className = 'cine-status';
+  controls.appendChild(status);
+
+  return controls;
+}
+
+// Add the current clip's controls to the image panel
+function addCineControls(panel) {
+  if (!activeView || activeView !== cineView) return;
+  panel.appendChild(cineControls);
+  renderCineStatus();
+  updateCineHotspots();
+}
+
+// Start playback at the chosen speed
+function playCine() {
+  if (!cineView) return;
+  clearInterval(cineInterval);
+  isCinePlaying = true;
+
+  if (cineMedia.tagName === 'VIDEO') {
+    cineMedia.playbackRate = cineSpeed;
+    cineMedia.play().catch(() => {});
+  }
+  cineInterval = setInterval(tickCine, 1000 / (getClipFps(cineView) * cineSpeed));
+  renderCineStatus();
+}
+
+// Stop playback on the current frame
+function pauseCine() {
+  clearInterval(cineInterval);
+  cineInterval = null;
+  isCinePlaying = false;
+  if (cineMedia && cineMedia.tagName === 'VIDEO') cineMedia.pause();
+  if (cineView) renderCineStatus();
+}
+
+// Show a frame (wraps around at either end)
+function showCineFrame(frame) {
+  if (!cineView) return;
+  const count = getClipFrameCount(cineView);
+  cineFrame = ((frame % count) + count) % count;
+
+  if (cineView.clip.frames) {
+    cineMedia.src = cineView.clip.frames[cineFrame];
+  } else {
+    cineMedia.currentTime = cineFrame / getClipFps(cineView);
+  }
+  renderCineStatus();
+  updateCineHotspots();
+}
+
+// Next frame of a frame sequence, or the frame the video is on
+function tickCine() {
+  // The probe left the view: the clip is no longer on screen
+  if (!cineMedia.isConnected) {
+    stopCine();
+    return;
+  }
+
+  if (cineView.clip.frames) {
+    if (cineFrame + 1 >= getClipFrameCount(cineView) && !isCineLooping) {
+      pauseCine();
+      return;
+    }
+    showCineFrame(cineFrame + 1);
+  } else {
+    cineFrame = Math.min(Math.floor(cineMedia.currentTime * getClipFps(cineView)), getClipFrameCount(cineView) - 1);
+    renderCineStatus();
+    updateCineHotspots();
+  }
+}
+
+// Hide (and take out of the tab order) the hotspots that are not on this frame
+function updateCineHotspots() {
+  if (!activeView || activeView !== cineView) return;
+
+  imagePanel.querySelectorAll('.circle[data-answer]').forEach(circle => {
+    const hotspot = activeView.hotspots.find(h => h.answer === circle.dataset.answer);
+    const shown = !hotspot || isHotspotShown(hotspot);
+    circle.classList.toggle('frame-hidden', !shown);
+    const hidden = circle.matches('.frame-hidden, .out-of-view');
+    circle.tabIndex = hidden ? -1 : 0;
+    circle.setAttribute('aria-hidden', String(hidden));
+  });
+}
+
+// Play button and "Frame 12 / 30 · Diastole"
+function renderCineStatus() {
+  if (!cineControls) return;
+  const play = cineControls.querySelector('[data-action="play"]');
+  play.textContent = isCinePlaying ? '⏸' : '▶';
+  play.setAttribute('aria-label', isCinePlaying ? t('cine.pause') : t('cine.play'));
+
+  const phase = getCinePhase(cineView, cineFrame);
+  const frameText = t('cine.frame', { frame: cineFrame + 1, count: getClipFrameCount(cineView) });
+  cineControls.querySelector('.cine-status').textContent = phase
+    ? `${frameText} · ${translateName(`cine.phases.${phase}`, `${phase.charAt(0).toUpperCase()}${phase.slice(1)}`)}`
+    : frameText;
+}
+
+// Stop the current clip and forget it
+function stopCine() {
+  clearInterval(cineInterval);
+  cineInterval = null;
+  isCinePlaying = false;
+  if (cineMedia && cineMedia.tagName === 'VIDEO') cineMedia.pause();
+  cineView = null;
+  cineMedia = null;
+  cineControls = null;
+  cineFrame = 0;
+}
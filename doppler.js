@@ -0,0 +1,282 @@
+/**
+ * -----------------------------------------------------------------------------
+ * COLOUR DOPPLER
+ * -----------------------------------------------------------------------------
+ * This script adds the 'Color' button of the machine panel. A view that declares a
+ * `colorFlow` layer (imagedata.js) shows it over the echo image, but only inside the
+ * colour sample box, which the user drags over the valve to examine (or moves with the
+ * arrow keys once focused). The box is kept in image coordinates, so it stays on the same
+ * anatomy when the depth or zoom changes.
+ *
+ * COLOUR FLOW LAYER:
+ * `colorFlow: { image, jets }` on a view (or in a patient case, see cases.js). The image is
+ * drawn with the same framing as the view's image and is transparent outside the flow.
+ * Each jet is { answer, text, x, y } (x, y as percentages of the image, like hotspots),
+ * e.g. { answer: 'MR', text: 'Mitral regurgitation jet', x: 52, y: 48 }.
+ *
+ * QUESTIONS:
+ * A quiz question with `colorJet` (a jet's answer ID) is answered by obtaining the view,
+ * turning colour on and submitting the box once it covers the jet, and no other jet of the view. A jet that only a
+ * patient case shows is only asked when that patient is scanned.
+ *
+ * FUNCTIONS:
+ * - getQuestionJet(qData): The jet a colour question asks for, in the current patient (null if it has none).
+ * - getCaseJet(qData, caseEntry): The jet a colour question asks for, in a given patient (null if it has none).
+ * - hasColorJet(view, answer): True when the view, normal or in a patient case, has a jet with that answer ID.
+ * - getColorFlowProblems(view): Returns the problems with a view's colour flow layer.
+ * - isJetInBox(jet, box): True when a jet is inside the sample box.
+ * - setColorEnabled(on): Turns colour on or off.
+ * - resetColorFlow(): Colour off and the box back at the top of the sector (for every new question).
+ * - moveColorBox(x, y): Moves the box's top left corner, keeping it on the image.
+ * - addColorOverlay(panel): Adds the colour layer and sample box to the image panel (called by updateImagePreview()).
+ * - renderColorFlow(): Draws the colour layer inside the box.
+ * - getColorJetQuestion(): The jet answer ID asked by the current quiz question (null otherwise).
+ * - updateColorControls(): Shows the state of the 'Color' button and the 'Submit Color Box' button.
+ * - submitColorBox(): Scores the box position for a colour question.
+ *
+ * EVENT LISTENERS:
+ * - colorToggleButton (click): Turns colour on or off.
+ * - submitColorBoxButton (click): Scores the box position.
+ * - Sample box (pointerdown / pointermove / pointerup, keydown): Drags the box, arrow keys move it.
+ *
+ * GLOBAL VARIABLES (State & Elements):
+ * - isColorEnabled: (boolean) True while colour is on.
+ * - colorBox: { x, y, width, height } of the sample box, in % of the image.
+ * - colorBoxDefault: Where the box starts; colorBoxStep: % moved by an arrow key.
+ * - colorOverlay, colorDrag: The layer on the image panel and the drag in progress.
+ * - colorToggleButton, submitColorBoxButton: Machine panel buttons.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - caseLibrary, viewCatalog (imagedata.js), getCatalogView(), getViewById(), viewKey() (viewcatalog.js), applyCaseToCatalog() (cases.js)
+ * - quizData, currentQuestionIndex, lastCellPos, activeView, isFeedbackActive, isSandBoxActive,
+ * createRegionOverlay(), finishQuizAnswer() (loadquestions.js)
+ * - imagePanel (main.js), machineSource, getImageRect() (machine.js), getPanelPoint() (measure.js)
+ * - isOffAxis (mapping.js), pauseCine() (cine.js), scoreColorJet() (scoring.js), stopChallengeTimer() (challenge.js)
+ * - t(), localMessage(), inLocale(), defaultLocale (i18n.js): Translated text (jet names under `jets.<answer>`); answers are recorded in English.
+**/
+
+const colorToggleButton = document.getElementById('colorToggleButton');
+const submitColorBoxButton = document.getElementById('submitColorBoxButton');
+
+// Starts at the top of the sector, away from the valves; narrower than the gap between two jets of a view
+const colorBoxDefault = { x: 44, y: 6, width: 12, height: 12 };
+const colorBoxStep = 2;
+
+let isColorEnabled = false;
+let colorBox = { ...colorBoxDefault };
+let colorOverlay = null;
+let colorDrag = null;
+
+// Jet asked by a colour question, in the view as the current patient shows it
+function getQuestionJet(qData) {
+  const view = getCatalogView(qData.correctPosition, qData.key);
+  const jets = view && view.colorFlow ? view.colorFlow.jets : [];
+  return jets.find(jet => jet.answer === qData.colorJet) || null;
+}
+
+// Jet asked by a colour question, in the view as a given patient shows it (the patient of the next quiz)
+function getCaseJet(qData, caseEntry) {
+  const view = applyCaseToCatalog(viewCatalog, caseEntry)
+    .find(v => v.zone === qData.correctPosition && viewKey(v) === qData.key);
+  const jets = view && view.colorFlow ? view.colorFlow.jets : [];
+  return jets.find(jet => jet.answer === qData.colorJet) || null;
+}
+
+// The view's jets, normal or in any patient case
+function hasColorJet(view, answer) {
+  const versions = [getViewById(view.id) || view]
+    .concat(caseLibrary.map(caseEntry => (caseEntry.views || {})[view.id]).filter(Boolean));
+  return versions.some(v => v.colorFlow && Array.isArray(v.colorFlow.jets) && v.colorFlow.jets.some(jet => jet.answer === answer));
+}
+
+// Problems with a view's colour flow layer
+function getColorFlowProblems(view) {
+  const label = localMessage('dataProblems.viewLabel', { id: view.id });
+  const colorFlow = view.colorFlow;
+
+  if (!colorFlow || typeof colorFlow !== 'object') return [localMessage('dataProblems.colorFlowObject', { label })];
+
+  const problems = [];
+  if (typeof colorFlow.image !== 'string' || !colorFlow.image) problems.push(localMessage('dataProblems.colorFlowImage', { label }));
+  if (!Array.isArray(colorFlow.jets)) return problems.concat(localMessage('dataProblems.colorFlowJets', { label }));
+
+  const seenAnswers = new Set();
+  const validCoordinate = n => typeof n === 'number' && n >= 0 && n <= 100;
+  colorFlow.jets.forEach(jet => {
+    if (seenAnswers.has(jet.answer)) problems.push(localMessage('dataProblems.duplicateJet', { label, answer: jet.answer }));
+    seenAnswers.add(jet.answer);
+
+    if (!jet.answer || !jet.text) problems.push(localMessage('dataProblems.jetFields', { label }));
+    if (!validCoordinate(jet.x) || !validCoordinate(jet.y)) {
+      problems.push(localMessage('dataProblems.jetPosition', { label, answer: jet.answer }));
+    }
+  });
+
+  return problems;
+}
+
+// Jet inside the sample box
+function isJetInBox(jet, box) {
+  return jet.x >= box.x && jet.x <= box.x + box.width && jet.y >= box.y && jet.y <= box.y + box.height;
+}
+
+// Colour on / off
+function setColorEnabled(on) {
+  isColorEnabled = on;
+  colorDrag = null;
+  renderColorFlow();
+  updateColorControls();
+}
+
+// Every question starts in B-mode, with the box at the top of the sector (over no jet)
+function resetColorFlow() {
+  colorBox = { ...colorBoxDefault };
+  setColorEnabled(false);
+}
+
+// Move the box's top left corner, keeping the whole box on the image
+function moveColorBox(x, y) {
+  colorBox.x = Math.min(Math.max(x, 0), 100 - colorBox.width);
+  colorBox.y = Math.min(Math.max(y, 0), 100 - colorBox.height);
+  renderColorFlow();
+}
+
+// Colour layer and sample box over the image (re-added every time the panel is redrawn)
+function addColorOverlay(panel) {
+  colorOverlay = createRegionOverlay();
+  colorOverlay.setAttribute('class', 'region-overlay color-overlay');
+  panel.appendChild(colorOverlay);
+
+  // The layer is placed from the image's size: draw it again once the image has loaded
+  if (machineSource && machineSource.tagName === 'IMG' && !machineSource.complete) {
+    machineSource.addEventListener('load', renderColorFlow, { once: true });
+  }
+  renderColorFlow();
+  updateColorControls();
+}
+
+// Colour inside the box only, like a real machine
+function renderColorFlow() {
+  if (!colorOverlay) return;
+  colorOverlay.innerHTML = '';
+  const colorFlow = activeView && activeView.colorFlow;
+  if (!isColorEnabled || !colorFlow || isOffAxis) return;
+
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const { x, y, width, height } = colorBox;
+
+  const clip = document.createElementNS(svgNs, 'clipPath');
+  clip.id = 'colorBoxClip';
+  const clipRect = document.createElementNS(svgNs, 'rect');
+  Object.entries({ x, y, width, height }).forEach(([name, value]) => clipRect.setAttribute(name, value));
+  clip.appendChild(clipRect);
+  colorOverlay.appendChild(clip);
+
+  // The layer has the framing of the view's image: place it where the image sits in the panel
+  const panelWidth = imagePanel.clientWidth;
+  const panelHeight = imagePanel.clientHeight;
+  const sourceWidth = machineSource && (machineSource.naturalWidth || machineSource.videoWidth);
+  const sourceHeight = machineSource && (machineSource.naturalHeight || machineSource.videoHeight);
+  const rect = panelWidth && panelHeight && sourceWidth && sourceHeight
+    ? getImageRect(panelWidth, panelHeight, sourceWidth, sourceHeight)
+    : { x: 0, y: 0, width: panelWidth || 100, height: panelHeight || 100 };
+  const scaleX = 100 / (panelWidth || 100);
+  const scaleY = 100 / (panelHeight || 100);
+
+  const layer = document.createElementNS(svgNs, 'image');
+  layer.setAttribute('href', colorFlow.image);
+  layer.setAttribute('x', rect.x * scaleX);
+  layer.setAttribute('y', rect.y * scaleY);
+  layer.setAttribute('width', rect.width * scaleX);
+  layer.setAttribute('height', rect.height * scaleY);
+  layer.setAttribute('preserveAspectRatio', 'none');
+  layer.setAttribute('clip-path', 'url(#colorBoxClip)');
+  layer.setAttribute('class', 'color-flow');
+  colorOverlay.appendChild(layer);
+
+  const box = document.createElementNS(svgNs, 'rect');
+  Object.entries({ x, y, width, height }).forEach(([name, value]) => box.setAttribute(name, value));
+  box.setAttribute('class', 'color-box');
+  box.setAttribute('tabindex', '0');
+  box.setAttribute('role', 'button');
+  box.setAttribute('aria-label', t('doppler.boxLabel'));
+
+  box.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    const point = getPanelPoint(e);
+    colorDrag = { dx: point.x - colorBox.x, dy: point.y - colorBox.y };
+    if (e.currentTarget.setPointerCapture) e.currentTarget.setPointerCapture(e.pointerId);
+  });
+
+  box.addEventListener('pointermove', (e) => {
+    if (!colorDrag) return;
+    const point = getPanelPoint(e);
+    colorBox.x = Math.min(Math.max(point.x - colorDrag.dx, 0), 100 - colorBox.width);
+    colorBox.y = Math.min(Math.max(point.y - colorDrag.dy, 0), 100 - colorBox.height);
+    // Move the box and its clip without rebuilding the layer (keeps the pointer capture)
+    [box, clipRect].forEach(el => {
+      el.setAttribute('x', colorBox.x);
+      el.setAttribute('y', colorBox.y);
+    });
+  });
+
+  ['pointerup', 'pointercancel'].forEach(type => box.addEventListener(type, () => {
+    colorDrag = null;
+  }));
+
+  box.addEventListener('keydown', (e) => {
+    const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    if (!moves[e.key]) return;
+    e.preventDefault();
+    e.stopPropagation();
+    moveColorBox(colorBox.x + moves[e.key][0] * colorBoxStep, colorBox.y + moves[e.key][1] * colorBoxStep);
+    colorOverlay.querySelector('.color-box').focus();
+  });
+
+  colorOverlay.appendChild(box);
+}
+
+// Jet answer ID asked by the current quiz question (null in Sandbox Mode or for other questions)
+function getColorJetQuestion() {
+  if (isSandBoxActive) return null;
+  const qData = quizData[currentQuestionIndex];
+  return qData && qData.colorJet !== undefined ? qData.colorJet : null;
+}
+
+// 'Color' button (only for views with a colour layer) and 'Submit Color Box'
+function updateColorControls() {
+  colorToggleButton.disabled = !(activeView && activeView.colorFlow);
+  colorToggleButton.setAttribute('aria-pressed', String(isColorEnabled));
+
+  const asked = getColorJetQuestion();
+  submitColorBoxButton.classList.toggle('hidden', asked === null);
+  submitColorBoxButton.disabled = asked === null || isFeedbackActive || !isColorEnabled || colorToggleButton.disabled;
+}
+
+// Score the box position: the view, then whether the box covers the jet
+function submitColorBox() {
+  // Only while colour is shown on a view (not off-axis)
+  if (getColorJetQuestion() === null || isFeedbackActive || !isColorEnabled || isOffAxis || !activeView || !activeView.colorFlow) return;
+
+  const qData = quizData[currentQuestionIndex];
+  const jet = getQuestionJet(qData);
+  pauseCine();
+
+  const boxJets = activeView.colorFlow.jets.filter(j => isJetInBox(j, colorBox));
+  const covered = jet !== null && boxJets.some(j => j.answer === jet.answer);
+  const recorded = boxJets.length > 1 ? inLocale(defaultLocale, () => t('doppler.severalJets'))
+    : covered ? jet.text : inLocale(defaultLocale, () => t('doppler.offJet'));
+
+  const result = scoreColorJet(qData, lastCellPos, activeView, boxJets, stopChallengeTimer());
+  finishQuizAnswer(qData, result, lastCellPos, activeView, recorded);
+  updateColorControls();
+}
+
+colorToggleButton.addEventListener('click', () => {
+  setColorEnabled(!isColorEnabled);
+});
+
+submitColorBoxButton.addEventListener('click', submitColorBox);
+
+updateColorControls();
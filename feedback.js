@@ -7,8 +7,9 @@
  * question or the end-of-quiz sequence.
  * 
  * FUNCTIONS:
- * - Event Listener for showAnswerButton: Hides the 'Show Answer' button and reveals 
- * the correct answer image based on the data for the current question.
+ * - Event Listener for showAnswerButton: Hides the 'Show Answer' button, deducts the 'Show Answer' 
+ * penalty and reveals the correct answer image based on the data for the current question (or names the 
+ * correct structure and view when the question has no answer image, or the reference value of a measurement question, or the correct choice of a multiple-choice question, or where a colour Doppler jet is, moving the colour box onto it).
  * - Event Listener for nextQuestionButton: Handles the core quiz progression. It 
  * increments the question index, hides the feedback modal, and checks if another 
  * question exists. If yes, it transitions to the 'questionTitleScreen'; if no, 
@@ -22,7 +23,7 @@
  * - feedbackBox, nextQuestionButton, showAnswerButton, feedbackText: Elements 
  * related to the feedback modal.
  * - containerOverlay: The background dimmer/overlay for the feedback modal.
- * - finalScore, endScreen: Elements used to display results at the end of the quiz.
+ * - finalScore, scoreBreakdown, endScreen: Elements used to display results (points and per-stage counts) at the end of the quiz.
  * - container, questionTitleScreen: Screens managed during the transition phase.
  * - correctAnswerImage: The element where the correct answer image is displayed.
  * - isFeedbackActive: (boolean) State variable reset when transitioning to the next question.
@@ -31,6 +32,16 @@
  * - quizData: The array containing all quiz questions and their correct answers/images.
  * - currentQuestionIndex, score: Variables tracking quiz progress and user score.
  * - loadQuestion(): Function called to initialize the next question's content.
+ * - getCatalogView(), getQuestionHotspot(): Used to describe the answer when a question has no answer image.
+ * - markShowAnswerUsed(), finishProgressSession() (storage.js): Record 'Show Answer' use and the final score.
+ * - applyShowAnswerPenalty(), formatPoints(), describeScoreBreakdown(), describeReference() (scoring.js)
+ * - showChallengeResults() (challenge.js): Leaderboard at the end of a timed challenge.
+ * - currentSessionId (storage.js), showResultsExport() (results.js): Results export on the end screen.
+ * - trackQuizEnd() (lms.js): Reports the final score to the LMS, if there is one.
+ * - getQuestionChoices() (cases.js): Correct answer of a multiple-choice question.
+ * - getQuestionJet(), moveColorBox(), setColorEnabled(), colorBox, colorOverlay (doppler.js): Shows the jet of a colour question.
+ * - saveCurrentQuiz() (resume.js), clearQuizState() (storage.js): Keep the resumable quiz up to date and drop it when the quiz ends.
+ * - t(), localizeText(), lowerText(), getViewName(), getStructureName(), getJetName() (i18n.js): Translated text.
 **/
 
 
@@ -40,15 +51,49 @@ const showAnswerButton = document.getElementById('showAnswerButton');
 const feedbackText = document.getElementById('feedbackText');
 const containerOverlay = document.getElementById('containerOverlay');
 const feedbackImage = document.getElementById('feedbackImage');
+const scoreBreakdown = document.getElementById('scoreBreakdown');
 
 // Show answer and explanation
 showAnswerButton.addEventListener('click', () => {
   const qData = quizData[currentQuestionIndex];
   const imagePath = qData.correctImage;
 
-  correctAnswerImage.src = imagePath;
-  correctAnswerImage.classList.remove('hidden');
+  const deduction = applyShowAnswerPenalty();
+  const penaltyNote = deduction ? t('feedback.penaltyNote', { points: formatPoints(deduction) }) : '';
+
+  if (imagePath) {
+    feedbackText.textContent += penaltyNote;
+    correctAnswerImage.src = imagePath;
+    correctAnswerImage.classList.remove('hidden');
+  } else if (qData.measurement) {
+    // Measurement questions: the reference value
+    const view = getCatalogView(qData.correctPosition, qData.key);
+    feedbackText.textContent = t('feedback.measurementAnswer', {
+      label: localizeText(qData.measurement.label), reference: describeReference(qData.measurement), view: getViewName(view)
+    }) + penaltyNote;
+  } else if (qData.colorJet !== undefined) {
+    // Colour Doppler questions: where the jet is
+    const view = getCatalogView(qData.correctPosition, qData.key);
+    const jet = getQuestionJet(qData);
+    feedbackText.textContent = t('feedback.jetAnswer', {
+      jet: jet ? lowerText(getJetName(jet)) : t('feedback.jet'), view: getViewName(view)
+    }) + penaltyNote;
+    if (jet && activeView === view && colorOverlay && colorOverlay.isConnected) {
+      moveColorBox(jet.x - colorBox.width / 2, jet.y - colorBox.height / 2);
+      setColorEnabled(true);
+    }
+  } else if (getQuestionChoices(qData)) {
+    // Multiple-choice questions: the correct choice (the patient's diagnosis for diagnosis questions)
+    const view = getCatalogView(qData.correctPosition, qData.key);
+    feedbackText.textContent = t('feedback.choiceAnswer', { choice: getQuestionChoices(qData).correct.text, view: getViewName(view) }) + penaltyNote;
+  } else {
+    // Banks without answer images: name the structure and view instead
+    const view = getCatalogView(qData.correctPosition, qData.key);
+    const hotspot = getQuestionHotspot(qData);
+    feedbackText.textContent = t('feedback.structureAnswer', { structure: getStructureName(hotspot), view: getViewName(view) }) + penaltyNote;
+  }
   showAnswerButton.classList.add('hidden');
+  markShowAnswerUsed(deduction);
 });
 
 // Enters Next question or ends the quiz
@@ -68,10 +113,18 @@ nextQuestionButton.addEventListener('click', () => {
     container.classList.add('hidden');
     isSimulatorActive = false;
     loadQuestion();
+    saveCurrentQuiz();
   } else {
     // End of quiz sequence
     container.classList.add('hidden');
-    finalScore.textContent = `${score} out of ${quizData.length}`;
+    finalScore.textContent = t('end.score', { score: formatPoints(score), count: quizData.length });
+    scoreBreakdown.textContent = describeScoreBreakdown(quizData.length);
+    showChallengeResults();
+    const finishedSessionId = currentSessionId;
+    finishProgressSession(score);
+    trackQuizEnd(score, quizData.length);
+    showResultsExport(finishedSessionId);
+    clearQuizState();
     isSimulatorActive = false;
     endScreen.classList.remove('hidden');
 
@@ -0,0 +1,157 @@
+/**
+ * -----------------------------------------------------------------------------
+ * IMAGE QUALITY METER & SCANNING HINTS
+ * -----------------------------------------------------------------------------
+ * This script shows the quality of the image on screen (0-100%, from the distance to
+ * the zone center and the angle error; see mapping.js) in the `.controls` panel, and
+ * optional coaching hints telling the user how to improve it ("Rotate clockwise toward
+ * 1 o'clock", "Move one intercostal space down", "Flip the tail up").
+ *
+ * In Sandbox Mode the hints lead to the nearest view; in a quiz they lead to the view the
+ * question asks for. Hints are on in Sandbox Mode and off in quizzes by default; both can
+ * be changed on the title screen.
+ *
+ * FUNCTIONS:
+ * - updateGuidance(): Updates the quality meter and the hints (called by updateImagePreview()).
+ * - getGuidanceTarget(x, y): The zone and view the hints lead to.
+ * - getScanningHints(): The hints for the probe's current position and orientation.
+ * - describePositionHints(dx, dy): "Move one intercostal space down" / "Slide the probe to the patient's left".
+ * - areHintsEnabled(): True when hints are switched on for the current mode.
+ * - renderHints(hints): Lists the hints (only when they changed, so screen readers are not flooded).
+ *
+ * EVENT LISTENERS:
+ * - sandboxHintsToggle, quizHintsToggle (change): Turn the hints on or off for each mode.
+ *
+ * GLOBAL VARIABLES (Elements & Settings):
+ * - qualityMeter, qualityMeterFill, qualityDisplay: The IMAGE QUALITY indicator.
+ * - guidanceHints: List of hints under the indicators.
+ * - sandboxHintsToggle, quizHintsToggle: Title screen settings.
+ * - angleHintThreshold: Angle error (degrees) below which no rotation hint is given.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - currentImageQuality, isOffAxis, sweetSpotRadius, findProbeZone(), findNearestViews() (mapping.js)
+ * - cells, activeView, lastCellPos, sweepDeg, tailPosition, isManualOrientation, isSandBoxActive, isFeedbackActive,
+ * currentQuestionIndex, toggleButton (loadquestions.js)
+ * - quizData (imagedata.js), getZoneViews(), getCatalogView() (viewcatalog.js), viewLabel() (scoring.js)
+ * - probe, getProbeCenter() (probe.js), container, angleDifference(), degreesToClock() (main.js)
+ * - t(), getZoneName() (i18n.js)
+**/
+
+const qualityMeter = document.getElementById('qualityMeter');
+const qualityMeterFill = document.getElementById('qualityMeterFill');
+const qualityDisplay = document.getElementById('qualityDisplay');
+const guidanceHints = document.getElementById('guidanceHints');
+const sandboxHintsToggle = document.getElementById('sandboxHintsToggle');
+const quizHintsToggle = document.getElementById('quizHintsToggle');
+const angleHintThreshold = 5;
+
+// Hints are set per mode on the title screen
+function areHintsEnabled() {
+  return isSandBoxActive ? sandboxHintsToggle.checked : quizHintsToggle.checked;
+}
+
+// Zone and view the hints lead to: the question's view in a quiz, the nearest view in Sandbox Mode
+function getGuidanceTarget(x, y) {
+  if (!isSandBoxActive) {
+    const qData = quizData[currentQuestionIndex];
+    if (!qData) return null;
+    return { pos: qData.correctPosition, view: getCatalogView(qData.correctPosition, qData.key) };
+  }
+
+  const nearest = findProbeZone(x, y, Infinity);
+  if (!nearest) return null;
+
+  const views = getZoneViews(nearest.pos);
+  if (!isManualOrientation) return { pos: nearest.pos, view: activeView || views[0] || null };
+
+  // The nearest view with the probe's tail, otherwise the first one (the tail must be flipped)
+  const [closest] = findNearestViews(views, sweepDeg, tailPosition);
+  return { pos: nearest.pos, view: closest ? views[closest.index] : views[0] || null };
+}
+
+// Direction to the target zone, in intercostal spaces (about one zone radius) and sides
+function describePositionHints(dx, dy) {
+  const hints = [];
+
+  if (Math.abs(dy) > sweetSpotRadius) {
+    const spaces = Math.max(1, Math.round(Math.abs(dy)));
+    hints.push(t(dy > 0 ? 'guidance.moveDown' : 'guidance.moveUp', { count: spaces }));
+  }
+  // The body model faces the user: the right of the screen is the patient's left
+  if (Math.abs(dx) > sweetSpotRadius) {
+    hints.push(t(dx > 0 ? 'guidance.slideLeft' : 'guidance.slideRight'));
+  }
+
+  return hints;
+}
+
+// Hints for the probe's current position and orientation
+function getScanningHints() {
+  const { x, y } = getProbeCenter(probe);
+  const target = getGuidanceTarget(x, y);
+  if (!target) return [];
+
+  const hints = [];
+  const cell = Array.from(cells).find(c => +c.dataset.pos === target.pos);
+  const b = cell.getBoundingClientRect();
+  const radius = Math.max(b.width, b.height) / 2 || 1;
+  const dx = (b.left + b.width / 2 - x) / radius;
+  const dy = (b.top + b.height / 2 - y) / radius;
+
+  if (Math.hypot(dx, dy) > 1) {
+    hints.push(t('guidance.moveToward', { zone: getZoneName(target.pos) }));
+  }
+  hints.push(...describePositionHints(dx, dy));
+
+  if (target.view && isManualOrientation) {
+    const turn = angleDifference(sweepDeg, target.view.angle);
+    if (Math.abs(turn) > angleHintThreshold) {
+      hints.push(t(turn > 0 ? 'guidance.rotateClockwise' : 'guidance.rotateCounterClockwise', { clock: degreesToClock(target.view.angle) }));
+    }
+    if (tailPosition !== target.view.tail) {
+      hints.push(t(`guidance.flipTail.${target.view.tail}`));
+    }
+  } else if (target.view && lastCellPos === target.pos && activeView && activeView !== target.view &&
+    !toggleButton.classList.contains('hidden')) {
+    hints.push(t('guidance.switchView', { view: viewLabel(target.view) }));
+  }
+
+  if (!hints.length && activeView && !isOffAxis) {
+    hints.push(t('guidance.hold'));
+  }
+  return hints;
+}
+
+// List the hints (the list is a live region, so only rewrite it when they change)
+function renderHints(hints) {
+  const text = hints.join('\n');
+  if (guidanceHints.dataset.hints === text) return;
+  guidanceHints.dataset.hints = text;
+
+  guidanceHints.innerHTML = '';
+  hints.forEach(hint => {
+    const item = document.createElement('li');
+    item.textContent = hint;
+    guidanceHints.appendChild(item);
+  });
+}
+
+// Quality meter and hints for the current probe position
+function updateGuidance() {
+  const percent = Math.round(currentImageQuality * 100);
+  qualityMeterFill.style.width = `${percent}%`;
+  qualityMeterFill.classList.toggle('quality-low', percent < 50);
+  qualityMeter.setAttribute('aria-valuenow', percent);
+  qualityDisplay.textContent = `${percent}%`;
+
+  const showHints = areHintsEnabled() && !isFeedbackActive && !container.classList.contains('hidden');
+  guidanceHints.classList.toggle('hidden', !showHints);
+  renderHints(showHints ? getScanningHints() : []);
+}
+
+// Hint settings (title screen)
+[sandboxHintsToggle, quizHintsToggle].forEach(toggle => {
+  toggle.addEventListener('change', () => {
+    updateGuidance();
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * -----------------------------------------------------------------------------
+ * LOCALIZATION (I18N)
+ * -----------------------------------------------------------------------------
+ * This script translates the simulator's user-facing text. Every message lives in a
+ * locale file (locales/<code>.js) that registers itself with registerLocale(); the code
+ * only refers to messages by key, e.g. t('quiz.questionNumber', { number: 2, count: 5 }).
+ * The user picks the language on the title screen; the choice is remembered on the device.
+ *
+ * MESSAGES:
+ * - Keys are dot paths into the locale's messages ('scoring.correct' -> messages.scoring.correct).
+ * - `{name}` in a message is replaced by the `name` parameter.
+ * - A message may be an object of plural forms ({ one: '{count} point', other: '{count} points' }),
+ * chosen with the locale's plural rules (Intl.PluralRules) from the `count` parameter.
+ * - A key missing from the current locale falls back to English (`defaultLocale`), then to the key itself.
+ *
+ * STABLE IDS:
+ * Answers are checked against IDs, never against translated text. Hotspots name their
+ * structure with a `structure` ID (imagedata.js), translated under `structures.<id>`; views
+ * under `views.<id>`, zones under `zones.<n>`, findings under `diagnoses.<id>`. Quiz bank text
+ * (`question`, `choices`, measurement `label`) is either a plain string or an object with one
+ * text per locale ({ "en": "...", "fr": "..." }); its English text is its ID.
+ *
+ * STATIC PAGE TEXT:
+ * Elements of index.html are translated through attributes holding a key:
+ * `data-i18n` (text), `data-i18n-placeholder`, `data-i18n-title`, `data-i18n-alt` and `data-i18n-aria-label`.
+ *
+ * FUNCTIONS:
+ * - registerLocale(code, name, messages): Adds a locale (called by the locale files).
+ * - getLocale(): The current locale code (picked on first use from the saved choice or the browser language).
+ * - setLocale(code): Switches language, translates the page and fires `localechange` on document.
+ * - t(key, params): The translated message.
+ * - localMessage(key, params): A message translated each time it is shown (e.g., data problems left on screen).
+ * - translateName(key, fallback): The message of a data name, or 'fallback' if no locale has one.
+ * - formatList(items): "A, B and C" in the current language.
+ * - localizeText(value): The current locale's text of a plain string or a { locale: text } object.
+ * - getTextId(value): Language-independent ID of such a text (its English text).
+ * - lowerText(text): Text in lower case, by the rules of the current language.
+ * - getStructureId(hotspot) / getStructureName(hotspot): Stable ID and translated name of a hotspot's structure.
+ * - getJetName(jet): Translated name of a colour Doppler jet.
+ * - getViewName(view), getViewLabel(view, field): Translated name / rotation or tail label of a catalog view.
+ * - getZoneName(zone): Translated name of an acoustic window.
+ * - getQuestionText(qData): Translated text of a quiz question.
+ * - getDiagnosisName(id): Translated name of a finding.
+ * - inLocale(code, fn): Runs 'fn' with another locale's messages and returns its result.
+ * - applyTranslations(root): Translates the marked elements under 'root'.
+ * - renderLanguageSelect(): Lists the registered locales in the title screen select.
+ *
+ * EVENT LISTENERS:
+ * - languageSelect (change): Switches language.
+ * - document (DOMContentLoaded): Translates the page once every script has run.
+ *
+ * GLOBAL VARIABLES (State & Elements):
+ * - defaultLocale: Locale every other one falls back to ('en').
+ * - localeStorageKey: localStorage key of the chosen language.
+ * - locales: (Object) Code -> { name, messages }.
+ * - i18nAttributes: (Object) data-i18n-* attribute (dataset name) -> attribute it translates.
+ * - currentLocale: Code of the language shown (null until first used).
+ * - languageSelect: Title screen setting.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - readStore(), writeStore() (storage.js), bodyZones (imagedata.js, read when called)
+**/
+
+const languageSelect = document.getElementById('languageSelect');
+const defaultLocale = 'en';
+const localeStorageKey = 'echosim.locale';
+const locales = {};
+const i18nAttributes = { i18nPlaceholder: 'placeholder', i18nTitle: 'title', i18nAlt: 'alt', i18nAriaLabel: 'aria-label' };
+
+let currentLocale = null;
+
+// Called by each locale file
+function registerLocale(code, name, messages) {
+  locales[code] = { name, messages };
+}
+
+// The locale files register after this script runs, so the language is picked on first use
+function getLocale() {
+  if (currentLocale) return currentLocale;
+
+  const saved = readStore(localeStorageKey, null);
+  const preferred = [saved].concat(navigator.languages || [navigator.language])
+    .filter(Boolean)
+    .flatMap(code => [code, code.split('-')[0]]);
+  currentLocale = preferred.find(code => locales[code]) || defaultLocale;
+  document.documentElement.lang = currentLocale;
+  return currentLocale;
+}
+
+function setLocale(code) {
+  if (!locales[code] || code === currentLocale) return;
+  currentLocale = code;
+  writeStore(localeStorageKey, code);
+  document.documentElement.lang = code;
+  applyTranslations(document);
+  document.dispatchEvent(new CustomEvent('localechange', { detail: { locale: code } }));
+}
+
+// Message at a dot path of a locale (undefined if missing)
+function findMessage(code, key) {
+  const locale = locales[code];
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+    locale && locale.messages);
+}
+
+function t(key, params = {}) {
+  const code = getLocale();
+  let message = findMessage(code, key);
+  if (message === undefined) message = findMessage(defaultLocale, key);
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(code).select(Number(params.count));
+    message = message[form] !== undefined ? message[form] : message.other;
+  }
+  return String(message).replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Translated by String(message), so a list left on screen can be shown again in a new language;
+// a parameter may be a function called at that time (e.g., () => getViewName(view))
+function localMessage(key, params = {}) {
+  return {
+    toString: () => t(key, Object.fromEntries(Object.entries(params)
+      .map(([name, value]) => [name, typeof value === 'function' ? value() : value])))
+  };
+}
+
+// "A, B and C"
+function formatList(items) {
+  return Intl.ListFormat
+    ? new Intl.ListFormat(getLocale(), { type: 'conjunction' }).format(items)
+    : items.join(', ');
+}
+
+// Bank text: a string, or { en: '...', fr: '...' }
+function localizeText(value) {
+  if (!value || typeof value !== 'object') return value;
+  return value[getLocale()] ?? value[defaultLocale] ?? Object.values(value)[0];
+}
+
+function getTextId(value) {
+  if (!value || typeof value !== 'object') return value;
+  return value[defaultLocale] ?? Object.values(value)[0];
+}
+
+function lowerText(text) {
+  return String(text).toLocaleLowerCase(getLocale());
+}
+
+// Translation of a data name, or the name written in the data when no locale has one
+function translateName(key, fallback) {
+  const known = findMessage(getLocale(), key) !== undefined || findMessage(defaultLocale, key) !== undefined;
+  return known ? t(key) : fallback;
+}
+
+// Hotspots without a `structure` ID (e.g., from an older authored view) fall back to their text
+function getStructureId(hotspot) {
+  return hotspot.structure || hotspot.text;
+}
+
+function getStructureName(hotspot) {
+  return hotspot.structure ? translateName(`structures.${hotspot.structure}`, hotspot.text) : hotspot.text;
+}
+
+function getJetName(jet) {
+  return translateName(`jets.${jet.answer}`, jet.text);
+}
+
+function getViewName(view) {
+  return translateName(`views.${view.id}`, view.name);
+}
+
+// 'rotationLabel' or 'tailLabel' of a view
+function getViewLabel(view, field) {
+  return view[field] ? translateName(`viewLabels.${view.id}.${field}`, view[field]) : '';
+}
+
+function getZoneName(zone) {
+  return translateName(`zones.${zone}`, bodyZones[zone]);
+}
+
+// Built-in questions are translated under `questions.<id>`, bank questions carry their own translations
+function getQuestionText(qData) {
+  const text = localizeText(qData.question);
+  return qData.id ? translateName(`questions.${qData.id}`, text) : text;
+}
+
+function getDiagnosisName(id) {
+  return t(`diagnoses.${id}`);
+}
+
+// Records (history, exports, LMS reports) are written in English whatever the user reads
+function inLocale(code, fn) {
+  const previous = getLocale();
+  currentLocale = code;
+  try {
+    return fn();
+  } finally {
+    currentLocale = previous;
+  }
+}
+
+// Translate the elements marked with data-i18n attributes
+function applyTranslations(root) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-placeholder], [data-i18n-title], [data-i18n-alt], [data-i18n-aria-label]').forEach(element => {
+    Object.keys(i18nAttributes).forEach(data => {
+      if (element.dataset[data]) element.setAttribute(i18nAttributes[data], t(element.dataset[data]));
+    });
+  });
+  if (root === document) document.title = t('app.documentTitle');
+}
+
+// One option per registered locale, named in its own language
+function renderLanguageSelect() {
+  languageSelect.innerHTML = '';
+  Object.keys(locales).forEach(code => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = locales[code].name;
+    languageSelect.appendChild(option);
+  });
+  languageSelect.value = getLocale();
+}
+
+languageSelect.addEventListener('change', () => {
+  setLocale(languageSelect.value);
+});
+
+// Every script (and locale file) has run by now
+document.addEventListener('DOMContentLoaded', () => {
+  renderLanguageSelect();
+  applyTranslations(document);
+});
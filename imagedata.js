@@ -7,155 +7,447 @@
  * ultrasound images, interactive anatomical markers, and corresponding quiz questions.
  * 
  * GLOBAL VARIABLES (Data Structures):
- * - imageSetsByAngleAndTail: (Object) Maps the combination of probe angle and 
- * tail direction (the "key," e.g., "30_up") to an array of four image paths. The 
- * index of the array corresponds to the cell position (pos 1-4).
- * - cellOrientationMap: (Object) Maps the body position/drop zone index (pos 1-4) 
- * to an array of possible probe orientations (angle, tail direction, and view name). 
- * This enables the 'Switch View' feature.
- * - circlePositionsByKey: (Object) Defines the interactive circles for the quiz 
- * and sandbox mode. It maps the image key ("angle_tail") to a two-dimensional array 
- * where the second dimension corresponds to the cell position. Each circle object 
- * defines its position (x, y as percentages), the anatomical text, and the correct 
- * answer letter for the quiz.
- * - quizData: (Array of Objects) The sequence of quiz questions. Each object holds 
+ * - bodyZones: (Object) Maps each drop zone on the body model (the `data-pos` of a 
+ * `.cell`, 1-4) to its acoustic window name.
+ * - viewCatalog: (Array of Objects) One entry per standard view. The order of the 
+ * entries within a zone is the order used by the 'Switch View' feature. Each view declares:
+ *     id            Stable, unique view identifier (e.g. "PLAX").
+ *     name          Name shown in the VIEW indicator.
+ *     zone          Drop zone (key of `bodyZones`) where the view is obtained.
+ *     angle, tail   Probe rotation in degrees and tail direction ('up' / 'down').
+ *     image         Path of the ultrasound image.
+ *     preview       (optional) Low-resolution copy of the image, shown until the full image has downloaded (see assets.js).
+ *     hotspots      Interactive circles: position (x, y as percentages of the image), 
+ *                   the answer identifier (unique within the view), the `structure` ID (the same
+ *                   structure has the same ID in every view; its name is translated under
+ *                   `structures.<id>` in the locale files, see i18n.js) and its English name (`text`).
+ *                   An optional `region` ([[x, y], ...] in the same percentages) outlines the 
+ *                   whole structure; a click anywhere inside it selects the hotspot.
+ *     probeImage    (optional) Probe image to show instead of the default tail image.
+ *     rotationLabel (optional) Text for the ROTATION indicator instead of the clock face.
+ *     tailLabel     (optional) Text for the TAIL POSITION indicator.
+ *     ropeAnchor    (optional) Where the cable joins the probe: 'center', or 
+ *                   { angle } for a fixed screen direction (degrees) from the probe center.
+ *     pixelsPerCm   (optional) Calibration: pixels of the original image per cm, read from the depth scale
+ *                   on the image. Needed for measurements (see measure.js).
+ *     depth         (optional) Depth in cm the image was acquired at (default 16); see machine.js. The image's
+ *                   height in pixels divided by its `pixelsPerCm`, as the transducer is drawn at the top.
+ *                   A hotspot may add `maxDepth` (cm) to be identifiable only at that depth or less.
+ *     offAxis       (optional) { image, name } shown when the probe is slightly off the view
+ *                   (e.g., a foreshortened A4C); see mapping.js.
+ *     colorFlow     (optional) Colour Doppler layer (see doppler.js): { image, jets: [{ answer, text, x, y }] }.
+ *                   The image has the view image's framing and is shown inside the colour sample box.
+ *     clip          (optional) Cine loop played instead of the still image (see cine.js):
+ *                   { frames: ['path', ...] } or { video: 'path' }, plus optional `fps` (default 25)
+ *                   and `phases` ({ systole: [0, 11], diastole: [12, 29] }, frame numbers from 0).
+ *                   Hotspots of a clip view may add `frames: [first, last]` or `phase: 'diastole'`
+ *                   to be shown (and answerable) only on those frames.
+ *     placeholder   (optional) true when the image is a drawing standing in for a recorded echo. The view
+ *                   can be scanned but is left out of quizzes (see quizbuilder.js).
+ * - caseLibrary: (Array of Objects) Patients the simulator can scan (see cases.js). One patient is picked at
+ * quiz start; the views it lists replace the normal images of the catalog, the others stay normal. Each case declares:
+ *     id            Stable, unique case identifier.
+ *     patient       Name shown during the quiz (it must not give the diagnosis away).
+ *     diagnosis     The case's finding, one of the IDs of `diagnosisChoices`.
+ *     views         { VIEW_ID: { image, hotspots, clip, pixelsPerCm, ... } }: fields replacing those of the
+ *                   catalog view with that ID. Replaced `hotspots` must keep the view's answer IDs.
+ * - diagnosisChoices: (Array of Strings) IDs of the findings offered by diagnosis questions ("What abnormality is shown?"),
+ * named under `diagnoses.<id>` in the locale files.
+ * - defaultQuizBank: (Object) The built-in quiz bank ({ title, questions }). Each question holds 
  * the question text, the required probe orientation key, the correct body position 
- * (`correctPosition`), the correct answer identifier (`correctAnswer`), and the 
- * image path showing the correct answer highlight.
+ * (`correctPosition`), the correct answer identifier (`correctAnswer`), and (optionally) the 
+ * image path showing the correct answer highlight (`correctImage`) and a difficulty tag (`difficulty`). A question may
+ * ask for a measurement instead of a structure (`measurement`, see measure.js), be answered with buttons
+ * (`choices` or `diagnosis`, see cases.js) or with the colour Doppler box (`colorJet`, see doppler.js). External banks in 
+ * quizbanks/*.json use the same format and are loaded by quizbank.js. The built-in questions have an `id`
+ * under which the locale files translate them (`questions.<id>`); bank files give their text per locale instead.
+ * - quizData: (Array of Objects) The questions of the quiz being played (built from the loaded bank(s) by quizbuilder.js).
  * 
  * NOTES:
- * - Data keys often use a format like "ANGLE_TAIL" (e.g., "30_up") to unify data access.
- * - Array indexing is 0-based, while position variables (pos, slideNum) are often 1-based, 
- * requiring index adjustments (e.g., `pos - 1`) in the controller scripts.
+ * - Quiz questions still identify a view by its zone (`correctPosition`) and its 
+ * "ANGLE_TAIL" key (e.g., "30_up"); `viewKey()` in viewcatalog.js builds that key for a view.
+ * - The catalog is checked at startup by viewcatalog.js, which reports missing images, 
+ * duplicate answer IDs and references to nonexistent zones.
 **/
 
 
 
-// Image Data for different angles and tail positions
-  const imageSetsByAngleAndTail = {
-      "30_up": ["Echo_Images/30_up_1.png", "Echo_Images/30_up_2.png", "Echo_Images/30_up_3.png", "Echo_Images/30_up_4.png"],       // @ 2 = PSAX
-      "30_down": ["Echo_Images/30_down_1.png", "Echo_Images/30_down_2.png", "Echo_Images/30_down_3.png", "Echo_Images/30_down_4.png"],   // @ 2 = PSAX AV level
-      "90_up": ["Echo_Images/90_up_1.png", "Echo_Images/90_up_2.png", "Echo_Images/90_up_3.png", "Echo_Images/90_up_4.png"],     // @ 1 = Suprasternal notch
-      "90_down": ["Echo_Images/90_down_1.png", "Echo_Images/90_down_2.png", "Echo_Images/90_down_3.png", "Echo_Images/90_down_4.png"],  // @ 3 = S4C, @ 4 = A4C
-      "300_up": ["Echo_Images/300_up_1.png", "Echo_Images/300_up_2.png", "Echo_Images/300_up_3.png", "Echo_Images/300_up_4.png"]      // @ 2 = PLAX
+// Acoustic windows on the body model, keyed by the cell position (data-pos)
+  const bodyZones = {
+      1: 'Suprasternal Notch',
+      2: 'Left Parasternal',
+      3: 'Subcostal',
+      4: 'Apical',
   };
-  
-  // Cell orientation map for angles and tail direction
-  const cellOrientationMap = {
-      1: [{ angle: 90, tail: 'up', view: 'Suprasternal Notch'}],    // Suprasternal notch
-      2: [
-          { angle: 30, tail: 'up', view: 'Parasternal Short-axis'},      // PSAX
-          { angle: 30, tail: 'down', view: 'Parasternal Short-axis AV'},    // PSAX AV level
-          { angle: 300, tail: 'up', view: 'Parasternal Long-axis'},     // PLAX
-      ],
-      3: [{ angle: 90, tail: 'down', view: 'Subcostal 4-chamber'}],   // S4C
-      4: [{ angle: 90, tail: 'down', view: 'Apical 4-chamber'}],   // A4C
-  };
-  
-  // Circle positions for each question based on angle and tail direction
-  const circlePositionsByKey = {
-      "30_up": [
-          [],
-          [   // PSAX
-              { x: 45, y: 54, answer: "A", text: "Left Ventricle" }   // Left Ventricle
-          ],
-          [],
-          []
-      ],
-  
-      "30_down": [
-          [],
-          [    // PSAX AV level
-              { x: 45, y: 56, answer: "B", text: "Aortic Valve" },  // Aortic Valve
-              { x: 45, y: 37, answer: "C", text: "Right Ventricular Outflow Tract" },  // Right Ventricular Outflow Tract
-              { x: 45, y: 70, answer: "D", text: "Left Atrium" }, // Left Atrium
-              { x: 30, y: 60, answer: "E", text: "Right Atrium" },  // Right Atrium
-          ],
-          [],
-          []
-      ],
-  
-      "300_up": [
-          [],
-          [    // PLAX
-              { x: 40, y: 50, answer: "F", text: "Left Ventricle" },  // Left Ventricle
-              { x: 53, y: 30, answer: "G", text: "Right Ventricle" },  // Right Ventricle
-              { x: 65, y: 60, answer: "H", text: "Left Atrium" }, // Left Atrium
-              { x: 53, y: 60, answer: "I", text: "Mitral Valve" },  // Mitral Valve
-              { x: 60, y: 49, answer: "K", text: "Aortic Root" }   // Aortic Root
+
+  // Every standard view, with its probe orientation, image and hotspots. The `placeholder` views show
+  // drawings (Echo_Images/placeholder/) until recorded images replace them
+  const viewCatalog = [
+      {
+          id: 'SSN',
+          name: 'Suprasternal Notch',
+          zone: 1,
+          angle: 90,
+          tail: 'up',
+          image: 'Echo_Images/90_up_1.png',
+          preview: 'Echo_Images/preview/90_up_1.png',
+          pixelsPerCm: 152,
+          depth: 15.5,
+          probeImage: './images/probe_tail_up.png',
+          rotationLabel: '12 o\'clock',
+          ropeAnchor: { angle: 270 },
+          hotspots: [
+              { x: 45, y: 28, answer: "A", structure: "brachiocephalic_trunk", text: "Brachiocephalic Trunk" },
+              { x: 50, y: 35, answer: "B", structure: "left_common_carotid_artery", text: "Left Common Carotid Artery" },
+              { x: 35, y: 60, answer: "C", structure: "descending_aorta", text: "Thoracic Descending Artery" },
+              { x: 28, y: 45, answer: "D", structure: "right_pulmonary_artery", text: "Right Pulmonary Artery" },
+          ]
+      },
+      {
+          id: 'SSN_SAX',
+          name: 'Suprasternal Short-axis',
+          zone: 1,
+          angle: 180,
+          tail: 'up',
+          image: 'Echo_Images/placeholder/ssn_sax.png',
+          preview: 'Echo_Images/placeholder/preview/ssn_sax.png',
+          placeholder: true,
+          probeImage: './images/probe_tail_up.png',
+          rotationLabel: '3 o\'clock',
+          ropeAnchor: { angle: 270 },
+          hotspots: [
+              { x: 50, y: 33, answer: "A", structure: "aortic_arch", text: "Aortic Arch" },
+              { x: 50, y: 55, answer: "B", structure: "right_pulmonary_artery", text: "Right Pulmonary Artery" },
+              { x: 50, y: 76, answer: "C", structure: "left_atrium", text: "Left Atrium" },
+              { x: 33, y: 38, answer: "D", structure: "superior_vena_cava", text: "Superior Vena Cava" }
+          ]
+      },
+      {
+          id: 'SSN_DESC',
+          name: 'Suprasternal Long-axis (Descending Aorta)',
+          zone: 1,
+          angle: 90,
+          tail: 'down',
+          image: 'Echo_Images/placeholder/ssn_desc.png',
+          preview: 'Echo_Images/placeholder/preview/ssn_desc.png',
+          placeholder: true,
+          rotationLabel: '12 o\'clock',
+          ropeAnchor: { angle: 270 },
+          hotspots: [
+              { x: 45, y: 34, answer: "A", structure: "aortic_arch", text: "Aortic Arch" },
+              { x: 35, y: 62, answer: "B", structure: "descending_aorta", text: "Thoracic Descending Artery" },
+              { x: 55, y: 18, answer: "C", structure: "left_subclavian_artery", text: "Left Subclavian Artery" },
+              { x: 47, y: 53, answer: "D", structure: "right_pulmonary_artery", text: "Right Pulmonary Artery" }
+          ]
+      },
+      {
+          id: 'PSAX',
+          name: 'Parasternal Short-axis',
+          zone: 2,
+          angle: 30,
+          tail: 'up',
+          image: 'Echo_Images/30_up_2.png',
+          preview: 'Echo_Images/preview/30_up_2.png',
+          pixelsPerCm: 152,
+          depth: 15.5,
+          hotspots: [
+              { x: 45, y: 54, answer: "A", structure: "left_ventricle", text: "Left Ventricle" }
+          ]
+      },
+      {
+          id: 'PSAX_AV',
+          name: 'Parasternal Short-axis AV',
+          zone: 2,
+          angle: 30,
+          tail: 'down',
+          image: 'Echo_Images/30_down_2.png',
+          preview: 'Echo_Images/preview/30_down_2.png',
+          pixelsPerCm: 151,
+          depth: 15.7,
+          hotspots: [
+              { x: 45, y: 56, answer: "B", structure: "aortic_valve", text: "Aortic Valve", maxDepth: 12 },
+              { x: 45, y: 37, answer: "C", structure: "rvot", text: "Right Ventricular Outflow Tract" },
+              { x: 45, y: 70, answer: "D", structure: "left_atrium", text: "Left Atrium" },
+              { x: 30, y: 60, answer: "E", structure: "right_atrium", text: "Right Atrium" },
+          ]
+      },
+      {
+          id: 'PLAX',
+          name: 'Parasternal Long-axis',
+          zone: 2,
+          angle: 300,
+          tail: 'up',
+          image: 'Echo_Images/300_up_2.png',
+          preview: 'Echo_Images/preview/300_up_2.png',
+          pixelsPerCm: 151,
+          depth: 15.6,
+          probeImage: './images/probe_v.png',
+          tailLabel: 'Tail Neutral',
+          ropeAnchor: 'center',
+          hotspots: [
+              { x: 40, y: 50, answer: "F", structure: "left_ventricle", text: "Left Ventricle" },
+              { x: 53, y: 30, answer: "G", structure: "right_ventricle", text: "Right Ventricle" },
+              { x: 65, y: 60, answer: "H", structure: "left_atrium", text: "Left Atrium" },
+              { x: 53, y: 60, answer: "I", structure: "mitral_valve", text: "Mitral Valve" },
+              { x: 60, y: 49, answer: "K", structure: "aortic_root", text: "Aortic Root" }
+          ]
+      },
+      {
+          id: 'RVIF',
+          name: 'Right Ventricular Inflow',
+          zone: 2,
+          angle: 300,
+          tail: 'down',
+          image: 'Echo_Images/placeholder/rvif.png',
+          preview: 'Echo_Images/placeholder/preview/rvif.png',
+          placeholder: true,
+          hotspots: [
+              { x: 45, y: 35, answer: "A", structure: "right_ventricle", text: "Right Ventricle" },
+              { x: 56, y: 64, answer: "B", structure: "right_atrium", text: "Right Atrium" },
+              { x: 50, y: 50, answer: "C", structure: "tricuspid_valve", text: "Tricuspid Valve" },
+              { x: 68, y: 74, answer: "D", structure: "inferior_vena_cava", text: "Inferior Vena Cava" }
+          ]
+      },
+      {
+          id: 'PSAX_MV',
+          name: 'Parasternal Short-axis MV',
+          zone: 2,
+          angle: 60,
+          tail: 'up',
+          image: 'Echo_Images/placeholder/psax_mv.png',
+          preview: 'Echo_Images/placeholder/preview/psax_mv.png',
+          placeholder: true,
+          hotspots: [
+              { x: 48, y: 52, answer: "A", structure: "mitral_valve", text: "Mitral Valve" },
+              { x: 44, y: 28, answer: "B", structure: "right_ventricle", text: "Right Ventricle" },
+              { x: 40, y: 47, answer: "C", structure: "left_ventricle", text: "Left Ventricle" }
+          ]
+      },
+      {
+          id: 'PSAX_PM',
+          name: 'Parasternal Short-axis Papillary',
+          zone: 2,
+          angle: 60,
+          tail: 'down',
+          image: 'Echo_Images/placeholder/psax_pm.png',
+          preview: 'Echo_Images/placeholder/preview/psax_pm.png',
+          placeholder: true,
+          hotspots: [
+              { x: 47, y: 48, answer: "A", structure: "left_ventricle", text: "Left Ventricle" },
+              { x: 54, y: 62, answer: "B", structure: "anterolateral_papillary_muscle", text: "Anterolateral Papillary Muscle" },
+              { x: 40, y: 63, answer: "C", structure: "posteromedial_papillary_muscle", text: "Posteromedial Papillary Muscle" },
+              { x: 44, y: 28, answer: "D", structure: "right_ventricle", text: "Right Ventricle" }
+          ]
+      },
+      {
+          id: 'S4C',
+          name: 'Subcostal 4-chamber',
+          zone: 3,
+          angle: 90,
+          tail: 'down',
+          image: 'Echo_Images/90_down_3.png',
+          preview: 'Echo_Images/preview/90_down_3.png',
+          pixelsPerCm: 89,
+          depth: 26.5,
+          hotspots: [
+              { x: 50, y: 30, answer: "A", structure: "liver", text: "Liver" },
+              { x: 30, y: 65, answer: "B", structure: "left_atrium", text: "Left Atrium" },
+              { x: 53, y: 58, answer: "C", structure: "left_ventricle", text: "Left Ventricle" }
+          ]
+      },
+      {
+          id: 'SC_SAX',
+          name: 'Subcostal Short-axis',
+          zone: 3,
+          angle: 0,
+          tail: 'down',
+          image: 'Echo_Images/placeholder/sc_sax.png',
+          preview: 'Echo_Images/placeholder/preview/sc_sax.png',
+          placeholder: true,
+          hotspots: [
+              { x: 50, y: 22, answer: "A", structure: "liver", text: "Liver" },
+              { x: 57, y: 58, answer: "B", structure: "left_ventricle", text: "Left Ventricle" },
+              { x: 38, y: 52, answer: "C", structure: "right_ventricle", text: "Right Ventricle" }
+          ]
+      },
+      {
+          id: 'IVC',
+          name: 'Subcostal IVC',
+          zone: 3,
+          angle: 0,
+          tail: 'up',
+          image: 'Echo_Images/placeholder/ivc.png',
+          preview: 'Echo_Images/placeholder/preview/ivc.png',
+          placeholder: true,
+          hotspots: [
+              { x: 45, y: 58, answer: "A", structure: "inferior_vena_cava", text: "Inferior Vena Cava" },
+              { x: 58, y: 45, answer: "B", structure: "hepatic_vein", text: "Hepatic Vein" },
+              { x: 22, y: 66, answer: "C", structure: "right_atrium", text: "Right Atrium" },
+              { x: 65, y: 25, answer: "D", structure: "liver", text: "Liver" }
+          ]
+      },
+      {
+          id: 'A4C',
+          name: 'Apical 4-chamber',
+          zone: 4,
+          angle: 90,
+          tail: 'down',
+          image: 'Echo_Images/90_down_4.png',
+          preview: 'Echo_Images/preview/90_down_4.png',
+          pixelsPerCm: 115,
+          depth: 20.6,
+          hotspots: [
+              { x: 38, y: 54, answer: "A", structure: "right_ventricle", text: "Right Ventricle",
+                region: [[37, 44], [42, 41], [45, 45], [46, 58], [46, 68], [40, 69], [36, 64], [35, 54]] },
+              { x: 54, y: 50, answer: "B", structure: "left_ventricle", text: "Left Ventricle",
+                region: [[47, 32], [52, 30], [58, 36], [62, 46], [63, 58], [58, 66], [50, 66], [47, 56]] },
+              { x: 42, y: 63, answer: "C", structure: "tricuspid_valve", text: "Tricuspid Valve", phase: 'diastole' },
+              { x: 53, y: 60, answer: "D", structure: "mitral_valve", text: "Mitral Valve", phase: 'diastole' },
+              { x: 41, y: 67, answer: "E", structure: "right_atrium", text: "Right Atrium",
+                region: [[40, 70], [46, 68], [50, 70], [50, 77], [45, 79], [41, 76]] },
+              { x: 55, y: 70, answer: "F", structure: "left_atrium", text: "Left Atrium",
+                region: [[53, 71], [58, 68], [62, 71], [62, 80], [57, 85], [53, 82]] },
           ],
-          [],
-          []
-      ],
+          colorFlow: {
+              image: 'Echo_Images/color/a4c_inflow.png',
+              jets: [
+                  { answer: 'MV_INFLOW', text: 'Mitral inflow', x: 53, y: 55 },
+                  { answer: 'TV_INFLOW', text: 'Tricuspid inflow', x: 41, y: 58 },
+              ]
+          },
+          // Sample loop of one beat at the 84 bpm of the recording. Only its still frame is recorded, so every
+          // frame shows it until a recorded loop replaces them; the phases time the mitral valve question
+          clip: {
+              frames: Array(18).fill('Echo_Images/90_down_4.png'),
+              fps: 25,
+              phases: { systole: [0, 6], diastole: [7, 17] }
+          }
+      },
+      {
+          id: 'A2C',
+          name: 'Apical 2-chamber',
+          zone: 4,
+          angle: 30,
+          tail: 'down',
+          image: 'Echo_Images/placeholder/a2c.png',
+          preview: 'Echo_Images/placeholder/preview/a2c.png',
+          placeholder: true,
+          hotspots: [
+              { x: 50, y: 45, answer: "A", structure: "left_ventricle", text: "Left Ventricle" },
+              { x: 50, y: 76, answer: "B", structure: "left_atrium", text: "Left Atrium" },
+              { x: 50, y: 63, answer: "C", structure: "mitral_valve", text: "Mitral Valve" },
+              { x: 62, y: 70, answer: "D", structure: "left_atrial_appendage", text: "Left Atrial Appendage" }
+          ]
+      },
+      {
+          id: 'A3C',
+          name: 'Apical 3-chamber',
+          zone: 4,
+          angle: 330,
+          tail: 'down',
+          image: 'Echo_Images/placeholder/a3c.png',
+          preview: 'Echo_Images/placeholder/preview/a3c.png',
+          placeholder: true,
+          hotspots: [
+              { x: 50, y: 44, answer: "A", structure: "left_ventricle", text: "Left Ventricle" },
+              { x: 58, y: 77, answer: "B", structure: "left_atrium", text: "Left Atrium" },
+              { x: 55, y: 63, answer: "C", structure: "mitral_valve", text: "Mitral Valve" },
+              { x: 42, y: 60, answer: "D", structure: "aortic_valve", text: "Aortic Valve" },
+              { x: 39, y: 69, answer: "E", structure: "aortic_root", text: "Aortic Root" }
+          ]
+      },
+      {
+          id: 'A5C',
+          name: 'Apical 5-chamber',
+          zone: 4,
+          angle: 90,
+          tail: 'up',
+          image: 'Echo_Images/placeholder/a5c.png',
+          preview: 'Echo_Images/placeholder/preview/a5c.png',
+          placeholder: true,
+          hotspots: [
+              { x: 40, y: 52, answer: "A", structure: "right_ventricle", text: "Right Ventricle" },
+              { x: 56, y: 46, answer: "B", structure: "left_ventricle", text: "Left Ventricle" },
+              { x: 51, y: 56, answer: "C", structure: "lvot", text: "Left Ventricular Outflow Tract" },
+              { x: 49, y: 62, answer: "D", structure: "aortic_valve", text: "Aortic Valve" },
+              { x: 58, y: 76, answer: "E", structure: "left_atrium", text: "Left Atrium" },
+              { x: 42, y: 72, answer: "F", structure: "right_atrium", text: "Right Atrium" }
+          ]
+      },
+  ];
   
-      "90_up": [
-          [   // Suprasternal notch
-              { x: 45, y: 28, answer: "A", text: "Brachiocephalic Trunk" },  // Brachiocephalic Trunk
-              { x: 50, y: 35, answer: "B", text: "Left Common Carotid Artery" },  // Left Common Carotid Artery
-              { x: 35, y: 60, answer: "C", text: "Thoracic Descending Artery" }, // Thoracic Descending Artery
-              { x: 28, y: 45, answer: "D", text: "Right Pulmonary Artery" },  // Right Pulmonary Artery
-          ],
-          [],
-          [],
-          []
-      ],
+  // Findings offered by diagnosis questions
+  const diagnosisChoices = [
+      'normal',
+      'pericardial_effusion',
+      'dilated_lv',
+      'lv_hypertrophy',
+      'mitral_regurgitation',
+  ];
+
+  // Patients to scan. Pathology cases are added once recorded (licensed) images of them exist; drawings would give the
+  // finding away and must not be shown as pathology
+  const caseLibrary = [
+      {
+          id: 'normal',
+          patient: 'Patient A',
+          diagnosis: 'normal',
+          views: {}
+      },
+  ];
   
-      "90_down": [
-          [],
-          [],
-          [     // Subcostal 4C
-              { x: 50, y: 30, answer: "A", text: "Liver" }, // Liver
-              { x: 30, y: 65, answer: "B", text: "Left Atrium" }, // Left Atrium
-              { x: 53, y: 58, answer: "C", text: "Left Ventricle" } // Left Ventricle
-          ],
-          [     // A4C
-              { x: 38, y: 54, answer: "A", text: "Right Ventricle" },  // Right Ventricle
-              { x: 54, y: 50, answer: "B", text: "Left Ventricle" },  // Left Ventricle
-              { x: 42, y: 63, answer: "C", text: "Tricuspid Valve" },  //  Tricuspid Valve
-              { x: 53, y: 60, answer: "D", text: "Mitral Valve" },  //  Mitral Valve
-              { x: 41, y: 67, answer: "E", text: "Right Atrium" },  // Right Atrium
-              { x: 55, y: 70, answer: "F", text: "Left Atrium" },  //  Left Atrium
-          ],
+  // Built-in quiz bank, used when no external bank (quizbanks/*.json) is selected
+  const defaultQuizBank = {
+      title: "Standard Views",
+      questions: [
+          {
+              id: "plax_rv",
+              question: "Obtain the parasternal long axis view (PLAX) and identify the right ventricle on the image.",
+            //   question: "-",
+              key: "300_up",
+              correctPosition: 2,
+              correctAnswer: "G",
+              correctImage: "Echo_Images/answer/Q1_ans.png",
+              difficulty: "easy"
+          },
+          {
+              id: "psax_av_aortic_valve",
+              question: "Obtain the parasternal short axis view (PSAX) and identify the aortic valve.",
+              key: "30_down",
+              correctPosition: 2,
+              correctAnswer: "B",
+              correctImage: "Echo_Images/answer/Q2_ans.png",
+              difficulty: "medium"
+          },
+          {
+              id: "ssn_rpa",
+              question: "Obtain the suprasternal notch view and identify the right pulmonary artery.",
+              key: "90_up",
+              correctPosition: 1,
+              correctAnswer: "D",
+              correctImage: "Echo_Images/answer/Q3_ans.png",
+              difficulty: "hard"
+          },
+          {
+              id: "a4c_la",
+              question: "Obtain the apical 4-chamber view (A4C) and identify the left atrium.",
+              key: "90_down",
+              correctPosition: 4,
+              correctAnswer: "F",
+              correctImage: "Echo_Images/answer/Q4_ans.png",
+              difficulty: "easy"
+          },
+          {
+              id: "s4c_lv",
+              question: "Obtain the subcostal 4-chamber view (S4C) and identify the left ventricle.",
+              key: "90_down",
+              correctPosition: 3,
+              correctAnswer: "C",
+              correctImage: "Echo_Images/answer/Q5_ans.png",
+              difficulty: "medium"
+          }
       ]
   };
-  
-  // Quiz data for questions
-  const quizData = [
-      {
-          question: "Obtain the parasternal long axis view (PLAX) and identify the right ventricle on the image.",
-        //   question: "-",
-          key: "300_up",
-          correctPosition: 2,
-          correctAnswer: "G",
-          correctImage: "Echo_Images/answer/Q1_ans.png"
-      },
-      {
-          question: "Obtain the parasternal short axis view (PSAX) and identify the aortic valve.",
-          key: "30_down",
-          correctPosition: 2,
-          correctAnswer: "B",
-          correctImage: "Echo_Images/answer/Q2_ans.png"
-      },
-      {
-          question: "Obtain the suprasternal notch view and identify the right pulmonary artery.",
-          key: "90_up",
-          correctPosition: 1,
-          correctAnswer: "D",
-          correctImage: "Echo_Images/answer/Q3_ans.png"
-      },
-      {
-          question: "Obtain the apical 4-chamber view (A4C) and identify the left atrium.",
-          key: "90_down",
-          correctPosition: 4,
-          correctAnswer: "F",
-          correctImage: "Echo_Images/answer/Q4_ans.png"
-      },
-      {
-          question: "Obtain the subcostal 4-chamber view (S4C) and identify the left ventricle.",
-          key: "90_down",
-          correctPosition: 3,
-          correctAnswer: "C",
-          correctImage: "Echo_Images/answer/Q5_ans.png"
-      }
-  ]
-  
\ No newline at end of file
+
+  // Questions of the quiz being played
+  let quizData = defaultQuizBank.questions;
@@ -0,0 +1,430 @@
+/**
+ * -----------------------------------------------------------------------------
+ * LMS TRACKING (SCORM 1.2 / SCORM 2004 / xAPI)
+ * -----------------------------------------------------------------------------
+ * This script reports quiz results to a learning management system. It is optional:
+ * opened outside an LMS, with no LRS configured, it does nothing.
+ *
+ * SCORM:
+ * When the page is launched by a SCORM runtime (an `API_1484_11` object for SCORM 2004, or
+ * `API` for SCORM 1.2, on this window, a parent frame or the opener), the session is
+ * initialized at page load and each quiz reports:
+ * - Start: status "incomplete".
+ * - Each answer: an interaction (`question-N`, the chosen view / structure, correct or not, time taken).
+ * - End: the score as a percentage, status "completed" and, if the LMS sets a passing score
+ * (`cmi.student_data.mastery_score` / `cmi.scaled_passing_score`) or `trackingConfig.passingScore`
+ * is set, "passed" or "failed".
+ * - Exit to Menu: exit "suspend", so the LMS keeps the attempt open (the quiz can be resumed).
+ * The session is terminated with its session time when the page is closed.
+ *
+ * xAPI:
+ * When an LRS endpoint is given, either in `trackingConfig.xapi` or with the usual launch
+ * parameters (`index.html?endpoint=https://lrs.example.org/xapi/&auth=Basic%20...&actor={...}&registration=...&activity_id=...`),
+ * the same events are sent as statements (initialized / resumed, answered, completed and
+ * passed / failed, suspended, terminated) to `<endpoint>statements`. Statements that cannot be
+ * sent are kept and sent with the next ones.
+ *
+ * `mock-lms.html` launches the simulator inside a local stand-in LMS (SCORM 1.2, SCORM 2004 or an
+ * xAPI LRS) and lists every call and statement, to check the tracking without a real LMS.
+ *
+ * FUNCTIONS:
+ * - findScormApi(): The SCORM runtime's API object and version (null outside a SCORM LMS).
+ * - formatScorm12Time(ms) / formatIsoDuration(ms): "0000:01:02.50" / "PT62.5S".
+ * - getPassingScore(value, scale): A passing score as a fraction (null if not set).
+ * - describeResponse(attempt): The chosen view and structure of an answer, as reported.
+ * - createScormAdapter(version, api): SCORM tracking through the runtime's API.
+ * - createXapiAdapter(settings): xAPI tracking to an LRS.
+ * - getXapiSettings(): The LRS settings from the launch parameters or `trackingConfig` (null if none).
+ * - initTracking(): Connects to the LMS and/or LRS and shows which one on the title screen.
+ * - renderTrackingStatus(): Names the connected LMS / LRS on the title screen.
+ * - trackQuizStart(resumed), trackAnswer(attempt), trackQuizEnd(finalScore, questionCount), trackQuizExit():
+ * Report the quiz flow to every connected adapter.
+ *
+ * EVENT LISTENERS:
+ * - window (pagehide): Terminates the LMS session and sends the last statements.
+ * - document (localechange): Shows the tracking status in the new language.
+ *
+ * GLOBAL VARIABLES (State & Elements):
+ * - trackingConfig: Optional LRS settings and passing score, used when the launch does not give them.
+ * - scormElements: SCORM data model names and vocabularies for each version.
+ * - xapiVerbs: xAPI verb IDs.
+ * - trackingAdapters: Connected adapters ({ name, start, answer, finish, exit, terminate }).
+ * - trackingStatus: Title screen line naming the LMS / LRS results are reported to.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - currentQuizBankTitle (quizbank.js), readStore() (storage.js), playerNameStorageKey (challenge.js), hashString() (offline.js)
+ * - t() (i18n.js): Only the title screen line is translated; answers are reported as recorded, in English.
+**/
+
+const trackingStatus = document.getElementById('trackingStatus');
+
+const trackingConfig = {
+  passingScore: null,        // e.g. 0.8 when the LMS does not set one
+  xapi: {
+    endpoint: '',            // e.g. 'https://lrs.example.org/xapi/'
+    auth: '',                // e.g. 'Basic ' + btoa('key:secret')
+    actor: null,             // e.g. { objectType: 'Agent', name: 'A. Student', mbox: 'mailto:a.student@example.org' }
+    activityId: ''           // Defaults to the page's URL
+  }
+};
+
+const scormElements = {
+  '1.2': {
+    initialize: 'LMSInitialize', terminate: 'LMSFinish', getValue: 'LMSGetValue', setValue: 'LMSSetValue',
+    commit: 'LMSCommit', getLastError: 'LMSGetLastError',
+    scoreRaw: 'cmi.core.score.raw', scoreMin: 'cmi.core.score.min', scoreMax: 'cmi.core.score.max',
+    sessionTime: 'cmi.core.session_time', exit: 'cmi.core.exit',
+    passingScore: 'cmi.student_data.mastery_score', passingScale: 100,
+    interactionCount: 'cmi.interactions._count', interactionType: 'fill-in',
+    response: 'student_response', wrong: 'wrong', maxResponseLength: 255,
+    formatTime: ms => formatScorm12Time(ms)
+  },
+  '2004': {
+    initialize: 'Initialize', terminate: 'Terminate', getValue: 'GetValue', setValue: 'SetValue',
+    commit: 'Commit', getLastError: 'GetLastError',
+    scoreRaw: 'cmi.score.raw', scoreMin: 'cmi.score.min', scoreMax: 'cmi.score.max', scoreScaled: 'cmi.score.scaled',
+    sessionTime: 'cmi.session_time', exit: 'cmi.exit',
+    passingScore: 'cmi.scaled_passing_score', passingScale: 1,
+    interactionCount: 'cmi.interactions._count', interactionType: 'other',
+    response: 'learner_response', wrong: 'incorrect', maxResponseLength: 4000,
+    formatTime: ms => formatIsoDuration(ms)
+  }
+};
+
+const xapiVerbs = {
+  initialized: 'http://adlnet.gov/expapi/verbs/initialized',
+  resumed: 'http://adlnet.gov/expapi/verbs/resumed',
+  answered: 'http://adlnet.gov/expapi/verbs/answered',
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+  passed: 'http://adlnet.gov/expapi/verbs/passed',
+  failed: 'http://adlnet.gov/expapi/verbs/failed',
+  suspended: 'http://adlnet.gov/expapi/verbs/suspended',
+  terminated: 'http://adlnet.gov/expapi/verbs/terminated'
+};
+
+let trackingAdapters = [];
+
+// SCORM runtimes put their API on the launching window or one of its parents (2004 first)
+function findScormApi() {
+  const windows = [];
+  for (let win = window; win && windows.length < 8; win = win.parent) {
+    windows.push(win);
+    if (win.parent === win) break;
+  }
+  if (window.opener) windows.push(window.opener);
+
+  for (const version of ['2004', '1.2']) {
+    const name = version === '2004' ? 'API_1484_11' : 'API';
+    for (const win of windows) {
+      try {
+        if (win[name]) return { version, api: win[name] };
+      } catch (error) {
+        // A parent on another origin cannot be the LMS's runtime
+      }
+    }
+  }
+  return null;
+}
+
+// SCORM 1.2 CMITimespan: HHHH:MM:SS.SS
+function formatScorm12Time(ms) {
+  const totalSeconds = Math.max(0, ms || 0) / 1000;
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds % 3600 / 60);
+  const seconds = (totalSeconds % 60).toFixed(2);
+  return `${String(hours).padStart(4, '0')}:${String(minutes).padStart(2, '0')}:${seconds.padStart(5, '0')}`;
+}
+
+// ISO 8601 duration (SCORM 2004 and xAPI)
+function formatIsoDuration(ms) {
+  return `PT${Math.round(Math.max(0, ms || 0) / 10) / 100}S`;
+}
+
+// Passing score as a fraction of the maximum ('scale' is 100 for SCORM 1.2's mastery score)
+function getPassingScore(value, scale) {
+  const parsed = parseFloat(value);
+  if (!Number.isNaN(parsed)) return parsed / scale;
+  return typeof trackingConfig.passingScore === 'number' ? trackingConfig.passingScore : null;
+}
+
+// "PLAX / Aortic Valve", or why there is no answer
+function describeResponse(attempt) {
+  if (attempt.timedOut) return 'No answer (time ran out)';
+  return [attempt.chosenView, attempt.chosenStructure].filter(Boolean).join(' / ') || 'No answer';
+}
+
+// SCORM tracking through the runtime's API (same calls for 1.2 and 2004, different data model names)
+function createScormAdapter(version, api) {
+  const el = scormElements[version];
+  const initializedAt = Date.now();
+  let interactionIndex = 0;
+  let active = false;
+
+  const call = (method, ...args) => {
+    try {
+      return String(api[method](...args));
+    } catch (error) {
+      console.warn(`SCORM ${method} failed:`, error);
+      return 'false';
+    }
+  };
+  const set = (element, value) => {
+    if (call(el.setValue, element, String(value)) !== 'true') {
+      console.warn(`SCORM could not set ${element} (error ${call(el.getLastError)}).`);
+    }
+  };
+
+  if (call(el.initialize, '') !== 'true') {
+    console.warn(`SCORM ${version} session could not be initialized (error ${call(el.getLastError)}).`);
+    return null;
+  }
+  active = true;
+  interactionIndex = parseInt(call(el.getValue, el.interactionCount), 10) || 0;
+  const passingScore = getPassingScore(call(el.getValue, el.passingScore), el.passingScale);
+
+  return {
+    name: `SCORM ${version}`,
+
+    start() {
+      if (version === '1.2') set('cmi.core.lesson_status', 'incomplete');
+      else set('cmi.completion_status', 'incomplete');
+      set(el.exit, '');
+      call(el.commit, '');
+    },
+
+    answer(attempt) {
+      const prefix = `cmi.interactions.${interactionIndex++}`;
+      set(`${prefix}.id`, `question-${attempt.questionIndex + 1}`);
+      set(`${prefix}.type`, el.interactionType);
+      if (version === '2004') {
+        set(`${prefix}.timestamp`, new Date().toISOString().slice(0, 22));   // Seconds to 2 decimals
+        set(`${prefix}.description`, String(attempt.question || '').slice(0, 250));
+      }
+      set(`${prefix}.${el.response}`, describeResponse(attempt).slice(0, el.maxResponseLength));
+      set(`${prefix}.result`, attempt.correct ? 'correct' : el.wrong);
+      set(`${prefix}.weighting`, 1);
+      if (typeof attempt.timeTakenMs === 'number') set(`${prefix}.latency`, el.formatTime(attempt.timeTakenMs));
+      call(el.commit, '');
+    },
+
+    finish(finalScore, questionCount) {
+      const scaled = questionCount ? Math.min(1, finalScore / questionCount) : 0;
+      set(el.scoreMin, 0);
+      set(el.scoreMax, 100);
+      set(el.scoreRaw, Math.round(scaled * 100));
+      if (el.scoreScaled) set(el.scoreScaled, Math.round(scaled * 100) / 100);
+
+      const success = passingScore === null ? null : scaled >= passingScore;
+      if (version === '1.2') {
+        set('cmi.core.lesson_status', success === null ? 'completed' : success ? 'passed' : 'failed');
+      } else {
+        set('cmi.completion_status', 'completed');
+        set('cmi.success_status', success === null ? 'unknown' : success ? 'passed' : 'failed');
+      }
+      call(el.commit, '');
+    },
+
+    exit() {
+      set(el.exit, 'suspend');
+      call(el.commit, '');
+    },
+
+    terminate() {
+      if (!active) return;
+      active = false;
+      set(el.sessionTime, el.formatTime(Date.now() - initializedAt));
+      call(el.commit, '');
+      call(el.terminate, '');
+    }
+  };
+}
+
+// xAPI tracking: statements about the quiz and each question, sent to the LRS in order
+function createXapiAdapter(settings) {
+  const endpoint = settings.endpoint.endsWith('/') ? settings.endpoint : `${settings.endpoint}/`;
+  const activityId = settings.activityId || `${location.origin}${location.pathname}`;
+  const registration = settings.registration || (window.crypto && crypto.randomUUID ? crypto.randomUUID() : null);
+  const pending = [];
+  let sending = Promise.resolve();
+  let quizStartedAt = Date.now();
+
+  const actor = () => settings.actor || {
+    objectType: 'Agent',
+    name: readStore(playerNameStorageKey, '') || 'Anonymous',
+    account: { homePage: location.origin, name: readStore(playerNameStorageKey, '') || 'anonymous' }
+  };
+  const quizActivity = () => ({
+    objectType: 'Activity',
+    id: activityId,
+    definition: {
+      name: { 'en-US': `EchoSim: ${currentQuizBankTitle || 'Quiz'}` },
+      type: 'http://adlnet.gov/expapi/activities/assessment'
+    }
+  });
+
+  // Send everything pending (also retries statements that failed before)
+  const flush = keepalive => {
+    sending = sending.then(() => {
+      if (!pending.length) return;
+      const batch = pending.splice(0, pending.length);
+      return fetch(`${endpoint}statements`, {
+        method: 'POST',
+        keepalive,
+        headers: Object.assign({
+          'Content-Type': 'application/json',
+          'X-Experience-API-Version': '1.0.3'
+        }, settings.auth ? { Authorization: settings.auth } : {}),
+        body: JSON.stringify(batch)
+      })
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        })
+        .catch(error => {
+          console.warn(`xAPI statements could not be sent (${error.message}); they will be sent with the next ones.`);
+          pending.unshift(...batch);
+        });
+    });
+    return sending;
+  };
+
+  const statement = (verb, object, result, parent) => {
+    const context = Object.assign(
+      registration ? { registration } : {},
+      parent ? { contextActivities: { parent: [{ id: activityId }] } } : {}
+    );
+    return {
+      actor: actor(),
+      verb: { id: xapiVerbs[verb], display: { 'en-US': verb } },
+      object,
+      ...(result ? { result } : {}),
+      ...(Object.keys(context).length ? { context } : {}),
+      timestamp: new Date().toISOString()
+    };
+  };
+  const send = (verb, object, result, parent) => {
+    pending.push(statement(verb, object, result, parent));
+    return flush(false);
+  };
+
+  return {
+    name: `xAPI (${new URL(endpoint).host})`,
+
+    start(resumed) {
+      quizStartedAt = Date.now();
+      send(resumed ? 'resumed' : 'initialized', quizActivity());
+    },
+
+    answer(attempt) {
+      send('answered', {
+        objectType: 'Activity',
+        id: `${activityId}/questions/${hashString(String(attempt.question))}`,
+        definition: {
+          name: { 'en-US': `Question ${attempt.questionIndex + 1}` },
+          description: { 'en-US': String(attempt.question) },
+          type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+          interactionType: 'other'
+        }
+      }, {
+        success: !!attempt.correct,
+        response: describeResponse(attempt),
+        score: { raw: attempt.points || 0, min: 0, max: 1 },
+        ...(typeof attempt.timeTakenMs === 'number' ? { duration: formatIsoDuration(attempt.timeTakenMs) } : {})
+      }, true);
+    },
+
+    finish(finalScore, questionCount) {
+      const scaled = questionCount ? Math.min(1, finalScore / questionCount) : 0;
+      const passingScore = getPassingScore(null);
+      const result = {
+        completion: true,
+        score: { scaled: Math.round(scaled * 100) / 100, raw: finalScore, min: 0, max: questionCount },
+        duration: formatIsoDuration(Date.now() - quizStartedAt)
+      };
+      if (passingScore !== null) result.success = scaled >= passingScore;
+
+      send('completed', quizActivity(), result);
+      if (passingScore !== null) send(result.success ? 'passed' : 'failed', quizActivity(), result);
+    },
+
+    exit() {
+      send('suspended', quizActivity());
+    },
+
+    terminate() {
+      pending.push(statement('terminated', quizActivity()));
+      flush(true);
+    }
+  };
+}
+
+// LRS settings from the launch parameters, else from trackingConfig (null when there is no endpoint)
+function getXapiSettings() {
+  const params = new URLSearchParams(window.location.search);
+  const endpoint = params.get('endpoint') || trackingConfig.xapi.endpoint;
+  if (!endpoint) return null;
+
+  let actor = trackingConfig.xapi.actor;
+  if (params.get('actor')) {
+    try {
+      actor = JSON.parse(params.get('actor'));
+      if (Array.isArray(actor.mbox)) actor.mbox = actor.mbox[0];            // Older launchers send lists
+      if (Array.isArray(actor.name)) actor.name = actor.name[0];
+      if (Array.isArray(actor.account)) actor.account = actor.account[0];
+    } catch (error) {
+      console.warn(`xAPI actor parameter is not valid JSON (${error.message}).`);
+    }
+  }
+
+  return {
+    endpoint,
+    auth: params.get('auth') || trackingConfig.xapi.auth,
+    actor,
+    registration: params.get('registration'),
+    activityId: params.get('activity_id') || trackingConfig.xapi.activityId
+  };
+}
+
+// Connect to the SCORM runtime and/or the LRS
+function initTracking() {
+  const scorm = findScormApi();
+  const xapiSettings = getXapiSettings();
+
+  trackingAdapters = [
+    scorm ? createScormAdapter(scorm.version, scorm.api) : null,
+    xapiSettings ? createXapiAdapter(xapiSettings) : null
+  ].filter(Boolean);
+
+  renderTrackingStatus();
+}
+
+function renderTrackingStatus() {
+  trackingStatus.textContent = trackingAdapters.length
+    ? t('lms.status', { names: trackingAdapters.map(adapter => adapter.name).join(', ') })
+    : '';
+}
+
+// Quiz flow, reported to every connected adapter
+function trackQuizStart(resumed = false) {
+  trackingAdapters.forEach(adapter => adapter.start(resumed));
+}
+
+function trackAnswer(attempt) {
+  trackingAdapters.forEach(adapter => adapter.answer(attempt));
+}
+
+function trackQuizEnd(finalScore, questionCount) {
+  trackingAdapters.forEach(adapter => adapter.finish(finalScore, questionCount));
+}
+
+function trackQuizExit() {
+  trackingAdapters.forEach(adapter => adapter.exit());
+}
+
+// Close the LMS session (with its session time) when the page goes away
+window.addEventListener('pagehide', () => {
+  trackingAdapters.forEach(adapter => adapter.terminate());
+});
+
+document.addEventListener('localechange', renderTrackingStatus);
+
+initTracking();
@@ -12,36 +12,75 @@
  * - loadQuestion(): Initializes or loads the current quiz question's text, number, 
  * and calls key visualization updates (`updateImagePreview`, `applyProbeTransform`, 
  * `refreshRope`).
- * - updateImagePreview(): The core engine. It checks the probe's position against 
- * `cells`, determines the correct view (angle/tail), updates the probe's visual 
- * transform, injects the ultrasound image and interactive circles, and runs 
+ * - updateImagePreview(): The core engine. It finds the zone nearest the probe (see mapping.js), 
+ * picks the catalog view for that zone (angle/tail), updates the probe's visual 
+ * transform, injects the view's ultrasound image (or cine loop) and hotspot circles, and runs 
  * the logic for both Sandbox and Quiz modes. It also handles the 'Switch View' 
- * button positioning and error states.
+ * button positioning and error states. In manual orientation mode the view is 
+ * chosen from the user's own rotation/tail instead of snapping the probe. The image 
+ * degrades with the distance from the zone center and the angle error, and off-axis 
+ * positions show an off-axis image without hotspots.
+ * - finishQuizAnswer(qData, result, zone, view, chosenStructure): Adds the points of a scored answer, stores the attempt (in English),
+ * shows the feedback text and buttons and opens the feedback modal.
+ * - openFeedbackModal(): Shows the feedback modal after an answer (or a timed-out challenge question) and focuses 'Next Question'.
+ * - findHotspotAt(hotspots, clientX, clientY): Returns the hotspot under a click on the image panel.
+ * - createRegionOverlay(), outlineRegion(overlay, hotspot, state): SVG outlines of hotspot regions 
+ * for sandbox selection and quiz feedback.
+ * - switchView(step): Shows the next (1) or previous (-1) view of the current zone, wrapping around.
+ * - describeOrientationError(views, angle, tail): Builds the message telling the user 
+ * how far the probe's rotation is from the nearest view of the zone.
  * 
  * EVENT LISTENERS:
  * - toggleButton (click): Cycles through the available views/orientations for
- * the current drop zone (`lastCellPos`). It resets rope animation history (`lastControl1`, 
+ * the current drop zone (`lastCellPos`); Shift+click goes back. The button names the next view. It resets rope animation history (`lastControl1`, 
  * `lastControl2`) to ensure a fresh drawing of the cable.
- * - .circle (click): Executes the core answer logic.
+ * - .circle (click, or Enter / Space when focused) and image (click): Execute the core answer logic. Clicks on the image are 
+ * hit-tested against each hotspot's polygon `region` (or its circle area when it has none).
  * In **Sandbox Mode**, it displays the anatomical feature text and highlights the circle green.
- * In **Quiz Mode**, it checks the answer, updates the score, sets feedback text
- * (Correct/Incorrect), and triggers the feedback modal.
+ * In **Quiz Mode**, it scores the answer in two stages (view, structure; see scoring.js), updates the score,
+ * sets feedback text explaining which stage failed, and triggers the feedback modal.
  * 
  * GLOBAL VARIABLES (State & Elements):
  * - cells: NodeList of all valid drop zones on the body model.
  * - rotationDisplay, tailDisplay, viewDisplay: UI elements showing probe orientation.
  * - partDisplay: Element showing the anatomical name in Sandbox mode.
- * - pos, currentQuestionIndex, score, sweepDeg, tailPosition, currentViewIndex, lastCellPos, position: Critical state trackers for quiz progress and probe orientation.
+ * - pos, currentQuestionIndex, score, sweepDeg, tailPosition, currentViewIndex, lastCellPos: Critical state trackers for quiz progress and probe orientation.
+ * - activeView: The catalog view currently displayed (null when the probe is not on a view).
  * - activeCircleElement: Tracks the currently highlighted circle element for visual feedback. 
  * - isSimulatorActive: (boolean) True when the probe is interactable in the quiz or sandbox.
  * - isFeedbackActive: (boolean) True when the answer feedback modal is displayed.
  * - isSandBoxActive: (boolean) True when the application is in the free-play sandbox mode.
  * - gameStarted: (boolean) True once the quiz process has been initiated.
+ * - hideQuizMarkers: (boolean) True when hotspot markers are invisible in quiz mode.
+ * - circleSize: Size of a hotspot circle in px, used for hit testing.
+ * - isManualOrientation: (boolean) True when the user rotates the probe and flips the tail themselves.
+ * - orientationTolerance: (number) Degrees of rotation error still accepted as a match in manual mode 
+ * (beyond it, the view is shown off-axis; see mapping.js).
  *
  * EXTERNAL DEPENDENCIES (Variables/Functions):
  * - probe, imagePanel, probeImgEl, partDisplay, correctAnswerImage, containerOverlay, etc. (Numerous UI/probe elements).
- * - quizData, cellOrientationMap, imageSetsByAngleAndTail, circlePositionsByKey (All data models).
- * - setProbeTailImage(), resetProbe(), degreesToClock(), refreshRope(), applyProbeTransform() (Utility functions).
+ * - quizData, bodyZones (data model), getZoneViews(), getCatalogView(), viewKey() (view catalog), getQuestionHotspot(), isHotspotQuestion() (quizbank.js).
+ * - recordAttempt(), getQuestionTime() (storage.js): Every quiz answer is stored in the local progress history.
+ * - scoreAnswer(), getExpectedAnswer() (scoring.js): Two-stage scoring and feedback message.
+ * - stopChallengeTimer() (challenge.js): Stops the countdown and returns the speed factor in timed challenge mode.
+ * - createViewMedia(), addCineControls(), isHotspotShown(), pauseCine() (cine.js): Cine-loop playback and per-frame hotspots.
+ * - findProbeZone(), findNearestViews(), getPositionQuality(), getAngleQuality(), getBlendWeight(), applyImageQuality(),
+ * createBlendLayer(), showOffAxisImage(), currentImageQuality, isOffAxis, offAxisAngleRange (mapping.js): Continuous probe-to-image mapping.
+ * - updateGuidance() (guidance.js): Updates the image quality meter and scanning hints after every preview update.
+ * - attachMachineDisplay(), positionHotspots(), isHotspotInView(), toDisplayPoint(), toImagePoint() (machine.js): 
+ * Depth / gain / zoom processing of the image and hotspot alignment.
+ * - addMeasureOverlay(), clearMeasurements() (measure.js): Calipers and area tracing on the image;
+ * measurement questions are answered with 'Submit Measurement' instead of a hotspot.
+ * - renderChoicePanel() (cases.js): Multiple-choice answers for diagnosis questions.
+ * - prioritizeQuestionAssets() (assets.js): Downloads the current question's view first.
+ * - addColorOverlay(), resetColorFlow() (doppler.js): Colour Doppler layer and sample box; colour questions are
+ * answered with 'Submit Color Box'.
+ * - saveCurrentQuiz() (resume.js): Saves the quiz in progress after an answer or a view switch.
+ * - trackAnswer() (lms.js): Reports every quiz answer to the LMS, if there is one.
+ * - t(), getQuestionText(), getViewName(), getStructureName(), getZoneName(), inLocale(), defaultLocale (i18n.js):
+ * Translated text; answers are recorded in English.
+ * - setProbeTailImage(), resetProbe(), degreesToClock(), angleDifference(), isPointInPolygon(), refreshRope(), applyProbeTransform(),
+ * updateOrientationDisplays(), setLiveText() (Utility functions).
 **/
 
 const cells = document.querySelectorAll('.cell');   // Where probe can be dropped
@@ -50,6 +89,7 @@ const questionText = document.querySelector('.question-text');
 const partContainer = document.getElementById('partContainer');
 const questionArea = document.getElementById('questionArea');
 const questionBox = document.getElementById("questionBox");
+const questionProgress = document.getElementById('questionProgress');
 const toggleButton = document.getElementById('viewToggleButton');
 const rotationDisplay = document.getElementById('rotationDisplay');
 const tailDisplay = document.getElementById('tailDisplay');
@@ -61,7 +101,7 @@ let sweepDeg = 0;
 let tailPosition = 'up';
 let lastCellPos = null;
 let immediate = false;
-let position = 0;
+let activeView = null;
 let currentViewIndex = 0;
 let lastControl1 = null;
 let lastControl2 = null;
@@ -73,23 +113,38 @@ let isFeedbackActive = false;
 let isSandBoxActive = false;
 let gameStarted = false;
 
+// Hide the hotspot markers in quiz mode (changed from the title screen)
+let hideQuizMarkers = false;
+const circleSize = 40;   // Size of a .circle marker in px (machineStyle.css)
+
+// Manual orientation settings (changed from the title screen)
+let isManualOrientation = false;
+let orientationTolerance = 15;   // Max. degrees between probe and view angle
+
 // Load current quiz question
 function loadQuestion() {
   const qData = quizData[currentQuestionIndex];
   if (!qData) {
-    questionBox.textContent = "⚠️ No question found.";
+    questionBox.textContent = quizData.length
+      ? t('quiz.missingQuestion', { number: currentQuestionIndex + 1, count: quizData.length })
+      : t('quiz.noBank');
     return;
   }
   
   // Update question displays
-  questionNumber.textContent = `Question ${currentQuestionIndex + 1} of ${quizData.length}`;
-  questionText.textContent = qData.question;
-  currentQuestion.textContent = currentQuestionIndex + 1;
-  questionBox.textContent = qData.question;
-  if (currentQuestion) {
-    currentQuestion.textContent = currentQuestionIndex + 1;
-  }
-
+  const progressText = t('quiz.questionNumber', { number: currentQuestionIndex + 1, count: quizData.length });
+  questionNumber.textContent = progressText;
+  questionProgress.textContent = progressText;
+  questionText.textContent = getQuestionText(qData);
+  questionBox.textContent = getQuestionText(qData);
+
+  // The asked-for view's images jump the download queue (see assets.js)
+  if (!isSandBoxActive) prioritizeQuestionAssets(qData);
+
+  // Measurements of the previous question are not carried over
+  clearMeasurements();
+  resetColorFlow();
+  renderChoicePanel();
   updateImagePreview();
   applyProbeTransform();
   refreshRope();
@@ -101,17 +156,14 @@ function updateImagePreview() {
   const probeCenterX = probeBox.left + probeBox.width  / 2;
   const probeCenterY = probeBox.top  + probeBox.height / 2;
 
-  const match = Array.from(cells).find(cell => {
-    const b = cell.getBoundingClientRect();
-    return probeCenterX >= b.left &&
-           probeCenterX <= b.right &&
-           probeCenterY >= b.top &&
-           probeCenterY <= b.bottom;
-  });
+  // Nearest zone within reach of the probe (see mapping.js)
+  const match = findProbeZone(probeCenterX, probeCenterY);
+  currentImageQuality = 0;
+  isOffAxis = false;
 
   // Always clear the image panel & hide controls
   imagePanel.innerHTML = '';
-  partDisplay.textContent = '-';
+  setLiveText(partDisplay, '-');
   toggleButton.classList.add('hidden');
   showAnswerButton.classList.add('hidden');
   nextQuestionButton.classList.add('hidden');
@@ -119,19 +171,29 @@ function updateImagePreview() {
 
   // If no valid cell, reset probe and show message
   if (!match) {
-    resetProbe();
-    imagePanel.innerHTML = '<span>Drop the probe on a valid zone to view an image</span>';
+    if (isManualOrientation) {
+      // Keep the user's own rotation and tail when leaving a zone
+      activeView = null;
+      applyProbeTransform();
+      updateOrientationDisplays();
+      setLiveText(viewDisplay, '-');
+    } else {
+      resetProbe();
+    }
+    imagePanel.innerHTML = `<span>${t('simulator.dropProbe')}</span>`;
     refreshRope();
+    updateGuidance();
     return;
   }
 
   // We have a valid cell → load its views
-  const pos   = +match.dataset.pos;
-  const views = cellOrientationMap[pos] || [];
+  const pos   = match.pos;
+  const views = getZoneViews(pos);
 
   if (!views.length) {
-    imagePanel.innerHTML = '<span>Invalid position for this probe orientation</span>';
+    imagePanel.innerHTML = `<span>${t('simulator.invalidPosition')}</span>`;
     refreshRope();
+    updateGuidance();
     return;
   }
 
@@ -141,10 +203,41 @@ function updateImagePreview() {
     lastCellPos      = pos;
   }
 
+  // In manual mode the probe's own angle/tail picks the nearest view (blended with the next one)
+  let angleError = 0;
+  let blendView = null;
+  let blendWeight = 0;
+  if (isManualOrientation) {
+    const [nearest, next] = findNearestViews(views, sweepDeg, tailPosition);
+
+    if (!nearest || nearest.error > orientationTolerance + offAxisAngleRange) {
+      activeView = null;
+      applyProbeTransform();
+      updateOrientationDisplays();
+      setLiveText(viewDisplay, '-');
+      imagePanel.innerHTML = `<span>${describeOrientationError(views, sweepDeg, tailPosition)}</span>`;
+      refreshRope();
+      updateGuidance();
+      return;
+    }
+
+    currentViewIndex = nearest.index;
+    angleError = nearest.error;
+    if (next && next.error <= orientationTolerance + offAxisAngleRange) {
+      blendView = views[next.index];
+      blendWeight = getBlendWeight(nearest, next);
+    }
+  }
+
   // Show “switch view” UI if there are multiples
-  if (views.length > 1 && (isSimulatorActive || isSandBoxActive)) {
+  if (views.length > 1 && !isManualOrientation && (isSimulatorActive || isSandBoxActive)) {
     toggleButton.classList.remove('hidden');
-    toggleButton.textContent = `Switch View (${currentViewIndex+1}/${views.length})`;
+    const viewNumber = { number: currentViewIndex + 1, count: views.length };
+    toggleButton.textContent = t('simulator.switchView', viewNumber);
+    // Name the next view: with many views per zone the count alone does not say where the button leads
+    const nextView = getViewName(views[(currentViewIndex + 1) % views.length]);
+    toggleButton.title = t('simulator.switchViewTitle', { view: nextView });
+    toggleButton.setAttribute('aria-label', t('simulator.switchViewLabel', { view: nextView, ...viewNumber }));
 
     const probeBox = probe.getBoundingClientRect();
     requestAnimationFrame(() => {
@@ -155,133 +248,245 @@ function updateImagePreview() {
     });
   }
 
-  // Pull the orientation, angle & tailDir
-  const { angle, tail: tailDir, view } = views[currentViewIndex % views.length];
-
-  // Apply the probe transform
-  sweepDeg     = angle;
-  tailPosition = tailDir;
-  setProbeTailImage(tailDir);
-
-  const flip = tailDir === 'down' ? 'scaleX(-1)' : '';
-  probe.style.transform = `rotate(${angle}deg) ${flip}`;
-
-  // Update UI text
-  rotationDisplay.textContent = degreesToClock(angle);
-  tailDisplay.textContent     = tailDir === 'up' ? 'Tail Up' : 'Tail Down';
-  viewDisplay.textContent     = view;
-
-  // Exception for PLAX (only one view) for probe transformation
-  if (pos === 2 && currentViewIndex % views.length === 2) {
-      probeImgEl.src = './images/probe_v.png';
-      probe.style.transform = 'rotate(300deg)';
-      tailDisplay.textContent = 'Tail Neutral';
-
-      refreshRope();
-  }
-
-  if (pos === 1) {
-      probeImgEl.src = './images/probe_tail_up.png';
-      rotationDisplay.textContent = '12 o\'clock';
-      position = 1;
+  // Pull the catalog view for the current view index
+  activeView = views[currentViewIndex % views.length];
+  const { angle, tail: tailDir } = activeView;
+  const view = getViewName(activeView);
 
-      refreshRope();
+  // Apply the probe transform (auto-snap unless the user orients the probe)
+  if (!isManualOrientation) {
+    sweepDeg     = angle;
+    tailPosition = tailDir;
   }
-  else {
-      position = 0;
+  setProbeTailImage(tailPosition);
+  applyProbeTransform();
 
-      refreshRope();
-  }
+  // Update UI text
+  updateOrientationDisplays();
+  setLiveText(viewDisplay, view);
+  refreshRope();
 
-  console.log(pos)
+  // Image quality from the distance to the zone center and the angle error
+  currentImageQuality = getPositionQuality(match.distance) * getAngleQuality(angleError);
+  isOffAxis = match.distance > 1 || angleError > orientationTolerance;
 
   // Inject the images + circles
-  const key      = `${angle}_${tailDir}`;
-  const imageSet = imageSetsByAngleAndTail[key]?.[pos-1];
-
-  // Check for image path for the current probe position (key/pos).
-  if (!imageSet) {
-    imagePanel.innerHTML = `<span>No image for key "${key}" at pos ${pos}</span>`;
+  if (isOffAxis && activeView.image) {
+    showOffAxisImage(activeView, currentImageQuality);
+  } else if (!activeView.image) {
+    imagePanel.innerHTML = `<span>${t('simulator.noImage', { view: activeView.id })}</span>`;
   } else {
-    // Display the image
-    const img = document.createElement('img');
-    img.src = imageSet;
-    img.alt = `Image ${pos} at ${angle}° (${tailDir})`;
-
-    // Add circles for interaction
-    const circles = circlePositionsByKey[key]?.[pos - 1] || [];
-    circles.forEach(circleData => {
+    // Display the image (or the view's cine loop, see cine.js)
+    const img = createViewMedia(activeView);
+    img.alt = t('simulator.imageAlt', { view, angle, tail: t(`probe.tail.${tailDir}`) });
+
+    // Add circles for interaction (kept invisible in quiz mode when markers are hidden)
+    const currentView = activeView;   // Keep this view for the click handlers below
+    const hideMarkers = hideQuizMarkers && !isSandBoxActive;
+    const regionOverlay = createRegionOverlay();
+    const circleElements = new Map();
+
+    // Hotspot interaction logic for QUIZ and SANDBOX (circle or region click)
+    const selectHotspot = (circleData) => {
+      const circle = circleElements.get(circleData);
+
+      // Change active components and logic based on mode
+      if (isSandBoxActive) {    // SANDBOX MODE
+        feedbackBox.classList.add('hidden');
+        containerOverlay.classList.add('hidden');
+        questionTitleScreen.classList.add('hidden');
+        isSimulatorActive = false;
+        isFeedbackActive = false;
+        setLiveText(partDisplay, getStructureName(circleData));
+
+        // Highlight the active circle and outline its region
+        if (activeCircleElement) {
+          activeCircleElement.classList.remove('active-circle');
+        }
+        circle.classList.add('active-circle');
+        activeCircleElement = circle;
+        regionOverlay.innerHTML = '';
+        outlineRegion(regionOverlay, circleData, 'selected');
+
+      } else if (!isFeedbackActive && isHotspotQuestion(quizData[currentQuestionIndex])) {  // QUIZ MODE (other questions have their own answer controls)
+        const qData = quizData[currentQuestionIndex];
+        // Reveal what was clicked, even when markers are hidden, and hold the clip on the answered frame
+        circle.classList.remove('marker-hidden');
+        pauseCine();
+
+        // Score the answer: view acquisition and structure identification (weighted by speed in a challenge)
+        const result = scoreAnswer(qData, pos, currentView, circleData, stopChallengeTimer());
+        outlineRegion(regionOverlay, circleData, result.correct ? 'correct' : 'incorrect');
+
+        // On the right view, also outline where the answer was
+        if (!result.correct && result.viewCorrect) {
+          const answer = currentView.hotspots.find(h => h.answer === qData.correctAnswer);
+          if (answer) outlineRegion(regionOverlay, answer, 'answer');
+        }
+
+        finishQuizAnswer(qData, result, pos, currentView, circleData.text);
+      }
+    };
+
+    currentView.hotspots.forEach(circleData => {
       const circle = document.createElement('div');
       circle.className = 'circle';
+      circle.dataset.answer = circleData.answer;
+      if (hideMarkers) circle.classList.add('marker-hidden');
       
-      // Position in %
+      // Position in % (moved with the image by positionHotspots())
       circle.style.top = `${circleData.y}%`;
       circle.style.left = `${circleData.x}%`;
 
-      // Circle interaction logic for QUIZ and SANDBOX
+      // Focusable for keyboard and screen-reader users: the structure in sandbox, only the option letter in a quiz
+      circle.tabIndex = 0;
+      circle.setAttribute('role', 'button');
+      circle.setAttribute('aria-label', isSandBoxActive ? getStructureName(circleData) : t('simulator.option', { answer: circleData.answer }));
+
       circle.addEventListener('click', () => {
-        // Change active components and logic based on mode
-        if (isSandBoxActive) {    // SANDBOX MODE
-          feedbackBox.classList.add('hidden');
-          containerOverlay.classList.add('hidden');
-          questionTitleScreen.classList.add('hidden');
-          isSimulatorActive = false;
-          isFeedbackActive = false;
-          partDisplay.textContent = circleData.text;
-
-          // Highlight the active circle
-          if (activeCircleElement) {
-            activeCircleElement.classList.remove('active-circle');
-          }
-          circle.classList.add('active-circle');
-          activeCircleElement = circle;
-
-        } else {  // QUIZ MODE
-          const qData = quizData[currentQuestionIndex];
-          const selectedAnswer = circleData.answer;
-
-          // Check answer
-          if (pos === qData.correctPosition && selectedAnswer === qData.correctAnswer && !isFeedbackActive) {
-            score++;
-            feedbackText.textContent = "✅ Correct!";
-            nextQuestionButton.classList.remove('hidden');
-            correctAnswerImage.classList.add('hidden');
-          } else if (!isFeedbackActive) {
-            feedbackText.textContent = `❌ Incorrect.`;
-            showAnswerButton.classList.remove('hidden');
-            nextQuestionButton.classList.remove('hidden');
-            correctAnswerImage.classList.add('hidden');
-          }
-
-          if (currentQuestionIndex === quizData.length - 1) {
-            nextQuestionButton.textContent = 'End Quiz';
-          } else {
-            nextQuestionButton.textContent = 'Next Question'; // Ensure text is reset for earlier questions
-          }
-          
-          // Show feedback modal
-          feedbackBox.classList.remove('hidden');
-          containerOverlay.classList.remove('hidden');
-          questionTitleScreen.classList.add('hidden');
-          isSimulatorActive = false;
-          isFeedbackActive = true;
-        }
+        selectHotspot(circleData);
+      });
+
+      circle.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        selectHotspot(circleData);
       });
 
+      circleElements.set(circleData, circle);
       imagePanel.appendChild(circle);
     });
 
-    imagePanel.appendChild(img);
+    // The image is drawn through the machine controls (depth, gain, zoom...; see machine.js)
+    imagePanel.appendChild(regionOverlay);
+    const blend = blendView && blendWeight > 0.01 && blendView.image ? { view: blendView, weight: blendWeight } : null;
+    const display = attachMachineDisplay(imagePanel, img, blend);
+    applyImageQuality(display, currentImageQuality);
+    positionHotspots();
+    addMeasureOverlay(imagePanel);
+    addColorOverlay(imagePanel);
+
+    // Clicks on the image itself are hit-tested against the regions / circle areas on screen
+    // (assigned, not added: a clip's element is reused while the probe stays on its view)
+    display.onclick = (e) => {
+      const hotspot = findHotspotAt(currentView.hotspots.filter(h => isHotspotShown(h) && isHotspotInView(h)), e.clientX, e.clientY);
+      if (hotspot) selectHotspot(hotspot);
+    };
+
+    addCineControls(imagePanel);
   }
 
-  // Final rope refresh
+  // Final rope refresh, then the quality meter and hints
   refreshRope();
+  updateGuidance();
+}
+
+// Shared by every kind of quiz answer (hotspot, measurement, multiple choice): add the points,
+// store the attempt in the local progress history (and report it to the LMS), explain the result and open the feedback modal.
+// The attempt is recorded in English ('chosenStructure' too), so results in every language can be compared
+function finishQuizAnswer(qData, result, zone, view, chosenStructure) {
+  score += result.points;
+
+  const attempt = inLocale(defaultLocale, () => ({
+    questionIndex: currentQuestionIndex,
+    question: getQuestionText(qData),
+    ...getExpectedAnswer(qData),
+    chosenZone: getZoneName(zone),
+    chosenView: getViewName(view),
+    chosenStructure,
+    correct: result.correct,
+    viewCorrect: result.viewCorrect,
+    structureCorrect: result.structureCorrect,
+    points: result.points,
+    timeTakenMs: getQuestionTime(),
+    hintsShown: areHintsEnabled()
+  }));
+  recordAttempt(attempt);
+  trackAnswer(attempt);
+
+  feedbackText.textContent = result.message;
+  correctAnswerImage.classList.add('hidden');
+  nextQuestionButton.classList.remove('hidden');
+  showAnswerButton.classList.toggle('hidden', result.correct);
+  openFeedbackModal();
 }
 
-// Toggle between views if multiple exist
-toggleButton.addEventListener('click', () => {
-  const views = cellOrientationMap[lastCellPos] || [];
-  currentViewIndex = (currentViewIndex + 1) % views.length;
+// Show the feedback modal after a quiz answer (or a timed-out question)
+function openFeedbackModal() {
+  if (currentQuestionIndex === quizData.length - 1) {
+    nextQuestionButton.textContent = t('feedback.endQuiz');
+  } else {
+    nextQuestionButton.textContent = t('feedback.nextQuestion'); // Ensure text is reset for earlier questions
+  }
+
+  feedbackBox.classList.remove('hidden');
+  containerOverlay.classList.remove('hidden');
+  questionTitleScreen.classList.add('hidden');
+  isSimulatorActive = false;
+  isFeedbackActive = true;
+  nextQuestionButton.focus();
+  saveCurrentQuiz();
+}
+
+// Hotspot under a click on the image panel: circle areas first (small structures like valves), then regions
+// (circles are where the machine controls draw them; regions are tested in image coordinates)
+function findHotspotAt(hotspots, clientX, clientY) {
+  const rect = imagePanel.getBoundingClientRect();
+  const point = toImagePoint(
+    (clientX - rect.left) / rect.width * 100,
+    (clientY - rect.top) / rect.height * 100
+  );
+
+  const inCircle = hotspots.find(h => {
+    if (h.region) return false;
+    const shown = toDisplayPoint(h.x, h.y);
+    const centerX = rect.left + shown.x / 100 * rect.width + circleSize / 2;
+    const centerY = rect.top + shown.y / 100 * rect.height + circleSize / 2;
+    return Math.hypot(clientX - centerX, clientY - centerY) <= circleSize / 2;
+  });
+
+  return inCircle || hotspots.find(h => h.region && isPointInPolygon(point, h.region)) || null;
+}
+
+// SVG layer over the image panel for region outlines (coordinates in % of the panel, through the machine's depth / zoom window)
+function createRegionOverlay() {
+  const overlay = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  overlay.setAttribute('class', 'region-overlay');
+  const win = getMachineWindow();
+  overlay.setAttribute('viewBox', `${win.sx} ${win.sy} ${win.sw} ${win.sh}`);
+  overlay.setAttribute('preserveAspectRatio', 'none');
+  return overlay;
+}
+
+// Outline a hotspot's region ('selected', 'correct', 'incorrect' or 'answer')
+function outlineRegion(overlay, hotspot, state) {
+  if (!hotspot.region) return;
+
+  const polygon = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+  polygon.setAttribute('points', hotspot.region.map(([x, y]) => `${x},${y}`).join(' '));
+  polygon.setAttribute('class', `region-outline region-${state}`);
+  overlay.appendChild(polygon);
+}
+
+// Message telling the user how far the probe is from the nearest view of this zone
+function describeOrientationError(views, angle, tail) {
+  const nearest = views.reduce((best, v) =>
+    Math.abs(angleDifference(angle, v.angle)) < Math.abs(angleDifference(angle, best.angle)) ? v : best
+  );
+  const offBy = Math.round(Math.abs(angleDifference(angle, nearest.angle)));
+  const clock = degreesToClock(angle);
+
+  if (offBy <= orientationTolerance && nearest.tail !== tail) {
+    return t('simulator.wrongTail', { clock });
+  }
+  return t('simulator.rotationOff', { clock, offBy, tolerance: orientationTolerance });
+}
+
+// Move 'step' views along the zone's view list (1 = next, -1 = previous), wrapping around
+function switchView(step) {
+  const views = getZoneViews(lastCellPos);
+  if (!views.length) return;
+  currentViewIndex = ((currentViewIndex + step) % views.length + views.length) % views.length;
 
   // reset rope history so it snaps to new view
   lastProbeCoords = null;
@@ -290,4 +495,10 @@ toggleButton.addEventListener('click', () => {
 
   updateImagePreview();
   refreshRope();
+  saveCurrentQuiz();
+}
+
+// Toggle between views if multiple exist (Shift+click goes back)
+toggleButton.addEventListener('click', (e) => {
+  switchView(e.shiftKey ? -1 : 1);
 });
\ No newline at end of file
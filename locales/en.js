@@ -0,0 +1,576 @@
+/**
+ * -----------------------------------------------------------------------------
+ * ENGLISH MESSAGES
+ * -----------------------------------------------------------------------------
+ * The simulator's text in English, the language every other locale falls back to.
+ * Each key is used by the code through t() (see i18n.js); `{name}` is filled in by the
+ * caller and `{ one, other }` objects are plural forms chosen by `count`.
+ *
+ * To add a language, copy this file to locales/<code>.js, translate the messages (keep
+ * the keys and the `{name}` placeholders), call registerLocale() with the new code and the
+ * language's own name, and add the file to index.html after locales/en.js. Missing keys
+ * show in English.
+ *
+ * EXTERNAL DEPENDENCIES (Functions):
+ * - registerLocale() (i18n.js)
+**/
+
+registerLocale('en', 'English', {
+  app: {
+    documentTitle: 'Echocardiogram',
+    name: 'Echocardiogram Simulator',
+    title: 'Echocardiogram'
+  },
+  common: {
+    backToTitle: 'Back to Title'
+  },
+  loading: {
+    message: 'Loading assets, please wait...'
+  },
+  fullscreen: {
+    message: 'For the best experience, please use fullscreen mode.',
+    button: 'Go Fullscreen'
+  },
+  title: {
+    intro: 'Practice identifying cardiac structures using ultrasound imaging. Drag the probe to different positions on the body, and select the correct anatomical structures to test your knowledge.',
+    howToPlay: 'How to Play',
+    start: 'Start Game',
+    challenge: 'Timed Challenge',
+    sandbox: 'Try Simulation',
+    author: 'Author Mode',
+    progress: 'My Progress',
+    instructor: 'Instructor View',
+    language: 'Language',
+    quizBank: 'Quiz bank',
+    builtInBank: 'Standard Views (built-in)',
+    loadFile: 'Or load from file',
+    patient: 'Patient',
+    randomPatient: 'Random patient'
+  },
+  settings: {
+    manualOrientation: 'Manual probe orientation',
+    orientationTolerance: 'Orientation tolerance',
+    showAnswerPenalty: '\'Show Answer\' penalty',
+    penaltyNone: 'None',
+    penalty025: '0.25 points',
+    penalty05: '0.5 points',
+    penalty1: '1 point',
+    hideMarkers: 'Hide answer markers in quiz',
+    sandboxHints: 'Scanning hints in Sandbox',
+    quizHints: 'Scanning hints in quiz'
+  },
+  resume: {
+    button: 'Resume quiz (Question {number} of {count})'
+  },
+  quizBank: {
+    builtInTitle: 'Standard Views',
+    loading: 'Loading quiz bank...',
+    error: 'The selected quiz bank has errors (listed below). Fix them or choose another bank.',
+    ready: {
+      one: '{title}: {count} question in the pool',
+      other: '{title}: {count} questions in the pool'
+    }
+  },
+  quizBuilder: {
+    questions: 'Questions',
+    all: 'All',
+    view: 'View',
+    zone: 'Zone',
+    structure: 'Structure',
+    difficulty: 'Difficulty',
+    any: 'Any',
+    shuffle: 'Shuffle questions',
+    generate: 'Add questions for every labelled structure',
+    generatedQuestion: 'Obtain the {view} view ({id}) and identify the {structure}.',
+    generatedQuestionPhase: 'Obtain the {view} view ({id}) and identify the {structure} in {phase}.',
+    generatedQuestionDepth: 'Obtain the {view} view ({id}), reduce the depth to {depth} cm or less and identify the {structure}.',
+    status: {
+      one: '{asked} of {count} matching question will be asked.',
+      other: '{asked} of {count} matching questions will be asked.'
+    },
+    noMatch: 'No questions match these filters.',
+    diagnosis: 'Diagnosis'
+  },
+  difficulty: {
+    easy: 'Easy',
+    medium: 'Medium',
+    hard: 'Hard'
+  },
+  quiz: {
+    questionNumber: 'Question {number} of {count}',
+    missingQuestion: '⚠️ Question {number} does not exist in the quiz bank (it has {count}).',
+    noBank: '⚠️ No valid quiz bank is loaded. See the problems listed on the title screen.',
+    continue: 'Continue to Simulator'
+  },
+  tutorial: {
+    heading: 'Instructions',
+    previous: 'Previous',
+    next: 'Next',
+    close: 'Close',
+    indicator: '{number} of {count}',
+    slides: {
+      1: {
+        text: 'Use your mouse to drag the ultrasound probe over the circular zones on the body to see different ultrasound images.',
+        alt: 'Tutorial Step 1: Dragging the probe.'
+      },
+      2: {
+        text: 'The probe automatically rotates and adjusts its tail position based on the position of the probe on the body',
+        alt: 'Tutorial Step 2: Probe rotation and tail adjustment.'
+      },
+      3: {
+        text: 'When placing the probe on the intercostal space, you can click the "Switch View" button to switch between parasternal long-axis and short-axis views.',
+        alt: 'Tutorial Step 3: Switching between long-axis and short-axis views.'
+      },
+      4: {
+        text: 'Answer questions by clicking on the correct anatomical structures in the ultrasound image.',
+        alt: 'Tutorial Step 4: Answering questions by clicking structures.'
+      },
+      5: {
+        text: 'After selecting an answer, you will receive immediate feedback indicating whether your choice was correct or incorrect.',
+        alt: 'Tutorial Step 5: Immediate feedback on answers.'
+      },
+      6: {
+        text: 'For the Simulation Mode, you can click on the circles to check what anatomical structure they represent.',
+        alt: 'Tutorial Step 6: Checking anatomical structures.'
+      },
+      7: {
+        text: 'You can exit the Simulation anytime by using the \'Exit To Menu\' button.',
+        alt: 'Tutorial Step 7: Exiting the Simulation.'
+      },
+      8: {
+        text: 'You can review these instructions anytime by clicking the \'Instructions\' button.',
+        alt: 'Tutorial Step 8: Reviewing instructions.'
+      }
+    }
+  },
+  exit: {
+    heading: 'Exit to Main Menu',
+    message: 'Are you sure you want to exit? Your current progress will be lost.',
+    cancel: 'No, Return',
+    confirm: 'Yes, Exit'
+  },
+  simulator: {
+    probeExplanation: 'Probe Explanation',
+    probeDiagramAlt: 'Probe Diagram',
+    bodyAlt: 'Body',
+    probeAlt: 'Probe',
+    probeLabel: 'Ultrasound probe. Use the arrow keys to move it between zones.',
+    rotateHandle: 'Drag to rotate the probe',
+    answerChoices: 'Answer choices',
+    placeholder: 'Drag and position the probe to view ultrasound images',
+    anatomicalView: 'ANATOMICAL VIEW',
+    view: 'VIEW',
+    rotation: 'ROTATION',
+    tailPosition: 'TAIL POSITION',
+    imageQuality: 'IMAGE QUALITY',
+    imageQualityLabel: 'Image quality',
+    flipTail: 'Flip Tail (T)',
+    dropProbe: 'Drop the probe on a valid zone to view an image',
+    invalidPosition: 'Invalid position for this probe orientation',
+    noImage: 'No image for view "{view}"',
+    imageAlt: '{view} at {angle}° ({tail})',
+    switchView: 'Switch View ({number}/{count})',
+    switchViewTitle: 'Next: {view} (Shift+click for the previous view)',
+    switchViewLabel: 'Switch to the {view} view, {number} of {count}',
+    option: 'Option {answer}',
+    wrongTail: 'Probe at {clock}: rotation is within range, but the tail is the wrong way round',
+    rotationOff: 'Probe at {clock}: rotation is {offBy}° off the nearest view (tolerance ±{tolerance}°)'
+  },
+  probe: {
+    clock: '{hour} o\'clock',
+    tail: {
+      up: 'Tail Up',
+      down: 'Tail Down'
+    }
+  },
+  machine: {
+    controls: 'Machine controls',
+    depth: 'Depth',
+    gain: 'Gain',
+    dynamicRange: 'Dynamic range',
+    sector: 'Sector',
+    zoom: 'Zoom',
+    reset: 'Reset'
+  },
+  measure: {
+    tools: 'Measurement tools',
+    caliper: 'Caliper',
+    area: 'Area',
+    clear: 'Clear',
+    short: {
+      distance: 'D',
+      area: 'A'
+    },
+    submit: 'Submit {label}'
+  },
+  doppler: {
+    toggle: 'Color',
+    toggleTitle: 'Colour Doppler (C)',
+    submit: 'Submit Color Box',
+    boxLabel: 'Colour sample box: drag it, or use the arrow keys, to move it over a valve',
+    offJet: 'Colour box off the jet',
+    severalJets: 'Colour box over several jets'
+  },
+  cine: {
+    previousFrame: 'Previous frame',
+    play: 'Play',
+    pause: 'Pause',
+    nextFrame: 'Next frame',
+    speed: 'Playback speed',
+    loop: 'Loop',
+    frame: 'Frame {frame} / {count}',
+    phases: {
+      systole: 'Systole',
+      diastole: 'Diastole'
+    }
+  },
+  mapping: {
+    offAxisName: '{view} (off-axis)',
+    offAxisNote: 'Off-axis: fine-tune the probe position and angle to identify structures'
+  },
+  guidance: {
+    moveDown: {
+      one: 'Move one intercostal space down',
+      other: 'Move {count} intercostal spaces down'
+    },
+    moveUp: {
+      one: 'Move one intercostal space up',
+      other: 'Move {count} intercostal spaces up'
+    },
+    slideLeft: 'Slide the probe to the patient\'s left',
+    slideRight: 'Slide the probe to the patient\'s right',
+    moveToward: 'Move toward the {zone} window',
+    rotateClockwise: 'Rotate clockwise toward {clock}',
+    rotateCounterClockwise: 'Rotate counter-clockwise toward {clock}',
+    flipTail: {
+      up: 'Flip the tail up',
+      down: 'Flip the tail down'
+    },
+    switchView: 'Switch View to {view}',
+    hold: 'Hold the probe here: this is the best image'
+  },
+  accessibility: {
+    zoneLabel: 'Place the probe on the {zone} window'
+  },
+  cases: {
+    patient: 'Patient: {patient}',
+    obtainViewFirst: 'Obtain the view first, then choose your answer.'
+  },
+  scoring: {
+    correct: '✅ Correct! {gained}',
+    wrongStructure: '◐ Right view, wrong structure: you selected the {structure}. {gained}',
+    rightStructureWrongView: '◐ Right structure, wrong view. {mismatch} {gained}',
+    incorrect: '❌ Incorrect. {mismatch}',
+    correctWithDetail: '✅ Correct! {detail} {gained}',
+    rightViewMistake: '◐ Right view, {mistake} {detail} {gained}',
+    wrongZone: 'You are in the {view} view at the {zone} window; the question asks for {expectedView} at the {expectedZone} window.',
+    wrongView: 'You are in the {view} view; the question asks for {expectedView}.',
+    points: {
+      one: '+{points} point',
+      other: '+{points} points'
+    },
+    gain: '({gain})',
+    gainWithSpeed: '({gain}, speed ×{speed})',
+    measurementDetail: '{label}: {value}, reference {reference}.',
+    outsideTolerance: 'but the measurement is outside the tolerance.',
+    choiceDetail: 'You chose: {choice}.',
+    wrongChoice: 'wrong answer.',
+    jetCovered: 'The colour box is over the {jet}.',
+    jetHint: 'Sweep the box across the valves to find it.',
+    jetMissed: 'but the colour box is not over the jet.',
+    jetCrowded: 'but the colour box also covers the {others}.',
+    jetNarrow: 'Place the box over one valve only.',
+    breakdown: 'Views acquired: {views} of {count} · Structures identified: {structures} of {count}'
+  },
+  feedback: {
+    nextQuestion: 'Next Question',
+    endQuiz: 'End Quiz',
+    showAnswer: 'Show Answer',
+    correctImageAlt: 'Correct Answer',
+    penaltyNote: ' (−{points} for Show Answer)',
+    measurementAnswer: 'The reference {label} is {reference} in the {view} view.',
+    jetAnswer: 'Turn on Color and place the box over the {jet} in the {view} view.',
+    jet: 'jet',
+    choiceAnswer: 'The correct answer is "{choice}" in the {view} view.',
+    structureAnswer: 'The correct answer is the {structure} in the {view} view.'
+  },
+  challenge: {
+    timer: '⏱ {time}',
+    timerPaused: '⏱ {time} (paused)',
+    timeUp: '⏰ Time\'s up!',
+    noResults: 'No results yet. Be the first!',
+    name: 'Name',
+    score: 'Score',
+    time: 'Time',
+    date: 'Date',
+    anonymous: 'Anonymous',
+    notInTop: 'Your result did not make the top {count}.',
+    save: 'Save to Leaderboard',
+    leaderboard: 'Leaderboard'
+  },
+  end: {
+    heading: 'Simulation Complete',
+    yourScore: 'Your score:',
+    score: '{score} out of {count}',
+    yourName: 'Your name',
+    restart: 'Restart Simulation'
+  },
+  progress: {
+    heading: 'My Progress',
+    clear: 'Clear History',
+    sessions: 'Sessions',
+    byStructure: 'Mastery by structure',
+    byView: 'Mastery by view',
+    empty: 'No quiz sessions yet. Start a game to record your progress.',
+    confirmClear: 'Delete all recorded quiz history on this device?',
+    unknown: 'Unknown',
+    modeQuiz: 'Quiz',
+    modeTimed: 'Timed',
+    finished: 'Finished',
+    unfinished: 'Unfinished',
+    columns: {
+      student: 'Student',
+      date: 'Date',
+      bank: 'Quiz bank',
+      mode: 'Mode',
+      score: 'Score',
+      answered: 'Answered',
+      averageTime: 'Avg. time',
+      showAnswerUsed: 'Show Answer used',
+      status: 'Status',
+      structure: 'Structure',
+      view: 'View',
+      mastery: 'Mastery',
+      correct: 'Correct',
+      question: 'Question',
+      answer: 'Answer',
+      successRate: 'Success rate',
+      commonWrong: 'Most common wrong answers'
+    }
+  },
+  results: {
+    exportHeading: 'Export results',
+    nameRequired: 'Enter your name first, so your instructor knows whose results these are.',
+    missingSession: 'These results are no longer in the progress history.',
+    exported: {
+      one: 'Exported {count} answered question as {format}.',
+      other: 'Exported {count} answered questions as {format}.'
+    },
+    heading: 'Instructor View',
+    clear: 'Clear Imported',
+    import: 'Import student results (CSV or JSON)',
+    students: 'Students',
+    difficulty: 'Question difficulty (hardest first)',
+    empty: 'No results imported yet. Import your students\' exported CSV or JSON files.',
+    imported: {
+      one: 'Imported {count} session.',
+      other: 'Imported {count} sessions.'
+    },
+    importFailed: '{source} could not be imported ({reason}).',
+    noAnswer: 'No answer',
+    timedOut: 'No answer (time ran out)'
+  },
+  offline: {
+    needsHttp: 'Offline use needs the simulator to be served over HTTP(S).',
+    unsupported: 'Offline use is not available in this browser.',
+    preparing: 'Preparing offline use...',
+    failed: 'Offline use could not be set up.',
+    saving: 'Saving for offline use: {percent}%',
+    ready: 'Ready for offline use',
+    incomplete: {
+      one: 'Offline copy incomplete: {count} file could not be saved (it is tried again on the next visit)',
+      other: 'Offline copy incomplete: {count} files could not be saved (they are tried again on the next visit)'
+    }
+  },
+  lms: {
+    status: 'Your results are reported to your LMS ({names}).'
+  },
+  author: {
+    startFrom: 'Start from view',
+    imagePath: 'Image path',
+    id: 'ID',
+    name: 'Name',
+    zone: 'Zone',
+    angle: 'Angle',
+    tail: 'Tail',
+    tailUp: 'Up',
+    tailDown: 'Down',
+    hint: 'Click the image to add a hotspot, drag a circle to move it.',
+    answerId: 'Answer ID',
+    structure: 'Structure',
+    undo: 'Undo',
+    redo: 'Redo',
+    delete: 'Delete',
+    drawRegion: 'Draw Region',
+    finishRegion: 'Finish Region',
+    clearRegion: 'Clear Region',
+    export: 'Export',
+    copy: 'Copy',
+    download: 'Download',
+    viewOption: '{name} ({id})',
+    newView: 'New view',
+    zoneOption: '{zone} - {name}',
+    emptyStage: 'Choose a view or enter an image path',
+    imageAlt: 'Image being authored',
+    hotspotItem: '{answer}: {name} ({x}, {y})',
+    noName: '(no name)',
+    checkProblems: 'Check before adding to viewCatalog: {problems}',
+    ready: 'Paste this entry into viewCatalog in imagedata.js (replacing the old entry with the same id).',
+    copied: 'Copied to the clipboard.',
+    copySelected: 'The clipboard is not available here: the entry is selected, press Ctrl+C (⌘C on a Mac) to copy it.'
+  },
+  dataProblems: {
+    viewCatalogTitle: 'Problems found in the view catalog',
+    quizBankTitle: 'Problems found in the quiz bank',
+    caseLibraryTitle: 'Problems found in the case library',
+    viewLabel: 'View {id}',
+    caseLabel: 'Case {id}',
+    caseView: '{view} (case {case})',
+    questionLabel: '{source}, question {number}',
+    missingField: '{label}: missing "{field}"',
+    unknownZone: '{label}: zone {zone} does not exist',
+    angle: '{label}: "angle" must be a number',
+    tail: '{label}: "tail" must be "up" or "down"',
+    hotspotsArray: '{label}: "hotspots" must be an array',
+    noDropZone: 'Zone {zone} ({name}) has no drop zone on the body model',
+    duplicateViewId: '{label}: duplicate view ID',
+    orientationTaken: '{label}: another view in zone {zone} already uses "{key}"',
+    depth: '{label}: "depth" must be a positive number of cm',
+    preview: '{label}: "preview" must be an image path',
+    pixelsPerCm: '{label}: "pixelsPerCm" must be a positive number',
+    placeholder: '{label}: "placeholder" must be true or false',
+    offAxis: '{label}: "offAxis" must have an "image" and a "name"',
+    duplicateAnswer: '{label}: duplicate answer ID "{answer}"',
+    structureName: '{label}: hotspot "{answer}" has no structure name',
+    maxDepth: '{label}: hotspot "{answer}" maxDepth must be a positive number of cm',
+    noClip: '{label}: hotspot "{answer}" has "frames" or "phase" but the view has no clip',
+    hotspotFrames: '{label}: hotspot "{answer}" frames must be [first, last] frame numbers (from 0)',
+    hotspotPhase: '{label}: hotspot "{answer}" phase "{phase}" is not a phase of the clip',
+    region: '{label}: hotspot "{answer}" region must be at least 3 [x, y] points between 0 and 100',
+    clipObject: '{label}: "clip" must be an object',
+    clipFrames: '{label}: clip "frames" must be a list of image paths',
+    clipVideo: '{label}: clip "video" must be a file path',
+    clipSource: '{label}: clip needs either "frames" or "video"',
+    clipFps: '{label}: clip "fps" must be a positive number',
+    clipPhaseRange: '{label}: clip phase "{phase}" must be [first, last] frame numbers (from 0)',
+    clipPhaseEnd: '{label}: clip phase "{phase}" ends after the last frame',
+    colorFlowObject: '{label}: "colorFlow" must be an object',
+    colorFlowImage: '{label}: colorFlow "image" must be a file path',
+    colorFlowJets: '{label}: colorFlow "jets" must be an array',
+    duplicateJet: '{label}: duplicate colour jet "{answer}"',
+    jetFields: '{label}: every colour jet needs an "answer" and a "text"',
+    jetPosition: '{label}: colour jet "{answer}" x and y must be between 0 and 100',
+    imageNotLoaded: '{label}: image "{src}" could not be loaded',
+    duplicateCaseId: '{label}: duplicate case ID',
+    caseDiagnosis: '{label}: diagnosis "{diagnosis}" is not one of the "diagnosisChoices"',
+    caseViewUnknown: '{label}: view {view} is not in the view catalog',
+    caseViewImage: '{label}: view {view} "image" must be a file path',
+    caseViewHotspots: '{label}: view {view} "hotspots" must be an array',
+    caseViewAnswers: '{label}: view {view} hotspots are missing answer IDs {answers}',
+    bankError: '{source} {error}',
+    notLoaded: 'could not be loaded ({reason})',
+    notJson: 'is not valid JSON ({reason})',
+    bankObject: '{source}: expected an object with a "questions" array',
+    bankEmpty: '{source}: the bank has no questions',
+    questionObject: '{label}: expected an object',
+    questionText: '{label}: missing "question" text',
+    correctPosition: '{label}: "correctPosition" {zone} is not a zone with views',
+    questionKey: '{label}: no view with key "{key}" at zone {zone}',
+    questionJet: '{label}: colour jet "{answer}" is not in the colour flow of the {view} view',
+    questionAnswer: '{label}: answer "{answer}" is not a hotspot of the {view} view',
+    correctImage: '{label}: "correctImage" must be an image path',
+    difficulty: '{label}: "difficulty" must be a tag such as "easy"',
+    diagnosisTrue: '{label}: "diagnosis" must be true',
+    diagnosisChoices: '{label}: a diagnosis question takes its choices from "diagnosisChoices"',
+    choicesList: '{label}: "choices" must be a list of at least 2 answers',
+    choicesDuplicate: '{label}: "choices" has the same answer twice',
+    correctChoice: '{label}: "correctChoice" must be one of the "choices"',
+    measurementObject: '{label}: "measurement" must be an object',
+    measurementType: '{label}: measurement "type" must be one of {types}',
+    measurementLabel: '{label}: measurement needs a "label" (e.g. "LV internal diameter")',
+    measurementReference: '{label}: measurement "reference" must be a positive number',
+    measurementTolerance: '{label}: measurement "tolerance" must be a number of 0 or more',
+    measurementCalibration: '{label}: the {view} view has no "pixelsPerCm" calibration to measure with'
+  },
+  views: {
+    SSN: 'Suprasternal Notch',
+    PSAX: 'Parasternal Short-axis',
+    PSAX_AV: 'Parasternal Short-axis AV',
+    PLAX: 'Parasternal Long-axis',
+    S4C: 'Subcostal 4-chamber',
+    A4C: 'Apical 4-chamber',
+    SSN_SAX: 'Suprasternal Short-axis',
+    SSN_DESC: 'Suprasternal Long-axis (Descending Aorta)',
+    RVIF: 'Right Ventricular Inflow',
+    PSAX_MV: 'Parasternal Short-axis MV',
+    PSAX_PM: 'Parasternal Short-axis Papillary',
+    SC_SAX: 'Subcostal Short-axis',
+    IVC: 'Subcostal IVC',
+    A2C: 'Apical 2-chamber',
+    A3C: 'Apical 3-chamber',
+    A5C: 'Apical 5-chamber'
+  },
+  viewLabels: {
+    SSN: {
+      rotationLabel: '12 o\'clock'
+    },
+    PLAX: {
+      tailLabel: 'Tail Neutral'
+    },
+    SSN_SAX: {
+      rotationLabel: '3 o\'clock'
+    },
+    SSN_DESC: {
+      rotationLabel: '12 o\'clock'
+    }
+  },
+  zones: {
+    1: 'Suprasternal Notch',
+    2: 'Left Parasternal',
+    3: 'Subcostal',
+    4: 'Apical'
+  },
+  structures: {
+    brachiocephalic_trunk: 'Brachiocephalic Trunk',
+    left_common_carotid_artery: 'Left Common Carotid Artery',
+    descending_aorta: 'Thoracic Descending Artery',
+    right_pulmonary_artery: 'Right Pulmonary Artery',
+    left_ventricle: 'Left Ventricle',
+    aortic_valve: 'Aortic Valve',
+    rvot: 'Right Ventricular Outflow Tract',
+    left_atrium: 'Left Atrium',
+    right_atrium: 'Right Atrium',
+    right_ventricle: 'Right Ventricle',
+    mitral_valve: 'Mitral Valve',
+    aortic_root: 'Aortic Root',
+    liver: 'Liver',
+    tricuspid_valve: 'Tricuspid Valve',
+    aortic_arch: 'Aortic Arch',
+    superior_vena_cava: 'Superior Vena Cava',
+    left_subclavian_artery: 'Left Subclavian Artery',
+    inferior_vena_cava: 'Inferior Vena Cava',
+    hepatic_vein: 'Hepatic Vein',
+    anterolateral_papillary_muscle: 'Anterolateral Papillary Muscle',
+    posteromedial_papillary_muscle: 'Posteromedial Papillary Muscle',
+    left_atrial_appendage: 'Left Atrial Appendage',
+    lvot: 'Left Ventricular Outflow Tract'
+  },
+  diagnoses: {
+    normal: 'No abnormality',
+    pericardial_effusion: 'Pericardial effusion',
+    dilated_lv: 'Dilated left ventricle',
+    lv_hypertrophy: 'Left ventricular hypertrophy',
+    mitral_regurgitation: 'Mitral regurgitation'
+  },
+  jets: {
+    MV_INFLOW: 'Mitral inflow',
+    TV_INFLOW: 'Tricuspid inflow'
+  },
+  questions: {
+    plax_rv: 'Obtain the parasternal long axis view (PLAX) and identify the right ventricle on the image.',
+    psax_av_aortic_valve: 'Obtain the parasternal short axis view (PSAX) and identify the aortic valve.',
+    ssn_rpa: 'Obtain the suprasternal notch view and identify the right pulmonary artery.',
+    a4c_la: 'Obtain the apical 4-chamber view (A4C) and identify the left atrium.',
+    s4c_lv: 'Obtain the subcostal 4-chamber view (S4C) and identify the left ventricle.'
+  }
+});
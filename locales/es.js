@@ -0,0 +1,570 @@
+/**
+ * -----------------------------------------------------------------------------
+ * SPANISH MESSAGES
+ * -----------------------------------------------------------------------------
+ * The simulator's text in Spanish. Same keys as locales/en.js; see that file for how
+ * to add a language.
+ *
+ * EXTERNAL DEPENDENCIES (Functions):
+ * - registerLocale() (i18n.js)
+**/
+
+registerLocale('es', 'Español', {
+  app: {
+    documentTitle: 'Ecocardiograma',
+    name: 'Simulador de ecocardiografía',
+    title: 'Ecocardiograma'
+  },
+  common: {
+    backToTitle: 'Volver al inicio'
+  },
+  loading: {
+    message: 'Cargando recursos, espere por favor...'
+  },
+  fullscreen: {
+    message: 'Para una mejor experiencia, use el modo de pantalla completa.',
+    button: 'Pantalla completa'
+  },
+  title: {
+    intro: 'Practique la identificación de estructuras cardíacas con imágenes de ecografía. Arrastre la sonda a distintas posiciones del cuerpo y seleccione las estructuras anatómicas correctas para poner a prueba sus conocimientos.',
+    howToPlay: 'Cómo jugar',
+    start: 'Empezar',
+    challenge: 'Desafío cronometrado',
+    sandbox: 'Probar la simulación',
+    author: 'Modo autor',
+    progress: 'Mi progreso',
+    instructor: 'Vista del instructor',
+    language: 'Idioma',
+    quizBank: 'Banco de preguntas',
+    builtInBank: 'Vistas estándar (incluidas)',
+    loadFile: 'O cargar desde un archivo',
+    patient: 'Paciente',
+    randomPatient: 'Paciente al azar'
+  },
+  settings: {
+    manualOrientation: 'Orientación manual de la sonda',
+    orientationTolerance: 'Tolerancia de orientación',
+    showAnswerPenalty: 'Penalización por «Ver respuesta»',
+    penaltyNone: 'Ninguna',
+    penalty025: '0,25 puntos',
+    penalty05: '0,5 puntos',
+    penalty1: '1 punto',
+    hideMarkers: 'Ocultar los marcadores de respuesta en el cuestionario',
+    sandboxHints: 'Pistas de exploración en la simulación libre',
+    quizHints: 'Pistas de exploración en el cuestionario'
+  },
+  resume: {
+    button: 'Reanudar el cuestionario (pregunta {number} de {count})'
+  },
+  quizBank: {
+    builtInTitle: 'Vistas estándar',
+    loading: 'Cargando el banco de preguntas...',
+    error: 'El banco de preguntas seleccionado tiene errores (se enumeran abajo). Corríjalos o elija otro banco.',
+    ready: {
+      one: '{title}: {count} pregunta disponible',
+      other: '{title}: {count} preguntas disponibles'
+    }
+  },
+  quizBuilder: {
+    questions: 'Preguntas',
+    all: 'Todas',
+    view: 'Vista',
+    zone: 'Ventana',
+    structure: 'Estructura',
+    difficulty: 'Dificultad',
+    any: 'Cualquiera',
+    shuffle: 'Mezclar las preguntas',
+    generate: 'Añadir preguntas para cada estructura etiquetada',
+    generatedQuestion: 'Obtenga la vista {view} ({id}) e identifique: {structure}.',
+    generatedQuestionPhase: 'Obtenga la vista {view} ({id}) e identifique: {structure}, en {phase}.',
+    generatedQuestionDepth: 'Obtenga la vista {view} ({id}), reduzca la profundidad a {depth} cm o menos e identifique: {structure}.',
+    status: {
+      one: 'Se hará {asked} de {count} pregunta coincidente.',
+      other: 'Se harán {asked} de {count} preguntas coincidentes.'
+    },
+    noMatch: 'Ninguna pregunta coincide con estos filtros.',
+    diagnosis: 'Diagnóstico'
+  },
+  difficulty: {
+    easy: 'Fácil',
+    medium: 'Media',
+    hard: 'Difícil'
+  },
+  quiz: {
+    questionNumber: 'Pregunta {number} de {count}',
+    missingQuestion: '⚠️ La pregunta {number} no existe en el banco de preguntas (tiene {count}).',
+    noBank: '⚠️ No hay ningún banco de preguntas válido cargado. Vea los problemas enumerados en la pantalla de inicio.',
+    continue: 'Continuar al simulador'
+  },
+  tutorial: {
+    heading: 'Instrucciones',
+    previous: 'Anterior',
+    next: 'Siguiente',
+    close: 'Cerrar',
+    indicator: '{number} de {count}',
+    slides: {
+      1: {
+        text: 'Use el ratón para arrastrar la sonda de ecografía sobre las zonas circulares del cuerpo y ver distintas imágenes ecográficas.',
+        alt: 'Paso 1 del tutorial: arrastrar la sonda.'
+      },
+      2: {
+        text: 'La sonda gira y ajusta automáticamente la posición del cable según su posición en el cuerpo.',
+        alt: 'Paso 2 del tutorial: giro de la sonda y posición del cable.'
+      },
+      3: {
+        text: 'Con la sonda en el espacio intercostal, el botón «Cambiar vista» permite pasar de la vista paraesternal de eje largo a la de eje corto.',
+        alt: 'Paso 3 del tutorial: cambiar entre eje largo y eje corto.'
+      },
+      4: {
+        text: 'Responda a las preguntas haciendo clic en la estructura anatómica correcta de la imagen ecográfica.',
+        alt: 'Paso 4 del tutorial: responder haciendo clic en las estructuras.'
+      },
+      5: {
+        text: 'Después de cada respuesta, verá al instante si su elección fue correcta o incorrecta.',
+        alt: 'Paso 5 del tutorial: respuesta inmediata.'
+      },
+      6: {
+        text: 'En el modo de simulación, haga clic en los círculos para ver qué estructura anatómica representan.',
+        alt: 'Paso 6 del tutorial: identificar estructuras anatómicas.'
+      },
+      7: {
+        text: 'Puede salir de la simulación en cualquier momento con el botón «Volver al menú principal».',
+        alt: 'Paso 7 del tutorial: salir de la simulación.'
+      },
+      8: {
+        text: 'Puede repasar estas instrucciones en cualquier momento con el botón «Instrucciones».',
+        alt: 'Paso 8 del tutorial: repasar las instrucciones.'
+      }
+    }
+  },
+  exit: {
+    heading: 'Volver al menú principal',
+    message: '¿Seguro que desea salir? Se perderá su progreso actual.',
+    cancel: 'No, volver',
+    confirm: 'Sí, salir'
+  },
+  simulator: {
+    probeExplanation: 'La sonda',
+    probeDiagramAlt: 'Esquema de la sonda',
+    bodyAlt: 'Cuerpo',
+    probeAlt: 'Sonda',
+    probeLabel: 'Sonda de ecografía. Use las flechas del teclado para moverla entre las zonas.',
+    rotateHandle: 'Arrastre para girar la sonda',
+    answerChoices: 'Opciones de respuesta',
+    placeholder: 'Arrastre y coloque la sonda para ver imágenes ecográficas',
+    anatomicalView: 'ESTRUCTURA ANATÓMICA',
+    view: 'VISTA',
+    rotation: 'ROTACIÓN',
+    tailPosition: 'POSICIÓN DEL CABLE',
+    imageQuality: 'CALIDAD DE IMAGEN',
+    imageQualityLabel: 'Calidad de imagen',
+    flipTail: 'Invertir el cable (T)',
+    dropProbe: 'Coloque la sonda en una zona válida para ver una imagen',
+    invalidPosition: 'Posición no válida para esta orientación de la sonda',
+    noImage: 'No hay imagen para la vista «{view}»',
+    imageAlt: '{view} a {angle}° ({tail})',
+    switchView: 'Cambiar vista ({number}/{count})',
+    switchViewTitle: 'Siguiente: {view} (Mayús+clic para la vista anterior)',
+    switchViewLabel: 'Cambiar a la vista {view}, {number} de {count}',
+    option: 'Opción {answer}',
+    wrongTail: 'Sonda a las {clock}: la rotación está dentro del rango, pero el cable está del lado equivocado',
+    rotationOff: 'Sonda a las {clock}: la rotación está a {offBy}° de la vista más cercana (tolerancia ±{tolerance}°)'
+  },
+  probe: {
+    clock: '{hour} en punto',
+    tail: {
+      up: 'Cable arriba',
+      down: 'Cable abajo'
+    }
+  },
+  machine: {
+    controls: 'Controles del ecógrafo',
+    depth: 'Profundidad',
+    gain: 'Ganancia',
+    dynamicRange: 'Rango dinámico',
+    sector: 'Sector',
+    zoom: 'Zoom',
+    reset: 'Restablecer'
+  },
+  measure: {
+    tools: 'Herramientas de medición',
+    caliper: 'Calibrador',
+    area: 'Área',
+    clear: 'Borrar',
+    short: {
+      distance: 'D',
+      area: 'A'
+    },
+    submit: 'Enviar: {label}'
+  },
+  doppler: {
+    toggle: 'Color',
+    toggleTitle: 'Doppler color (C)',
+    submit: 'Enviar la caja de color',
+    boxLabel: 'Caja de muestra de color: arrástrela, o use las flechas, para colocarla sobre una válvula',
+    offJet: 'Caja de color fuera del chorro',
+    severalJets: 'Caja de color sobre varios chorros'
+  },
+  cine: {
+    previousFrame: 'Fotograma anterior',
+    play: 'Reproducir',
+    pause: 'Pausa',
+    nextFrame: 'Fotograma siguiente',
+    speed: 'Velocidad de reproducción',
+    loop: 'Repetir',
+    frame: 'Fotograma {frame} / {count}',
+    phases: {
+      systole: 'Sístole',
+      diastole: 'Diástole'
+    }
+  },
+  mapping: {
+    offAxisName: '{view} (fuera de eje)',
+    offAxisNote: 'Fuera de eje: ajuste la posición y el ángulo de la sonda para identificar las estructuras'
+  },
+  guidance: {
+    moveDown: {
+      one: 'Baje un espacio intercostal',
+      other: 'Baje {count} espacios intercostales'
+    },
+    moveUp: {
+      one: 'Suba un espacio intercostal',
+      other: 'Suba {count} espacios intercostales'
+    },
+    slideLeft: 'Deslice la sonda hacia la izquierda del paciente',
+    slideRight: 'Deslice la sonda hacia la derecha del paciente',
+    moveToward: 'Vaya hacia la ventana {zone}',
+    rotateClockwise: 'Gire en sentido horario hacia las {clock}',
+    rotateCounterClockwise: 'Gire en sentido antihorario hacia las {clock}',
+    flipTail: {
+      up: 'Ponga el cable hacia arriba',
+      down: 'Ponga el cable hacia abajo'
+    },
+    switchView: 'Cambie a la vista {view}',
+    hold: 'Mantenga la sonda aquí: es la mejor imagen'
+  },
+  accessibility: {
+    zoneLabel: 'Colocar la sonda en la ventana {zone}'
+  },
+  cases: {
+    patient: 'Paciente: {patient}',
+    obtainViewFirst: 'Obtenga primero la vista y luego elija su respuesta.'
+  },
+  scoring: {
+    correct: '✅ ¡Correcto! {gained}',
+    wrongStructure: '◐ Vista correcta, estructura equivocada: seleccionó: {structure}. {gained}',
+    rightStructureWrongView: '◐ Estructura correcta, vista equivocada. {mismatch} {gained}',
+    incorrect: '❌ Incorrecto. {mismatch}',
+    correctWithDetail: '✅ ¡Correcto! {detail} {gained}',
+    rightViewMistake: '◐ Vista correcta, {mistake} {detail} {gained}',
+    wrongZone: 'Está en la vista {view} en la ventana {zone}; la pregunta pide la vista {expectedView} en la ventana {expectedZone}.',
+    wrongView: 'Está en la vista {view}; la pregunta pide la vista {expectedView}.',
+    points: {
+      one: '+{points} punto',
+      other: '+{points} puntos'
+    },
+    gain: '({gain})',
+    gainWithSpeed: '({gain}, velocidad ×{speed})',
+    measurementDetail: '{label}: {value}, referencia {reference}.',
+    outsideTolerance: 'pero la medida está fuera de la tolerancia.',
+    choiceDetail: 'Eligió: {choice}.',
+    wrongChoice: 'respuesta incorrecta.',
+    jetCovered: 'La caja de color está sobre: {jet}.',
+    jetHint: 'Recorra las válvulas con la caja para encontrarlo.',
+    jetMissed: 'pero la caja de color no está sobre el chorro.',
+    jetCrowded: 'pero la caja de color también cubre: {others}.',
+    jetNarrow: 'Coloque la caja sobre una sola válvula.',
+    breakdown: 'Vistas obtenidas: {views} de {count} · Estructuras identificadas: {structures} de {count}'
+  },
+  feedback: {
+    nextQuestion: 'Siguiente pregunta',
+    endQuiz: 'Terminar el cuestionario',
+    showAnswer: 'Ver respuesta',
+    correctImageAlt: 'Respuesta correcta',
+    penaltyNote: ' (−{points} por «Ver respuesta»)',
+    measurementAnswer: 'El valor de referencia ({label}) es {reference} en la vista {view}.',
+    jetAnswer: 'Active el color y coloque la caja sobre: {jet}, en la vista {view}.',
+    jet: 'el chorro',
+    choiceAnswer: 'La respuesta correcta es «{choice}» en la vista {view}.',
+    structureAnswer: 'La respuesta correcta es: {structure}, en la vista {view}.'
+  },
+  challenge: {
+    timer: '⏱ {time}',
+    timerPaused: '⏱ {time} (en pausa)',
+    timeUp: '⏰ ¡Se acabó el tiempo!',
+    noResults: 'Todavía no hay resultados. ¡Sea el primero!',
+    name: 'Nombre',
+    score: 'Puntuación',
+    time: 'Tiempo',
+    date: 'Fecha',
+    anonymous: 'Anónimo',
+    notInTop: 'Su resultado no entró entre los {count} mejores.',
+    save: 'Guardar en la clasificación',
+    leaderboard: 'Clasificación'
+  },
+  end: {
+    heading: 'Simulación terminada',
+    yourScore: 'Su puntuación:',
+    score: '{score} de {count}',
+    yourName: 'Su nombre',
+    restart: 'Reiniciar la simulación'
+  },
+  progress: {
+    heading: 'Mi progreso',
+    clear: 'Borrar el historial',
+    sessions: 'Sesiones',
+    byStructure: 'Dominio por estructura',
+    byView: 'Dominio por vista',
+    empty: 'Todavía no hay sesiones de cuestionario. Empiece una partida para registrar su progreso.',
+    confirmClear: '¿Borrar todo el historial de cuestionarios guardado en este dispositivo?',
+    unknown: 'Desconocido',
+    modeQuiz: 'Cuestionario',
+    modeTimed: 'Cronometrado',
+    finished: 'Terminada',
+    unfinished: 'Sin terminar',
+    columns: {
+      student: 'Estudiante',
+      date: 'Fecha',
+      bank: 'Banco de preguntas',
+      mode: 'Modo',
+      score: 'Puntuación',
+      answered: 'Respondidas',
+      averageTime: 'Tiempo medio',
+      showAnswerUsed: '«Ver respuesta» usado',
+      status: 'Estado',
+      structure: 'Estructura',
+      view: 'Vista',
+      mastery: 'Dominio',
+      correct: 'Correctas',
+      question: 'Pregunta',
+      answer: 'Respuesta',
+      successRate: 'Tasa de acierto',
+      commonWrong: 'Errores más frecuentes'
+    }
+  },
+  results: {
+    exportHeading: 'Exportar resultados',
+    nameRequired: 'Escriba primero su nombre, para que su instructor sepa de quién son estos resultados.',
+    missingSession: 'Estos resultados ya no están en el historial de progreso.',
+    exported: {
+      one: 'Se exportó {count} pregunta respondida en {format}.',
+      other: 'Se exportaron {count} preguntas respondidas en {format}.'
+    },
+    heading: 'Vista del instructor',
+    clear: 'Borrar lo importado',
+    import: 'Importar resultados de estudiantes (CSV o JSON)',
+    students: 'Estudiantes',
+    difficulty: 'Dificultad de las preguntas (las más difíciles primero)',
+    empty: 'Todavía no se han importado resultados. Importe los archivos CSV o JSON exportados por sus estudiantes.',
+    imported: {
+      one: 'Se importó {count} sesión.',
+      other: 'Se importaron {count} sesiones.'
+    },
+    importFailed: 'No se pudo importar {source} ({reason}).',
+    noAnswer: 'Sin respuesta',
+    timedOut: 'Sin respuesta (se acabó el tiempo)'
+  },
+  offline: {
+    needsHttp: 'El uso sin conexión requiere que el simulador se sirva por HTTP(S).',
+    unsupported: 'El uso sin conexión no está disponible en este navegador.',
+    preparing: 'Preparando el uso sin conexión...',
+    failed: 'No se pudo configurar el uso sin conexión.',
+    saving: 'Guardando para uso sin conexión: {percent} %',
+    ready: 'Listo para usar sin conexión',
+    incomplete: {
+      one: 'Copia sin conexión incompleta: no se pudo guardar {count} archivo (se volverá a intentar en la próxima visita)',
+      other: 'Copia sin conexión incompleta: no se pudieron guardar {count} archivos (se volverá a intentar en la próxima visita)'
+    }
+  },
+  lms: {
+    status: 'Sus resultados se envían a su plataforma de aprendizaje ({names}).'
+  },
+  author: {
+    startFrom: 'Partir del plano',
+    imagePath: 'Ruta de la imagen',
+    id: 'ID',
+    name: 'Nombre',
+    zone: 'Zona',
+    angle: 'Ángulo',
+    tail: 'Cola',
+    tailUp: 'Arriba',
+    tailDown: 'Abajo',
+    hint: 'Haga clic en la imagen para añadir una zona activa, arrastre un círculo para moverlo.',
+    answerId: 'ID de respuesta',
+    structure: 'Estructura',
+    undo: 'Deshacer',
+    redo: 'Rehacer',
+    delete: 'Eliminar',
+    drawRegion: 'Dibujar región',
+    finishRegion: 'Terminar región',
+    clearRegion: 'Borrar región',
+    export: 'Exportar',
+    copy: 'Copiar',
+    download: 'Descargar',
+    viewOption: '{name} ({id})',
+    newView: 'Plano nuevo',
+    zoneOption: '{zone} - {name}',
+    emptyStage: 'Elija un plano o escriba la ruta de una imagen',
+    imageAlt: 'Imagen en edición',
+    hotspotItem: '{answer}: {name} ({x}, {y})',
+    noName: '(sin nombre)',
+    checkProblems: 'Revise antes de añadir a viewCatalog: {problems}',
+    ready: 'Pegue esta entrada en viewCatalog en imagedata.js (en lugar de la entrada anterior con el mismo id).',
+    copied: 'Copiado al portapapeles.',
+    copySelected: 'El portapapeles no está disponible aquí: la entrada está seleccionada, pulse Ctrl+C (⌘C en Mac) para copiarla.'
+  },
+  dataProblems: {
+    viewCatalogTitle: 'Problemas encontrados en el catálogo de planos',
+    quizBankTitle: 'Problemas encontrados en el banco de preguntas',
+    caseLibraryTitle: 'Problemas encontrados en la biblioteca de casos',
+    viewLabel: 'Plano {id}',
+    caseLabel: 'Caso {id}',
+    caseView: '{view} (caso {case})',
+    questionLabel: '{source}, pregunta {number}',
+    missingField: '{label}: falta "{field}"',
+    unknownZone: '{label}: la zona {zone} no existe',
+    angle: '{label}: "angle" debe ser un número',
+    tail: '{label}: "tail" debe ser "up" o "down"',
+    hotspotsArray: '{label}: "hotspots" debe ser una lista',
+    noDropZone: 'La zona {zone} ({name}) no tiene lugar en el modelo del cuerpo',
+    duplicateViewId: '{label}: ID de plano repetido',
+    orientationTaken: '{label}: otro plano de la zona {zone} ya usa "{key}"',
+    depth: '{label}: "depth" debe ser un número positivo de cm',
+    preview: '{label}: "preview" debe ser la ruta de una imagen',
+    pixelsPerCm: '{label}: "pixelsPerCm" debe ser un número positivo',
+    placeholder: '{label}: "placeholder" debe ser true o false',
+    offAxis: '{label}: "offAxis" debe tener una "image" y un "name"',
+    duplicateAnswer: '{label}: ID de respuesta "{answer}" repetido',
+    structureName: '{label}: la zona activa "{answer}" no tiene nombre de estructura',
+    maxDepth: '{label}: el maxDepth de la zona activa "{answer}" debe ser un número positivo de cm',
+    noClip: '{label}: la zona activa "{answer}" tiene "frames" o "phase" pero el plano no tiene secuencia',
+    hotspotFrames: '{label}: los frames de la zona activa "{answer}" deben ser números de fotograma [primero, último] (desde 0)',
+    hotspotPhase: '{label}: la fase "{phase}" de la zona activa "{answer}" no es una fase de la secuencia',
+    region: '{label}: la región de la zona activa "{answer}" debe tener al menos 3 puntos [x, y] entre 0 y 100',
+    clipObject: '{label}: "clip" debe ser un objeto',
+    clipFrames: '{label}: los "frames" de la secuencia deben ser una lista de rutas de imágenes',
+    clipVideo: '{label}: el "video" de la secuencia debe ser una ruta de archivo',
+    clipSource: '{label}: la secuencia necesita "frames" o "video"',
+    clipFps: '{label}: los "fps" de la secuencia deben ser un número positivo',
+    clipPhaseRange: '{label}: la fase "{phase}" de la secuencia debe ser números de fotograma [primero, último] (desde 0)',
+    clipPhaseEnd: '{label}: la fase "{phase}" de la secuencia termina después del último fotograma',
+    colorFlowObject: '{label}: "colorFlow" debe ser un objeto',
+    colorFlowImage: '{label}: la "image" de colorFlow debe ser una ruta de archivo',
+    colorFlowJets: '{label}: los "jets" de colorFlow deben ser una lista',
+    duplicateJet: '{label}: chorro de color "{answer}" repetido',
+    jetFields: '{label}: cada chorro de color necesita un "answer" y un "text"',
+    jetPosition: '{label}: x e y del chorro de color "{answer}" deben estar entre 0 y 100',
+    imageNotLoaded: '{label}: no se pudo cargar la imagen "{src}"',
+    duplicateCaseId: '{label}: ID de caso repetido',
+    caseDiagnosis: '{label}: el diagnóstico "{diagnosis}" no está entre los "diagnosisChoices"',
+    caseViewUnknown: '{label}: el plano {view} no está en el catálogo de planos',
+    caseViewImage: '{label}: la "image" del plano {view} debe ser una ruta de archivo',
+    caseViewHotspots: '{label}: los "hotspots" del plano {view} deben ser una lista',
+    caseViewAnswers: '{label}: a las zonas activas del plano {view} les faltan los ID de respuesta {answers}',
+    bankError: '{source} {error}',
+    notLoaded: 'no se pudo cargar ({reason})',
+    notJson: 'no es un JSON válido ({reason})',
+    bankObject: '{source}: se esperaba un objeto con una lista "questions"',
+    bankEmpty: '{source}: el banco no tiene preguntas',
+    questionObject: '{label}: se esperaba un objeto',
+    questionText: '{label}: falta el texto de "question"',
+    correctPosition: '{label}: "correctPosition" {zone} no es una zona con planos',
+    questionKey: '{label}: no hay un plano con clave "{key}" en la zona {zone}',
+    questionJet: '{label}: el chorro de color "{answer}" no está en el flujo de color del plano {view}',
+    questionAnswer: '{label}: la respuesta "{answer}" no es una zona activa del plano {view}',
+    correctImage: '{label}: "correctImage" debe ser la ruta de una imagen',
+    difficulty: '{label}: "difficulty" debe ser una etiqueta como "easy"',
+    diagnosisTrue: '{label}: "diagnosis" debe ser true',
+    diagnosisChoices: '{label}: una pregunta de diagnóstico toma sus opciones de "diagnosisChoices"',
+    choicesList: '{label}: "choices" debe ser una lista de al menos 2 respuestas',
+    choicesDuplicate: '{label}: "choices" tiene la misma respuesta dos veces',
+    correctChoice: '{label}: "correctChoice" debe ser una de las "choices"',
+    measurementObject: '{label}: "measurement" debe ser un objeto',
+    measurementType: '{label}: el "type" de la medición debe ser uno de {types}',
+    measurementLabel: '{label}: la medición necesita un "label" (p. ej. "Diámetro interno del VI")',
+    measurementReference: '{label}: la "reference" de la medición debe ser un número positivo',
+    measurementTolerance: '{label}: la "tolerance" de la medición debe ser un número mayor o igual a 0',
+    measurementCalibration: '{label}: el plano {view} no tiene calibración "pixelsPerCm" para medir'
+  },
+  views: {
+    SSN: 'Supraesternal',
+    PSAX: 'Paraesternal de eje corto',
+    PSAX_AV: 'Paraesternal de eje corto a nivel aórtico',
+    PLAX: 'Paraesternal de eje largo',
+    S4C: 'Subcostal de 4 cámaras',
+    A4C: 'Apical de 4 cámaras',
+    SSN_SAX: 'Supraesternal de eje corto',
+    SSN_DESC: 'Supraesternal de eje largo (aorta descendente)',
+    RVIF: 'Tracto de entrada del ventrículo derecho',
+    PSAX_MV: 'Paraesternal de eje corto a nivel mitral',
+    PSAX_PM: 'Paraesternal de eje corto a nivel de los músculos papilares',
+    SC_SAX: 'Subcostal de eje corto',
+    IVC: 'Subcostal de la VCI',
+    A2C: 'Apical de 2 cámaras',
+    A3C: 'Apical de 3 cámaras',
+    A5C: 'Apical de 5 cámaras'
+  },
+  viewLabels: {
+    SSN: {
+      rotationLabel: '12 en punto'
+    },
+    PLAX: {
+      tailLabel: 'Cable neutro'
+    },
+    SSN_SAX: {
+      rotationLabel: '3 en punto'
+    },
+    SSN_DESC: {
+      rotationLabel: '12 en punto'
+    }
+  },
+  zones: {
+    1: 'supraesternal',
+    2: 'paraesternal izquierda',
+    3: 'subcostal',
+    4: 'apical'
+  },
+  structures: {
+    brachiocephalic_trunk: 'Tronco braquiocefálico',
+    left_common_carotid_artery: 'Arteria carótida común izquierda',
+    descending_aorta: 'Aorta torácica descendente',
+    right_pulmonary_artery: 'Arteria pulmonar derecha',
+    left_ventricle: 'Ventrículo izquierdo',
+    aortic_valve: 'Válvula aórtica',
+    rvot: 'Tracto de salida del ventrículo derecho',
+    left_atrium: 'Aurícula izquierda',
+    right_atrium: 'Aurícula derecha',
+    right_ventricle: 'Ventrículo derecho',
+    mitral_valve: 'Válvula mitral',
+    aortic_root: 'Raíz aórtica',
+    liver: 'Hígado',
+    tricuspid_valve: 'Válvula tricúspide',
+    aortic_arch: 'Cayado aórtico',
+    superior_vena_cava: 'Vena cava superior',
+    left_subclavian_artery: 'Arteria subclavia izquierda',
+    inferior_vena_cava: 'Vena cava inferior',
+    hepatic_vein: 'Vena hepática',
+    anterolateral_papillary_muscle: 'Músculo papilar anterolateral',
+    posteromedial_papillary_muscle: 'Músculo papilar posteromedial',
+    left_atrial_appendage: 'Orejuela izquierda',
+    lvot: 'Tracto de salida del ventrículo izquierdo'
+  },
+  diagnoses: {
+    normal: 'Sin anomalías',
+    pericardial_effusion: 'Derrame pericárdico',
+    dilated_lv: 'Ventrículo izquierdo dilatado',
+    lv_hypertrophy: 'Hipertrofia ventricular izquierda',
+    mitral_regurgitation: 'Insuficiencia mitral'
+  },
+  jets: {
+    MV_INFLOW: 'Flujo de llenado mitral',
+    TV_INFLOW: 'Flujo de llenado tricuspídeo'
+  },
+  questions: {
+    plax_rv: 'Obtenga la vista paraesternal de eje largo (PLAX) e identifique el ventrículo derecho en la imagen.',
+    psax_av_aortic_valve: 'Obtenga la vista paraesternal de eje corto (PSAX) e identifique la válvula aórtica.',
+    ssn_rpa: 'Obtenga la vista supraesternal e identifique la arteria pulmonar derecha.',
+    a4c_la: 'Obtenga la vista apical de 4 cámaras (A4C) e identifique la aurícula izquierda.',
+    s4c_lv: 'Obtenga la vista subcostal de 4 cámaras (S4C) e identifique el ventrículo izquierdo.'
+  }
+});
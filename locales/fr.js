@@ -0,0 +1,570 @@
+/**
+ * -----------------------------------------------------------------------------
+ * FRENCH MESSAGES
+ * -----------------------------------------------------------------------------
+ * The simulator's text in French. Same keys as locales/en.js; see that file for how
+ * to add a language.
+ *
+ * EXTERNAL DEPENDENCIES (Functions):
+ * - registerLocale() (i18n.js)
+**/
+
+registerLocale('fr', 'Français', {
+  app: {
+    documentTitle: 'Échocardiographie',
+    name: 'Simulateur d\'échocardiographie',
+    title: 'Échocardiographie'
+  },
+  common: {
+    backToTitle: 'Retour à l\'accueil'
+  },
+  loading: {
+    message: 'Chargement des ressources, veuillez patienter...'
+  },
+  fullscreen: {
+    message: 'Pour une meilleure expérience, utilisez le mode plein écran.',
+    button: 'Passer en plein écran'
+  },
+  title: {
+    intro: 'Entraînez-vous à identifier les structures cardiaques en échographie. Faites glisser la sonde sur différentes positions du corps et sélectionnez les bonnes structures anatomiques pour tester vos connaissances.',
+    howToPlay: 'Comment jouer',
+    start: 'Commencer',
+    challenge: 'Défi chronométré',
+    sandbox: 'Essayer la simulation',
+    author: 'Mode auteur',
+    progress: 'Ma progression',
+    instructor: 'Vue formateur',
+    language: 'Langue',
+    quizBank: 'Banque de questions',
+    builtInBank: 'Coupes standard (intégrées)',
+    loadFile: 'Ou charger un fichier',
+    patient: 'Patient',
+    randomPatient: 'Patient au hasard'
+  },
+  settings: {
+    manualOrientation: 'Orientation manuelle de la sonde',
+    orientationTolerance: 'Tolérance d\'orientation',
+    showAnswerPenalty: 'Pénalité « Voir la réponse »',
+    penaltyNone: 'Aucune',
+    penalty025: '0,25 point',
+    penalty05: '0,5 point',
+    penalty1: '1 point',
+    hideMarkers: 'Masquer les repères de réponse pendant le quiz',
+    sandboxHints: 'Aide au balayage en simulation libre',
+    quizHints: 'Aide au balayage pendant le quiz'
+  },
+  resume: {
+    button: 'Reprendre le quiz (question {number} sur {count})'
+  },
+  quizBank: {
+    builtInTitle: 'Coupes standard',
+    loading: 'Chargement de la banque de questions...',
+    error: 'La banque de questions choisie contient des erreurs (listées ci-dessous). Corrigez-les ou choisissez une autre banque.',
+    ready: {
+      one: '{title} : {count} question disponible',
+      other: '{title} : {count} questions disponibles'
+    }
+  },
+  quizBuilder: {
+    questions: 'Questions',
+    all: 'Toutes',
+    view: 'Coupe',
+    zone: 'Fenêtre',
+    structure: 'Structure',
+    difficulty: 'Difficulté',
+    any: 'Toutes',
+    shuffle: 'Mélanger les questions',
+    generate: 'Ajouter une question pour chaque structure repérée',
+    generatedQuestion: 'Obtenez la coupe {view} ({id}) et identifiez : {structure}.',
+    generatedQuestionPhase: 'Obtenez la coupe {view} ({id}) et identifiez : {structure}, en {phase}.',
+    generatedQuestionDepth: 'Obtenez la coupe {view} ({id}), réduisez la profondeur à {depth} cm ou moins et identifiez : {structure}.',
+    status: {
+      one: '{asked} question sur {count} correspondante sera posée.',
+      other: '{asked} questions sur {count} correspondantes seront posées.'
+    },
+    noMatch: 'Aucune question ne correspond à ces filtres.',
+    diagnosis: 'Diagnostic'
+  },
+  difficulty: {
+    easy: 'Facile',
+    medium: 'Moyenne',
+    hard: 'Difficile'
+  },
+  quiz: {
+    questionNumber: 'Question {number} sur {count}',
+    missingQuestion: '⚠️ La question {number} n\'existe pas dans la banque de questions (elle en contient {count}).',
+    noBank: '⚠️ Aucune banque de questions valide n\'est chargée. Voir les problèmes listés sur l\'écran d\'accueil.',
+    continue: 'Continuer vers le simulateur'
+  },
+  tutorial: {
+    heading: 'Instructions',
+    previous: 'Précédent',
+    next: 'Suivant',
+    close: 'Fermer',
+    indicator: '{number} sur {count}',
+    slides: {
+      1: {
+        text: 'Avec la souris, faites glisser la sonde d\'échographie sur les zones circulaires du corps pour voir différentes images échographiques.',
+        alt: 'Étape 1 du tutoriel : déplacer la sonde.'
+      },
+      2: {
+        text: 'La sonde tourne et ajuste automatiquement la position de son câble selon sa position sur le corps.',
+        alt: 'Étape 2 du tutoriel : rotation de la sonde et position du câble.'
+      },
+      3: {
+        text: 'Lorsque la sonde est sur l\'espace intercostal, le bouton « Changer de coupe » permet de passer de la coupe parasternale grand axe à la coupe petit axe.',
+        alt: 'Étape 3 du tutoriel : passer du grand axe au petit axe.'
+      },
+      4: {
+        text: 'Répondez aux questions en cliquant sur la bonne structure anatomique dans l\'image échographique.',
+        alt: 'Étape 4 du tutoriel : répondre en cliquant sur les structures.'
+      },
+      5: {
+        text: 'Après chaque réponse, un retour immédiat indique si votre choix était correct ou non.',
+        alt: 'Étape 5 du tutoriel : retour immédiat sur les réponses.'
+      },
+      6: {
+        text: 'En mode simulation, cliquez sur les cercles pour voir quelle structure anatomique ils représentent.',
+        alt: 'Étape 6 du tutoriel : identifier les structures anatomiques.'
+      },
+      7: {
+        text: 'Vous pouvez quitter la simulation à tout moment avec le bouton « Retour au menu principal ».',
+        alt: 'Étape 7 du tutoriel : quitter la simulation.'
+      },
+      8: {
+        text: 'Vous pouvez revoir ces instructions à tout moment avec le bouton « Instructions ».',
+        alt: 'Étape 8 du tutoriel : revoir les instructions.'
+      }
+    }
+  },
+  exit: {
+    heading: 'Retour au menu principal',
+    message: 'Voulez-vous vraiment quitter ? Votre progression actuelle sera perdue.',
+    cancel: 'Non, revenir',
+    confirm: 'Oui, quitter'
+  },
+  simulator: {
+    probeExplanation: 'La sonde',
+    probeDiagramAlt: 'Schéma de la sonde',
+    bodyAlt: 'Corps',
+    probeAlt: 'Sonde',
+    probeLabel: 'Sonde d\'échographie. Utilisez les flèches du clavier pour la déplacer d\'une zone à l\'autre.',
+    rotateHandle: 'Faites glisser pour tourner la sonde',
+    answerChoices: 'Choix de réponse',
+    placeholder: 'Faites glisser et placez la sonde pour voir les images échographiques',
+    anatomicalView: 'STRUCTURE ANATOMIQUE',
+    view: 'COUPE',
+    rotation: 'ROTATION',
+    tailPosition: 'POSITION DU CÂBLE',
+    imageQuality: 'QUALITÉ D\'IMAGE',
+    imageQualityLabel: 'Qualité d\'image',
+    flipTail: 'Retourner le câble (T)',
+    dropProbe: 'Posez la sonde sur une zone valide pour voir une image',
+    invalidPosition: 'Position non valide pour cette orientation de la sonde',
+    noImage: 'Pas d\'image pour la coupe « {view} »',
+    imageAlt: '{view} à {angle}° ({tail})',
+    switchView: 'Changer de coupe ({number}/{count})',
+    switchViewTitle: 'Suivante : {view} (Maj+clic pour la coupe précédente)',
+    switchViewLabel: 'Passer à la coupe {view}, {number} sur {count}',
+    option: 'Option {answer}',
+    wrongTail: 'Sonde à {clock} : la rotation est dans la plage, mais le câble est du mauvais côté',
+    rotationOff: 'Sonde à {clock} : la rotation est à {offBy}° de la coupe la plus proche (tolérance ±{tolerance}°)'
+  },
+  probe: {
+    clock: '{hour} h',
+    tail: {
+      up: 'Câble en haut',
+      down: 'Câble en bas'
+    }
+  },
+  machine: {
+    controls: 'Réglages de l\'échographe',
+    depth: 'Profondeur',
+    gain: 'Gain',
+    dynamicRange: 'Gamme dynamique',
+    sector: 'Secteur',
+    zoom: 'Zoom',
+    reset: 'Réinitialiser'
+  },
+  measure: {
+    tools: 'Outils de mesure',
+    caliper: 'Compas',
+    area: 'Surface',
+    clear: 'Effacer',
+    short: {
+      distance: 'D',
+      area: 'S'
+    },
+    submit: 'Valider : {label}'
+  },
+  doppler: {
+    toggle: 'Couleur',
+    toggleTitle: 'Doppler couleur (C)',
+    submit: 'Valider la boîte couleur',
+    boxLabel: 'Boîte d\'échantillonnage couleur : faites-la glisser, ou utilisez les flèches, pour la placer sur une valve',
+    offJet: 'Boîte couleur hors du jet',
+    severalJets: 'Boîte couleur sur plusieurs jets'
+  },
+  cine: {
+    previousFrame: 'Image précédente',
+    play: 'Lecture',
+    pause: 'Pause',
+    nextFrame: 'Image suivante',
+    speed: 'Vitesse de lecture',
+    loop: 'En boucle',
+    frame: 'Image {frame} / {count}',
+    phases: {
+      systole: 'Systole',
+      diastole: 'Diastole'
+    }
+  },
+  mapping: {
+    offAxisName: '{view} (hors axe)',
+    offAxisNote: 'Hors axe : ajustez la position et l\'angle de la sonde pour identifier les structures'
+  },
+  guidance: {
+    moveDown: {
+      one: 'Descendez d\'un espace intercostal',
+      other: 'Descendez de {count} espaces intercostaux'
+    },
+    moveUp: {
+      one: 'Remontez d\'un espace intercostal',
+      other: 'Remontez de {count} espaces intercostaux'
+    },
+    slideLeft: 'Glissez la sonde vers la gauche du patient',
+    slideRight: 'Glissez la sonde vers la droite du patient',
+    moveToward: 'Allez vers la fenêtre {zone}',
+    rotateClockwise: 'Tournez dans le sens horaire vers {clock}',
+    rotateCounterClockwise: 'Tournez dans le sens antihoraire vers {clock}',
+    flipTail: {
+      up: 'Retournez le câble vers le haut',
+      down: 'Retournez le câble vers le bas'
+    },
+    switchView: 'Changez de coupe : {view}',
+    hold: 'Gardez la sonde ici : c\'est la meilleure image'
+  },
+  accessibility: {
+    zoneLabel: 'Poser la sonde sur la fenêtre {zone}'
+  },
+  cases: {
+    patient: 'Patient : {patient}',
+    obtainViewFirst: 'Obtenez d\'abord la coupe, puis choisissez votre réponse.'
+  },
+  scoring: {
+    correct: '✅ Correct ! {gained}',
+    wrongStructure: '◐ Bonne coupe, mauvaise structure : vous avez sélectionné : {structure}. {gained}',
+    rightStructureWrongView: '◐ Bonne structure, mauvaise coupe. {mismatch} {gained}',
+    incorrect: '❌ Incorrect. {mismatch}',
+    correctWithDetail: '✅ Correct ! {detail} {gained}',
+    rightViewMistake: '◐ Bonne coupe, {mistake} {detail} {gained}',
+    wrongZone: 'Vous êtes en coupe {view} sur la fenêtre {zone} ; la question demande la coupe {expectedView} sur la fenêtre {expectedZone}.',
+    wrongView: 'Vous êtes en coupe {view} ; la question demande la coupe {expectedView}.',
+    points: {
+      one: '+{points} point',
+      other: '+{points} points'
+    },
+    gain: '({gain})',
+    gainWithSpeed: '({gain}, vitesse ×{speed})',
+    measurementDetail: '{label} : {value}, référence {reference}.',
+    outsideTolerance: 'mais la mesure est hors tolérance.',
+    choiceDetail: 'Votre choix : {choice}.',
+    wrongChoice: 'mauvaise réponse.',
+    jetCovered: 'La boîte couleur est sur : {jet}.',
+    jetHint: 'Balayez les valves avec la boîte pour le trouver.',
+    jetMissed: 'mais la boîte couleur n\'est pas sur le jet.',
+    jetCrowded: 'mais la boîte couleur couvre aussi : {others}.',
+    jetNarrow: 'Placez la boîte sur une seule valve.',
+    breakdown: 'Coupes obtenues : {views} sur {count} · Structures identifiées : {structures} sur {count}'
+  },
+  feedback: {
+    nextQuestion: 'Question suivante',
+    endQuiz: 'Terminer le quiz',
+    showAnswer: 'Voir la réponse',
+    correctImageAlt: 'Bonne réponse',
+    penaltyNote: ' (−{points} pour « Voir la réponse »)',
+    measurementAnswer: 'La valeur de référence ({label}) est {reference} en coupe {view}.',
+    jetAnswer: 'Activez la couleur et placez la boîte sur : {jet}, en coupe {view}.',
+    jet: 'le jet',
+    choiceAnswer: 'La bonne réponse est « {choice} » en coupe {view}.',
+    structureAnswer: 'La bonne réponse est : {structure}, en coupe {view}.'
+  },
+  challenge: {
+    timer: '⏱ {time}',
+    timerPaused: '⏱ {time} (en pause)',
+    timeUp: '⏰ Temps écoulé !',
+    noResults: 'Aucun résultat pour l\'instant. Soyez le premier !',
+    name: 'Nom',
+    score: 'Score',
+    time: 'Temps',
+    date: 'Date',
+    anonymous: 'Anonyme',
+    notInTop: 'Votre résultat n\'entre pas dans les {count} meilleurs.',
+    save: 'Enregistrer au classement',
+    leaderboard: 'Classement'
+  },
+  end: {
+    heading: 'Simulation terminée',
+    yourScore: 'Votre score :',
+    score: '{score} sur {count}',
+    yourName: 'Votre nom',
+    restart: 'Recommencer la simulation'
+  },
+  progress: {
+    heading: 'Ma progression',
+    clear: 'Effacer l\'historique',
+    sessions: 'Sessions',
+    byStructure: 'Maîtrise par structure',
+    byView: 'Maîtrise par coupe',
+    empty: 'Aucune session de quiz pour l\'instant. Lancez une partie pour enregistrer votre progression.',
+    confirmClear: 'Supprimer tout l\'historique de quiz enregistré sur cet appareil ?',
+    unknown: 'Inconnu',
+    modeQuiz: 'Quiz',
+    modeTimed: 'Chronométré',
+    finished: 'Terminée',
+    unfinished: 'Non terminée',
+    columns: {
+      student: 'Étudiant',
+      date: 'Date',
+      bank: 'Banque de questions',
+      mode: 'Mode',
+      score: 'Score',
+      answered: 'Réponses',
+      averageTime: 'Temps moyen',
+      showAnswerUsed: '« Voir la réponse » utilisé',
+      status: 'État',
+      structure: 'Structure',
+      view: 'Coupe',
+      mastery: 'Maîtrise',
+      correct: 'Correctes',
+      question: 'Question',
+      answer: 'Réponse',
+      successRate: 'Taux de réussite',
+      commonWrong: 'Erreurs les plus fréquentes'
+    }
+  },
+  results: {
+    exportHeading: 'Exporter les résultats',
+    nameRequired: 'Saisissez d\'abord votre nom, pour que votre formateur sache à qui sont ces résultats.',
+    missingSession: 'Ces résultats ne sont plus dans l\'historique de progression.',
+    exported: {
+      one: '{count} question répondue exportée en {format}.',
+      other: '{count} questions répondues exportées en {format}.'
+    },
+    heading: 'Vue formateur',
+    clear: 'Effacer les imports',
+    import: 'Importer des résultats d\'étudiants (CSV ou JSON)',
+    students: 'Étudiants',
+    difficulty: 'Difficulté des questions (les plus difficiles d\'abord)',
+    empty: 'Aucun résultat importé pour l\'instant. Importez les fichiers CSV ou JSON exportés par vos étudiants.',
+    imported: {
+      one: '{count} session importée.',
+      other: '{count} sessions importées.'
+    },
+    importFailed: '{source} n\'a pas pu être importé ({reason}).',
+    noAnswer: 'Pas de réponse',
+    timedOut: 'Pas de réponse (temps écoulé)'
+  },
+  offline: {
+    needsHttp: 'L\'utilisation hors ligne nécessite que le simulateur soit servi en HTTP(S).',
+    unsupported: 'L\'utilisation hors ligne n\'est pas disponible dans ce navigateur.',
+    preparing: 'Préparation de l\'utilisation hors ligne...',
+    failed: 'L\'utilisation hors ligne n\'a pas pu être configurée.',
+    saving: 'Enregistrement pour l\'utilisation hors ligne : {percent} %',
+    ready: 'Prêt pour l\'utilisation hors ligne',
+    incomplete: {
+      one: 'Copie hors ligne incomplète : {count} fichier n\'a pas pu être enregistré (nouvel essai à la prochaine visite)',
+      other: 'Copie hors ligne incomplète : {count} fichiers n\'ont pas pu être enregistrés (nouvel essai à la prochaine visite)'
+    }
+  },
+  lms: {
+    status: 'Vos résultats sont transmis à votre plateforme de formation ({names}).'
+  },
+  author: {
+    startFrom: 'Partir de la coupe',
+    imagePath: 'Chemin de l\'image',
+    id: 'ID',
+    name: 'Nom',
+    zone: 'Zone',
+    angle: 'Angle',
+    tail: 'Queue',
+    tailUp: 'En haut',
+    tailDown: 'En bas',
+    hint: 'Cliquez sur l\'image pour ajouter une zone cible, faites glisser un cercle pour le déplacer.',
+    answerId: 'ID de réponse',
+    structure: 'Structure',
+    undo: 'Annuler',
+    redo: 'Rétablir',
+    delete: 'Supprimer',
+    drawRegion: 'Tracer la région',
+    finishRegion: 'Terminer la région',
+    clearRegion: 'Effacer la région',
+    export: 'Exporter',
+    copy: 'Copier',
+    download: 'Télécharger',
+    viewOption: '{name} ({id})',
+    newView: 'Nouvelle coupe',
+    zoneOption: '{zone} - {name}',
+    emptyStage: 'Choisissez une coupe ou saisissez le chemin d\'une image',
+    imageAlt: 'Image en cours d\'édition',
+    hotspotItem: '{answer} : {name} ({x}, {y})',
+    noName: '(sans nom)',
+    checkProblems: 'À vérifier avant l\'ajout à viewCatalog : {problems}',
+    ready: 'Collez cette entrée dans viewCatalog dans imagedata.js (à la place de l\'ancienne entrée de même id).',
+    copied: 'Copié dans le presse-papiers.',
+    copySelected: 'Le presse-papiers n\'est pas disponible ici : l\'entrée est sélectionnée, appuyez sur Ctrl+C (⌘C sur Mac) pour la copier.'
+  },
+  dataProblems: {
+    viewCatalogTitle: 'Problèmes trouvés dans le catalogue des coupes',
+    quizBankTitle: 'Problèmes trouvés dans la banque de questions',
+    caseLibraryTitle: 'Problèmes trouvés dans la bibliothèque de cas',
+    viewLabel: 'Coupe {id}',
+    caseLabel: 'Cas {id}',
+    caseView: '{view} (cas {case})',
+    questionLabel: '{source}, question {number}',
+    missingField: '{label} : « {field} » manquant',
+    unknownZone: '{label} : la zone {zone} n\'existe pas',
+    angle: '{label} : « angle » doit être un nombre',
+    tail: '{label} : « tail » doit valoir « up » ou « down »',
+    hotspotsArray: '{label} : « hotspots » doit être une liste',
+    noDropZone: 'La zone {zone} ({name}) n\'a pas d\'emplacement sur le modèle du corps',
+    duplicateViewId: '{label} : ID de coupe en double',
+    orientationTaken: '{label} : une autre coupe de la zone {zone} utilise déjà « {key} »',
+    depth: '{label} : « depth » doit être un nombre de cm positif',
+    preview: '{label} : « preview » doit être le chemin d\'une image',
+    pixelsPerCm: '{label} : « pixelsPerCm » doit être un nombre positif',
+    placeholder: '{label} : « placeholder » doit valoir true ou false',
+    offAxis: '{label} : « offAxis » doit avoir une « image » et un « name »',
+    duplicateAnswer: '{label} : ID de réponse « {answer} » en double',
+    structureName: '{label} : la zone cible « {answer} » n\'a pas de nom de structure',
+    maxDepth: '{label} : le maxDepth de la zone cible « {answer} » doit être un nombre de cm positif',
+    noClip: '{label} : la zone cible « {answer} » a des « frames » ou une « phase » mais la coupe n\'a pas de boucle',
+    hotspotFrames: '{label} : les frames de la zone cible « {answer} » doivent être des numéros d\'images [premier, dernier] (à partir de 0)',
+    hotspotPhase: '{label} : la phase « {phase} » de la zone cible « {answer} » n\'est pas une phase de la boucle',
+    region: '{label} : la région de la zone cible « {answer} » doit compter au moins 3 points [x, y] entre 0 et 100',
+    clipObject: '{label} : « clip » doit être un objet',
+    clipFrames: '{label} : les « frames » de la boucle doivent être une liste de chemins d\'images',
+    clipVideo: '{label} : la « video » de la boucle doit être un chemin de fichier',
+    clipSource: '{label} : la boucle doit avoir des « frames » ou une « video »',
+    clipFps: '{label} : le « fps » de la boucle doit être un nombre positif',
+    clipPhaseRange: '{label} : la phase « {phase} » de la boucle doit être des numéros d\'images [premier, dernier] (à partir de 0)',
+    clipPhaseEnd: '{label} : la phase « {phase} » de la boucle finit après la dernière image',
+    colorFlowObject: '{label} : « colorFlow » doit être un objet',
+    colorFlowImage: '{label} : l\'« image » de colorFlow doit être un chemin de fichier',
+    colorFlowJets: '{label} : les « jets » de colorFlow doivent être une liste',
+    duplicateJet: '{label} : jet couleur « {answer} » en double',
+    jetFields: '{label} : chaque jet couleur doit avoir un « answer » et un « text »',
+    jetPosition: '{label} : les x et y du jet couleur « {answer} » doivent être entre 0 et 100',
+    imageNotLoaded: '{label} : l\'image « {src} » n\'a pas pu être chargée',
+    duplicateCaseId: '{label} : ID de cas en double',
+    caseDiagnosis: '{label} : le diagnostic « {diagnosis} » ne fait pas partie des « diagnosisChoices »',
+    caseViewUnknown: '{label} : la coupe {view} n\'est pas dans le catalogue des coupes',
+    caseViewImage: '{label} : l\'« image » de la coupe {view} doit être un chemin de fichier',
+    caseViewHotspots: '{label} : les « hotspots » de la coupe {view} doivent être une liste',
+    caseViewAnswers: '{label} : il manque aux zones cibles de la coupe {view} les ID de réponse {answers}',
+    bankError: '{source} {error}',
+    notLoaded: 'n\'a pas pu être chargé ({reason})',
+    notJson: 'n\'est pas un JSON valide ({reason})',
+    bankObject: '{source} : un objet avec une liste « questions » est attendu',
+    bankEmpty: '{source} : la banque n\'a aucune question',
+    questionObject: '{label} : un objet est attendu',
+    questionText: '{label} : texte de « question » manquant',
+    correctPosition: '{label} : « correctPosition » {zone} n\'est pas une zone avec des coupes',
+    questionKey: '{label} : aucune coupe de clé « {key} » dans la zone {zone}',
+    questionJet: '{label} : le jet couleur « {answer} » n\'est pas dans le flux couleur de la coupe {view}',
+    questionAnswer: '{label} : la réponse « {answer} » n\'est pas une zone cible de la coupe {view}',
+    correctImage: '{label} : « correctImage » doit être le chemin d\'une image',
+    difficulty: '{label} : « difficulty » doit être une étiquette comme « easy »',
+    diagnosisTrue: '{label} : « diagnosis » doit valoir true',
+    diagnosisChoices: '{label} : une question de diagnostic prend ses choix dans « diagnosisChoices »',
+    choicesList: '{label} : « choices » doit être une liste d\'au moins 2 réponses',
+    choicesDuplicate: '{label} : « choices » contient deux fois la même réponse',
+    correctChoice: '{label} : « correctChoice » doit faire partie des « choices »',
+    measurementObject: '{label} : « measurement » doit être un objet',
+    measurementType: '{label} : le « type » de la mesure doit être l\'un de {types}',
+    measurementLabel: '{label} : la mesure doit avoir un « label » (p. ex. « Diamètre interne du VG »)',
+    measurementReference: '{label} : la « reference » de la mesure doit être un nombre positif',
+    measurementTolerance: '{label} : la « tolerance » de la mesure doit être un nombre supérieur ou égal à 0',
+    measurementCalibration: '{label} : la coupe {view} n\'a pas d\'étalonnage « pixelsPerCm » pour mesurer'
+  },
+  views: {
+    SSN: 'Sus-sternale',
+    PSAX: 'Parasternale petit axe',
+    PSAX_AV: 'Parasternale petit axe aortique',
+    PLAX: 'Parasternale grand axe',
+    S4C: 'Sous-costale 4 cavités',
+    A4C: 'Apicale 4 cavités',
+    SSN_SAX: 'Sus-sternale petit axe',
+    SSN_DESC: 'Sus-sternale grand axe (aorte descendante)',
+    RVIF: 'Voie d\'entrée du ventricule droit',
+    PSAX_MV: 'Parasternale petit axe mitrale',
+    PSAX_PM: 'Parasternale petit axe piliers',
+    SC_SAX: 'Sous-costale petit axe',
+    IVC: 'Sous-costale VCI',
+    A2C: 'Apicale 2 cavités',
+    A3C: 'Apicale 3 cavités',
+    A5C: 'Apicale 5 cavités'
+  },
+  viewLabels: {
+    SSN: {
+      rotationLabel: '12 h'
+    },
+    PLAX: {
+      tailLabel: 'Câble neutre'
+    },
+    SSN_SAX: {
+      rotationLabel: '3 h'
+    },
+    SSN_DESC: {
+      rotationLabel: '12 h'
+    }
+  },
+  zones: {
+    1: 'sus-sternale',
+    2: 'parasternale gauche',
+    3: 'sous-costale',
+    4: 'apicale'
+  },
+  structures: {
+    brachiocephalic_trunk: 'Tronc brachiocéphalique',
+    left_common_carotid_artery: 'Artère carotide commune gauche',
+    descending_aorta: 'Aorte thoracique descendante',
+    right_pulmonary_artery: 'Artère pulmonaire droite',
+    left_ventricle: 'Ventricule gauche',
+    aortic_valve: 'Valve aortique',
+    rvot: 'Chambre de chasse du ventricule droit',
+    left_atrium: 'Oreillette gauche',
+    right_atrium: 'Oreillette droite',
+    right_ventricle: 'Ventricule droit',
+    mitral_valve: 'Valve mitrale',
+    aortic_root: 'Racine aortique',
+    liver: 'Foie',
+    tricuspid_valve: 'Valve tricuspide',
+    aortic_arch: 'Crosse aortique',
+    superior_vena_cava: 'Veine cave supérieure',
+    left_subclavian_artery: 'Artère subclavière gauche',
+    inferior_vena_cava: 'Veine cave inférieure',
+    hepatic_vein: 'Veine hépatique',
+    anterolateral_papillary_muscle: 'Muscle papillaire antérolatéral',
+    posteromedial_papillary_muscle: 'Muscle papillaire postéromédial',
+    left_atrial_appendage: 'Auricule gauche',
+    lvot: 'Chambre de chasse du ventricule gauche'
+  },
+  diagnoses: {
+    normal: 'Aucune anomalie',
+    pericardial_effusion: 'Épanchement péricardique',
+    dilated_lv: 'Ventricule gauche dilaté',
+    lv_hypertrophy: 'Hypertrophie ventriculaire gauche',
+    mitral_regurgitation: 'Insuffisance mitrale'
+  },
+  jets: {
+    MV_INFLOW: 'Flux de remplissage mitral',
+    TV_INFLOW: 'Flux de remplissage tricuspide'
+  },
+  questions: {
+    plax_rv: 'Obtenez la coupe parasternale grand axe (PLAX) et identifiez le ventricule droit sur l\'image.',
+    psax_av_aortic_valve: 'Obtenez la coupe parasternale petit axe (PSAX) et identifiez la valve aortique.',
+    ssn_rpa: 'Obtenez la coupe sus-sternale et identifiez l\'artère pulmonaire droite.',
+    a4c_la: 'Obtenez la coupe apicale 4 cavités (A4C) et identifiez l\'oreillette gauche.',
+    s4c_lv: 'Obtenez la coupe sous-costale 4 cavités (S4C) et identifiez le ventricule gauche.'
+  }
+});
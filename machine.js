@@ -0,0 +1,285 @@
+/**
+ * -----------------------------------------------------------------------------
+ * ULTRASOUND MACHINE CONTROLS
+ * -----------------------------------------------------------------------------
+ * This script adds the knobs of an echo machine under `#imageDisplay`: depth, gain,
+ * dynamic range, sector width and zoom. The view's image (or cine loop) is drawn on a
+ * canvas that shows only the part of the image the settings leave on screen, so students
+ * practise optimizing an image. Hotspot circles and region outlines are moved with the
+ * image, and hotspots that fall outside the depth, zoom box or sector cannot be selected.
+ *
+ * IMAGE PROCESSING:
+ * - Depth: the image was acquired at the view's `depth` (cm, default 16). A smaller depth
+ * magnifies the near field from the top of the sector (the transducer); a larger one shrinks it.
+ * - Zoom: magnifies the middle of the depth window.
+ * - Sector width: masks the image outside a narrower wedge from the transducer.
+ * - Gain / dynamic range: brightness / contrast of the canvas (CSS filter, so images opened from
+ * disk, which the canvas may not read back, are still processed).
+ * A hotspot may declare `maxDepth` (cm): it can only be identified at that depth or less
+ * (e.g., a question asking to reduce the depth to see the aortic valve).
+ *
+ * FUNCTIONS:
+ * - getMachineWindow(): The part of the panel on screen ({ sx, sy, sw, sh } in % of the panel).
+ * - toDisplayPoint(x, y) / toImagePoint(x, y): Convert between image and on-screen panel percentages.
+ * - getImageRect(width, height, sourceWidth, sourceHeight): Where an image sits in a panel of that size, unprocessed.
+ * - isHotspotInView(hotspot): True when a hotspot is inside the window and sector and its `maxDepth` is met.
+ * - attachMachineDisplay(panel, media, blend): Adds the image (and a blended neighbouring view) to the panel
+ * through the machine canvas; returns the element to click on.
+ * - renderMachineDisplay(): Draws the current image on the canvas with the current settings.
+ * - getMachineFilter(): CSS filter for the gain and dynamic range.
+ * - positionHotspots(): Moves the circles and region outlines to match the image.
+ * - updateMachineControls(): Reads the knobs, shows their values and redraws.
+ * - resetMachineControls(): Restores the default settings.
+ *
+ * EVENT LISTENERS:
+ * - Machine knobs (input): Apply the new setting.
+ * - machineResetButton (click): Restores the default settings.
+ * - window (resize): Redraws the canvas at the new panel size.
+ *
+ * GLOBAL VARIABLES (State & Elements):
+ * - machineSettings: { depth, gain, dynamicRange, sectorWidth, zoom } currently set.
+ * - machineDefaults: Default settings; defaultImageDepth: Depth of a view that declares none.
+ * - machineCanvas, machineSource, machineBlend: The canvas, the image/video it draws (also set without a canvas)
+ * and the blended view image.
+ * - depthControl, gainControl, dynamicRangeControl, sectorWidthControl, zoomControl, machineResetButton: Knobs.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - imagePanel (main.js), activeView (loadquestions.js), createBlendLayer(), applyImageQuality(),
+ * currentImageQuality (mapping.js), getViewImageSource() (assets.js)
+**/
+
+const depthControl = document.getElementById('depthControl');
+const gainControl = document.getElementById('gainControl');
+const dynamicRangeControl = document.getElementById('dynamicRangeControl');
+const sectorWidthControl = document.getElementById('sectorWidthControl');
+const zoomControl = document.getElementById('zoomControl');
+const machineResetButton = document.getElementById('machineResetButton');
+
+const defaultImageDepth = 16;   // cm
+const machineDefaults = { depth: 16, gain: 50, dynamicRange: 60, sectorWidth: 90, zoom: 1 };
+const machineSettings = { ...machineDefaults };
+
+let machineCanvas = null;
+let machineSource = null;
+let machineBlend = null;
+
+// Part of the panel (in % of its width / height) shown with the current depth and zoom
+function getMachineWindow() {
+  if (!machineCanvas) return { sx: 0, sy: 0, sw: 100, sh: 100 };
+
+  const imageDepth = (activeView && activeView.depth) || defaultImageDepth;
+  const depthSize = 100 * machineSettings.depth / imageDepth;
+  const size = depthSize / machineSettings.zoom;
+
+  // Depth keeps the transducer at the top; zoom magnifies the middle of the depth window
+  return {
+    sx: 50 - size / 2,
+    sy: depthSize / 2 - size / 2,
+    sw: size,
+    sh: size
+  };
+}
+
+// Image point (% of the panel) -> where it is drawn on screen (% of the panel)
+function toDisplayPoint(x, y) {
+  const win = getMachineWindow();
+  return { x: (x - win.sx) / win.sw * 100, y: (y - win.sy) / win.sh * 100 };
+}
+
+// On-screen point (% of the panel) -> image point (% of the panel)
+function toImagePoint(x, y) {
+  const win = getMachineWindow();
+  return { x: win.sx + x * win.sw / 100, y: win.sy + y * win.sh / 100 };
+}
+
+// Where an image sits in the panel without processing (height 100%, centered, like the <img>)
+function getImageRect(width, height, sourceWidth, sourceHeight) {
+  let drawHeight = height;
+  let drawWidth = height * sourceWidth / sourceHeight;
+  if (drawWidth > width) {
+    drawWidth = width;
+    drawHeight = width * sourceHeight / sourceWidth;
+  }
+  return { x: (width - drawWidth) / 2, y: (height - drawHeight) / 2, width: drawWidth, height: drawHeight };
+}
+
+// Hotspot on screen, inside the sector and (with `maxDepth`) shown at a small enough depth
+function isHotspotInView(hotspot) {
+  if (hotspot.maxDepth && machineSettings.depth > hotspot.maxDepth) return false;
+
+  const p = toDisplayPoint(hotspot.x, hotspot.y);
+  if (p.x < 0 || p.x > 100 || p.y < 0 || p.y > 100) return false;
+
+  // Angle from the transducer (top center of the image) against the sector width
+  const width = imagePanel.clientWidth;
+  const height = imagePanel.clientHeight;
+  if (!width || !height) return true;
+  const angle = Math.atan2(Math.abs(hotspot.x - 50) * width, hotspot.y * height) * 180 / Math.PI;
+  return angle <= machineSettings.sectorWidth / 2;
+}
+
+// Brightness for the gain, contrast for the dynamic range (a low range is a harsher image)
+function getMachineFilter() {
+  const brightness = 0.4 + 1.2 * machineSettings.gain / 100;
+  const contrast = 60 / machineSettings.dynamicRange;
+  return `brightness(${brightness.toFixed(2)}) contrast(${contrast.toFixed(2)})`;
+}
+
+// Show an image in the panel through the machine canvas; returns the element that receives clicks
+function attachMachineDisplay(panel, media, blend) {
+  const canvas = document.createElement('canvas');
+  canvas.className = 'machine-canvas';
+  machineSource = media;
+
+  // Without canvas support the image is shown unprocessed
+  if (!canvas.getContext('2d')) {
+    machineCanvas = null;
+    panel.appendChild(media);
+    if (blend) panel.appendChild(createBlendLayer(blend.view, blend.weight));
+    return media;
+  }
+
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-label', media.alt || '');
+  machineCanvas = canvas;
+  machineBlend = null;
+  if (blend) {
+    machineBlend = new Image();
+    machineBlend.src = getViewImageSource(blend.view);
+    machineBlend.dataset.weight = blend.weight;
+    machineBlend.addEventListener('load', renderMachineDisplay);
+  }
+
+  // The source stays in the panel (hidden) so clips keep playing; redraw whenever it changes
+  media.classList.add('machine-source');
+  if (!media.dataset.machineWatched) {
+    media.dataset.machineWatched = 'true';
+    ['load', 'loadeddata', 'seeked'].forEach(type => media.addEventListener(type, () => {
+      if (media === machineSource) renderMachineDisplay();
+    }));
+  }
+  panel.appendChild(media);
+  panel.appendChild(canvas);
+
+  // Videos are redrawn every animation frame while they are on screen
+  if (media.tagName === 'VIDEO') {
+    const drawFrame = () => {
+      if (canvas !== machineCanvas || !canvas.isConnected) return;
+      renderMachineDisplay();
+      requestAnimationFrame(drawFrame);
+    };
+    requestAnimationFrame(drawFrame);
+  }
+
+  renderMachineDisplay();
+  return canvas;
+}
+
+// Draw the image the way it fills the panel, through the depth / zoom window and sector mask
+function renderMachineDisplay() {
+  if (!machineCanvas || !machineSource) return;
+
+  const width = imagePanel.clientWidth;
+  const height = imagePanel.clientHeight;
+  const sourceWidth = machineSource.naturalWidth || machineSource.videoWidth;
+  const sourceHeight = machineSource.naturalHeight || machineSource.videoHeight;
+  if (!width || !height) return;
+
+  const ratio = window.devicePixelRatio || 1;
+  machineCanvas.width = Math.round(width * ratio);
+  machineCanvas.height = Math.round(height * ratio);
+
+  const ctx = machineCanvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, width, height);
+  if (!sourceWidth || !sourceHeight) return;
+
+  const rect = getImageRect(width, height, sourceWidth, sourceHeight);
+
+  // Depth / zoom window
+  const win = getMachineWindow();
+  ctx.scale(100 / win.sw, 100 / win.sh);
+  ctx.translate(-win.sx / 100 * width, -win.sy / 100 * height);
+
+  // Sector: a wedge from the transducer at the top center of the panel
+  const half = machineSettings.sectorWidth / 2 * Math.PI / 180;
+  const reach = Math.hypot(width, height) * 4;
+  ctx.beginPath();
+  ctx.moveTo(width / 2, 0);
+  ctx.arc(width / 2, 0, reach, Math.PI / 2 - half, Math.PI / 2 + half);
+  ctx.closePath();
+  ctx.clip();
+
+  ctx.drawImage(machineSource, rect.x, rect.y, rect.width, rect.height);
+  if (machineBlend && machineBlend.complete && machineBlend.naturalWidth) {
+    ctx.globalAlpha = parseFloat(machineBlend.dataset.weight);
+    ctx.drawImage(machineBlend, rect.x, rect.y, rect.width, rect.height);
+    ctx.globalAlpha = 1;
+  }
+}
+
+// Move the circles and region outlines with the image; hide the hotspots that are not on screen
+function positionHotspots() {
+  if (!activeView) return;
+
+  imagePanel.querySelectorAll('.circle[data-answer]').forEach(circle => {
+    const hotspot = activeView.hotspots.find(h => h.answer === circle.dataset.answer);
+    if (!hotspot) return;
+    const p = toDisplayPoint(hotspot.x, hotspot.y);
+    circle.style.left = `${p.x}%`;
+    circle.style.top = `${p.y}%`;
+    circle.classList.toggle('out-of-view', !isHotspotInView(hotspot));
+    const hidden = circle.matches('.frame-hidden, .out-of-view');
+    circle.tabIndex = hidden ? -1 : 0;
+    circle.setAttribute('aria-hidden', String(hidden));
+  });
+
+  const win = getMachineWindow();
+  imagePanel.querySelectorAll('.region-overlay').forEach(overlay => {
+    overlay.setAttribute('viewBox', `${win.sx} ${win.sy} ${win.sw} ${win.sh}`);
+  });
+}
+
+// Read the knobs, show their values and redraw
+function updateMachineControls() {
+  machineSettings.depth = +depthControl.value;
+  machineSettings.gain = +gainControl.value;
+  machineSettings.dynamicRange = +dynamicRangeControl.value;
+  machineSettings.sectorWidth = +sectorWidthControl.value;
+  machineSettings.zoom = +zoomControl.value;
+
+  document.getElementById('depthValue').textContent = `${machineSettings.depth} cm`;
+  document.getElementById('gainValue').textContent = `${machineSettings.gain}%`;
+  document.getElementById('dynamicRangeValue').textContent = `${machineSettings.dynamicRange} dB`;
+  document.getElementById('sectorWidthValue').textContent = `${machineSettings.sectorWidth}°`;
+  document.getElementById('zoomValue').textContent = `${machineSettings.zoom}×`;
+
+  renderMachineDisplay();
+  positionHotspots();
+  if (machineCanvas) applyImageQuality(machineCanvas, currentImageQuality);
+}
+
+// Default settings
+function resetMachineControls() {
+  depthControl.value = machineDefaults.depth;
+  gainControl.value = machineDefaults.gain;
+  dynamicRangeControl.value = machineDefaults.dynamicRange;
+  sectorWidthControl.value = machineDefaults.sectorWidth;
+  zoomControl.value = machineDefaults.zoom;
+  updateMachineControls();
+}
+
+// Knobs
+[depthControl, gainControl, dynamicRangeControl, sectorWidthControl, zoomControl].forEach(control => {
+  control.addEventListener('input', updateMachineControls);
+});
+
+machineResetButton.addEventListener('click', () => {
+  resetMachineControls();
+});
+
+// The canvas is drawn at the panel's size
+window.addEventListener('resize', () => {
+  renderMachineDisplay();
+});
@@ -8,38 +8,57 @@
  * (UI resets, image preloading), and provides essential utility functions.
  * 
  * FUNCTIONS:
- * - initUI(): Initializes the simulator view, resets display values (rotation, view), and preloads all images.
+ * - initUI(): Initializes the simulator view and resets display values (rotation, view).
  * - degreesToClock(angle): Converts a degree value to a standard clock face string (e.g., "3 o'clock").
- * - preloadImages(): Preloads all ultrasound and general images, returning a Promise that resolves when all are loaded.
+ * - isPointInPolygon(point, polygon): Ray-casting point-in-polygon test used for hotspot regions.
+ * - angleDifference(from, to): Signed shortest rotation in degrees between two angles (positive = clockwise).
  * - updateProgressBar(percentage): Updates the loading screen progress bar to the specified percentage.
  * - hideProgressBar(): Hides the progress bar after reaching 100% and resets it for future use.
+ * - startQuiz(): Picks the patient (see cases.js), builds a new quiz from the question pool (see quizbuilder.js)
+ * and shows its first question.
+ * - setQuizStartEnabled(enabled): Enables or disables 'Start Game' and 'Timed Challenge'.
+ * - setLiveText(element, text): Writes to an `aria-live` display only when the text changes, so screen readers
+ * announce view changes once instead of on every probe move.
  * 
  * EVENT LISTENERS:
  * - fullscreenBtn (click): Enters fullscreen mode.
- * - document (DOMContentLoaded): Manages the loading screen and preloads assets before showing the title screen.
+ * - document (DOMContentLoaded): Manages the loading screen: loads the core assets (see assets.js) before showing the
+ * title screen, and starts validating the view catalog, whose images download in the background. Then has the
+ * service worker save the simulator for offline use.
  * - document (fullscreenchange): Handles logic when exiting fullscreen (e.g., via Esc).
- * - startButton (click): Begins the main quiz simulation.
+ * - startButton (click): Starts an untimed quiz.
+ * - challengeButton (click): Starts a timed challenge (see challenge.js).
  * - sandBoxButton (click): Enters the free-play sandbox mode.
  * - continueButton (click): Proceeds from the question intro screen to the simulator.
  * - exitButton (click): Shows the exit confirmation prompt.
- * - confirmExitButton (click): Resets state and exits to the Title Screen.
+ * - confirmExitButton (click): Saves the quiz in progress (see resume.js), resets state and exits to the Title Screen.
  * - cancelExitButton (click): Hides the exit confirmation prompt.
  * - restartButton (click): Resets state and begins the quiz again from the start.
+ * - manualOrientationToggle (change): Turns manual probe orientation on or off.
+ * - orientationToleranceSelect (change): Sets the rotation tolerance used in manual orientation mode.
+ * - hideMarkersToggle (change): Hides the hotspot markers in quiz mode.
  * 
  * GLOBAL VARIABLES (State & Elements):
- * - Counter: assetLoadedCount.
  * - Loading Screen: loadingScreen, progressBarContainer, progressBarFill.
  * - Screens/Prompts: fullscreenPrompt, promptOverlay, titleScreen, endScreen, 
  * questionTitleScreen, exitPrompt.
- * - Core UI: container, imagePanel, finalScore, currentQuestion.
- * - Buttons: startButton, sandBoxButton, exitButton, restartButton, 
+ * - Core UI: container, imagePanel, finalScore.
+ * - Buttons: startButton, challengeButton, sandBoxButton, exitButton, restartButton, 
  * continueButton, fullscreenBtn, confirmExitButton, cancelExitButton.
+ * - Settings: manualOrientationToggle, orientationToleranceSelect, hideMarkersToggle.
  * - Slideshow/Tutorial: prevSlideButton, nextSlideButton, slideIndicator, slideshowContainer.
  * 
  * EXTERNAL DEPENDENCIES (Variables/Functions):
- * - score, currentQuestionIndex, sweepDeg, tailPosition, position, currentViewIndex, lastCellPos
+ * - score, currentQuestionIndex, sweepDeg, tailPosition, activeView, currentViewIndex, lastCellPos
  * - loadQuestion(), refreshRope(), updateImagePreview(), containerOverlay
- * - imageSetsByAngleAndTail (Data structure for image paths)
+ * - isManualOrientation, orientationTolerance, applyOrientationMode(), hideQuizMarkers
+ * - loadViewCatalog() (Validates the view catalog at startup), loadCoreAssets() (assets.js), prepareOfflineUse() (offline.js)
+ * - currentQuizBankTitle (quizbank.js), startProgressSession(), startQuestionTimer(), currentSessionId (storage.js)
+ * - saveCurrentQuiz(), updateResumeButton() (resume.js), buildQuiz() (quizbuilder.js), resetScore() (scoring.js)
+ * - isChallengeMode, challengeTotalTimeMs, startChallengeTimer(), leaveChallengeMode() (challenge.js)
+ * - caseSelect, selectCase() (cases.js)
+ * - trackQuizStart(), trackQuizExit() (lms.js): Report the quiz to the LMS, if there is one.
+ * - t() (i18n.js): Translated text.
 **/
 
 const loadingScreen = document.getElementById('loadingScreen');
@@ -49,6 +68,7 @@ const fullscreenPrompt = document.getElementById('fullscreenPrompt');
 const promptOverlay = document.getElementById('promptOverlay');
 const titleScreen = document.getElementById('titleScreen');
 const startButton = document.getElementById('startButton');
+const challengeButton = document.getElementById('challengeButton');
 const sandBoxButton = document.getElementById('sandBoxButton');
 const container = document.querySelector('.container');
 const imagePanel = document.getElementById('imageDisplay');
@@ -58,7 +78,6 @@ const finalScore = document.getElementById('finalScore');
 const restartButton = document.getElementById('restartButton');
 const questionTitleScreen = document.getElementById('questionTitleScreen');
 const continueButton = document.getElementById('continueButton');
-const currentQuestion = document.getElementById('currentQuestion');
 const fullscreenBtn = document.getElementById('fullscreen-btn');
 const prevSlideButton = document.getElementById('prevSlideButton');
 const nextSlideButton = document.getElementById('nextSlideButton');
@@ -67,89 +86,68 @@ const slideshowContainer = document.getElementById('slideshowContainer');
 const exitPrompt = document.getElementById('exitPrompt');
 const confirmExitButton = document.getElementById('confirmExitButton');
 const cancelExitButton = document.getElementById('cancelExitButton');
-const generalAssetSources = [
-  './images/probe_h.png', './images/probe_v.png', './images/body2.png', './images/probe_tail_down.png',
-  './images/probe_tail_up.png', './images/probe_explanation_2.png',
-  './Echo_Images/answer/Q1_ans.png', './Echo_Images/answer/Q2_ans.png', './Echo_Images/answer/Q3_ans.png',
-  './Echo_Images/answer/Q4_ans.png', './Echo_Images/answer/Q5_ans.png',
-  './Echo_Images/tutorial/tutorial1.PNG', './Echo_Images/tutorial/tutorial2.PNG', './Echo_Images/tutorial/tutorial3.PNG',
-  './Echo_Images/tutorial/tutorial4.PNG', './Echo_Images/tutorial/tutorial5.PNG', './Echo_Images/tutorial/tutorial6.PNG',
-  './Echo_Images/tutorial/tutorial7.PNG', './Echo_Images/tutorial/tutorial8.PNG',
-  './Echo_Images/90_up_1.png', './Echo_Images/30_down_2.png', './Echo_Images/30_up_2.png',
-  './Echo_Images/90_down_3.png', './Echo_Images/90_down_4.png', './Echo_Images/300_up_2.png'
-];
-
-let assetLoadedCount = 0;
-
+const manualOrientationToggle = document.getElementById('manualOrientationToggle');
+const orientationToleranceSelect = document.getElementById('orientationToleranceSelect');
+const hideMarkersToggle = document.getElementById('hideMarkersToggle');
 function initUI() {
   loadQuestion();
   refreshRope();
-  position = 0;
+  activeView = null;
   sweepDeg = 90;
-  rotationDisplay.textContent = '3 o\'clock';
-  tailDisplay.textContent = 'Tail Down';
-  viewDisplay.textContent = '-';
+  rotationDisplay.textContent = degreesToClock(90);
+  tailDisplay.textContent = t('probe.tail.down');
+  setLiveText(viewDisplay, '-');
+}
+
+// Update a live-region display without re-announcing an unchanged value
+function setLiveText(element, text) {
+  if (element.textContent !== text) element.textContent = text;
 }
 
 // Convert degrees to clock face representation
 function degreesToClock(angle) {
   const normalized = ((angle % 360) + 360) % 360;
   const hourIndex = Math.round(normalized / 30) % 12;
-  const labels = [
-    "12 o'clock","1 o'clock","2 o'clock","3 o'clock",
-    "4 o'clock","5 o'clock","6 o'clock","7 o'clock",
-    "8 o'clock","9 o'clock","10 o'clock","11 o'clock"
-  ];
-  return labels[hourIndex];
+  return t('probe.clock', { hour: hourIndex || 12 });
 }
 
-// Preloads all ultrasound images and returns a Promise that resolves when all are loaded.
-function preloadImages() {
-  let allImageSources = [];
-
-  // General and Quiz Images
-  if (typeof generalAssetSources !== 'undefined') {
-    allImageSources = allImageSources.concat(generalAssetSources);
-  }
-  
-  if (allImageSources.length === 0) {
-    console.warn('No images found to preload. Proceeding immediately.');
-    return Promise.resolve();
+// Ray-casting test: is point {x, y} inside the polygon [[x, y], ...]?
+function isPointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    const crosses = (yi > point.y) !== (yj > point.y) &&
+      point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
   }
+  return inside;
+}
 
-  const imagesToLoadCount = allImageSources.length;
-  
-  if (imagesToLoadCount === 0) {
-    console.warn('No images to load. Proceeding immediately.');
-    return Promise.resolve();
-  }
+// Signed shortest difference (-180 to 180) to turn from angle 'from' to angle 'to'
+function angleDifference(from, to) {
+  return ((to - from) % 360 + 540) % 360 - 180;
+}
 
-  // Create an array of Promises, one for each image load operation.
-  const loadPromises = allImageSources.map(src => {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      
-      const onComplete = () => {
-        assetLoadedCount++;
-        const progress = Math.round((assetLoadedCount / imagesToLoadCount) * 100);
-        setTimeout(() => {
-          updateProgressBar(progress);
-          resolve(src);
-          console.log(`Loaded image: ${assetLoadedCount}/${imagesToLoadCount}. Progress: (${progress}%)`);
-        }, 10); // Slight delay for smoother progress bar update
-      };
-      // Resolve the promise when the image successfully loads or errors
-      img.onload = onComplete; 
-      img.onerror = () => {
-          console.warn(`Failed to load image: ${src}`);
-          resolve(src); // Resolve so a single error doesn't stop the launch
-      };
-      
-      img.src = src;
-    });
-  });
+// Build a new quiz from the question pool and show its first question
+function startQuiz() {
+  titleScreen.classList.add('hidden');
+  questionTitleScreen.classList.remove('hidden');
+  gameStarted = true;
+  currentQuestionIndex = 0;
+  resetScore();
+  selectCase(caseSelect.value);
+  quizData = buildQuiz();
+  startProgressSession(currentQuizBankTitle, quizData.length, isChallengeMode ? 'challenge' : 'quiz');
+  trackQuizStart();
+  loadQuestion();
+  saveCurrentQuiz();
+}
 
-  return Promise.all(loadPromises);
+// Enable or disable the buttons that start a quiz
+function setQuizStartEnabled(enabled) {
+  startButton.disabled = !enabled;
+  challengeButton.disabled = !enabled;
 }
 
 // Update the progress bar width based on percentage (0-100)
@@ -171,25 +169,31 @@ function hideProgressBar() {
 // Loading Screen, on DOM content loaded
 document.addEventListener('DOMContentLoaded', () => {
 
-  console.log('DOM fully loaded and parsed. Starting asset preloading.');
+  console.log('DOM fully loaded and parsed. Loading the core assets.');
   // Promise that resolves only after 1 seconds.
   const minimumTimePromise = new Promise(resolve => {
     setTimeout(resolve, 1000);
   });
 
-  // Preloading images.
-  const imageLoadPromise = preloadImages();
+  // Title screen, probe and tutorial images only; views load on demand (see assets.js).
+  const coreAssetPromise = loadCoreAssets(updateProgressBar);
+
+  // Validating the view catalog (reports problems on the title screen as its images download in the background).
+  loadViewCatalog();
 
-  // Use Promise.all() to wait for BOTH the 5-second timer AND image loading to finish.
-  Promise.all([imageLoadPromise, minimumTimePromise])
+  // Use Promise.all() to wait for the timer and the core assets.
+  Promise.all([coreAssetPromise, minimumTimePromise])
     .then(() => {
-      console.log('All assets loaded and minimum time elapsed. Launching game.');
+      console.log('Core assets loaded and minimum time elapsed. Launching game.');
 
       if (loadingScreen) { loadingScreen.classList.add('hidden'); }
 
       if (fullscreenPrompt) { fullscreenPrompt.classList.remove('hidden'); }
 
       if (titleScreen) { titleScreen.classList.remove('hidden'); }
+
+      // The rest of the simulator is saved for offline use once the core assets are in (see offline.js).
+      prepareOfflineUse();
     })
     .catch(error => {
       console.error('An unexpected error occurred during preloading:', error);
@@ -221,12 +225,15 @@ document.addEventListener('fullscreenchange', () => {
 
 // Start Quiz
 startButton.addEventListener('click', () => {
-  titleScreen.classList.add('hidden');
-  questionTitleScreen.classList.remove('hidden');
-  gameStarted = true;
-  currentQuestionIndex = 0;
-  score = 0;
-  loadQuestion();
+  isChallengeMode = false;
+  startQuiz();
+});
+
+// Start Timed Challenge
+challengeButton.addEventListener('click', () => {
+  isChallengeMode = true;
+  challengeTotalTimeMs = 0;
+  startQuiz();
 });
 
 // Enter sandbox mode
@@ -237,6 +244,8 @@ sandBoxButton.addEventListener('click', () => {
   partContainer.classList.remove('hidden');
   isSimulatorActive = false;
   isSandBoxActive = true;
+  leaveChallengeMode();
+  selectCase(caseSelect.value);
   initUI();
   updateImagePreview();
   loadQuestion();
@@ -251,6 +260,9 @@ continueButton.addEventListener('click', () => {
   initUI();
   updateImagePreview();
   loadQuestion();
+  startQuestionTimer();
+  startChallengeTimer();
+  saveCurrentQuiz();
 });
 
 // Enter exit prompt
@@ -261,18 +273,23 @@ exitButton.addEventListener('click', () => {
 
 // Confirm exit to title screen
 confirmExitButton.addEventListener('click', () => {
-  // Reset to title screen
+  // Reset to title screen (the quiz is kept so it can be resumed)
+  saveCurrentQuiz();
+  leaveChallengeMode();
+  if (gameStarted && !isSandBoxActive) trackQuizExit();
+  currentSessionId = null;
   isSimulatorActive = false;
   isSandBoxActive = false;
   gameStarted = false;
   currentQuestionIndex = 0;
-  score = 0;
+  resetScore();
   container.classList.add('hidden');
   titleScreen.classList.remove('hidden');
   questionArea.classList.remove('hidden');
   partContainer.classList.add('hidden');
   exitPrompt.classList.add('hidden');
   containerOverlay.classList.add('hidden');
+  updateResumeButton();
 });
 
 // Cancel exit prompt
@@ -284,9 +301,9 @@ cancelExitButton.addEventListener('click', () => {
 // Restart quiz
 restartButton.addEventListener('click', () => {
   currentQuestionIndex = 0;
-  score = 0;
+  resetScore();
   sweepDeg = 90;
-  position = 0;
+  activeView = null;
   tailPosition = 'down';
   currentViewIndex = 0;
   lastCellPos = null;
@@ -303,4 +320,21 @@ restartButton.addEventListener('click', () => {
   
   loadQuestion();
   updateRope();
-}); 
\ No newline at end of file
+}); 
+
+// Manual probe orientation setting
+manualOrientationToggle.addEventListener('change', () => {
+  isManualOrientation = manualOrientationToggle.checked;
+  orientationToleranceSelect.disabled = !isManualOrientation;
+  applyOrientationMode();
+});
+
+// Tolerance (in degrees) for matching a view in manual orientation mode
+orientationToleranceSelect.addEventListener('change', () => {
+  orientationTolerance = +orientationToleranceSelect.value;
+});
+
+// Hide hotspot markers in quiz mode (structures must be found unaided)
+hideMarkersToggle.addEventListener('change', () => {
+  hideQuizMarkers = hideMarkersToggle.checked;
+});
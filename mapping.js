@@ -0,0 +1,126 @@
+/**
+ * -----------------------------------------------------------------------------
+ * CONTINUOUS PROBE-TO-IMAGE MAPPING
+ * -----------------------------------------------------------------------------
+ * This script turns the probe's position and angle into an image quality instead of
+ * a yes/no "inside the drop zone" test. The probe is matched to the nearest zone
+ * within `captureRadius` (in zone radii), and the image degrades gradually as the
+ * probe drifts from the zone center or (in manual orientation mode) from the view's
+ * angle, so trainees learn to fine-tune the probe rather than just hit a box.
+ *
+ * MAPPING:
+ * - On-axis: the probe center is on the zone and the angle is within `orientationTolerance`.
+ * The view is shown with its hotspots; quality falls from 1 (zone center, exact angle)
+ * to 0.5 at the zone edge / tolerance limit and shows as blur and lost contrast.
+ * - Off-axis: up to `captureRadius` from the zone, or up to `offAxisAngleRange` degrees beyond
+ * the tolerance. The view's `offAxis` image (e.g., a foreshortened A4C) is shown if it declares
+ * one, otherwise its own image, further degraded; hotspots cannot be selected until the probe is fine-tuned.
+ * - Between two views of a zone (manual orientation), the next-nearest view is blended in,
+ * weighted by how close the probe's angle is to it.
+ *
+ * FUNCTIONS:
+ * - findProbeZone(x, y, maxDistance): The nearest drop zone to a point and its distance in zone radii,
+ * or null beyond 'maxDistance' (default `captureRadius`).
+ * - findNearestViews(views, angle, tail): The views with the probe's tail, nearest angle first ({ index, error }).
+ * - getPositionQuality(distance), getAngleQuality(error): Image quality (0-1) for a position / angle error.
+ * - getBlendWeight(nearest, next): Opacity of the next-nearest view blended over the nearest.
+ * - applyImageQuality(media, quality): Blurs and dims an image for the given quality.
+ * - createBlendLayer(view, weight): Image of a neighbouring view laid over the shown view.
+ * - showOffAxisImage(view, quality): Shows a view's off-axis image without hotspots.
+ *
+ * GLOBAL VARIABLES (State):
+ * - captureRadius, sweetSpotRadius: Distances (in zone radii) where the image is lost / starts to degrade.
+ * - offAxisAngleRange: Degrees beyond the tolerance where an off-axis image is still shown.
+ * - currentImageQuality: (number) Quality of the image on screen (0 when none is shown).
+ * - isOffAxis: (boolean) True while an off-axis image is shown.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - cells, orientationTolerance (loadquestions.js), imagePanel, viewDisplay, angleDifference(), setLiveText() (main.js)
+ * - getMachineFilter(), attachMachineDisplay() (machine.js), getViewImageSource() (assets.js)
+ * - t(), translateName(), getViewName() (i18n.js): Off-axis names (translated under `viewLabels.<id>.offAxis`).
+**/
+
+const captureRadius = 1.75;      // Zone radii from the center where the image is lost
+const sweetSpotRadius = 0.35;    // Zone radii from the center with a perfect image
+const offAxisAngleRange = 30;    // Degrees beyond the tolerance with an off-axis image
+
+let currentImageQuality = 0;
+let isOffAxis = false;
+
+// Nearest drop zone to a point, with the distance in zone radii (0 = center, 1 = edge)
+function findProbeZone(x, y, maxDistance = captureRadius) {
+  let nearest = null;
+
+  cells.forEach(cell => {
+    const b = cell.getBoundingClientRect();
+    const radius = Math.max(b.width, b.height) / 2 || 1;
+    const distance = Math.hypot(x - (b.left + b.width / 2), y - (b.top + b.height / 2)) / radius;
+    if (!nearest || distance < nearest.distance) {
+      nearest = { pos: +cell.dataset.pos, distance };
+    }
+  });
+
+  return nearest && nearest.distance <= maxDistance ? nearest : null;
+}
+
+// Views with the probe's tail, nearest angle first
+function findNearestViews(views, angle, tail) {
+  return views
+    .map((v, index) => ({ index, error: Math.abs(angleDifference(angle, v.angle)), tail: v.tail }))
+    .filter(v => v.tail === tail)
+    .sort((a, b) => a.error - b.error);
+}
+
+// 1 inside the sweet spot, 0.5 at the zone edge, 0 at the capture radius
+function getPositionQuality(distance) {
+  if (distance <= sweetSpotRadius) return 1;
+  if (distance <= 1) return 1 - 0.5 * (distance - sweetSpotRadius) / (1 - sweetSpotRadius);
+  return Math.max(0, 0.5 * (1 - (distance - 1) / (captureRadius - 1)));
+}
+
+// 1 at the view's angle, 0.5 at the tolerance limit, 0 at the end of the off-axis range
+function getAngleQuality(error) {
+  if (error <= orientationTolerance) return 1 - 0.5 * error / orientationTolerance;
+  return Math.max(0, 0.5 * (1 - (error - orientationTolerance) / offAxisAngleRange));
+}
+
+// Opacity of the next-nearest view: 0 on the nearest view's angle, 0.5 halfway between the two
+function getBlendWeight(nearest, next) {
+  const total = nearest.error + next.error;
+  return total ? nearest.error / total : 0;
+}
+
+// Blur and dim an image as its quality drops (on top of the machine's gain / dynamic range)
+function applyImageQuality(media, quality) {
+  const loss = 1 - quality;
+  const degraded = loss > 0.01
+    ? `blur(${(loss * 3).toFixed(1)}px) contrast(${(1 - loss * 0.6).toFixed(2)}) brightness(${(1 - loss * 0.4).toFixed(2)}) `
+    : '';
+  media.style.filter = degraded + getMachineFilter();
+}
+
+// Neighbouring view laid over the shown one (manual orientation, between two views)
+function createBlendLayer(view, weight) {
+  const layer = document.createElement('img');
+  layer.className = 'blend-layer';
+  layer.src = getViewImageSource(view);
+  layer.alt = '';
+  layer.style.opacity = weight.toFixed(2);
+  return layer;
+}
+
+// Off-axis image of a view: no hotspots until the probe is fine-tuned
+function showOffAxisImage(view, quality) {
+  const img = document.createElement('img');
+  img.src = view.offAxis ? view.offAxis.image : getViewImageSource(view);
+  img.alt = view.offAxis
+    ? translateName(`viewLabels.${view.id}.offAxis`, view.offAxis.name)
+    : t('mapping.offAxisName', { view: getViewName(view) });
+  applyImageQuality(attachMachineDisplay(imagePanel, img, null), quality);
+
+  const note = document.createElement('span');
+  note.className = 'off-axis-note';
+  note.textContent = t('mapping.offAxisNote');
+  imagePanel.appendChild(note);
+  setLiveText(viewDisplay, img.alt);
+}
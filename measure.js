@@ -0,0 +1,293 @@
+/**
+ * -----------------------------------------------------------------------------
+ * MEASUREMENT TOOLS
+ * -----------------------------------------------------------------------------
+ * This script adds the measurement tools of an echo machine to `#imageDisplay`:
+ * linear calipers (drag from one edge to the other) and freehand area tracing (drag
+ * around the structure; the trace is closed when the button is released). Measurements
+ * are converted to cm / cm² with the view's `pixelsPerCm` calibration (imagedata.js),
+ * so they stay correct at any depth or zoom.
+ *
+ * MEASUREMENT QUESTIONS:
+ * A quiz question may ask for a measurement instead of a structure:
+ *   { "question": "Obtain the PLAX view and measure the LV internal diameter.", "key": "300_up",
+ *     "correctPosition": 2,
+ *     "measurement": { "type": "distance", "label": "LV internal diameter", "reference": 3.7, "tolerance": 0.5 } }
+ * `type` is "distance" (cm) or "area" (cm²). The user measures on the view and presses 'Submit
+ * Measurement'; the last measurement of that type is scored against `reference` ± `tolerance`
+ * (see scoreMeasurement() in scoring.js).
+ *
+ * FUNCTIONS:
+ * - setMeasureTool(tool): Turns the caliper ('distance'), the area tracer ('area') or neither (null) on.
+ * - addMeasureOverlay(panel): Adds the drawing layer to the image panel (called by updateImagePreview()).
+ * - clearMeasurements(): Removes all measurements.
+ * - getImageScale(): cm per screen pixel of the image panel for the current view, or null without a calibration.
+ * - measureDistance(points) / measureArea(points): Length (cm) of a caliper / area (cm², shoelace formula) of a trace.
+ * - getPanelPoint(e): Image point (% of the panel, as hotspots) under the pointer.
+ * - finishMeasurement(): Stores the measurement being drawn when the pointer is released.
+ * - renderMeasurements(): Redraws the measurements and lists their values.
+ * - formatMeasurement(value, type): "3.8 cm" / "12.4 cm²".
+ * - getMeasurementQuestion(): The measurement the current quiz question asks for, or null.
+ * - getLatestMeasurement(type): The last measurement of a type on the current view.
+ * - updateMeasureTools(): Shows the tools' state and the 'Submit Measurement' button.
+ * - submitMeasurement(): Scores the last measurement against the question's reference value.
+ *
+ * EVENT LISTENERS:
+ * - caliperToolButton, areaToolButton, clearMeasurementsButton, submitMeasurementButton (click).
+ * - Drawing layer (pointerdown / pointermove / pointerup): Draws a caliper or trace.
+ * - document (keydown): Escape turns the tool off.
+ *
+ * GLOBAL VARIABLES (State & Elements):
+ * - measureTool: 'distance', 'area' or null.
+ * - measurements: [{ type, points: [{ x, y }], value }], points in image % like hotspots.
+ * - measureDraft: The measurement being drawn.
+ * - measureView: The view the measurements were taken on (they are cleared when the view changes).
+ * - measureOverlay: The SVG drawing layer in the image panel.
+ * - measurementUnits: Unit of each measurement type.
+ * - caliperToolButton, areaToolButton, clearMeasurementsButton, submitMeasurementButton, measurementList: Toolbar elements.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - imagePanel (main.js), activeView, lastCellPos, isSandBoxActive, isFeedbackActive, currentQuestionIndex,
+ * createRegionOverlay(), finishQuizAnswer() (loadquestions.js), quizData (imagedata.js)
+ * - machineSource, getImageRect(), toImagePoint() (machine.js), isOffAxis (mapping.js), pauseCine() (cine.js)
+ * - scoreMeasurement() (scoring.js), stopChallengeTimer() (challenge.js)
+ * - t(), localizeText(), getTextId() (i18n.js): The label may be given per locale; answers are recorded in English.
+**/
+
+const caliperToolButton = document.getElementById('caliperToolButton');
+const areaToolButton = document.getElementById('areaToolButton');
+const clearMeasurementsButton = document.getElementById('clearMeasurementsButton');
+const submitMeasurementButton = document.getElementById('submitMeasurementButton');
+const measurementList = document.getElementById('measurementList');
+const measurementUnits = { distance: 'cm', area: 'cm²' };
+
+let measureTool = null;
+let measurements = [];
+let measureDraft = null;
+let measureView = null;
+let measureOverlay = null;
+
+// cm per screen pixel of the panel: the image is scaled to fit the panel, then by the view's calibration
+function getImageScale() {
+  // The calibration is in pixels of the full image, not of its low-resolution preview (see assets.js)
+  if (!activeView || !activeView.pixelsPerCm || !machineSource || machineSource.dataset.placeholder) return null;
+
+  const width = imagePanel.clientWidth;
+  const height = imagePanel.clientHeight;
+  const sourceWidth = machineSource.naturalWidth || machineSource.videoWidth;
+  const sourceHeight = machineSource.naturalHeight || machineSource.videoHeight;
+  if (!width || !height || !sourceWidth || !sourceHeight) return null;
+
+  const rect = getImageRect(width, height, sourceWidth, sourceHeight);
+  return sourceWidth / rect.width / activeView.pixelsPerCm;
+}
+
+// Points (% of the panel) -> screen pixels of the panel
+function toPanelPixels(points) {
+  return points.map(p => ({ x: p.x / 100 * imagePanel.clientWidth, y: p.y / 100 * imagePanel.clientHeight }));
+}
+
+// Length of a caliper in cm
+function measureDistance(points) {
+  const scale = getImageScale();
+  if (!scale) return null;
+  const [a, b] = toPanelPixels(points);
+  return Math.hypot(b.x - a.x, b.y - a.y) * scale;
+}
+
+// Area of a closed trace in cm² (shoelace formula)
+function measureArea(points) {
+  const scale = getImageScale();
+  if (!scale) return null;
+  const pixels = toPanelPixels(points);
+  const twiceArea = pixels.reduce((sum, p, i) => {
+    const next = pixels[(i + 1) % pixels.length];
+    return sum + p.x * next.y - next.x * p.y;
+  }, 0);
+  return Math.abs(twiceArea) / 2 * scale * scale;
+}
+
+// "3.8 cm" / "12.4 cm²"
+function formatMeasurement(value, type) {
+  return `${value.toFixed(1)} ${measurementUnits[type]}`;
+}
+
+// Image point under the pointer (the same coordinates as hotspots, through the depth / zoom window)
+function getPanelPoint(e) {
+  const rect = imagePanel.getBoundingClientRect();
+  return toImagePoint((e.clientX - rect.left) / rect.width * 100, (e.clientY - rect.top) / rect.height * 100);
+}
+
+// Turn a tool on ('distance' / 'area') or off (null)
+function setMeasureTool(tool) {
+  measureTool = tool;
+  measureDraft = null;
+  updateMeasureTools();
+  renderMeasurements();
+}
+
+// Remove all measurements
+function clearMeasurements() {
+  measurements = [];
+  measureDraft = null;
+  renderMeasurements();
+  updateMeasureTools();
+}
+
+// Drawing layer over the image (re-added every time the panel is redrawn)
+function addMeasureOverlay(panel) {
+  // Measurements belong to the view they were taken on
+  if (measureView !== activeView) {
+    measureView = activeView;
+    measurements = [];
+    measureDraft = null;
+  }
+
+  measureOverlay = createRegionOverlay();
+  measureOverlay.setAttribute('class', 'region-overlay measure-overlay');
+
+  measureOverlay.addEventListener('pointerdown', (e) => {
+    if (!measureTool || e.button !== 0) return;
+    e.preventDefault();
+    const point = getPanelPoint(e);
+    measureDraft = { type: measureTool, points: measureTool === 'distance' ? [point, point] : [point] };
+    if (e.currentTarget.setPointerCapture) e.currentTarget.setPointerCapture(e.pointerId);
+    renderMeasurements();
+  });
+
+  measureOverlay.addEventListener('pointermove', (e) => {
+    if (!measureDraft) return;
+    const point = getPanelPoint(e);
+    if (measureDraft.type === 'distance') {
+      measureDraft.points[1] = point;
+    } else {
+      // Skip points closer than 0.5% to the last one to keep the trace light
+      const last = measureDraft.points[measureDraft.points.length - 1];
+      if (Math.hypot(point.x - last.x, point.y - last.y) < 0.5) return;
+      measureDraft.points.push(point);
+    }
+    renderMeasurements();
+  });
+
+  measureOverlay.addEventListener('pointerup', finishMeasurement);
+  measureOverlay.addEventListener('pointercancel', () => {
+    measureDraft = null;
+    renderMeasurements();
+  });
+
+  panel.appendChild(measureOverlay);
+  renderMeasurements();
+  updateMeasureTools();
+}
+
+// Keep the caliper / trace being drawn if it measures something
+function finishMeasurement() {
+  if (!measureDraft) return;
+  const draft = measureDraft;
+  measureDraft = null;
+
+  const value = draft.type === 'distance' ? measureDistance(draft.points) : measureArea(draft.points);
+  if (value && (draft.type === 'distance' || draft.points.length >= 3)) {
+    measurements.push({ ...draft, value });
+  }
+  renderMeasurements();
+  updateMeasureTools();
+}
+
+// Draw the measurements (and the one being drawn) and list their values
+function renderMeasurements() {
+  if (measureOverlay) {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    measureOverlay.innerHTML = '';
+    measureOverlay.classList.toggle('measuring', !!measureTool);
+
+    const shapes = measureDraft ? measurements.concat(measureDraft) : measurements;
+    shapes.forEach(m => {
+      const points = m.points.map(p => `${p.x},${p.y}`).join(' ');
+      const shape = document.createElementNS(svgNs, m.type === 'area' && m !== measureDraft ? 'polygon' : 'polyline');
+      shape.setAttribute('points', points);
+      shape.setAttribute('class', `measure-shape measure-${m.type}`);
+      measureOverlay.appendChild(shape);
+
+      // Caliper end marks
+      if (m.type === 'distance') {
+        m.points.forEach(p => {
+          const mark = document.createElementNS(svgNs, 'path');
+          mark.setAttribute('d', `M ${p.x} ${p.y} l 0 0`);
+          mark.setAttribute('class', 'measure-mark');
+          measureOverlay.appendChild(mark);
+        });
+      }
+    });
+  }
+
+  measurementList.innerHTML = '';
+  measurements.forEach((m, i) => {
+    const item = document.createElement('li');
+    item.textContent = `${t(`measure.short.${m.type}`)}${i + 1}: ${formatMeasurement(m.value, m.type)}`;
+    measurementList.appendChild(item);
+  });
+}
+
+// Measurement asked by the current quiz question (null in Sandbox Mode or for structure questions)
+function getMeasurementQuestion() {
+  if (isSandBoxActive) return null;
+  const qData = quizData[currentQuestionIndex];
+  return qData && qData.measurement ? qData.measurement : null;
+}
+
+// Last measurement of a type taken on the view on screen
+function getLatestMeasurement(type) {
+  if (measureView !== activeView) return null;
+  return measurements.filter(m => m.type === type).pop() || null;
+}
+
+// Tool buttons, 'Clear' and 'Submit Measurement'
+function updateMeasureTools() {
+  const calibrated = !!(activeView && activeView.pixelsPerCm);
+  [[caliperToolButton, 'distance'], [areaToolButton, 'area']].forEach(([button, tool]) => {
+    button.disabled = !calibrated;
+    button.setAttribute('aria-pressed', String(measureTool === tool));
+  });
+  clearMeasurementsButton.disabled = !measurements.length;
+
+  const asked = getMeasurementQuestion();
+  submitMeasurementButton.classList.toggle('hidden', !asked);
+  submitMeasurementButton.disabled = !asked || isFeedbackActive || !getLatestMeasurement(asked.type);
+  if (asked) submitMeasurementButton.textContent = t('measure.submit', { label: localizeText(asked.label) });
+}
+
+// Score the last measurement of the asked type, like a hotspot answer
+function submitMeasurement() {
+  const asked = getMeasurementQuestion();
+  const measurement = asked && getLatestMeasurement(asked.type);
+  // Only while the view it was taken on is on screen (not off-axis)
+  if (!measurement || isFeedbackActive || isOffAxis || !measureOverlay || !measureOverlay.isConnected) return;
+
+  const qData = quizData[currentQuestionIndex];
+  pauseCine();
+
+  const result = scoreMeasurement(qData, lastCellPos, activeView, measurement.value, stopChallengeTimer());
+  setMeasureTool(null);
+  finishQuizAnswer(qData, result, lastCellPos, activeView, `${getTextId(asked.label)} ${formatMeasurement(measurement.value, asked.type)}`);
+  updateMeasureTools();
+}
+
+// Toolbar
+caliperToolButton.addEventListener('click', () => {
+  setMeasureTool(measureTool === 'distance' ? null : 'distance');
+});
+
+areaToolButton.addEventListener('click', () => {
+  setMeasureTool(measureTool === 'area' ? null : 'area');
+});
+
+clearMeasurementsButton.addEventListener('click', clearMeasurements);
+submitMeasurementButton.addEventListener('click', submitMeasurement);
+
+// Escape puts the tool down
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && measureTool) setMeasureTool(null);
+});
+
+updateMeasureTools();
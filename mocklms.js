@@ -0,0 +1,236 @@
+/**
+ * -----------------------------------------------------------------------------
+ * MOCK LMS
+ * -----------------------------------------------------------------------------
+ * This script is a local stand-in for a learning management system, used to check the
+ * tracking of lms.js without a real LMS. mock-lms.html launches the simulator in a frame
+ * with one of three runtimes, and lists every call it receives:
+ * - SCORM 2004 / SCORM 1.2: an `API_1484_11` / `API` object on this window, as an LMS provides.
+ * It keeps the data model in memory and rejects calls made before Initialize or after
+ * Terminate, values outside the SCORM vocabularies and badly formatted times (shown in red).
+ * - xAPI: the simulator is launched with an LRS endpoint (`mockLrsEndpoint`) whose requests never
+ * leave the page: the frame's fetch() is wrapped so the statements are checked and listed here.
+ *
+ * FUNCTIONS:
+ * - logMock(text, isError): Adds a line to the log.
+ * - renderMockDataModel(): Shows the SCORM data model.
+ * - checkScormValue(version, element, value): Returns why a value is invalid ('' if it is valid).
+ * - createMockScormApi(version): The runtime's API object for SCORM 1.2 or 2004.
+ * - handleMockStatements(statements): Checks and logs the statements of an LRS request.
+ * - attachMockLrs(): Wraps the frame's fetch() so requests to the LRS endpoint are answered here.
+ * - launchMockLms(): Installs the selected runtime and (re)loads the simulator.
+ *
+ * EVENT LISTENERS:
+ * - mockLaunchButton (click): Launches the simulator.
+ * - mockClearButton (click): Clears the log.
+ * - mockLmsFrame (load): Connects the LRS stand-in to the simulator.
+ *
+ * GLOBAL VARIABLES (State & Elements):
+ * - mockLrsEndpoint: LRS endpoint given to the simulator in xAPI mode.
+ * - scormVocabularies, scormTimeFormats: Allowed values and time formats of the checked elements.
+ * - mockDataModel: (Object) SCORM element -> value.
+ * - mockRuntime: Runtime of the current launch ('2004', '1.2' or 'xapi').
+ * - mockRuntimeSelect, mockPassingInput, mockLaunchButton, mockClearButton, mockLmsFrame, mockLog, mockDataModelView: Page elements.
+**/
+
+const mockRuntimeSelect = document.getElementById('mockRuntimeSelect');
+const mockPassingInput = document.getElementById('mockPassingInput');
+const mockLaunchButton = document.getElementById('mockLaunchButton');
+const mockClearButton = document.getElementById('mockClearButton');
+const mockLmsFrame = document.getElementById('mockLmsFrame');
+const mockLog = document.getElementById('mockLog');
+const mockDataModelView = document.getElementById('mockDataModel');
+
+const mockLrsEndpoint = 'https://mock-lrs.invalid/xapi/';
+
+const scormVocabularies = {
+  '1.2': {
+    'cmi.core.lesson_status': ['passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted'],
+    'cmi.core.exit': ['time-out', 'suspend', 'logout', ''],
+    'type': ['true-false', 'choice', 'fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric'],
+    'result': ['correct', 'wrong', 'unanticipated', 'neutral']
+  },
+  '2004': {
+    'cmi.completion_status': ['completed', 'incomplete', 'not attempted', 'unknown'],
+    'cmi.success_status': ['passed', 'failed', 'unknown'],
+    'cmi.exit': ['time-out', 'suspend', 'logout', 'normal', ''],
+    'type': ['true-false', 'choice', 'fill-in', 'long-fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric', 'other'],
+    'result': ['correct', 'incorrect', 'unanticipated', 'neutral']
+  }
+};
+
+const scormTimeFormats = {
+  '1.2': /^\d{2,4}:\d{2}:\d{2}(\.\d{1,2})?$/,
+  '2004': /^P(\d+Y)?(\d+M)?(\d+D)?(T(\d+H)?(\d+M)?(\d+(\.\d{1,2})?S)?)?$/
+};
+
+let mockDataModel = {};
+let mockRuntime = null;
+
+function logMock(text, isError = false) {
+  const item = document.createElement('li');
+  item.textContent = text;
+  if (isError) item.className = 'mock-error';
+  mockLog.appendChild(item);
+  item.scrollIntoView({ block: 'nearest' });
+}
+
+function renderMockDataModel() {
+  const sorted = {};
+  Object.keys(mockDataModel).sort().forEach(key => { sorted[key] = mockDataModel[key]; });
+  mockDataModelView.textContent = JSON.stringify(sorted, null, 2);
+}
+
+// Why a value is not allowed for an element ('' if it is)
+function checkScormValue(version, element, value) {
+  const vocabularies = scormVocabularies[version];
+  const field = element.replace(/^cmi\.interactions\.\d+\./, '');
+  const allowed = vocabularies[element] || (field !== element ? vocabularies[field] : null);
+  if (allowed && !allowed.includes(value)) return `"${value}" is not one of ${allowed.join(', ')}`;
+
+  if (/(session_time|latency)$/.test(element) && !scormTimeFormats[version].test(value)) {
+    return `"${value}" is not a SCORM ${version} time interval`;
+  }
+  if (/score\.(raw|min|max|scaled)$/.test(element) && Number.isNaN(parseFloat(value))) {
+    return `"${value}" is not a number`;
+  }
+  if (version === '1.2' && field === 'student_response' && value.length > 255) {
+    return 'student_response is longer than 255 characters';
+  }
+  return '';
+}
+
+// SCORM runtime API: SCORM 1.2 names its methods LMSInitialize, LMSGetValue...; SCORM 2004 Initialize, GetValue...
+function createMockScormApi(version) {
+  const prefix = version === '1.2' ? 'LMS' : '';
+  const terminateName = version === '1.2' ? 'Finish' : 'Terminate';
+  let state = 'not initialized';
+  let lastError = '0';
+
+  const record = (method, args, result, problem) => {
+    lastError = problem ? '101' : '0';
+    logMock(`${prefix}${method}(${args.map(arg => JSON.stringify(arg)).join(', ')}) → "${result}"${problem ? ` — ${problem}` : ''}`, !!problem);
+    renderMockDataModel();
+    return result;
+  };
+  const whenRunning = (method, args, action) => state === 'running'
+    ? action()
+    : record(method, args, method === 'GetValue' ? '' : 'false', `called while ${state}`);
+
+  const passing = mockPassingInput.value === '' ? '' : Number(mockPassingInput.value);
+  mockDataModel = version === '1.2'
+    ? { 'cmi.core.lesson_status': 'not attempted', 'cmi.core.student_name': 'Student, Mock', 'cmi.student_data.mastery_score': String(passing) }
+    : { 'cmi.completion_status': 'not attempted', 'cmi.success_status': 'unknown', 'cmi.learner_name': 'Mock Student',
+      'cmi.scaled_passing_score': passing === '' ? '' : String(passing / 100) };
+
+  const api = {
+    Initialize(arg) {
+      if (state !== 'not initialized') return record('Initialize', [arg], 'false', 'already initialized');
+      state = 'running';
+      return record('Initialize', [arg], 'true');
+    },
+    Terminate(arg) {
+      return whenRunning(terminateName, [arg], () => {
+        state = 'terminated';
+        return record(terminateName, [arg], 'true');
+      });
+    },
+    GetValue(element) {
+      return whenRunning('GetValue', [element], () => {
+        if (element === 'cmi.interactions._count') {
+          const indexes = Object.keys(mockDataModel)
+            .map(key => key.match(/^cmi\.interactions\.(\d+)\./))
+            .filter(Boolean)
+            .map(match => Number(match[1]));
+          return record('GetValue', [element], String(indexes.length ? Math.max(...indexes) + 1 : 0));
+        }
+        return record('GetValue', [element], mockDataModel[element] ?? '');
+      });
+    },
+    SetValue(element, value) {
+      return whenRunning('SetValue', [element, value], () => {
+        const problem = checkScormValue(version, element, String(value));
+        if (!problem) mockDataModel[element] = String(value);
+        return record('SetValue', [element, value], problem ? 'false' : 'true', problem);
+      });
+    },
+    Commit(arg) {
+      return whenRunning('Commit', [arg], () => record('Commit', [arg], 'true'));
+    },
+    GetLastError() { return lastError; },
+    GetErrorString(code) { return code === '0' ? 'No error' : 'General exception'; },
+    GetDiagnostic(code) { return this.GetErrorString(code); }
+  };
+
+  if (version === '2004') return api;
+  return {
+    LMSInitialize: api.Initialize, LMSFinish: api.Terminate, LMSGetValue: api.GetValue, LMSSetValue: api.SetValue,
+    LMSCommit: api.Commit, LMSGetLastError: api.GetLastError, LMSGetErrorString: api.GetErrorString,
+    LMSGetDiagnostic: code => api.GetErrorString(code)
+  };
+}
+
+// Check the required parts of each statement and list it
+function handleMockStatements(statements) {
+  [].concat(statements).forEach(statement => {
+    const missing = ['actor', 'verb', 'object'].filter(part => !statement[part]);
+    const verb = statement.verb && statement.verb.display ? statement.verb.display['en-US'] : statement.verb && statement.verb.id;
+    const object = statement.object && statement.object.id;
+    const result = statement.result ? ` ${JSON.stringify(statement.result)}` : '';
+    logMock(`xAPI ${verb} ${object}${result}${missing.length ? ` — missing ${missing.join(', ')}` : ''}`, !!missing.length);
+  });
+}
+
+// Requests to the LRS endpoint are answered here instead of going to the network
+function attachMockLrs() {
+  const frameWindow = mockLmsFrame.contentWindow;
+  if (mockRuntime !== 'xapi' || !frameWindow || frameWindow.location.href === 'about:blank') return;
+
+  const networkFetch = frameWindow.fetch.bind(frameWindow);
+  frameWindow.fetch = (input, options = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (!url.startsWith(mockLrsEndpoint)) return networkFetch(input, options);
+
+    const headers = options.headers || {};
+    if (!headers['X-Experience-API-Version']) logMock('xAPI request without X-Experience-API-Version header', true);
+    try {
+      const statements = JSON.parse(options.body);
+      handleMockStatements(statements);
+      return Promise.resolve(new Response(JSON.stringify([].concat(statements).map((s, i) => `mock-${Date.now()}-${i}`)),
+        { status: 200, headers: { 'Content-Type': 'application/json' } }));
+    } catch (error) {
+      logMock(`xAPI request is not valid JSON (${error.message})`, true);
+      return Promise.resolve(new Response('', { status: 400 }));
+    }
+  };
+}
+
+// Install the selected runtime and (re)load the simulator
+function launchMockLms() {
+  delete window.API;
+  delete window.API_1484_11;
+  mockDataModel = {};
+  mockRuntime = mockRuntimeSelect.value;
+
+  const params = new URLSearchParams({ launch: Date.now() });
+  if (mockRuntime === 'xapi') {
+    params.set('endpoint', mockLrsEndpoint);
+    params.set('auth', `Basic ${btoa('mock:mock')}`);
+    params.set('actor', JSON.stringify({ objectType: 'Agent', name: 'Mock Student', mbox: 'mailto:mock.student@example.org' }));
+    params.set('registration', crypto.randomUUID ? crypto.randomUUID() : '00000000-0000-4000-8000-000000000000');
+  } else {
+    window[mockRuntime === '2004' ? 'API_1484_11' : 'API'] = createMockScormApi(mockRuntime);
+  }
+
+  renderMockDataModel();
+  logMock(`Launching with ${mockRuntimeSelect.selectedOptions[0].textContent}`);
+  mockLmsFrame.src = `index.html?${params}`;
+}
+
+mockLaunchButton.addEventListener('click', launchMockLms);
+
+mockClearButton.addEventListener('click', () => {
+  mockLog.innerHTML = '';
+});
+
+mockLmsFrame.addEventListener('load', attachMockLrs);
@@ -0,0 +1,169 @@
+/**
+ * -----------------------------------------------------------------------------
+ * OFFLINE USE (PROGRESSIVE WEB APP)
+ * -----------------------------------------------------------------------------
+ * This script makes the simulator installable and usable without a network. It registers
+ * the service worker (sw.js) and sends it the list of every file the simulator uses: the
+ * page, its scripts and stylesheets, the manifest and icons, the quiz banks and all images
+ * of the view catalog, the patient cases and the quiz banks. The worker stores them, and the
+ * loading and title screens show its progress, then "Ready for offline use".
+ *
+ * CACHE VERSION:
+ * `echosim-<offlineCacheVersion>-<hash>`, where the hash covers the file list and the content
+ * of the quiz banks. Adding or changing a quiz bank, or adding, removing or renaming an image,
+ * changes the version, and the worker replaces the old cache once the new one is complete.
+ * Bump `offlineCacheVersion` when files are replaced under the same name (e.g., a re-exported
+ * image) so that everything is downloaded again.
+ *
+ * Service workers only run on pages served over HTTP(S) (or localhost), not from file://.
+ *
+ * FUNCTIONS:
+ * - setOfflineStatus(key, params): Shows the offline status (a message key of i18n.js) on the loading and title screens.
+ * - hashString(text): Short hexadecimal hash of a text (FNV-1a).
+ * - fetchText(url): Resolves with the text of a file ('' if it cannot be fetched).
+ * - getQuizBankFiles(): Resolves with { url: text } for the listed and requested quiz banks and their index.
+ * - getOfflineAssets(): Resolves with { version, urls }: every file to cache and the cache version.
+ * - prepareOfflineUse(): Registers the service worker and asks it to cache the current version.
+ *
+ * EVENT LISTENERS:
+ * - navigator.serviceWorker (message): Shows the caching progress reported by the worker.
+ * - document (localechange): Shows the status again in the new language.
+ *
+ * GLOBAL VARIABLES (State & Elements):
+ * - offlineCacheVersion: Bumped by hand to discard every cached file.
+ * - offlineStatusElements: Status lines on the loading and title screens.
+ * - requestedOfflineVersion: Version sent to the worker (its messages about other versions are ignored).
+ * - offlineStatus: { key, params } of the status shown (null before any).
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - normalizeAssetUrl(), getCoreAssetSources(), getViewAssetSources() (assets.js)
+ * - viewCatalog, caseLibrary, defaultQuizBank (imagedata.js), quizBankIndexUrl, getRequestedBankUrls() (quizbank.js)
+ * - t() (i18n.js)
+**/
+
+const offlineCacheVersion = 'v1';
+const offlineStatusElements = document.querySelectorAll('.offline-status');
+
+let requestedOfflineVersion = null;
+let offlineStatus = null;
+
+// Same status on every screen that shows it
+function setOfflineStatus(key, params = {}) {
+  offlineStatus = { key, params };
+  offlineStatusElements.forEach(element => { element.textContent = t(key, params); });
+}
+
+// FNV-1a, enough to tell one file list from another
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Text of a file, or '' if it cannot be fetched (revalidated with the server, so the version follows edited banks)
+function fetchText(url) {
+  return fetch(url, { cache: 'no-cache' })
+    .then(response => (response.ok ? response.text() : ''))
+    .catch(() => '');
+}
+
+// The quiz bank index, the banks it lists and the banks requested in the URL
+function getQuizBankFiles() {
+  return fetchText(quizBankIndexUrl).then(indexText => {
+    let listed = [];
+    try {
+      listed = (JSON.parse(indexText).banks || []).map(entry => entry.file);
+    } catch (error) {
+      console.warn(`Quiz bank list not available for offline use (${error.message}).`);
+    }
+
+    const urls = [...new Set(listed.concat(getRequestedBankUrls()))];
+    return Promise.all(urls.map(fetchText)).then(texts => {
+      const files = { [quizBankIndexUrl]: indexText };
+      urls.forEach((url, i) => { if (texts[i]) files[url] = texts[i]; });
+      return files;
+    });
+  });
+}
+
+// Every file the simulator uses, and the cache version they make up
+function getOfflineAssets() {
+  const pageFiles = ['./', 'index.html', 'manifest.webmanifest']
+    .concat(Array.from(document.querySelectorAll('script[src]'), script => script.getAttribute('src')))
+    .concat(Array.from(document.querySelectorAll('link[rel="stylesheet"]'), link => link.getAttribute('href')));
+
+  const viewImages = viewCatalog
+    .concat(caseLibrary.flatMap(caseEntry => Object.values(caseEntry.views || {})))
+    .flatMap(getViewAssetSources);
+
+  return Promise.all([getQuizBankFiles(), fetchText('manifest.webmanifest')]).then(([bankFiles, manifestText]) => {
+    let icons = [];
+    try {
+      icons = (JSON.parse(manifestText).icons || []).map(icon => icon.src);
+    } catch (error) {
+      console.warn(`Manifest not available for offline use (${error.message}).`);
+    }
+
+    const bankImages = defaultQuizBank.questions.map(qData => qData.correctImage);
+    Object.values(bankFiles).forEach(text => {
+      try {
+        (JSON.parse(text).questions || []).forEach(qData => bankImages.push(qData.correctImage));
+      } catch (error) {
+        // An invalid bank is reported by quizbank.js when it is chosen
+      }
+    });
+
+    const urls = [...new Set(pageFiles
+      .concat(icons, Object.keys(bankFiles), getCoreAssetSources(), viewImages, bankImages)
+      .filter(src => typeof src === 'string' && src)
+      .map(normalizeAssetUrl))]
+      .sort();
+
+    const bankContent = Object.keys(bankFiles).sort().map(url => bankFiles[url]).join('\n');
+    return { version: `echosim-${offlineCacheVersion}-${hashString(urls.join('\n') + bankContent)}`, urls };
+  });
+}
+
+// Register the service worker and have it cache the current version of the simulator
+function prepareOfflineUse() {
+  if (!('serviceWorker' in navigator) || !window.caches) {
+    setOfflineStatus(location.protocol === 'file:'
+      ? 'offline.needsHttp'
+      : 'offline.unsupported');
+    return Promise.resolve();
+  }
+
+  setOfflineStatus('offline.preparing');
+  return navigator.serviceWorker.register('sw.js')
+    .then(() => Promise.all([navigator.serviceWorker.ready, getOfflineAssets()]))
+    .then(([registration, { version, urls }]) => {
+      requestedOfflineVersion = version;
+      registration.active.postMessage({ type: 'cache', version, urls });
+    })
+    .catch(error => {
+      console.warn('Offline use could not be set up:', error);
+      setOfflineStatus('offline.failed');
+    });
+}
+
+// Progress of the worker's caching
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('message', event => {
+    const { type, version, done, total, failed } = event.data || {};
+    if (version !== requestedOfflineVersion) return;
+
+    if (type === 'progress') {
+      setOfflineStatus('offline.saving', { percent: Math.round(done / total * 100) });
+    } else if (type === 'complete') {
+      setOfflineStatus(failed && failed.length ? 'offline.incomplete' : 'offline.ready',
+        { count: failed ? failed.length : 0 });
+    }
+  });
+}
+
+document.addEventListener('localechange', () => {
+  if (offlineStatus) setOfflineStatus(offlineStatus.key, offlineStatus.params);
+});
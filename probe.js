@@ -10,28 +10,56 @@
  * the simulation state.
  * 
  * FUNCTIONS:
- * - setProbeTailImage(tail): Updates the probe's image source based on the current 'tailPosition' (up/down).
+ * - setProbeTailImage(tail): Updates the probe's image source based on the current 'tailPosition' (up/down), 
+ * or to the active catalog view's `probeImage` when it declares one.
  * - applyProbeTransform(): Builds and applies the necessary CSS transform (rotation and scale/flip) based on current state variables (sweepDeg, tailPosition).
  * - resetProbe(): Resets the probe's state variables (sweepDeg, tailPosition) and UI display to their default values (e.g., 90 degrees/3 o'clock).
  * - getProbeCenter(probeEl): Utility function to calculate the precise center coordinates of the probe element relative to the viewport.
+ * - updateOrientationDisplays(): Writes the current rotation (clock face) and tail position to the indicators, 
+ * using the active view's `rotationLabel` / `tailLabel` when it declares them.
+ * - setProbeRotation(angle) / rotateProbe(deltaDeg): Sets or turns the probe's rotation in manual orientation mode.
+ * - toggleProbeTail(): Flips the tail between up and down in manual orientation mode.
+ * - applyOrientationMode(): Shows or hides the rotation handle and 'Flip Tail' button for the current mode.
+ * - getTwistAngle(): Angle of the line between the two touches used for two-finger rotation.
+ * - endProbeDrag(): Ends a probe drag and releases its pointer capture.
+ * - handlePointerEnd(e): Ends the drag, handle rotation or two-finger rotation the lifted pointer belonged to.
+ * 
+ * All input uses Pointer Events, so mouse, pen and touch (iPad) behave the same. The dragging pointer is
+ * captured, so the drag keeps working when it leaves `.container`, and `touch-action: none` on the body
+ * area stops the page from scrolling or zooming while the probe is moved.
  * 
  * EVENT LISTENERS:
- * - mousedown on probe: Initiates the drag operation, calculates initial offset (offsetX/Y), and changes the cursor to 'grabbing'.
- * - mousemove on document: Updates the probe's position based on mouse movement, constrains the probe within the container boundaries, and triggers updates for the rope and image preview functions.
- * - mouseup on document: Terminates the drag operation and resets the cursor.
+ * - pointerdown on probe: Initiates the drag operation, captures the pointer, calculates initial offset (offsetX/Y), and changes the cursor to 'grabbing'.
+ * - pointermove on document: Updates the probe's position based on pointer movement (or its rotation for the handle and 
+ * two-finger rotation), constrains the probe within the container boundaries, and triggers updates for the rope and image preview functions.
+ * - pointerup / pointercancel on document: Terminates the drag (or rotation) operation, resets the cursor and saves the quiz in progress.
+ * - pointerdown on probeRotateHandle: Starts rotating the probe around its center (manual orientation mode).
+ * - pointerdown on bodyArea: Tracks touches; a second finger starts two-finger rotation (manual orientation mode).
+ * - wheel on probe: Rotates the probe by 'rotationStep' degrees per notch (manual orientation mode).
+ * - keydown on document: Q / E rotate the probe, T flips the tail (manual orientation mode).
+ * - tailToggleButton (click): Flips the tail (manual orientation mode).
  * 
  * GLOBAL VARIABLES (State & Elements):
  * - probe: The main probe element container (draggable).
  * - probeImage / probeImgEl: The <img> element inside the probe container.
  * - probeImages: Object mapping tail positions ('up', 'down') to image paths.
  * - isDragging: (boolean) Flag indicating if the probe is currently being dragged.
- * - offsetX, offsetY: Numerical offsets used to prevent the probe from jumping on mousedown.
+ * - isRotating: (boolean) Flag indicating if the probe is being rotated with its handle.
+ * - probeRotateHandle, tailToggleButton: Manual orientation controls.
+ * - rotationStep: Degrees turned per wheel notch or key press.
+ * - offsetX, offsetY: Numerical offsets used to prevent the probe from jumping on pointerdown.
+ * - dragPointerId, rotatePointerId: The pointers dragging the probe / turning the rotation handle.
+ * - touchPointers: (Map) Touches currently on the body area, used for two-finger rotation.
+ * - twistStart: Finger angle and probe rotation when a two-finger rotation started (null otherwise).
  * - lastProbeCoords: Stores the last known coordinates of the probe (used externally for rope drawing/collision detection).
- * - sweepDeg, tailPosition, position: Critical variables defining the probe's current visual orientation.
+ * - sweepDeg, tailPosition, activeView: Critical variables defining the probe's current visual orientation.
  * 
  * EXTERNAL DEPENDENCIES (Functions):
  * - container, rotationDisplay, viewDisplay, tailDisplay
- * - updateRope(), updateImagePreview()
+ * - isManualOrientation, isFeedbackActive, degreesToClock(), angleDifference(), refreshRope(), bodyArea
+ * - updateRope(), updateImagePreview(), setLiveText() (main.js)
+ * - saveCurrentQuiz() (resume.js): The quiz in progress is saved when the probe is dropped, rotated or flipped.
+ * - t(), getViewLabel() (i18n.js): Tail and rotation labels.
 **/
 
 
@@ -42,28 +70,42 @@ const probeImages = {
   down: './images/probe_tail_down.png'
 };
 const probeImgEl = probe ? probe.querySelector('img') : null;
+const probeRotateHandle = document.getElementById('probeRotateHandle');
+const tailToggleButton = document.getElementById('tailToggleButton');
+const rotationStep = 5;   // Degrees per wheel notch / key press in manual orientation mode
 
 let lastProbeCoords = null;
 let isDragging = false;
+let isRotating = false;
 let offsetX = 0;
 let offsetY = 0;
+let dragPointerId = null;
+let rotatePointerId = null;
+const touchPointers = new Map();   // Touches on the body area: pointerId -> { x, y }
+let twistStart = null;             // Two-finger rotation: { angle, sweepDeg }
 
 probeImage.draggable = false;
 probeImgEl.draggable = false;
 probeImage.style.pointerEvents = 'none';
 probeImgEl.style.pointerEvents = 'none';
 
-// Update probe image based on tail position
+// Update probe image based on tail position (or the active view's own probe image)
 function setProbeTailImage(tail) {
-  const src = probeImages[tail] || probeImgEl.src;
+  const src = activeView?.probeImage || probeImages[tail] || probeImgEl.src;
   if (probeImgEl.src !== src) probeImgEl.src = src;
 }
 
-// Probe drag functionality
-probe.addEventListener('mousedown', (e) => {
+// Probe drag functionality (mouse, pen or touch)
+probe.addEventListener('pointerdown', (e) => {
+  if (e.pointerType === 'mouse' && e.button !== 0) return;
+  if (isDragging || twistStart) return;   // A second finger on the probe starts a twist instead
   isDragging = true;
+  dragPointerId = e.pointerId;
+
+  // Keep receiving the pointer's events even when it leaves the container
+  probe.setPointerCapture(e.pointerId);
 
-  // Get mouse position relative to probe's top-left corner
+  // Get pointer position relative to probe's top-left corner
   const probeOffsetLeft = probe.offsetLeft;
   const probeOffsetTop = probe.offsetTop;
 
@@ -85,22 +127,134 @@ function applyProbeTransform() {
   probe.style.transform = `${rot} ${flip}`;
 }
 
+// Update the rotation and tail indicators from the current probe state
+function updateOrientationDisplays() {
+  rotationDisplay.textContent = (activeView && getViewLabel(activeView, 'rotationLabel')) || degreesToClock(sweepDeg);
+  tailDisplay.textContent = (activeView && getViewLabel(activeView, 'tailLabel')) || t(`probe.tail.${tailPosition}`);
+}
+
+// Set the probe's rotation (manual orientation mode) and refresh the view
+function setProbeRotation(angle) {
+  sweepDeg = ((Math.round(angle) % 360) + 360) % 360;
+  applyProbeTransform();
+  updateImagePreview();
+  refreshRope();
+}
+
+// Rotate the probe by a number of degrees (positive = clockwise)
+function rotateProbe(deltaDeg) {
+  setProbeRotation(sweepDeg + deltaDeg);
+  saveCurrentQuiz();
+}
+
+// Flip the probe's tail between up and down
+function toggleProbeTail() {
+  tailPosition = tailPosition === 'up' ? 'down' : 'up';
+  setProbeTailImage(tailPosition);
+  applyProbeTransform();
+  updateImagePreview();
+  refreshRope();
+  saveCurrentQuiz();
+}
+
+// Show or hide the manual orientation controls to match the current setting
+function applyOrientationMode() {
+  probeRotateHandle.classList.toggle('hidden', !isManualOrientation);
+  tailToggleButton.classList.toggle('hidden', !isManualOrientation);
+}
+
 // Reset probe to default state
 function resetProbe() {
   sweepDeg = 90;
   tailPosition = 'down';
-  position = 0;
-  rotationDisplay.textContent = "3 o'clock";
-  viewDisplay.textContent = '-';
-  tailDisplay.textContent = 'Tail Down';
+  activeView = null;
+  rotationDisplay.textContent = degreesToClock(90);
+  setLiveText(viewDisplay, '-');
+  tailDisplay.textContent = t('probe.tail.down');
 
   setProbeTailImage(tailPosition);
   probe.style.transform = 'rotate(90deg) scaleX(-1)';
 }
 
-// Update probe position on mouse move
-document.addEventListener('mousemove', (e) => {
-  if (!isDragging) return;
+// Start rotating the probe with the rotation handle
+probeRotateHandle.addEventListener('pointerdown', (e) => {
+  if (!isManualOrientation) return;
+  isRotating = true;
+  rotatePointerId = e.pointerId;
+  probeRotateHandle.setPointerCapture(e.pointerId);
+  e.stopPropagation();   // Don't start dragging the probe as well
+  e.preventDefault();
+});
+
+// Angle in degrees of the line between the two touches on the body area
+function getTwistAngle() {
+  const [a, b] = Array.from(touchPointers.values());
+  return Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+}
+
+// Track touches on the body area; a second finger starts a two-finger rotation
+bodyArea.addEventListener('pointerdown', (e) => {
+  if (e.pointerType !== 'touch') return;
+  touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+  if (touchPointers.size === 2 && isManualOrientation) {
+    endProbeDrag();
+    twistStart = { angle: getTwistAngle(), sweepDeg };
+  }
+});
+
+// Scroll wheel over the probe rotates it
+probe.addEventListener('wheel', (e) => {
+  if (!isManualOrientation) return;
+  e.preventDefault();
+  rotateProbe(Math.sign(e.deltaY) * rotationStep);
+}, { passive: false });
+
+// Keyboard rotation (Q / E) and tail flip (T) while the simulator is open
+document.addEventListener('keydown', (e) => {
+  if (!isManualOrientation || container.classList.contains('hidden') || isFeedbackActive) return;
+  if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'q') {
+    rotateProbe(-rotationStep);
+  } else if (key === 'e') {
+    rotateProbe(rotationStep);
+  } else if (key === 't') {
+    toggleProbeTail();
+  }
+});
+
+// Flip tail button in the controls panel
+tailToggleButton.addEventListener('click', () => {
+  toggleProbeTail();
+});
+
+// Update probe position (or rotation) on pointer move
+document.addEventListener('pointermove', (e) => {
+  if (touchPointers.has(e.pointerId)) {
+    touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  }
+
+  if (twistStart) {
+    // Two-finger rotation: turn the probe by the change in angle between the fingers
+    if (touchPointers.size < 2) return;
+    const angle = twistStart.sweepDeg + angleDifference(twistStart.angle, getTwistAngle());
+    setProbeRotation(Math.round(angle / rotationStep) * rotationStep);
+    return;
+  }
+
+  if (isRotating) {
+    if (e.pointerId !== rotatePointerId) return;
+    // The handle sits on the probe's right end, which is mirrored when the tail is down
+    const { x, y } = getProbeCenter(probe);
+    const pointerAngle = Math.atan2(e.clientY - y, e.clientX - x) * 180 / Math.PI;
+    const angle = tailPosition === 'down' ? pointerAngle + 180 : pointerAngle;
+    setProbeRotation(Math.round(angle / rotationStep) * rotationStep);
+    return;
+  }
+
+  if (!isDragging || e.pointerId !== dragPointerId) return;
 
   const containerRect = container.getBoundingClientRect();
   let newLeft = e.clientX - containerRect.left - offsetX;
@@ -119,13 +273,39 @@ document.addEventListener('mousemove', (e) => {
   updateImagePreview();
 });
 
-// End dragging on mouse up
-document.addEventListener('mouseup', () => {
-  if (isDragging) {
-    isDragging = false;
-    probe.style.cursor = 'grab';
+// Stop dragging the probe (the pointer was lifted or a two-finger rotation started)
+function endProbeDrag() {
+  if (!isDragging) return;
+  if (probe.hasPointerCapture(dragPointerId)) probe.releasePointerCapture(dragPointerId);
+  isDragging = false;
+  dragPointerId = null;
+  probe.style.cursor = 'grab';
+}
+
+// End dragging / rotating when the pointer is lifted (or the browser cancels it)
+function handlePointerEnd(e) {
+  touchPointers.delete(e.pointerId);
+  let moved = false;
+
+  if (twistStart && touchPointers.size < 2) {
+    twistStart = null;
+    moved = true;
   }
-});
+  if (isRotating && e.pointerId === rotatePointerId) {
+    isRotating = false;
+    rotatePointerId = null;
+    moved = true;
+  }
+  if (isDragging && e.pointerId === dragPointerId) {
+    endProbeDrag();
+    moved = true;
+  }
+
+  if (moved) saveCurrentQuiz();
+}
+
+document.addEventListener('pointerup', handlePointerEnd);
+document.addEventListener('pointercancel', handlePointerEnd);
 
 // Calculate the center coordinates of the probe element
 function getProbeCenter(probeEl) {
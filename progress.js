@@ -0,0 +1,186 @@
+/**
+ * -----------------------------------------------------------------------------
+ * MY PROGRESS SCREEN
+ * -----------------------------------------------------------------------------
+ * This script renders the "My Progress" screen from the history stored by
+ * storage.js: one row per quiz session, and mastery (share of correct answers)
+ * per anatomical structure and per view, weakest first. Attempts are recorded in English (see
+ * storage.js); views and structures are grouped by ID and shown in the current language, other
+ * answers (measurements, choices, colour jets) as recorded.
+ *
+ * FUNCTIONS:
+ * - renderProgressScreen(): Rebuilds the session history and mastery tables.
+ * - identifyAttempt(attempt): Adds the view and structure IDs to an attempt recorded before they were stored,
+ * found from its English names.
+ * - findRecordedViewId(name) / findRecordedStructureId(name): ID of the catalog view / structure recorded as 'name'.
+ * - getMasteryName(attempt, field): Name of the view or structure an attempt asked for, in the current language.
+ * - summarizeMastery(attempts, field, passed): Groups attempts by the expected structure or view
+ * and counts attempts, passed stages (structure identified / view acquired) and 'Show Answer' use.
+ * - buildTable(headers, rows): Creates a simple <table> element.
+ * - formatDuration(ms): Formats a time in seconds (e.g., "12.4 s").
+ *
+ * EVENT LISTENERS:
+ * - progressButton (click): Opens the screen from the title screen.
+ * - progressBackButton (click): Returns to the title screen.
+ * - clearProgressButton (click): Deletes all stored history after confirmation.
+ * - document (localechange): Shows the open screen in the new language.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - loadProgress(), clearProgress() (storage.js)
+ * - titleScreen (main.js), formatPoints() (scoring.js), viewCatalog (imagedata.js)
+ * - t(), getLocale(), translateName(), getViewName(), getStructureName(), inLocale(), defaultLocale (i18n.js)
+**/
+
+const progressScreen = document.getElementById('progressScreen');
+const progressButton = document.getElementById('progressButton');
+const progressBackButton = document.getElementById('progressBackButton');
+const clearProgressButton = document.getElementById('clearProgressButton');
+const sessionHistory = document.getElementById('sessionHistory');
+const structureMastery = document.getElementById('structureMastery');
+const viewMastery = document.getElementById('viewMastery');
+
+// Format a time in milliseconds as seconds
+function formatDuration(ms) {
+  return typeof ms === 'number' ? `${(ms / 1000).toFixed(1)} s` : '-';
+}
+
+// Create a table with a header row
+function buildTable(headers, rows) {
+  const table = document.createElement('table');
+  table.className = 'progress-table';
+
+  const headerRow = table.createTHead().insertRow();
+  headers.forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headerRow.appendChild(th);
+  });
+
+  const body = table.createTBody();
+  rows.forEach(cells => {
+    const row = body.insertRow();
+    cells.forEach(text => {
+      row.insertCell().textContent = text;
+    });
+  });
+
+  return table;
+}
+
+// Catalog view recorded under 'name': its English name now, or its catalog name in older records (null if none)
+function findRecordedViewId(name) {
+  const view = viewCatalog.find(v => v.name === name || inLocale(defaultLocale, () => getViewName(v)) === name);
+  return view ? view.id : null;
+}
+
+// Structure recorded under 'name', the same way (null if none)
+function findRecordedStructureId(name) {
+  const hotspot = viewCatalog.flatMap(view => view.hotspots)
+    .find(h => h.structure && (h.text === name || inLocale(defaultLocale, () => getStructureName(h)) === name));
+  return hotspot ? hotspot.structure : null;
+}
+
+// Attempts recorded before the IDs were stored only name the view and structure
+function identifyAttempt(attempt) {
+  if ('expectedViewId' in attempt) return attempt;
+  return {
+    ...attempt,
+    expectedViewId: findRecordedViewId(attempt.expectedView),
+    expectedStructureId: findRecordedStructureId(attempt.expectedStructure)
+  };
+}
+
+// 'expectedView' or 'expectedStructure' in the current language (as recorded without an ID or a translation)
+function getMasteryName(attempt, field) {
+  const id = attempt[`${field}Id`];
+  const recorded = attempt[field] || t('progress.unknown');
+  if (!id) return recorded;
+  return translateName(`${field === 'expectedView' ? 'views' : 'structures'}.${id}`, recorded);
+}
+
+// Group attempts by the expected structure or view, weakest first ('passed' tells which stage counts)
+function summarizeMastery(attempts, field, passed) {
+  const groups = {};
+
+  attempts.forEach(attempt => {
+    const key = attempt[`${field}Id`] || attempt[field] || '';
+    const group = groups[key] || (groups[key] = { name: getMasteryName(attempt, field), attempts: 0, correct: 0, showAnswer: 0 });
+    group.attempts++;
+    if (passed(attempt)) group.correct++;
+    if (attempt.usedShowAnswer) group.showAnswer++;
+  });
+
+  return Object.values(groups)
+    .map(group => ({ ...group, mastery: Math.round(group.correct / group.attempts * 100) }))
+    .sort((a, b) => a.mastery - b.mastery || b.attempts - a.attempts);
+}
+
+// Rebuild the session history and mastery tables
+function renderProgressScreen() {
+  const progress = loadProgress();
+  const sessions = progress.sessions;
+  const attempts = progress.attempts.map(identifyAttempt);
+
+  sessionHistory.innerHTML = '';
+  structureMastery.innerHTML = '';
+  viewMastery.innerHTML = '';
+
+  if (!sessions.length) {
+    sessionHistory.textContent = t('progress.empty');
+    return;
+  }
+
+  // Newest session first
+  const sessionRows = sessions.slice().reverse().map(session => {
+    const sessionAttempts = attempts.filter(a => a.sessionId === session.id);
+    const times = sessionAttempts.map(a => a.timeTakenMs).filter(t => typeof t === 'number');
+    const averageTime = times.length ? times.reduce((sum, t) => sum + t, 0) / times.length : null;
+
+    return [
+      new Date(session.startedAt).toLocaleString(getLocale()),
+      session.bankTitle || '-',
+      t(session.mode === 'challenge' ? 'progress.modeTimed' : 'progress.modeQuiz'),
+      `${formatPoints(session.score)} / ${session.questionCount}`,
+      `${sessionAttempts.length}`,
+      formatDuration(averageTime),
+      `${sessionAttempts.filter(a => a.usedShowAnswer).length}`,
+      t(session.finishedAt ? 'progress.finished' : 'progress.unfinished')
+    ];
+  });
+  const sessionHeaders = ['date', 'bank', 'mode', 'score', 'answered', 'averageTime', 'showAnswerUsed', 'status'];
+  sessionHistory.appendChild(buildTable(sessionHeaders.map(key => t(`progress.columns.${key}`)), sessionRows));
+
+  const masteryHeaders = first => [first, 'mastery', 'correct', 'showAnswerUsed'].map(key => t(`progress.columns.${key}`));
+  const masteryRows = groups => groups.map(g => [g.name, `${g.mastery}%`, `${g.correct} / ${g.attempts}`, `${g.showAnswer}`]);
+  structureMastery.appendChild(buildTable(
+    masteryHeaders('structure'), masteryRows(summarizeMastery(attempts, 'expectedStructure', a => a.structureCorrect ?? a.correct))
+  ));
+  viewMastery.appendChild(buildTable(
+    masteryHeaders('view'), masteryRows(summarizeMastery(attempts, 'expectedView', a => a.viewCorrect ?? a.correct))
+  ));
+}
+
+// Open My Progress from the title screen
+progressButton.addEventListener('click', () => {
+  renderProgressScreen();
+  titleScreen.classList.add('hidden');
+  progressScreen.classList.remove('hidden');
+});
+
+// Back to the title screen
+progressBackButton.addEventListener('click', () => {
+  progressScreen.classList.add('hidden');
+  titleScreen.classList.remove('hidden');
+});
+
+// Delete all stored history
+clearProgressButton.addEventListener('click', () => {
+  if (window.confirm(t('progress.confirmClear'))) {
+    clearProgress();
+    renderProgressScreen();
+  }
+});
+
+document.addEventListener('localechange', () => {
+  if (!progressScreen.classList.contains('hidden')) renderProgressScreen();
+});
@@ -0,0 +1,374 @@
+/**
+ * -----------------------------------------------------------------------------
+ * QUIZ BANK LOADER
+ * -----------------------------------------------------------------------------
+ * This script lets instructors ship their own question sets as JSON files without
+ * touching the code. Banks are picked from the list in `quizbanks/index.json`, from
+ * local files chosen on the title screen, or through the URL
+ * (e.g. `index.html?bank=quizbanks/parasternal-views.json&bank=other.json`).
+ * Every bank is validated against the view catalog before it is used; a broken bank
+ * is rejected as a whole and its problems are listed on the title screen.
+ *
+ * QUIZ BANK FORMAT:
+ * { "title": "Parasternal Views",
+ *   "questions": [ { "question": "...", "key": "300_up", "correctPosition": 2,
+ *                    "correctAnswer": "I", "correctImage": "Echo_Images/answer/Q1_ans.png" } ] }
+ * `correctImage` is optional; without it 'Show Answer' names the correct structure instead.
+ * `title`, `question`, `choices`, `correctChoice` and a measurement's `label` may be given per locale, e.g.
+ * "question": { "en": "Obtain the PLAX view...", "fr": "Obtenez la coupe PLAX..." } (see i18n.js).
+ * `difficulty` is an optional tag (e.g. "easy") used by the quiz builder's difficulty filter.
+ * A question with a `measurement` ({ type, label, reference, tolerance }; see measure.js) asks for a
+ * caliper or area measurement instead of a structure and has no `correctAnswer`; its view needs a `pixelsPerCm` calibration.
+ * A multiple-choice question (see cases.js) has `choices` and a `correctChoice`, or `"diagnosis": true` to offer
+ * `diagnosisChoices` with the current patient case's diagnosis as the answer; it has no `correctAnswer` either.
+ * A colour Doppler question (see doppler.js) has a `colorJet`: the answer ID of a jet in the colour flow layer of
+ * its view (normal or in a patient case).
+ *
+ * FUNCTIONS:
+ * - getQuestionHotspot(qData): Returns the catalog hotspot a question's key/correctPosition/correctAnswer point to.
+ * - validateQuizBank(bank, source): Returns a list of problems found in a bank (empty when valid).
+ * - getMeasurementProblems(measurement, view, label): Returns the problems with a measurement question.
+ * - getChoiceProblems(qData, label): Returns the problems with a multiple-choice question.
+ * - isBankText(value): True for a non-empty text, or a text per locale.
+ * - isHotspotQuestion(qData): True for a question answered by clicking a hotspot.
+ * - fetchQuizBank(url) / readQuizBankFile(file): Load a bank from a URL or a local file.
+ * - useQuizBanks(results): Validates loaded banks, reports problems and makes the valid questions the `questionPool`.
+ * - loadQuizBanksFromUrls(urls): Fetches and uses one or more banks.
+ * - failQuizBankLoad(source, error): Reports an unexpected error while loading banks instead of staying on 'loading'.
+ * - getQuizBankTitle(banks): Titles of the banks in the current language ("Parasternal Views + Measurements").
+ * - renderQuizBankStatus(state): Shows the picker's status line.
+ * - useDefaultQuizBank(): Switches back to the built-in questions.
+ * - populateQuizBankList(): Adds the banks listed in `quizbanks/index.json` to the picker.
+ * - getRequestedBankUrls(): Reads the `bank` URL parameter(s).
+ *
+ * EVENT LISTENERS:
+ * - quizBankSelect (change): Loads the bank picked from the list.
+ * - quizBankFileInput (change): Loads one or more bank files chosen from disk.
+ * - document (DOMContentLoaded): Fills the picker and loads the banks requested in the URL.
+ * - document (localechange): Shows the status line in the new language.
+ *
+ * GLOBAL VARIABLES (State & Elements):
+ * - quizBankSelect, quizBankFileInput, quizBankStatus: Title screen picker elements.
+ * - quizBankIndexUrl: Location of the list of available banks.
+ * - currentQuizBankTitle: Title of the bank(s) currently in use (in English, as recorded with each session).
+ * - currentQuizBanks: ({ source, bank }) The bank(s) currently in use.
+ * - quizBankStatusState: What the status line shows ('loading', 'error' or 'ready').
+ * - questionPool: Questions of the bank(s) currently in use; each quiz is built from it by quizbuilder.js.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - defaultQuizBank (imagedata.js)
+ * - getCatalogView(), checkImage(), reportDataProblems() (viewcatalog.js)
+ * - setQuizStartEnabled() (main.js), refreshQuizBuilder() (quizbuilder.js), measurementUnits (measure.js),
+ * diagnosisChoices (imagedata.js), hasColorJet() (doppler.js)
+ * - t(), localMessage(), localizeText(), getTextId(), getViewName(), inLocale(), defaultLocale (i18n.js)
+**/
+
+const quizBankSelect = document.getElementById('quizBankSelect');
+const quizBankFileInput = document.getElementById('quizBankFileInput');
+const quizBankStatus = document.getElementById('quizBankStatus');
+const quizBankIndexUrl = 'quizbanks/index.json';
+const quizBankProblemTitle = 'dataProblems.quizBankTitle';
+
+let currentQuizBankTitle = defaultQuizBank.title;
+let currentQuizBanks = [];
+let quizBankStatusState = 'loading';
+let questionPool = defaultQuizBank.questions;
+
+// Catalog hotspot that a question's key, correctPosition and correctAnswer resolve to
+function getQuestionHotspot(qData) {
+  const view = getCatalogView(qData.correctPosition, qData.key);
+  return view ? view.hotspots.find(h => h.answer === qData.correctAnswer) || null : null;
+}
+
+// Answered by clicking a hotspot (not a measurement, multiple-choice or colour Doppler question)
+function isHotspotQuestion(qData) {
+  return qData.measurement === undefined && qData.choices === undefined && qData.diagnosis === undefined &&
+    qData.colorJet === undefined;
+}
+
+// Bank text: a non-empty string, or an object of non-empty strings per locale ({ "en": "...", "fr": "..." }, see i18n.js)
+function isBankText(value) {
+  const texts = value && typeof value === 'object' ? Object.values(value) : [value];
+  return texts.length > 0 && texts.every(text => typeof text === 'string' && text.trim());
+}
+
+// Problems with a multiple-choice question's choices and answer
+function getChoiceProblems(qData, label) {
+  if (qData.diagnosis !== undefined) {
+    if (qData.diagnosis !== true) return [localMessage('dataProblems.diagnosisTrue', { label })];
+    if (qData.choices !== undefined) return [localMessage('dataProblems.diagnosisChoices', { label })];
+    return [];
+  }
+
+  const choices = qData.choices;
+  if (!Array.isArray(choices) || choices.length < 2 || !choices.every(isBankText)) {
+    return [localMessage('dataProblems.choicesList', { label })];
+  }
+  const problems = [];
+  const choiceIds = choices.map(getTextId);
+  if (new Set(choiceIds).size !== choiceIds.length) {
+    problems.push(localMessage('dataProblems.choicesDuplicate', { label }));
+  }
+  if (!choiceIds.includes(getTextId(qData.correctChoice))) {
+    problems.push(localMessage('dataProblems.correctChoice', { label }));
+  }
+  return problems;
+}
+
+// Problems with a measurement question's type, reference value and tolerance
+function getMeasurementProblems(measurement, view, label) {
+  if (!measurement || typeof measurement !== 'object') return [localMessage('dataProblems.measurementObject', { label })];
+
+  const problems = [];
+  if (!(measurement.type in measurementUnits)) {
+    problems.push(localMessage('dataProblems.measurementType', { label, types: Object.keys(measurementUnits).map(type => `"${type}"`).join(', ') }));
+  }
+  if (!isBankText(measurement.label)) {
+    problems.push(localMessage('dataProblems.measurementLabel', { label }));
+  }
+  if (!(typeof measurement.reference === 'number' && measurement.reference > 0)) {
+    problems.push(localMessage('dataProblems.measurementReference', { label }));
+  }
+  if (!(typeof measurement.tolerance === 'number' && measurement.tolerance >= 0)) {
+    problems.push(localMessage('dataProblems.measurementTolerance', { label }));
+  }
+  if (!view.pixelsPerCm) {
+    problems.push(localMessage('dataProblems.measurementCalibration', { label, view: () => getViewName(view) }));
+  }
+  return problems;
+}
+
+// Validate a quiz bank and return a list of problems (empty when valid)
+function validateQuizBank(bank, source) {
+  if (!bank || typeof bank !== 'object' || !Array.isArray(bank.questions)) {
+    return [localMessage('dataProblems.bankObject', { source })];
+  }
+  if (!bank.questions.length) {
+    return [localMessage('dataProblems.bankEmpty', { source })];
+  }
+
+  const problems = [];
+  bank.questions.forEach((qData, i) => {
+    const label = localMessage('dataProblems.questionLabel', { source, number: i + 1 });
+
+    if (!qData || typeof qData !== 'object') {
+      problems.push(localMessage('dataProblems.questionObject', { label }));
+      return;
+    }
+    if (!isBankText(qData.question)) {
+      problems.push(localMessage('dataProblems.questionText', { label }));
+    }
+    if (typeof qData.correctPosition !== 'number' || !getZoneViews(qData.correctPosition).length) {
+      problems.push(localMessage('dataProblems.correctPosition', { label, zone: qData.correctPosition }));
+      return;
+    }
+
+    const view = getCatalogView(qData.correctPosition, qData.key);
+    if (!view) {
+      problems.push(localMessage('dataProblems.questionKey', { label, key: qData.key, zone: qData.correctPosition }));
+      return;
+    }
+    if (qData.measurement !== undefined) {
+      problems.push(...getMeasurementProblems(qData.measurement, view, label));
+    } else if (qData.colorJet !== undefined) {
+      if (!hasColorJet(view, qData.colorJet)) {
+        problems.push(localMessage('dataProblems.questionJet', { label, answer: qData.colorJet, view: () => getViewName(view) }));
+      }
+    } else if (!isHotspotQuestion(qData)) {
+      problems.push(...getChoiceProblems(qData, label));
+    } else if (!getQuestionHotspot(qData)) {
+      problems.push(localMessage('dataProblems.questionAnswer', { label, answer: qData.correctAnswer, view: () => getViewName(view) }));
+    }
+    if (qData.correctImage !== undefined && typeof qData.correctImage !== 'string') {
+      problems.push(localMessage('dataProblems.correctImage', { label }));
+    }
+    if (qData.difficulty !== undefined && (typeof qData.difficulty !== 'string' || !qData.difficulty.trim())) {
+      problems.push(localMessage('dataProblems.difficulty', { label }));
+    }
+  });
+
+  return problems;
+}
+
+// Fetch a quiz bank; resolves with { source, bank } or { source, error }
+function fetchQuizBank(url) {
+  return fetch(url)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(bank => ({ source: url, bank }))
+    .catch(error => ({ source: url, error: localMessage('dataProblems.notLoaded', { reason: error.message }) }));
+}
+
+// Read a quiz bank chosen from disk; resolves with { source, bank } or { source, error }
+function readQuizBankFile(file) {
+  return file.text()
+    .then(text => ({ source: file.name, bank: JSON.parse(text) }))
+    .catch(error => ({ source: file.name, error: localMessage('dataProblems.notJson', { reason: error.message }) }));
+}
+
+// Check the answer images of the valid banks; resolves with a message for each missing one
+function checkQuizBankImages(results) {
+  const checks = [];
+  results.forEach(({ source, bank }) => {
+    bank.questions.forEach((qData, i) => {
+      if (!qData.correctImage) return;
+      checks.push(checkImage(qData.correctImage).then(ok =>
+        ok ? null : localMessage('dataProblems.imageNotLoaded', {
+          label: localMessage('dataProblems.questionLabel', { source, number: i + 1 }),
+          src: qData.correctImage
+        })
+      ));
+    });
+  });
+
+  return Promise.all(checks).then(messages => messages.filter(Boolean));
+}
+
+// Validate loaded banks and use the questions of every valid one
+function useQuizBanks(results) {
+  const problems = [];
+  const validBanks = [];
+
+  results.forEach(result => {
+    const bankProblems = result.error
+      ? [localMessage('dataProblems.bankError', { source: result.source, error: result.error })]
+      : validateQuizBank(result.bank, result.source);
+
+    if (bankProblems.length) {
+      problems.push(...bankProblems);
+    } else {
+      validBanks.push(result);
+    }
+  });
+
+  return checkQuizBankImages(validBanks).then(missing => {
+    reportDataProblems(quizBankProblemTitle, problems.concat(missing));
+
+    if (problems.length || !validBanks.length) {
+      // Never start a quiz from a partially broken selection
+      questionPool = [];
+      currentQuizBanks = [];
+      currentQuizBankTitle = '';
+      refreshQuizBuilder();
+      renderQuizBankStatus('error');
+      return;
+    }
+
+    questionPool = validBanks.reduce((questions, { bank }) => questions.concat(bank.questions), []);
+    currentQuizBanks = validBanks;
+    currentQuizBankTitle = inLocale(defaultLocale, () => getQuizBankTitle(validBanks));
+    refreshQuizBuilder();
+    renderQuizBankStatus('ready');
+  });
+}
+
+// Titles of the banks in use, in the current language ('bank.title' may be a text per locale)
+function getQuizBankTitle(banks) {
+  return banks.map(({ bank, source }) => (bank === defaultQuizBank ? t('quizBank.builtInTitle') : localizeText(bank.title)) || source)
+    .join(' + ');
+}
+
+// 'loading', 'error' or 'ready' (kept so a change of language can show it again)
+function renderQuizBankStatus(state) {
+  quizBankStatusState = state;
+  quizBankStatus.textContent = state === 'ready'
+    ? t('quizBank.ready', { title: getQuizBankTitle(currentQuizBanks), count: questionPool.length })
+    : t(`quizBank.${state}`);
+}
+
+// Fetch and use one or more banks
+function loadQuizBanksFromUrls(urls) {
+  setQuizStartEnabled(false);
+  renderQuizBankStatus('loading');
+  return Promise.all(urls.map(fetchQuizBank))
+    .then(useQuizBanks)
+    .catch(error => failQuizBankLoad(urls.join(', '), error));
+}
+
+// Report an unexpected error while loading banks (the status line would otherwise stay on 'loading')
+function failQuizBankLoad(source, error) {
+  return useQuizBanks([{ source, error: localMessage('dataProblems.notLoaded', { reason: error.message }) }]);
+}
+
+// Switch back to the built-in questions
+function useDefaultQuizBank() {
+  return useQuizBanks([{ source: 'Built-in questions', bank: defaultQuizBank }]);
+}
+
+// Add the banks listed in quizbanks/index.json to the picker
+function populateQuizBankList() {
+  return fetch(quizBankIndexUrl)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(index => {
+      (index.banks || []).forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.file;
+        option.textContent = entry.title || entry.file;
+        quizBankSelect.appendChild(option);
+      });
+    })
+    .catch(error => {
+      // Pages opened from file:// cannot fetch; banks can still be loaded from disk
+      console.warn(`Quiz bank list not available (${error.message}).`);
+    });
+}
+
+// Bank URLs requested with ?bank=a.json&bank=b.json (or ?bank=a.json,b.json)
+function getRequestedBankUrls() {
+  return new URLSearchParams(window.location.search)
+    .getAll('bank')
+    .flatMap(value => value.split(','))
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+// Bank picked from the list
+quizBankSelect.addEventListener('change', () => {
+  if (quizBankSelect.value) {
+    loadQuizBanksFromUrls([quizBankSelect.value]);
+  } else {
+    useDefaultQuizBank();
+  }
+});
+
+// Bank file(s) chosen from disk
+quizBankFileInput.addEventListener('change', () => {
+  const files = Array.from(quizBankFileInput.files);
+  if (!files.length) return;
+
+  setQuizStartEnabled(false);
+  renderQuizBankStatus('loading');
+  Promise.all(files.map(readQuizBankFile))
+    .then(useQuizBanks)
+    .catch(error => failQuizBankLoad(files.map(file => file.name).join(', '), error));
+  quizBankFileInput.value = '';   // Allow choosing the same file again after fixing it
+});
+
+// Status line in the new language (bank titles may have one per locale)
+document.addEventListener('localechange', () => {
+  renderQuizBankStatus(quizBankStatusState);
+});
+
+// Initial setup on page load
+document.addEventListener('DOMContentLoaded', () => {
+  const requestedUrls = getRequestedBankUrls();
+
+  populateQuizBankList().then(() => {
+    // Show a single requested bank as selected if it is one of the listed banks
+    const listed = Array.from(quizBankSelect.options).some(option => option.value === requestedUrls[0]);
+    if (requestedUrls.length === 1 && listed) {
+      quizBankSelect.value = requestedUrls[0];
+    }
+  });
+
+  if (requestedUrls.length) {
+    loadQuizBanksFromUrls(requestedUrls);
+  } else {
+    useDefaultQuizBank();
+  }
+});
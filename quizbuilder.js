@@ -0,0 +1,243 @@
+/**
+ * -----------------------------------------------------------------------------
+ * QUIZ BUILDER
+ * -----------------------------------------------------------------------------
+ * This script builds each quiz from the question pool of the loaded quiz bank(s)
+ * instead of always asking the same questions in the same order. On the title screen
+ * the user picks how many questions to ask, filters the pool by view, zone, structure
+ * and difficulty tag, and chooses whether to shuffle. Questions can also be generated
+ * automatically from every labelled hotspot in the view catalog
+ * ("Obtain the apical 4-chamber view (A4C) and identify the tricuspid valve.").
+ *
+ * FUNCTIONS:
+ * - generateHotspotQuestions(): Creates one question for every hotspot of every valid catalog view with a recorded image.
+ * - getGeneratedQuestionText(view, hotspot): The text of a generated question in every language ({ en, fr, ... }).
+ * - getAvailableQuestions(): The bank pool plus (when enabled) generated questions not already in the pool, without
+ * the questions on placeholder views.
+ * - isOnRecordedView(qData): False when the question's view shows a placeholder drawing (see imagedata.js).
+ * - describeQuestion(qData): Returns the view, zone, structure and difficulty a question is filtered by.
+ * - getFilteredQuestions(): The available questions that match the selected filters.
+ * - isMeasuredOnNormalView(qData, caseEntry): False when a patient replaces the view of a measurement question (its reference is the normal one).
+ * - getAskableQuestions(caseEntry): The filtered questions that can be asked of a patient (colour jets it does not have, and
+ * measurements on views it replaces, are left out).
+ * - shuffleQuestions(questions): Returns a shuffled copy (Fisher-Yates).
+ * - getQuestionCount(available): The chosen number of questions, capped at the number available.
+ * - buildQuiz(): The questions of a new quiz (filtered, optionally shuffled, limited to the chosen count).
+ * - fillFilterSelect(select, options): Replaces a filter's options, keeping the current choice when possible.
+ * - refreshQuizBuilder(): Refills the filter lists from the current pool and updates the summary.
+ * - updateQuizBuilderStatus(): Shows how many questions the next quiz will have and enables 'Start Game' / 'Timed Challenge'.
+ *
+ * EVENT LISTENERS:
+ * - Filter selects, question count and toggles (change/input): Update the summary.
+ * - generateQuestionsToggle (change): Refills the filter lists with or without generated questions.
+ * - document (localechange): Refills the filter lists in the new language.
+ *
+ * GLOBAL VARIABLES (Elements):
+ * - questionCountInput, viewFilterSelect, zoneFilterSelect, structureFilterSelect, difficultyFilterSelect,
+ * shuffleQuestionsToggle, generateQuestionsToggle, quizBuilderStatus: Title screen quiz builder controls.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - bodyZones (imagedata.js), getZoneViews(), getCatalogView(), getViewById(), viewKey() (viewcatalog.js)
+ * - questionPool, getQuestionHotspot() (quizbank.js), setQuizStartEnabled() (main.js), getQuestionJet(), getCaseJet() (doppler.js)
+ * - currentCase, getNextCase() (cases.js)
+ * - locales, t(), inLocale(), getLocale(), translateName(), localizeText(), getTextId(), lowerText(), getViewName(),
+ * getZoneName(), getStructureId(), getStructureName(), getJetName() (i18n.js)
+**/
+
+const questionCountInput = document.getElementById('questionCountInput');
+const viewFilterSelect = document.getElementById('viewFilterSelect');
+const zoneFilterSelect = document.getElementById('zoneFilterSelect');
+const structureFilterSelect = document.getElementById('structureFilterSelect');
+const difficultyFilterSelect = document.getElementById('difficultyFilterSelect');
+const shuffleQuestionsToggle = document.getElementById('shuffleQuestionsToggle');
+const generateQuestionsToggle = document.getElementById('generateQuestionsToggle');
+const quizBuilderStatus = document.getElementById('quizBuilderStatus');
+
+// One question for every labelled hotspot of every valid view that is not a placeholder drawing
+function generateHotspotQuestions() {
+  const questions = [];
+
+  Object.keys(bodyZones).forEach(zone => {
+    getZoneViews(+zone).filter(view => !view.placeholder).forEach(view => {
+      view.hotspots.forEach(hotspot => {
+        questions.push({
+          question: getGeneratedQuestionText(view, hotspot),
+          key: viewKey(view),
+          correctPosition: view.zone,
+          correctAnswer: hotspot.answer,
+          generated: true
+        });
+      });
+    });
+  });
+
+  return questions;
+}
+
+// The question in every language, like the per-locale text of a bank question (see i18n.js)
+function getGeneratedQuestionText(view, hotspot) {
+  const texts = {};
+  Object.keys(locales).forEach(code => {
+    const key = hotspot.phase ? 'quizBuilder.generatedQuestionPhase'
+      : hotspot.maxDepth ? 'quizBuilder.generatedQuestionDepth' : 'quizBuilder.generatedQuestion';
+    texts[code] = inLocale(code, () => t(key, {
+      view: lowerText(getViewName(view)),
+      id: view.id,
+      structure: lowerText(getStructureName(hotspot)),
+      phase: hotspot.phase ? lowerText(translateName(`cine.phases.${hotspot.phase}`, hotspot.phase)) : '',
+      depth: hotspot.maxDepth
+    }));
+  });
+  return texts;
+}
+
+// Bank questions plus generated ones that the bank does not already ask
+function getAvailableQuestions() {
+  const recorded = questionPool.filter(isOnRecordedView);
+  if (!generateQuestionsToggle.checked) return recorded;
+
+  const asked = new Set(questionPool.map(q => `${q.correctPosition}:${q.key}:${q.correctAnswer}`));
+  const generated = generateHotspotQuestions()
+    .filter(q => !asked.has(`${q.correctPosition}:${q.key}:${q.correctAnswer}`));
+
+  return recorded.concat(generated);
+}
+
+// Placeholder drawings show where the structures are, so their views are scanned but never quizzed
+function isOnRecordedView(qData) {
+  const view = getCatalogView(qData.correctPosition, qData.key);
+  return !(view && view.placeholder);
+}
+
+// Values a question is filtered by ('structure' is an ID, 'structureName' its name in the current language)
+function describeQuestion(qData) {
+  const view = getCatalogView(qData.correctPosition, qData.key);
+  const hotspot = getQuestionHotspot(qData);
+  const jet = qData.colorJet !== undefined ? getQuestionJet(qData) || { answer: qData.colorJet, text: qData.colorJet } : null;
+  const [structure, structureName] = qData.measurement ? [getTextId(qData.measurement.label), localizeText(qData.measurement.label)]
+    : qData.diagnosis ? ['diagnosis', t('quizBuilder.diagnosis')]
+    : qData.choices ? [getTextId(qData.correctChoice), localizeText(qData.correctChoice)]
+    : jet ? [`jet:${jet.answer}`, getJetName(jet)]
+    : hotspot ? [getStructureId(hotspot), getStructureName(hotspot)] : ['', ''];
+  return {
+    view: view ? view.id : '',
+    zone: String(qData.correctPosition),
+    structure,
+    structureName,
+    difficulty: qData.difficulty || ''
+  };
+}
+
+// Available questions matching the selected filters
+function getFilteredQuestions() {
+  return getAvailableQuestions().filter(qData => {
+    const info = describeQuestion(qData);
+    return (!viewFilterSelect.value || info.view === viewFilterSelect.value) &&
+      (!zoneFilterSelect.value || info.zone === zoneFilterSelect.value) &&
+      (!structureFilterSelect.value || info.structure === structureFilterSelect.value) &&
+      (!difficultyFilterSelect.value || info.difficulty === difficultyFilterSelect.value);
+  });
+}
+
+// Shuffled copy of a question list
+function shuffleQuestions(questions) {
+  const shuffled = questions.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Number of questions asked (all matching questions when left empty)
+function getQuestionCount(available) {
+  const count = parseInt(questionCountInput.value, 10);
+  return Number.isNaN(count) || count < 1 ? available : Math.min(count, available);
+}
+
+// Measurement references are those of the normal heart: a patient with its own images of the view is not measured there
+function isMeasuredOnNormalView(qData, caseEntry) {
+  const view = getCatalogView(qData.correctPosition, qData.key);
+  return !(view && caseEntry && caseEntry.views && caseEntry.views[view.id]);
+}
+
+// Filtered questions that can be asked of a patient: colour jets that only some patients have are
+// asked only when scanning one of them, measurements only on the views the patient shares with the normal heart
+function getAskableQuestions(caseEntry) {
+  return getFilteredQuestions().filter(qData =>
+    (qData.colorJet === undefined || getCaseJet(qData, caseEntry)) &&
+    (qData.measurement === undefined || isMeasuredOnNormalView(qData, caseEntry)));
+}
+
+// Questions of a new quiz (for the current patient, selected just before)
+function buildQuiz() {
+  const matching = getAskableQuestions(currentCase);
+  const ordered = shuffleQuestionsToggle.checked ? shuffleQuestions(matching) : matching;
+  return ordered.slice(0, getQuestionCount(matching.length));
+}
+
+// Replace a filter's options, keeping the current choice if it is still available
+function fillFilterSelect(select, options) {
+  const previous = select.value;
+  select.length = 1;   // Keep the "Any" option
+
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+
+  select.value = options.some(option => option.value === previous) ? previous : '';
+}
+
+// Refill the filter lists from the current pool
+function refreshQuizBuilder() {
+  const infos = getAvailableQuestions().map(describeQuestion);
+  const unique = key => [...new Set(infos.map(info => info[key]).filter(Boolean))];
+  const byLabel = (a, b) => a.label.localeCompare(b.label, getLocale());
+
+  fillFilterSelect(viewFilterSelect, unique('view').map(id => {
+    const view = getViewById(id);
+    return { value: id, label: `${getViewName(view)} (${id})` };
+  }));
+  fillFilterSelect(zoneFilterSelect, unique('zone').sort().map(zone => ({ value: zone, label: getZoneName(zone) })));
+  fillFilterSelect(structureFilterSelect, unique('structure')
+    .map(id => ({ value: id, label: infos.find(info => info.structure === id).structureName }))
+    .sort(byLabel));
+  fillFilterSelect(difficultyFilterSelect, unique('difficulty').map(tag => ({ value: tag, label: translateName(`difficulty.${tag}`, tag) })));
+
+  updateQuizBuilderStatus();
+}
+
+// Show the size of the next quiz and only allow starting when it has questions
+function updateQuizBuilderStatus() {
+  const matching = getAskableQuestions(getNextCase()).length;
+  questionCountInput.max = Math.max(matching, 1);
+
+  if (!questionPool.length) {
+    quizBuilderStatus.textContent = '';
+    setQuizStartEnabled(false);
+    return;
+  }
+
+  quizBuilderStatus.textContent = matching
+    ? t('quizBuilder.status', { asked: getQuestionCount(matching), count: matching })
+    : t('quizBuilder.noMatch');
+  setQuizStartEnabled(matching > 0);
+}
+
+// Summary follows every change of the builder controls
+[viewFilterSelect, zoneFilterSelect, structureFilterSelect, difficultyFilterSelect, shuffleQuestionsToggle]
+  .forEach(control => control.addEventListener('change', updateQuizBuilderStatus));
+questionCountInput.addEventListener('input', updateQuizBuilderStatus);
+
+// Generated questions add views and structures to the filter lists
+generateQuestionsToggle.addEventListener('change', () => {
+  refreshQuizBuilder();
+});
+
+// Filter lists and summary in the new language
+document.addEventListener('localechange', () => {
+  refreshQuizBuilder();
+});
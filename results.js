@@ -0,0 +1,436 @@
+/**
+ * -----------------------------------------------------------------------------
+ * RESULTS EXPORT & INSTRUCTOR VIEW
+ * -----------------------------------------------------------------------------
+ * This script lets students export the results of a finished quiz as evidence of
+ * completion, and lets instructors import the files of a whole class to see which
+ * questions were hardest and which wrong structures were picked most often.
+ *
+ * EXPORT (end screen):
+ * The finished session and its answered questions, from the progress history (storage.js),
+ * as JSON or as CSV (one row per question, with the session columns repeated on each row).
+ * JSON: { format: 'echosim-results', formatVersion: 1, exportedAt, student,
+ *         session: { id, startedAt, finishedAt, bankTitle, mode, questionCount, score },
+ *         questions: [ { questionIndex, question, expectedZone, expectedView, expectedStructure, chosenZone,
+ *                        chosenView, chosenStructure, correct, viewCorrect, structureCorrect, points,
+ *                        timeTakenMs, usedShowAnswer, hintsShown, timedOut } ] }
+ * Both formats can be imported in the instructor view; importing the same session twice counts it once.
+ * Export files are written in English whatever the language shown (column names and recorded answers).
+ *
+ * FUNCTIONS:
+ * - getSessionResults(sessionId, student): The export of a stored session (null if it is not stored).
+ * - toCsvCell(value) / resultsToCsv(results): CSV text of one or more exports.
+ * - parseCsv(text): Rows (arrays of cells) of a CSV text.
+ * - csvToResults(text): The exports contained in an exported CSV file.
+ * - getResultsProblem(result): What is wrong with an imported export (null when it can be shown).
+ * - parseResultsFile(name, text): Resolves a file into { source, results } or { source, error }.
+ * - downloadResults(format): Downloads the finished session as 'csv' or 'json'.
+ * - showResultsExport(sessionId): Shows the export controls on the end screen for a finished session.
+ * - summarizeQuestions(results): Per-question difficulty and most common wrong structures, hardest first.
+ * - renderInstructorScreen(): Rebuilds the student and question tables from the imported results.
+ *
+ * EVENT LISTENERS:
+ * - exportCsvButton, exportJsonButton (click): Download the finished session.
+ * - instructorButton (click): Opens the instructor view from the title screen.
+ * - instructorBackButton (click): Returns to the title screen.
+ * - resultsFileInput (change): Imports students' export files.
+ * - clearImportedButton (click): Forgets the imported results.
+ * - document (localechange): Shows the open instructor view in the new language.
+ *
+ * GLOBAL VARIABLES (State & Elements):
+ * - resultsFormat: The `format` of an export file.
+ * - resultsFields: CSV columns of a question row (header and field), in export order.
+ * - exportedSessionId: Session shown on the end screen (null when there is nothing to export).
+ * - importedResults: (Map) "student|session ID" -> imported export.
+ * - resultsExport, exportNameInput, exportCsvButton, exportJsonButton, exportStatus: End screen controls.
+ * - instructorScreen, instructorButton, instructorBackButton, clearImportedButton, resultsFileInput,
+ * resultsImportStatus, studentResults, questionDifficulty: Instructor view.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - loadProgress(), readStore(), writeStore() (storage.js), playerNameStorageKey (challenge.js)
+ * - buildTable(), formatDuration() (progress.js), formatPoints() (scoring.js), titleScreen (main.js)
+ * - t(), getLocale() (i18n.js)
+**/
+
+const resultsExport = document.getElementById('resultsExport');
+const exportNameInput = document.getElementById('exportNameInput');
+const exportCsvButton = document.getElementById('exportCsvButton');
+const exportJsonButton = document.getElementById('exportJsonButton');
+const exportStatus = document.getElementById('exportStatus');
+const instructorScreen = document.getElementById('instructorScreen');
+const instructorButton = document.getElementById('instructorButton');
+const instructorBackButton = document.getElementById('instructorBackButton');
+const clearImportedButton = document.getElementById('clearImportedButton');
+const resultsFileInput = document.getElementById('resultsFileInput');
+const resultsImportStatus = document.getElementById('resultsImportStatus');
+const studentResults = document.getElementById('studentResults');
+const questionDifficulty = document.getElementById('questionDifficulty');
+
+const resultsFormat = 'echosim-results';
+
+// Session columns first, then the question's; 'type' tells how to write and read back a cell
+const resultsFields = [
+  { label: 'Student', get: r => r.student, set: (r, v) => { r.student = v; } },
+  { label: 'Session ID', get: r => r.session.id, set: (r, v) => { r.session.id = v; } },
+  { label: 'Started', get: r => r.session.startedAt, set: (r, v) => { r.session.startedAt = v; } },
+  { label: 'Finished', get: r => r.session.finishedAt, set: (r, v) => { r.session.finishedAt = v || null; } },
+  { label: 'Quiz bank', get: r => r.session.bankTitle, set: (r, v) => { r.session.bankTitle = v; } },
+  { label: 'Mode', get: r => r.session.mode, set: (r, v) => { r.session.mode = v; } },
+  { label: 'Score', get: r => r.session.score, set: (r, v) => { r.session.score = parseFloat(v) || 0; } },
+  { label: 'Questions', get: r => r.session.questionCount, set: (r, v) => { r.session.questionCount = parseInt(v, 10) || 0; } },
+  { label: 'Question #', field: 'questionIndex', type: 'index' },
+  { label: 'Question', field: 'question' },
+  { label: 'Expected zone', field: 'expectedZone' },
+  { label: 'Expected view', field: 'expectedView' },
+  { label: 'Expected structure', field: 'expectedStructure' },
+  { label: 'Chosen zone', field: 'chosenZone' },
+  { label: 'Chosen view', field: 'chosenView' },
+  { label: 'Chosen structure', field: 'chosenStructure' },
+  { label: 'Correct', field: 'correct', type: 'boolean' },
+  { label: 'View correct', field: 'viewCorrect', type: 'boolean' },
+  { label: 'Structure correct', field: 'structureCorrect', type: 'boolean' },
+  { label: 'Points', field: 'points', type: 'number' },
+  { label: 'Time (s)', field: 'timeTakenMs', type: 'seconds' },
+  { label: 'Show Answer used', field: 'usedShowAnswer', type: 'boolean' },
+  { label: 'Scanning hints on', field: 'hintsShown', type: 'boolean' },
+  { label: 'Timed out', field: 'timedOut', type: 'boolean' }
+];
+
+let exportedSessionId = null;
+const importedResults = new Map();
+
+// Export of a stored session, with the questions in the order they were answered
+function getSessionResults(sessionId, student) {
+  const { sessions, attempts } = loadProgress();
+  const session = sessions.find(s => s.id === sessionId);
+  if (!session) return null;
+
+  return {
+    format: resultsFormat,
+    formatVersion: 1,
+    exportedAt: new Date().toISOString(),
+    student,
+    session: {
+      id: session.id,
+      startedAt: session.startedAt,
+      finishedAt: session.finishedAt,
+      bankTitle: session.bankTitle,
+      mode: session.mode,
+      questionCount: session.questionCount,
+      score: session.score
+    },
+    questions: attempts
+      .filter(a => a.sessionId === sessionId)
+      .map(a => ({
+        questionIndex: a.questionIndex,
+        question: a.question,
+        expectedZone: a.expectedZone,
+        expectedView: a.expectedView,
+        expectedStructure: a.expectedStructure,
+        chosenZone: a.chosenZone,
+        chosenView: a.chosenView,
+        chosenStructure: a.chosenStructure,
+        correct: !!a.correct,
+        viewCorrect: !!(a.viewCorrect ?? a.correct),
+        structureCorrect: !!(a.structureCorrect ?? a.correct),
+        points: a.points,
+        timeTakenMs: a.timeTakenMs,
+        usedShowAnswer: !!a.usedShowAnswer,
+        hintsShown: !!a.hintsShown,
+        timedOut: !!a.timedOut
+      }))
+  };
+}
+
+// Quote a cell when it holds a comma, quote or line break
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per question; "yes" / "no" for the checks, the time in seconds and question numbers from 1
+function resultsToCsv(results) {
+  const rows = [resultsFields.map(f => f.label)];
+
+  results.forEach(result => {
+    result.questions.forEach(question => {
+      rows.push(resultsFields.map(f => {
+        if (f.get) return f.get(result);
+        const value = question[f.field];
+        if (f.type === 'boolean') return value ? 'yes' : 'no';
+        if (f.type === 'seconds') return typeof value === 'number' ? (value / 1000).toFixed(1) : '';
+        if (f.type === 'index') return value + 1;
+        if (f.type === 'number') return formatPoints(value || 0);
+        return value;
+      }));
+    });
+  });
+
+  return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Rows of a CSV text (quoted cells may hold commas, quotes and line breaks)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(Boolean));
+}
+
+// Exports contained in a CSV file (its rows grouped by student and session)
+function csvToResults(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const columns = resultsFields.map(f => header ? header.indexOf(f.label) : -1);
+  const missing = resultsFields.filter((f, i) => columns[i] < 0).map(f => f.label);
+  if (missing.length === resultsFields.length) throw new Error('not an EchoSim results export');
+  if (missing.length) throw new Error(`missing columns ${missing.join(', ')}`);
+
+  const results = new Map();
+  rows.forEach(cells => {
+    const result = { format: resultsFormat, formatVersion: 1, session: {}, questions: [] };
+    const question = {};
+
+    resultsFields.forEach((f, i) => {
+      const value = cells[columns[i]] ?? '';
+      if (f.set) f.set(result, value);
+      else if (f.type === 'boolean') question[f.field] = value.trim().toLowerCase() === 'yes';
+      else if (f.type === 'seconds') question[f.field] = value === '' ? null : Math.round(parseFloat(value) * 1000);
+      else if (f.type === 'index') question[f.field] = parseInt(value, 10) - 1;
+      else if (f.type === 'number') question[f.field] = parseFloat(value) || 0;
+      else question[f.field] = value || null;
+    });
+
+    const key = `${result.student}|${result.session.id}`;
+    if (!results.has(key)) results.set(key, result);
+    results.get(key).questions.push(question);
+  });
+
+  return [...results.values()];
+}
+
+// What is wrong with an imported export, or null when the instructor view can show it
+function getResultsProblem(result) {
+  if (!result || typeof result !== 'object' || result.format !== resultsFormat || typeof result.student !== 'string' ||
+    !result.session || typeof result.session !== 'object' || !Array.isArray(result.questions)) {
+    return 'not an EchoSim results export';
+  }
+
+  const { session } = result;
+  if (typeof session.startedAt !== 'string' || isNaN(new Date(session.startedAt))) {
+    return `session of ${result.student || 'unnamed student'} has no valid start date`;
+  }
+  if (typeof session.score !== 'number' || typeof session.questionCount !== 'number') {
+    return `session of ${result.student || 'unnamed student'} has no valid score`;
+  }
+
+  const index = result.questions.findIndex(q => !q || typeof q !== 'object' ||
+    typeof q.question !== 'string' || !Number.isInteger(q.questionIndex) || typeof q.points !== 'number' ||
+    !(q.timeTakenMs === null || q.timeTakenMs === undefined || typeof q.timeTakenMs === 'number') ||
+    resultsFields.some(f => f.field && (f.type === 'boolean'
+      ? typeof q[f.field] !== 'boolean'
+      : !f.type && !(q[f.field] === null || q[f.field] === undefined || typeof q[f.field] === 'string'))));
+  return index < 0 ? null : `question ${index + 1} of ${result.student || 'unnamed student'} is not valid`;
+}
+
+// A JSON export (or a list of them) or a CSV export; resolves into { source, results } or { source, error }
+function parseResultsFile(name, text) {
+  try {
+    const results = /\.csv$/i.test(name) ? csvToResults(text) : [].concat(JSON.parse(text));
+    if (!results.length) throw new Error('not an EchoSim results export');
+    const problem = results.map(getResultsProblem).find(Boolean);
+    if (problem) throw new Error(problem);
+    return { source: name, results };
+  } catch (error) {
+    return { source: name, error: error.message };
+  }
+}
+
+// Download the finished session
+function downloadResults(format) {
+  const student = exportNameInput.value.trim();
+  if (!student) {
+    exportStatus.textContent = t('results.nameRequired');
+    exportNameInput.focus();
+    return;
+  }
+  writeStore(playerNameStorageKey, student);
+
+  const results = getSessionResults(exportedSessionId, student);
+  if (!results) {
+    exportStatus.textContent = t('results.missingSession');
+    return;
+  }
+
+  const text = format === 'csv' ? resultsToCsv([results]) : `${JSON.stringify(results, null, 2)}\n`;
+  const blob = new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `echosim-results-${student.replace(/[^\w-]+/g, '_')}-${results.session.startedAt.slice(0, 10)}.${format}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  exportStatus.textContent = t('results.exported', { count: results.questions.length, format: format.toUpperCase() });
+}
+
+// End screen export controls, for the session that just finished
+function showResultsExport(sessionId) {
+  exportedSessionId = sessionId;
+  exportStatus.textContent = '';
+  exportNameInput.value = readStore(playerNameStorageKey, '');
+  resultsExport.classList.toggle('hidden', !sessionId);
+}
+
+// Per question: students who answered it, how many got it right, time, 'Show Answer' use and the wrong
+// structures chosen, hardest first
+function summarizeQuestions(results) {
+  const groups = {};
+
+  results.forEach(result => {
+    result.questions.forEach(q => {
+      const key = `${q.question}|${q.expectedView}`;
+      const group = groups[key] || (groups[key] = {
+        question: q.question, expectedView: q.expectedView, expectedStructure: q.expectedStructure,
+        attempts: 0, correct: 0, showAnswer: 0, times: [], wrong: {}
+      });
+
+      group.attempts++;
+      if (q.correct) group.correct++;
+      if (q.usedShowAnswer) group.showAnswer++;
+      if (typeof q.timeTakenMs === 'number') group.times.push(q.timeTakenMs);
+      if (!q.structureCorrect) {
+        const chosen = q.timedOut ? t('results.timedOut') : q.chosenStructure || t('results.noAnswer');
+        group.wrong[chosen] = (group.wrong[chosen] || 0) + 1;
+      }
+    });
+  });
+
+  return Object.values(groups)
+    .map(group => ({
+      ...group,
+      successRate: Math.round(group.correct / group.attempts * 100),
+      averageTime: group.times.length ? group.times.reduce((sum, t) => sum + t, 0) / group.times.length : null,
+      commonWrong: Object.entries(group.wrong).sort((a, b) => b[1] - a[1]).slice(0, 3)
+    }))
+    .sort((a, b) => a.successRate - b.successRate || b.attempts - a.attempts);
+}
+
+// Rebuild the student and question tables from the imported results
+function renderInstructorScreen() {
+  const results = [...importedResults.values()];
+
+  studentResults.innerHTML = '';
+  questionDifficulty.innerHTML = '';
+
+  if (!results.length) {
+    studentResults.textContent = t('results.empty');
+    return;
+  }
+
+  const studentRows = results
+    .slice()
+    .sort((a, b) => a.student.localeCompare(b.student) || a.session.startedAt.localeCompare(b.session.startedAt))
+    .map(r => [
+      r.student,
+      new Date(r.session.startedAt).toLocaleString(getLocale()),
+      r.session.bankTitle || '-',
+      t(r.session.mode === 'challenge' ? 'progress.modeTimed' : 'progress.modeQuiz'),
+      `${formatPoints(r.session.score)} / ${r.session.questionCount}`,
+      `${r.questions.length}`,
+      t(r.session.finishedAt ? 'progress.finished' : 'progress.unfinished')
+    ]);
+  const studentHeaders = ['student', 'date', 'bank', 'mode', 'score', 'answered', 'status'];
+  studentResults.appendChild(buildTable(studentHeaders.map(key => t(`progress.columns.${key}`)), studentRows));
+
+  const questionRows = summarizeQuestions(results).map(q => [
+    q.question,
+    q.expectedStructure || '-',
+    `${q.successRate}%`,
+    `${q.correct} / ${q.attempts}`,
+    formatDuration(q.averageTime),
+    `${q.showAnswer}`,
+    q.commonWrong.map(([structure, count]) => `${structure} (${count})`).join(', ') || '-'
+  ]);
+  const questionHeaders = ['question', 'answer', 'successRate', 'correct', 'averageTime', 'showAnswerUsed', 'commonWrong'];
+  questionDifficulty.appendChild(buildTable(questionHeaders.map(key => t(`progress.columns.${key}`)), questionRows));
+}
+
+// Download the finished session
+exportCsvButton.addEventListener('click', () => downloadResults('csv'));
+exportJsonButton.addEventListener('click', () => downloadResults('json'));
+
+// Open the instructor view from the title screen
+instructorButton.addEventListener('click', () => {
+  renderInstructorScreen();
+  titleScreen.classList.add('hidden');
+  instructorScreen.classList.remove('hidden');
+});
+
+// Back to the title screen
+instructorBackButton.addEventListener('click', () => {
+  instructorScreen.classList.add('hidden');
+  titleScreen.classList.remove('hidden');
+});
+
+// Import students' export files; a session imported again replaces the earlier copy
+resultsFileInput.addEventListener('change', () => {
+  const files = Array.from(resultsFileInput.files);
+  if (!files.length) return;
+
+  Promise.all(files.map(file => file.text().then(text => parseResultsFile(file.name, text))))
+    .then(parsed => {
+      let sessions = 0;
+      parsed.forEach(({ results }) => (results || []).forEach(result => {
+        importedResults.set(`${result.student}|${result.session.id}`, result);
+        sessions++;
+      }));
+
+      const problems = parsed.filter(p => p.error).map(p => t('results.importFailed', { source: p.source, reason: p.error }));
+      resultsImportStatus.textContent = [t('results.imported', { count: sessions })]
+        .concat(problems).join(' ');
+      renderInstructorScreen();
+    });
+  resultsFileInput.value = '';   // Allow choosing the same files again
+});
+
+// Forget the imported results
+clearImportedButton.addEventListener('click', () => {
+  importedResults.clear();
+  resultsImportStatus.textContent = '';
+  renderInstructorScreen();
+});
+
+document.addEventListener('localechange', () => {
+  if (!instructorScreen.classList.contains('hidden')) renderInstructorScreen();
+});
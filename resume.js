@@ -0,0 +1,174 @@
+/**
+ * -----------------------------------------------------------------------------
+ * RESUME INTERRUPTED QUIZ
+ * -----------------------------------------------------------------------------
+ * This script keeps a snapshot of the quiz in progress in localStorage (storage.js)
+ * and offers to resume it from the title screen after 'Exit to Main Menu' or a page
+ * reload. The snapshot holds the question order, current question, score, answers so
+ * far and the probe's position, zone, view index and orientation, so the simulator is
+ * restored exactly where the user left off.
+ *
+ * SAVED QUIZ STATE:
+ * { sessionId, bankTitle, caseId, questions, currentQuestionIndex, score, viewCredits, structureCredits, answered, screen: 'question' | 'simulator',
+ *   answers: [ { questionIndex, chosenStructure, correct } ], challenge: { remainingMs, totalTimeMs } | null,
+ *   probe: { left, top, zone, viewIndex, sweepDeg, tailPosition }, savedAt }
+ * `answered` is true when the current question was answered but 'Next Question' was not clicked yet;
+ * such a quiz resumes at the next question.
+ *
+ * FUNCTIONS:
+ * - saveCurrentQuiz(): Saves a snapshot of the running quiz (does nothing outside a quiz).
+ * - getResumableQuiz(): Returns the saved quiz if it can still be resumed, or null.
+ * - updateResumeButton(): Shows "Resume quiz (Question N of M)" on the title screen when there is a saved quiz.
+ * - resumeQuiz(): Restores the saved quiz and opens the question screen or simulator.
+ *
+ * EVENT LISTENERS:
+ * - resumeButton (click): Resumes the saved quiz.
+ * - document (DOMContentLoaded): Shows the resume button for a quiz saved in an earlier visit.
+ * - document (localechange): Shows the button text in the new language.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - saveQuizState(), loadQuizState(), clearQuizState(), finishProgressSession(),
+ * startQuestionTimer(), currentSessionId, currentSessionAnswers (storage.js)
+ * - viewCredits, structureCredits (scoring.js)
+ * - isChallengeMode, challengeRemainingMs, challengeTotalTimeMs, startChallengeTimer() (challenge.js)
+ * - quizData (imagedata.js), currentQuizBankTitle, validateQuizBank() (quizbank.js), currentCase, selectCase() (cases.js)
+ * - currentQuestionIndex, score, sweepDeg, tailPosition, lastCellPos, currentViewIndex, gameStarted,
+ * isSimulatorActive, isSandBoxActive, isFeedbackActive, loadQuestion(), updateImagePreview() (loadquestions.js)
+ * - titleScreen, questionTitleScreen, container, initUI() (main.js), probe, lastProbeCoords, refreshRope() (probe.js / rope.js)
+ * - trackQuizStart() (lms.js): Tells the LMS the quiz was resumed.
+ * - t() (i18n.js)
+**/
+
+const resumeButton = document.getElementById('resumeButton');
+
+// Save a snapshot of the running quiz
+function saveCurrentQuiz() {
+  if (!gameStarted || isSandBoxActive || !currentSessionId) return;
+
+  saveQuizState({
+    sessionId: currentSessionId,
+    bankTitle: currentQuizBankTitle,
+    caseId: currentCase.id,
+    questions: quizData,
+    currentQuestionIndex,
+    score,
+    viewCredits,
+    structureCredits,
+    answered: isFeedbackActive,
+    challenge: isChallengeMode ? { remainingMs: challengeRemainingMs, totalTimeMs: challengeTotalTimeMs } : null,
+    screen: container.classList.contains('hidden') ? 'question' : 'simulator',
+    answers: currentSessionAnswers,
+    probe: {
+      left: probe.style.left,
+      top: probe.style.top,
+      zone: lastCellPos,
+      viewIndex: currentViewIndex,
+      sweepDeg,
+      tailPosition
+    },
+    savedAt: new Date().toISOString()
+  });
+}
+
+// Saved quiz, if it can still be resumed
+function getResumableQuiz() {
+  const state = loadQuizState();
+  if (!state || !Array.isArray(state.questions)) return null;
+
+  // The view catalog may have changed since the quiz was saved
+  if (validateQuizBank({ questions: state.questions }, 'Saved quiz').length) {
+    clearQuizState();
+    return null;
+  }
+
+  // Every question was answered: the quiz only missed its 'End Quiz' click
+  const nextIndex = state.answered ? state.currentQuestionIndex + 1 : state.currentQuestionIndex;
+  if (nextIndex >= state.questions.length) {
+    currentSessionId = state.sessionId;
+    finishProgressSession(state.score);
+    clearQuizState();
+    return null;
+  }
+
+  return state;
+}
+
+// Show the resume button when there is a saved quiz
+function updateResumeButton() {
+  const state = getResumableQuiz();
+  resumeButton.classList.toggle('hidden', !state);
+  if (!state) return;
+
+  const questionIndex = state.answered ? state.currentQuestionIndex + 1 : state.currentQuestionIndex;
+  resumeButton.textContent = t('resume.button', { number: questionIndex + 1, count: state.questions.length });
+}
+
+// Restore the saved quiz where the user left off
+function resumeQuiz() {
+  const state = getResumableQuiz();
+  if (!state) {
+    updateResumeButton();
+    return;
+  }
+
+  quizData = state.questions;
+  currentQuizBankTitle = state.bankTitle;
+  currentSessionId = state.sessionId;
+  currentSessionAnswers = Array.isArray(state.answers) ? state.answers : [];
+  currentQuestionIndex = state.answered ? state.currentQuestionIndex + 1 : state.currentQuestionIndex;
+  score = state.score;
+  viewCredits = state.viewCredits || 0;
+  structureCredits = state.structureCredits || 0;
+  isChallengeMode = Boolean(state.challenge);
+  challengeTotalTimeMs = state.challenge ? state.challenge.totalTimeMs : 0;
+  selectCase(state.caseId);
+  gameStarted = true;
+  isSandBoxActive = false;
+  isFeedbackActive = false;
+  feedbackBox.classList.add('hidden');
+  containerOverlay.classList.add('hidden');
+  titleScreen.classList.add('hidden');
+
+  if (state.answered || state.screen === 'question') {
+    // Back to the intro screen of the question
+    questionTitleScreen.classList.remove('hidden');
+    isSimulatorActive = false;
+    loadQuestion();
+  } else {
+    // Back into the simulator with the probe where it was
+    questionTitleScreen.classList.add('hidden');
+    container.classList.remove('hidden');
+    isSimulatorActive = true;
+    initUI();
+
+    probe.style.left = state.probe.left;
+    probe.style.top = state.probe.top;
+    sweepDeg = state.probe.sweepDeg;
+    tailPosition = state.probe.tailPosition;
+    lastCellPos = state.probe.zone;
+    currentViewIndex = state.probe.viewIndex;
+    lastProbeCoords = null;
+    lastControl1 = null;
+    lastControl2 = null;
+
+    updateImagePreview();
+    refreshRope();
+    startQuestionTimer();
+    startChallengeTimer(state.challenge ? state.challenge.remainingMs : undefined);
+  }
+
+  trackQuizStart(true);
+  saveCurrentQuiz();
+}
+
+// Resume the saved quiz
+resumeButton.addEventListener('click', () => {
+  resumeQuiz();
+});
+
+// Quiz saved during an earlier visit
+document.addEventListener('DOMContentLoaded', () => {
+  updateResumeButton();
+});
+
+document.addEventListener('localechange', updateResumeButton);
@@ -15,9 +15,10 @@
  * points for the Bézier curve and updates the 'd' attribute of the SVG path.
  * - refreshRope(): Uses a double requestAnimationFrame() to ensure the SVG rope is 
  * updated after any DOM changes (like probe movement or style transforms).
- * - getTailAnchor(probeEl, angleDeg, tailDir, currentViewIndex): Calculates the 
+ * - getTailAnchor(probeEl, angleDeg, tailDir, ropeAnchor): Calculates the 
  * precise screen coordinates of the probe's "tail" connection point based on 
- * the probe's center, rotation angle, and tail direction.
+ * the probe's center, rotation angle, and tail direction, unless the active 
+ * view declares a `ropeAnchor` override ('center' or { angle }).
  * - toSvgCoords(x, y): Converts standard viewport (screen) coordinates into the 
  * correct coordinate system used by the SVG canvas, essential for accurate drawing.
  * - animateRope(from, to, duration): Linearly interpolates (lerps) between two 
@@ -28,7 +29,7 @@
  * GLOBAL VARIABLES (Elements & State):
  * - ropePath: The SVG `<path>` element that draws the cable.
  * - probe: The draggable probe element.
- * - sweepDeg, tailPosition, currentViewIndex: Critical state variables defining 
+ * - sweepDeg, tailPosition, activeView: Critical state variables defining 
  * the probe's orientation, required for calculating the tail anchor point.
  * 
  * EXTERNAL DEPENDENCIES:
@@ -44,7 +45,7 @@ function updateRope() {
   const mBox = document.querySelector('.machine-area').getBoundingClientRect();
   const mScreen = { x: mBox.left + mBox.width/2, y: mBox.top + 20 };
 
-  const tailScreen = getTailAnchor(probe, sweepDeg, tailPosition, currentViewIndex, position);
+  const tailScreen = getTailAnchor(probe, sweepDeg, tailPosition, activeView?.ropeAnchor);
 
   // control points
   let c1x, c1y, c2x, c2y;
@@ -84,7 +85,7 @@ function refreshRope() {
 }
 
 // Calculate the tail tip coordinates 
-function getTailAnchor(probeEl, angleDeg, tailDir, currentViewIndex, position) {
+function getTailAnchor(probeEl, angleDeg, tailDir, ropeAnchor) {
   const { x: cx, y: cy} = getProbeCenter(probeEl);
 
   // radius from center to edge (half width)
@@ -97,14 +98,14 @@ function getTailAnchor(probeEl, angleDeg, tailDir, currentViewIndex, position) {
   // if "down", put it on the right side.
   const offsetAngle = tailDir === 'down' ? theta : theta + Math.PI;
 
-  console.log('pos:', position, theta);
-  if (currentViewIndex === 2) {
+  // Views can override the anchor (see `ropeAnchor` in the view catalog)
+  if (ropeAnchor === 'center') {
     return { x: cx, y: cy };
   }
-  if (position === 1) {
+  if (ropeAnchor && typeof ropeAnchor.angle === 'number') {
     return {
-      x: cx + r * Math.cos(270 * Math.PI / 180),
-      y: cy + r * Math.sin(270 * Math.PI / 180)
+      x: cx + r * Math.cos(ropeAnchor.angle * Math.PI / 180),
+      y: cy + r * Math.sin(ropeAnchor.angle * Math.PI / 180)
     };
   } else {
     return {
@@ -0,0 +1,229 @@
+/**
+ * -----------------------------------------------------------------------------
+ * TWO-STAGE SCORING
+ * -----------------------------------------------------------------------------
+ * This script scores each quiz answer in two stages: acquiring the view (right zone
+ * and right "ANGLE_TAIL" orientation) and identifying the structure. Each stage earns
+ * partial credit, 'Show Answer' costs a configurable penalty, and the feedback explains
+ * which stage failed (e.g., "You are in the PSAX AV view; the question asks for PLAX.").
+ *
+ * SCORING:
+ * - View acquired: `scoringRules.viewPoints` (0.5).
+ * - Structure identified: `scoringRules.structurePoints` (0.5). Clicking the asked-for
+ * structure in a different view still counts as identifying it (structures are compared by their `structure` ID).
+ * - Measurement questions (see measure.js): the second stage is a measurement within the question's
+ * `tolerance` of its `reference` value, taken on the asked-for view. Multiple-choice questions (see cases.js):
+ * the right choice, given on the asked-for view.
+ * - 'Show Answer': `showAnswerPenalty` points are taken off the running score (never below 0).
+ *
+ * FUNCTIONS:
+ * - scoreAnswer(qData, zone, view, hotspot, weight): Returns { viewCorrect, structureCorrect, correct, points, message };
+ * the points are multiplied by 'weight' (the speed factor in timed challenge mode).
+ * - scoreMeasurement(qData, zone, view, value, weight): The same for a measurement question ('value' in cm / cm²).
+ * - scoreChoice(qData, zone, view, choice, weight): The same for a multiple-choice question (see cases.js); 'choice' is { id, text }.
+ * - scoreColorJet(qData, zone, view, boxJets, weight): The same for a colour Doppler question (see doppler.js); 'boxJets' are the
+ * jets inside the sample box, which must hold the asked-for jet and no other.
+ * - scoreViewAndAnswer(qData, zone, view, answerCorrect, detail, mistake, weight): Shared by the three above; the answer
+ * only counts on the asked-for view.
+ * - getExpectedAnswer(qData): The zone, view and structure a question asks for (as stored with each attempt), with the IDs
+ * of the view and of the structure (null when the question asks for something else).
+ * - describeReference(measurement): "3.7 ± 0.5 cm"; describeGain(points, weight): "(+0.5 points, speed ×0.8)".
+ * - describeViewMismatch(zone, view, expectedView): Explains which view/zone the user is in versus the one asked for.
+ * - viewLabel(view): Short label of a view (its ID, e.g., "PSAX AV").
+ * - applyShowAnswerPenalty(): Deducts the 'Show Answer' penalty; returns the points deducted.
+ * - formatPoints(points): Formats a score without trailing zeros (e.g., "3.5").
+ * - resetScore(): Resets the score and the per-stage counters for a new quiz.
+ * - describeScoreBreakdown(questionCount): "Views acquired: 3 of 5 · Structures identified: 4 of 5".
+ *
+ * EVENT LISTENERS:
+ * - showAnswerPenaltySelect (change): Sets the 'Show Answer' penalty.
+ *
+ * GLOBAL VARIABLES (State & Elements):
+ * - scoringRules: Points awarded for each stage.
+ * - showAnswerPenalty: Points deducted for using 'Show Answer' (set on the title screen).
+ * - viewCredits, structureCredits: Number of questions whose view / structure stage was passed.
+ * - showAnswerPenaltySelect: Title screen setting.
+ *
+ * EXTERNAL DEPENDENCIES (Variables/Functions):
+ * - score (loadquestions.js), getCatalogView(), viewKey() (viewcatalog.js),
+ * getQuestionHotspot(), isHotspotQuestion() (quizbank.js), formatMeasurement(), measurementUnits (measure.js),
+ * getQuestionChoices() (cases.js), getQuestionJet() (doppler.js)
+ * - t(), formatList(), localizeText(), lowerText(), getZoneName(), getViewName(), getStructureId(), getStructureName(), getJetName() (i18n.js)
+**/
+
+const showAnswerPenaltySelect = document.getElementById('showAnswerPenaltySelect');
+const scoringRules = {
+  viewPoints: 0.5,
+  structurePoints: 0.5
+};
+
+let showAnswerPenalty = parseFloat(showAnswerPenaltySelect.value);
+let viewCredits = 0;
+let structureCredits = 0;
+
+// Short label of a view ("PSAX_AV" -> "PSAX AV")
+function viewLabel(view) {
+  return view.id.replace(/_/g, ' ');
+}
+
+// Which view / window the user is in versus the one the question asks for
+function describeViewMismatch(zone, view, expectedView) {
+  if (zone !== expectedView.zone) {
+    return t('scoring.wrongZone', {
+      view: viewLabel(view), zone: getZoneName(zone),
+      expectedView: viewLabel(expectedView), expectedZone: getZoneName(expectedView.zone)
+    });
+  }
+  return t('scoring.wrongView', { view: viewLabel(view), expectedView: viewLabel(expectedView) });
+}
+
+// Zone, view and structure names a question asks for (in the current language), and the IDs My Progress groups them by
+function getExpectedAnswer(qData) {
+  const view = getCatalogView(qData.correctPosition, qData.key);
+  const hotspot = getQuestionHotspot(qData);
+  return {
+    expectedZone: getZoneName(qData.correctPosition),
+    expectedView: view ? getViewName(view) : qData.key,
+    expectedViewId: view ? view.id : null,
+    expectedStructureId: hotspot && isHotspotQuestion(qData) ? getStructureId(hotspot) : null,
+    expectedStructure: qData.measurement
+      ? `${localizeText(qData.measurement.label)} ${describeReference(qData.measurement)}`
+      : getQuestionChoices(qData) ? getQuestionChoices(qData).correct.text
+      : qData.colorJet !== undefined ? getJetName(getQuestionJet(qData) || { answer: qData.colorJet, text: qData.colorJet })
+      : hotspot ? getStructureName(hotspot) : qData.correctAnswer
+  };
+}
+
+// "3.7 ± 0.5 cm"
+function describeReference(measurement) {
+  return `${measurement.reference} ± ${measurement.tolerance} ${measurementUnits[measurement.type]}`;
+}
+
+// "(+0.5 points, speed ×0.8)"
+function describeGain(points, weight) {
+  const gain = t('scoring.points', { count: Number(formatPoints(points)), points: formatPoints(points) });
+  return formatPoints(weight) !== '1'
+    ? t('scoring.gainWithSpeed', { gain, speed: formatPoints(weight) })
+    : t('scoring.gain', { gain });
+}
+
+// Score an answer in two stages and explain the result
+function scoreAnswer(qData, zone, view, hotspot, weight = 1) {
+  const expectedView = getCatalogView(qData.correctPosition, qData.key);
+  const expectedHotspot = getQuestionHotspot(qData);
+
+  const viewCorrect = zone === qData.correctPosition && viewKey(view) === qData.key;
+  // Structures are compared by ID, so the same structure matches in any view and any language
+  const structureCorrect = viewCorrect
+    ? hotspot.answer === qData.correctAnswer
+    : getStructureId(hotspot) === getStructureId(expectedHotspot);
+
+  const basePoints = (viewCorrect ? scoringRules.viewPoints : 0) + (structureCorrect ? scoringRules.structurePoints : 0);
+  const points = basePoints * weight;
+  const gained = describeGain(points, weight);
+
+  let message;
+  if (viewCorrect && structureCorrect) {
+    message = t('scoring.correct', { gained });
+  } else if (viewCorrect) {
+    message = t('scoring.wrongStructure', { structure: getStructureName(hotspot), gained });
+  } else if (structureCorrect) {
+    message = t('scoring.rightStructureWrongView', { mismatch: describeViewMismatch(zone, view, expectedView), gained });
+  } else {
+    message = t('scoring.incorrect', { mismatch: describeViewMismatch(zone, view, expectedView) });
+  }
+
+  if (viewCorrect) viewCredits++;
+  if (structureCorrect) structureCredits++;
+
+  return { viewCorrect, structureCorrect, correct: viewCorrect && structureCorrect, points, message };
+}
+
+// Score an answer given with its own controls (measurement, multiple choice, colour box) in two stages: the view, then
+// the answer, which only counts on the asked-for view; 'detail' explains the answer, 'mistake' a wrong one
+function scoreViewAndAnswer(qData, zone, view, answerCorrect, detail, mistake, weight) {
+  const expectedView = getCatalogView(qData.correctPosition, qData.key);
+
+  const viewCorrect = zone === qData.correctPosition && viewKey(view) === qData.key;
+  const structureCorrect = viewCorrect && answerCorrect;
+
+  const basePoints = (viewCorrect ? scoringRules.viewPoints : 0) + (structureCorrect ? scoringRules.structurePoints : 0);
+  const points = basePoints * weight;
+  const gained = describeGain(points, weight);
+
+  let message;
+  if (structureCorrect) {
+    message = t('scoring.correctWithDetail', { detail, gained });
+  } else if (viewCorrect) {
+    message = t('scoring.rightViewMistake', { mistake, detail, gained });
+  } else {
+    message = t('scoring.incorrect', { mismatch: describeViewMismatch(zone, view, expectedView) });
+  }
+
+  if (viewCorrect) viewCredits++;
+  if (structureCorrect) structureCredits++;
+
+  return { viewCorrect, structureCorrect, correct: structureCorrect, points, message };
+}
+
+// Score a measurement: the view, then the value against the reference
+function scoreMeasurement(qData, zone, view, value, weight = 1) {
+  const { label, reference, tolerance, type } = qData.measurement;
+  const detail = t('scoring.measurementDetail', {
+    label: localizeText(label), value: formatMeasurement(value, type), reference: describeReference(qData.measurement)
+  });
+  return scoreViewAndAnswer(qData, zone, view, Math.abs(value - reference) <= tolerance,
+    detail, t('scoring.outsideTolerance'), weight);
+}
+
+// Score a multiple-choice answer: the view, then the choice ({ id, text }; the IDs are compared)
+function scoreChoice(qData, zone, view, choice, weight = 1) {
+  const { correct } = getQuestionChoices(qData);
+  return scoreViewAndAnswer(qData, zone, view, choice.id === correct.id,
+    t('scoring.choiceDetail', { choice: choice.text }), t('scoring.wrongChoice'), weight);
+}
+
+// Score a colour Doppler answer: the view, then whether the sample box covers the jet, and only that jet
+function scoreColorJet(qData, zone, view, boxJets, weight = 1) {
+  const covered = boxJets.some(jet => jet.answer === qData.colorJet);
+  const others = boxJets.filter(jet => jet.answer !== qData.colorJet);
+
+  if (covered && others.length) {
+    return scoreViewAndAnswer(qData, zone, view, false, t('scoring.jetNarrow'),
+      t('scoring.jetCrowded', { others: formatList(others.map(jet => lowerText(getJetName(jet)))) }), weight);
+  }
+  const detail = covered
+    ? t('scoring.jetCovered', { jet: lowerText(getJetName(getQuestionJet(qData))) })
+    : t('scoring.jetHint');
+  return scoreViewAndAnswer(qData, zone, view, covered,
+    detail, t('scoring.jetMissed'), weight);
+}
+
+// Deduct the 'Show Answer' penalty from the running score
+function applyShowAnswerPenalty() {
+  const deduction = Math.min(showAnswerPenalty, score);
+  score -= deduction;
+  return deduction;
+}
+
+// Score without trailing zeros
+function formatPoints(points) {
+  return String(Math.round(points * 100) / 100);
+}
+
+// New quiz
+function resetScore() {
+  score = 0;
+  viewCredits = 0;
+  structureCredits = 0;
+}
+
+// Per-stage results for the end screen
+function describeScoreBreakdown(questionCount) {
+  return t('scoring.breakdown', { views: viewCredits, structures: structureCredits, count: questionCount });
+}
+
+// 'Show Answer' penalty setting
+showAnswerPenaltySelect.addEventListener('change', () => {
+  showAnswerPenalty = parseFloat(showAnswerPenaltySelect.value);
+});
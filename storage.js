@@ -0,0 +1,196 @@
+/**
+ * -----------------------------------------------------------------------------
+ * LOCAL PROGRESS STORAGE
+ * -----------------------------------------------------------------------------
+ * This script is the persistence layer for quiz progress. Every quiz session and
+ * every answered question (attempt) is stored in the browser's localStorage so the
+ * history survives exits, restarts and page reloads. Sandbox mode is not recorded.
+ *
+ * STORED DATA (localStorage key `progressStorageKey`):
+ * { sessions: [ { id, startedAt, finishedAt, bankTitle, questionCount, mode, score } ],
+ *   attempts: [ { sessionId, questionIndex, question, expectedZone, expectedView, expectedStructure,
+ *                 expectedViewId, expectedStructureId, chosenZone, chosenView, chosenStructure, correct, viewCorrect, structureCorrect, points,
+ *                 timeTakenMs, usedShowAnswer, hintsShown, answeredAt } ] }
+ * `score` is in points (see scoring.js); `timedOut` is set on attempts whose challenge countdown ran out; `points` is what the attempt earned after any 'Show Answer' penalty (never below 0); `hintsShown` tells whether scanning hints were on.
+ * Names are recorded in English; `expectedViewId` / `expectedStructureId` are the catalog IDs of the view and structure
+ * asked for (null for other questions, missing from attempts recorded before they existed; see progress.js).
+ *
+ * The quiz in progress is saved separately (key `quizStateStorageKey`) so an interrupted
+ * quiz can be resumed from the title screen (see resume.js).
+ *
+ * FUNCTIONS:
+ * - readStore(key, fallback) / writeStore(key, value): JSON access to localStorage that never throws.
+ * - loadProgress() / saveProgress(progress): Read and write the whole progress record.
+ * - startProgressSession(bankTitle, questionCount, mode): Opens a new session ('quiz' or 'challenge') and returns its ID;
+ * only the latest `maxStoredSessions` sessions (and their attempts) are kept.
+ * - recordAttempt(attempt): Stores an answered question for the current session (and its answer in `currentSessionAnswers`).
+ * - markShowAnswerUsed(deduction): Flags the current session's latest attempt as having used 'Show Answer'
+ * and takes the deducted points (at most the points the attempt earned) off the attempt and its session score.
+ * - finishProgressSession(score): Stores the final score of the current session.
+ * - clearProgress(): Deletes all stored history.
+ * - saveQuizState(state) / loadQuizState() / clearQuizState(): The saved quiz in progress (null when there is none).
+ * - startQuestionTimer() / getQuestionTime(): Time spent on the current question.
+ *
+ * GLOBAL VARIABLES (State):
+ * - progressStorageKey: localStorage key of the progress record.
+ * - quizStateStorageKey: localStorage key of the quiz in progress.
+ * - maxStoredSessions: Number of sessions kept in the progress record.
+ * - currentSessionId: ID of the quiz session in progress (null outside a quiz).
+ * - currentSessionAnswers: { questionIndex, chosenStructure, correct } of each answer of that session, kept in memory
+ * for the resumable quiz (see resume.js) so it is not read back from the whole history.
+ * - questionStartTime: Timestamp when the current question's simulator was shown.
+**/
+
+const progressStorageKey = 'echosim.progress';
+const quizStateStorageKey = 'echosim.quizState';
+const maxStoredSessions = 200;   // Older sessions and their attempts are dropped, so the record stays well under the storage quota
+
+let currentSessionId = null;
+let currentSessionAnswers = [];
+let questionStartTime = null;
+
+// Read a JSON value from localStorage (fallback if missing, unreadable or storage is blocked)
+function readStore(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.warn(`Could not read "${key}" from local storage:`, error);
+    return fallback;
+  }
+}
+
+// Write a JSON value to localStorage; returns false if it could not be saved
+function writeStore(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`Could not save "${key}" to local storage:`, error);
+    return false;
+  }
+}
+
+// Whole progress record
+function loadProgress() {
+  const progress = readStore(progressStorageKey, null);
+  return progress && Array.isArray(progress.sessions) && Array.isArray(progress.attempts)
+    ? progress
+    : { sessions: [], attempts: [] };
+}
+
+function saveProgress(progress) {
+  return writeStore(progressStorageKey, progress);
+}
+
+// Open a new quiz session
+function startProgressSession(bankTitle, questionCount, mode = 'quiz') {
+  const progress = loadProgress();
+  currentSessionId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  currentSessionAnswers = [];
+
+  progress.sessions.push({
+    id: currentSessionId,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    bankTitle,
+    questionCount,
+    mode,
+    score: 0
+  });
+
+  // Keep only the latest sessions
+  if (progress.sessions.length > maxStoredSessions) {
+    progress.sessions = progress.sessions.slice(-maxStoredSessions);
+    const kept = new Set(progress.sessions.map(s => s.id));
+    progress.attempts = progress.attempts.filter(a => kept.has(a.sessionId));
+  }
+  saveProgress(progress);
+
+  return currentSessionId;
+}
+
+// Store an answered question for the current session
+function recordAttempt(attempt) {
+  if (!currentSessionId) return;
+
+  const progress = loadProgress();
+  progress.attempts.push({
+    sessionId: currentSessionId,
+    usedShowAnswer: false,
+    answeredAt: new Date().toISOString(),
+    ...attempt
+  });
+  currentSessionAnswers.push({ questionIndex: attempt.questionIndex, chosenStructure: attempt.chosenStructure, correct: attempt.correct });
+
+  // Keep the running score so unfinished sessions still show it
+  const session = progress.sessions.find(s => s.id === currentSessionId);
+  if (session) session.score += attempt.points || 0;
+
+  saveProgress(progress);
+}
+
+// Flag the latest attempt of the current session as having used 'Show Answer'
+function markShowAnswerUsed(deduction = 0) {
+  if (!currentSessionId) return;
+
+  const progress = loadProgress();
+  const attempts = progress.attempts.filter(a => a.sessionId === currentSessionId);
+  const latest = attempts[attempts.length - 1];
+  if (!latest) return;
+
+  // The attempt gives back at most what it earned, and the session loses the same
+  const taken = Math.min(deduction, Math.max(0, latest.points || 0));
+  latest.usedShowAnswer = true;
+  latest.points = (latest.points || 0) - taken;
+
+  const session = progress.sessions.find(s => s.id === currentSessionId);
+  if (session) session.score = Math.max(0, session.score - taken);
+
+  saveProgress(progress);
+}
+
+// Store the final score of the current session
+function finishProgressSession(finalScore) {
+  if (!currentSessionId) return;
+
+  const progress = loadProgress();
+  const session = progress.sessions.find(s => s.id === currentSessionId);
+  if (session) {
+    session.finishedAt = new Date().toISOString();
+    session.score = finalScore;
+    saveProgress(progress);
+  }
+  currentSessionId = null;
+}
+
+// Delete all stored history
+function clearProgress() {
+  saveProgress({ sessions: [], attempts: [] });
+}
+
+// Saved quiz in progress
+function saveQuizState(state) {
+  return writeStore(quizStateStorageKey, state);
+}
+
+function loadQuizState() {
+  return readStore(quizStateStorageKey, null);
+}
+
+function clearQuizState() {
+  try {
+    localStorage.removeItem(quizStateStorageKey);
+  } catch (error) {
+    console.warn(`Could not remove "${quizStateStorageKey}" from local storage:`, error);
+  }
+}
+
+// Time spent on the current question
+function startQuestionTimer() {
+  questionStartTime = Date.now();
+}
+
+function getQuestionTime() {
+  return questionStartTime ? Date.now() - questionStartTime : null;
+}
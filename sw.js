@@ -0,0 +1,226 @@
+/**
+ * -----------------------------------------------------------------------------
+ * OFFLINE SERVICE WORKER
+ * -----------------------------------------------------------------------------
+ * This service worker keeps a copy of the whole simulator (code, quiz banks and images)
+ * in the browser's Cache Storage so it works without a network. It does not know the
+ * list of files itself: the page (offline.js) sends it the list and a version, and the
+ * worker fills the cache named after that version.
+ *
+ * VERSIONS:
+ * - Each version is cached in its own cache, `echosim-<offlineCacheVersion>-<hash>`, and is
+ * complete once the marker `offlineCompleteKey` has been stored in it. The marker is only stored
+ * when every file was cached; otherwise the failed files are reported and tried again the next time
+ * the page asks for the version (files already in the cache are kept).
+ * - When a new version is complete, the caches of older versions are deleted (an incomplete one leaves them).
+ * - Images already cached by an older version with the same `offlineCacheVersion` are copied
+ * instead of downloaded again; other files are always downloaded afresh.
+ *
+ * FETCHING:
+ * - Images: from the cache, or the network if they are not cached.
+ * - Quiz banks and their index (JSON files): from the network when it answers, so a new or edited bank
+ * changes the version the page computes on the first visit; from the cache when offline.
+ * - Everything else (pages, code): from the cache while a fresh copy is fetched
+ * in the background for the next visit (from the network if they are not cached).
+ *
+ * MESSAGES:
+ * - From the page: { type: 'cache', version, urls }
+ * - To the page: { type: 'progress', version, done, total } while caching, then
+ * { type: 'complete', version, failed: [urls] } (the version is only complete when `failed` is empty).
+ *
+ * FUNCTIONS:
+ * - isImageRequest(url): True for image files (served cache-first).
+ * - isDataRequest(url): True for JSON files (quiz banks and their index, served network-first).
+ * - getCacheGeneration(version): The `echosim-<offlineCacheVersion>-` part of a version (whose images can be reused).
+ * - findCached(request): The cached response of a request and the cache holding it (null if not cached).
+ * - cacheUrl(cache, url, generation): Stores one file, copying an image from an older cache of the same generation if possible.
+ * - cacheVersion(version, urls, report): Fills a version's cache and marks it complete if nothing failed; resolves with the URLs that failed.
+ * - deleteOtherVersions(version): Deletes the caches of all other versions.
+ * - fetchAndUpdate(request, cache): Fetches a request, storing a good response in 'cache'.
+ * - fetchNetworkFirst(event): The network response to a request (kept in the cache holding the file), or the
+ * cached copy when the network fails.
+ *
+ * EVENT LISTENERS:
+ * - self (install): Activates the new worker straight away.
+ * - self (activate): Takes control of the open pages.
+ * - self (message): Caches the files of the version the page sends.
+ * - self (fetch): Answers the simulator's requests from the cache (quiz banks from the network first).
+ *
+ * GLOBAL VARIABLES (State):
+ * - offlineCachePrefix: Prefix of the simulator's cache names.
+ * - offlineCompleteKey: Marker stored in a cache once all of its files are in.
+ * - offlineCacheConcurrency: Files downloaded at a time.
+ * - cachingVersions: (Map) Version -> promise of the caching in progress (so a version is cached once).
+**/
+
+const offlineCachePrefix = 'echosim-';
+const offlineCompleteKey = new URL('offline-cache-complete', self.registration.scope).href;
+const offlineCacheConcurrency = 4;
+const cachingVersions = new Map();
+
+// Images never change under the same name within a generation
+function isImageRequest(url) {
+  return /\.(png|jpe?g|gif|webp|svg)$/i.test(new URL(url).pathname);
+}
+
+// Quiz banks change without their name changing, and decide the cache version
+function isDataRequest(url) {
+  return /\.json$/i.test(new URL(url).pathname);
+}
+
+// "echosim-v1-3f2a9c1b" -> "echosim-v1-"
+function getCacheGeneration(version) {
+  return version.slice(0, version.lastIndexOf('-') + 1);
+}
+
+// Cached response of a request, and the cache it was found in
+function findCached(request) {
+  const options = { ignoreSearch: request.mode === 'navigate' };
+  return caches.keys().then(names => {
+    const simulatorCaches = names.filter(name => name.startsWith(offlineCachePrefix));
+    return simulatorCaches.reduce((found, name) => found.then(result => {
+      if (result) return result;
+      return caches.open(name).then(cache => cache.match(request, options)
+        .then(response => response ? { cache, response } : null));
+    }), Promise.resolve(null));
+  });
+}
+
+// Store one file; an image cached by an older version of the same generation is copied, not downloaded
+function cacheUrl(cache, url, generation) {
+  return cache.match(url).then(existing => {
+    if (existing) return;
+
+    const reuse = isImageRequest(url)
+      ? caches.keys().then(names => names
+        .filter(name => name.startsWith(generation))
+        .reduce((found, name) => found.then(response =>
+          response || caches.open(name).then(older => older.match(url))), Promise.resolve(null)))
+      : Promise.resolve(null);
+
+    return reuse.then(response => response
+      ? cache.put(url, response)
+      : fetch(url, { cache: 'no-cache' }).then(fresh => {
+        if (!fresh.ok) throw new Error(`HTTP ${fresh.status}`);
+        return cache.put(url, fresh);
+      }));
+  });
+}
+
+// Fill a version's cache, a few files at a time, and mark it complete if every file is in;
+// resolves with the URLs that could not be cached
+function cacheVersion(version, urls, report) {
+  const generation = getCacheGeneration(version);
+  const failed = [];
+  let next = 0;
+  let done = 0;
+
+  return caches.open(version).then(cache => {
+    const worker = () => {
+      if (next >= urls.length) return Promise.resolve();
+      const url = urls[next++];
+      return cacheUrl(cache, url, generation)
+        .catch(error => {
+          console.warn(`Could not cache ${url} for offline use (${error.message}).`);
+          failed.push(url);
+        })
+        .then(() => {
+          done++;
+          report({ type: 'progress', version, done, total: urls.length });
+          return worker();
+        });
+    };
+
+    const workers = Array.from({ length: offlineCacheConcurrency }, worker);
+    return Promise.all(workers)
+      .then(() => failed.length ? null : cache.put(offlineCompleteKey, new Response(JSON.stringify({ failed }))))
+      .then(() => failed);
+  });
+}
+
+// Only the newest complete version is kept
+function deleteOtherVersions(version) {
+  return caches.keys().then(names => Promise.all(names
+    .filter(name => name.startsWith(offlineCachePrefix) && name !== version)
+    .map(name => caches.delete(name))));
+}
+
+// Network copy of a request, kept in 'cache' for next time
+function fetchAndUpdate(request, cache) {
+  return fetch(request).then(response => {
+    if (cache && response.ok) cache.put(request, response.clone());
+    return response;
+  });
+}
+
+// Network copy of a request, stored over the cached one; the cached one when offline (or on an HTTP error)
+function fetchNetworkFirst(event) {
+  const { request } = event;
+  const fromCache = response => findCached(request).then(found => (found ? found.response : response));
+
+  return fetch(request)
+    .then(response => {
+      if (!response.ok) return fromCache(response);
+      const copy = response.clone();
+      event.waitUntil(findCached(request)
+        .then(found => found && found.cache.put(request, copy))
+        .catch(() => null));
+      return response;
+    })
+    .catch(error => fromCache(null).then(response => response || Promise.reject(error)));
+}
+
+// A new worker replaces the old one straight away (the page does not depend on its version)
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+// Serve the pages that are already open
+self.addEventListener('activate', event => {
+  event.waitUntil(self.clients.claim());
+});
+
+// Cache the version the page asks for, unless it is complete already (an incomplete one is tried again)
+self.addEventListener('message', event => {
+  const { type, version, urls } = event.data || {};
+  if (type !== 'cache' || !version || !version.startsWith(offlineCachePrefix) || !Array.isArray(urls)) return;
+
+  const report = message => event.source && event.source.postMessage(message);
+
+  const caching = caches.open(version)
+    .then(cache => cache.match(offlineCompleteKey))
+    .then(marker => marker ? marker.json() : null)
+    .then(saved => {
+      // Markers written by older workers may list failed files: cache those again
+      if (saved && !(saved.failed && saved.failed.length)) return [];
+      if (!cachingVersions.has(version)) {
+        cachingVersions.set(version, cacheVersion(version, urls, report)
+          .then(failed => failed.length ? failed : deleteOtherVersions(version).then(() => failed))
+          .finally(() => cachingVersions.delete(version)));
+      }
+      return cachingVersions.get(version);
+    })
+    .then(failed => report({ type: 'complete', version, failed }));
+
+  event.waitUntil(caching);
+});
+
+// Images from the cache, quiz banks from the network; everything else from the cache, refreshed in the background
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  if (isDataRequest(request.url)) {
+    event.respondWith(fetchNetworkFirst(event));
+    return;
+  }
+
+  event.respondWith(findCached(request).then(found => {
+    if (!found) return fetch(request);
+    if (isImageRequest(request.url)) return found.response;
+
+    const refresh = fetchAndUpdate(request, found.cache).catch(() => null);
+    event.waitUntil(refresh);
+    return found.response;
+  }));
+});
@@ -23,10 +23,13 @@
  * GLOBAL VARIABLES (State & Elements):
  * - currentSlide: (number) Tracks the current 1-based slide index.
  * - tutorialSlides: (Array of Objects) The source of truth for all tutorial content 
- * (text, image paths, etc.).
+ * (slide numbers and image paths; the text and alt text of each slide are in the locale files, see i18n.js).
  * - tutorialOverlay: The main container/modal for the whole tutorial interface.
  * - prevSlideButton, nextSlideButton, closeTutorialButton, slideIndicator: The navigation and display UI elements.
  * - tutorialText, tutorialImage: The elements within the slideshow updated with dynamic content.
+ *
+ * EXTERNAL DEPENDENCIES (Functions):
+ * - t() (i18n.js): Translated slide text.
  * 
  * INITIALIZATION:
  * - The DOMContentLoaded listener ensures the 'Previous' and 'Close' buttons 
@@ -42,55 +45,39 @@ const tutorialImage = document.getElementById('tutorialImage');
 
 let currentSlide = 1;
 
-// Data structure for tutorial slides
+// Data structure for tutorial slides (their text and alt text are translated under `tutorial.slides.<slideNum>`)
 const tutorialSlides = [
     {
         slideNum: 1,
-        text: "Use your mouse to drag the ultrasound probe over the circular zones on the body to see different ultrasound images.",
-        imageSrc: "Echo_Images/tutorial/tutorial1.PNG",
-        altText: "Tutorial Step 1: Dragging the probe."
+        imageSrc: "Echo_Images/tutorial/tutorial1.PNG"
     },
     {
         slideNum: 2,
-        text: "The probe automatically rotates and adjusts its tail position based on the position of the probe on the body",
-        imageSrc: "Echo_Images/tutorial/tutorial2.PNG",
-        altText: "Tutorial Step 2: Probe rotation and tail adjustment."
+        imageSrc: "Echo_Images/tutorial/tutorial2.PNG"
     },
     {
         slideNum: 3,
-        text: "When placing the probe on the intercostal space, you can click the \"Switch View\" button to switch between parasternal long-axis and short-axis views.",
-        imageSrc: "Echo_Images/tutorial/tutorial3.PNG",
-        altText: "Tutorial Step 3: Switching between long-axis and short-axis views."
+        imageSrc: "Echo_Images/tutorial/tutorial3.PNG"
     },
     {
         slideNum: 4,
-        text: "Answer questions by clicking on the correct anatomical structures in the ultrasound image.",
-        imageSrc: "Echo_Images/tutorial/tutorial4.PNG",
-        altText: "Tutorial Step 4: Answering questions by clicking structures."
+        imageSrc: "Echo_Images/tutorial/tutorial4.PNG"
     },
     {
         slideNum: 5,
-        text: "After selecting an answer, you will receive immediate feedback indicating whether your choice was correct or incorrect.",
-        imageSrc: "Echo_Images/tutorial/tutorial5.PNG",
-        altText: "Tutorial Step 5: Immediate feedback on answers."
+        imageSrc: "Echo_Images/tutorial/tutorial5.PNG"
     },
     {
         slideNum: 6,
-        text: "For the Simulation Mode, you can click on the circles to check what anatomical structure they represent.",
-        imageSrc: "Echo_Images/tutorial/tutorial6.PNG",
-        altText: "Tutorial Step 6: Checking anatomical structures."
+        imageSrc: "Echo_Images/tutorial/tutorial6.PNG"
     },
     {
         slideNum: 7,
-        text: "You can exit the Simulation anytime by using the 'Exit To Menu' button.",
-        imageSrc: "Echo_Images/tutorial/tutorial7.PNG",
-        altText: "Tutorial Step 7: Exiting the Simulation."
+        imageSrc: "Echo_Images/tutorial/tutorial7.PNG"
     },
     {
         slideNum: 8,
-        text: "You can review these instructions anytime by clicking the 'Instructions' button.",
-        imageSrc: "Echo_Images/tutorial/tutorial8.PNG",
-        altText: "Tutorial Step 8: Reviewing instructions."
+        imageSrc: "Echo_Images/tutorial/tutorial8.PNG"
     }
 ];
 
@@ -103,11 +90,11 @@ function updateSlideshow(){
         return;
     }
 
-    tutorialText.textContent = currentSlideData.text;
+    tutorialText.textContent = t(`tutorial.slides.${currentSlideData.slideNum}.text`);
     tutorialImage.src = currentSlideData.imageSrc;
-    tutorialImage.alt = currentSlideData.altText;
+    tutorialImage.alt = t(`tutorial.slides.${currentSlideData.slideNum}.alt`);
 
-    slideIndicator.textContent = `${currentSlide} of ${tutorialSlides.length}`;
+    slideIndicator.textContent = t('tutorial.indicator', { number: currentSlide, count: tutorialSlides.length });
     
     const isFirstSlide = currentSlide === 1;
     const isLastSlide = currentSlide === tutorialSlides.length;
@@ -165,5 +152,5 @@ prevSlideButton.addEventListener('click', () => {
 document.addEventListener('DOMContentLoaded', () => {
     prevSlideButton.classList.add('hidden');
     closeTutorialButton.classList.add('hidden');
-    slideIndicator.textContent = `1 of ${tutorialSlides.length}`;
+    slideIndicator.textContent = t('tutorial.indicator', { number: 1, count: tutorialSlides.length });
 });
\ No newline at end of file
@@ -0,0 +1,286 @@
+/**
+ * -----------------------------------------------------------------------------
+ * VIEW CATALOG LOADER
+ * -----------------------------------------------------------------------------
+ * This script indexes the declarative `viewCatalog` (imagedata.js) so the simulator
+ * can look views up by drop zone, orientation key or ID, and validates the catalog
+ * at startup. Views with structural errors are left out of the index so a broken
+ * entry cannot break the rest of the simulator.
+ *
+ * FUNCTIONS:
+ * - viewKey(view): Builds the "ANGLE_TAIL" key of a view (e.g., "300_up").
+ * - validateViewCatalog(catalog, zones): Returns a list of problems found in the catalog
+ * (missing fields, unknown zones, duplicate view IDs, duplicate answer IDs, clashing orientations, invalid clips / previews / off-axis images / depths / calibrations / colour flow layers).
+ * - getClipProblems(view): Returns the problems with a view's optional cine clip (frames / video, fps, phases).
+ * - isFrameRange(range): True for a [first, last] pair of frame numbers.
+ * - buildZoneIndex(catalog, zones): Groups the valid views by zone, keeping catalog order.
+ * - useCatalogViews(catalog): Re-indexes the views from another version of the catalog (the current patient case's).
+ * - getZoneViews(zone): Returns the views available at a drop zone (empty array if none).
+ * - getCatalogView(zone, key): Returns the view at a zone with the given "ANGLE_TAIL" key.
+ * - getViewById(id): Returns the view with the given ID.
+ * - checkImage(src): Resolves true if an image loads, false otherwise.
+ * - checkViewCatalogImages(catalog): Resolves with a problem message for every image (preview, clip frame, off-axis image, colour flow layer)
+ * that fails to load.
+ * - reportDataProblems(titleKey, problems): Logs problems and lists them on the title screen under the title 'titleKey',
+ * replacing the previous report with the same title (an empty list clears it).
+ * - renderDataProblems(): Lists the reported problems in the current language.
+ * - loadViewCatalog(): Runs all checks and reports the problems (the structural ones at once); resolves when the image checks finish.
+ *
+ * Problems are messages from localMessage() (i18n.js): lists of them can be joined or shown as text, in the language
+ * of the moment.
+ *
+ * EVENT LISTENERS:
+ * - document (localechange): Lists the problems in the new language.
+ *
+ * GLOBAL VARIABLES (State & Elements):
+ * - viewsByZone: (Object) Zone number -> array of valid catalog views (of the current patient case).
+ * - dataErrors, dataErrorList: Title screen panel listing data problems.
+ * - dataProblemReports: (Object) Title key -> problems listed under it.
+ *
+ * EXTERNAL DEPENDENCIES (Variables):
+ * - viewCatalog, bodyZones (imagedata.js), getColorFlowProblems() (doppler.js), requestAsset() (assets.js)
+ * - t(), localMessage(), translateName() (i18n.js)
+ * - The `.cell[data-pos]` drop zones in index.html.
+**/
+
+const dataErrors = document.getElementById('dataErrors');
+const dataErrorList = document.getElementById('dataErrorList');
+const dataProblemReports = {};
+let viewsByZone = buildZoneIndex(viewCatalog, bodyZones);
+
+// "ANGLE_TAIL" key of a view, as used by quiz questions
+function viewKey(view) {
+  return `${view.angle}_${view.tail}`;
+}
+
+// Problems with a single view entry that make it unusable
+function getViewEntryProblems(view, index, zones) {
+  const label = localMessage('dataProblems.viewLabel', { id: view.id || `#${index + 1}` });
+  const problems = [];
+
+  if (!view.id) problems.push(localMessage('dataProblems.missingField', { label, field: 'id' }));
+  if (!view.name) problems.push(localMessage('dataProblems.missingField', { label, field: 'name' }));
+  if (!(view.zone in zones)) problems.push(localMessage('dataProblems.unknownZone', { label, zone: view.zone }));
+  if (typeof view.angle !== 'number') problems.push(localMessage('dataProblems.angle', { label }));
+  if (view.tail !== 'up' && view.tail !== 'down') problems.push(localMessage('dataProblems.tail', { label }));
+  if (!view.image) problems.push(localMessage('dataProblems.missingField', { label, field: 'image' }));
+  if (!Array.isArray(view.hotspots)) problems.push(localMessage('dataProblems.hotspotsArray', { label }));
+
+  return problems;
+}
+
+// [first, last] frame numbers, counted from 0
+function isFrameRange(range) {
+  return Array.isArray(range) && range.length === 2 && range.every(n => Number.isInteger(n) && n >= 0) && range[0] <= range[1];
+}
+
+// Problems with a view's optional cine clip (frame sequence or video)
+function getClipProblems(view) {
+  const label = localMessage('dataProblems.viewLabel', { id: view.id });
+  const clip = view.clip;
+  const problems = [];
+
+  if (!clip || typeof clip !== 'object') return [localMessage('dataProblems.clipObject', { label })];
+
+  const hasFrames = Array.isArray(clip.frames) && clip.frames.length > 0 && clip.frames.every(f => typeof f === 'string' && f);
+  if (clip.frames !== undefined && !hasFrames) problems.push(localMessage('dataProblems.clipFrames', { label }));
+  if (clip.video !== undefined && (typeof clip.video !== 'string' || !clip.video)) problems.push(localMessage('dataProblems.clipVideo', { label }));
+  if ((clip.frames === undefined) === (clip.video === undefined)) problems.push(localMessage('dataProblems.clipSource', { label }));
+  if (clip.fps !== undefined && !(typeof clip.fps === 'number' && clip.fps > 0)) problems.push(localMessage('dataProblems.clipFps', { label }));
+
+  Object.keys(clip.phases || {}).forEach(phase => {
+    const range = clip.phases[phase];
+    if (!isFrameRange(range)) {
+      problems.push(localMessage('dataProblems.clipPhaseRange', { label, phase }));
+    } else if (hasFrames && range[1] >= clip.frames.length) {
+      problems.push(localMessage('dataProblems.clipPhaseEnd', { label, phase }));
+    }
+  });
+
+  return problems;
+}
+
+// Validate the whole catalog and return a list of problems (empty when valid)
+function validateViewCatalog(catalog, zones) {
+  const problems = [];
+  const seenIds = new Set();
+  const seenOrientations = new Set();
+
+  // Every zone must have a drop zone on the body model
+  Object.keys(zones).forEach(zone => {
+    if (!document.querySelector(`.cell[data-pos="${zone}"]`)) {
+      problems.push(localMessage('dataProblems.noDropZone', { zone, name: () => translateName(`zones.${zone}`, zones[zone]) }));
+    }
+  });
+
+  catalog.forEach((view, index) => {
+    const entryProblems = getViewEntryProblems(view, index, zones);
+    problems.push(...entryProblems);
+    if (entryProblems.length) return;
+
+    const label = localMessage('dataProblems.viewLabel', { id: view.id });
+    if (seenIds.has(view.id)) {
+      problems.push(localMessage('dataProblems.duplicateViewId', { label }));
+    }
+    seenIds.add(view.id);
+
+    // Two views in one zone with the same orientation could never be told apart
+    const orientation = `${view.zone}:${viewKey(view)}`;
+    if (seenOrientations.has(orientation)) {
+      problems.push(localMessage('dataProblems.orientationTaken', { label, zone: view.zone, key: viewKey(view) }));
+    }
+    seenOrientations.add(orientation);
+
+    if (view.clip !== undefined) problems.push(...getClipProblems(view));
+    if (view.depth !== undefined && !(typeof view.depth === 'number' && view.depth > 0)) {
+      problems.push(localMessage('dataProblems.depth', { label }));
+    }
+    if (view.preview !== undefined && (typeof view.preview !== 'string' || !view.preview)) {
+      problems.push(localMessage('dataProblems.preview', { label }));
+    }
+    if (view.pixelsPerCm !== undefined && !(typeof view.pixelsPerCm === 'number' && view.pixelsPerCm > 0)) {
+      problems.push(localMessage('dataProblems.pixelsPerCm', { label }));
+    }
+    if (view.placeholder !== undefined && typeof view.placeholder !== 'boolean') {
+      problems.push(localMessage('dataProblems.placeholder', { label }));
+    }
+    if (view.colorFlow !== undefined) problems.push(...getColorFlowProblems(view));
+    if (view.offAxis !== undefined && !(view.offAxis && view.offAxis.image && view.offAxis.name)) {
+      problems.push(localMessage('dataProblems.offAxis', { label }));
+    }
+
+    const seenAnswers = new Set();
+    view.hotspots.forEach(hotspot => {
+      if (seenAnswers.has(hotspot.answer)) {
+        problems.push(localMessage('dataProblems.duplicateAnswer', { label, answer: hotspot.answer }));
+      }
+      seenAnswers.add(hotspot.answer);
+
+      if (!hotspot.text) {
+        problems.push(localMessage('dataProblems.structureName', { label, answer: hotspot.answer }));
+      }
+
+      if (hotspot.maxDepth !== undefined && !(typeof hotspot.maxDepth === 'number' && hotspot.maxDepth > 0)) {
+        problems.push(localMessage('dataProblems.maxDepth', { label, answer: hotspot.answer }));
+      }
+
+      // Optional frame range / cardiac phase (clip views only)
+      if ((hotspot.frames !== undefined || hotspot.phase !== undefined) && !view.clip) {
+        problems.push(localMessage('dataProblems.noClip', { label, answer: hotspot.answer }));
+      } else if (view.clip) {
+        if (hotspot.frames !== undefined && !isFrameRange(hotspot.frames)) {
+          problems.push(localMessage('dataProblems.hotspotFrames', { label, answer: hotspot.answer }));
+        }
+        if (hotspot.phase !== undefined && !(view.clip.phases && hotspot.phase in view.clip.phases)) {
+          problems.push(localMessage('dataProblems.hotspotPhase', { label, answer: hotspot.answer, phase: hotspot.phase }));
+        }
+      }
+
+      // Optional polygon region: at least 3 [x, y] points in percent
+      const validPoint = p => Array.isArray(p) && p.length === 2 && p.every(n => typeof n === 'number' && n >= 0 && n <= 100);
+      if (hotspot.region !== undefined && (!Array.isArray(hotspot.region) || hotspot.region.length < 3 || !hotspot.region.every(validPoint))) {
+        problems.push(localMessage('dataProblems.region', { label, answer: hotspot.answer }));
+      }
+    });
+  });
+
+  return problems;
+}
+
+// Group the usable views by zone, keeping catalog order for 'Switch View'
+function buildZoneIndex(catalog, zones) {
+  const index = {};
+
+  catalog.forEach((view, i) => {
+    if (getViewEntryProblems(view, i, zones).length) return;
+    (index[view.zone] = index[view.zone] || []).push(view);
+  });
+
+  return index;
+}
+
+// Index another version of the catalog (a patient case's views, see cases.js)
+function useCatalogViews(catalog) {
+  viewsByZone = buildZoneIndex(catalog, bodyZones);
+}
+
+// Views available at a drop zone
+function getZoneViews(zone) {
+  return viewsByZone[zone] || [];
+}
+
+// View at a drop zone with the given "ANGLE_TAIL" key
+function getCatalogView(zone, key) {
+  return getZoneViews(zone).find(view => viewKey(view) === key) || null;
+}
+
+// View with the given ID
+function getViewById(id) {
+  return viewCatalog.find(view => view.id === id) || null;
+}
+
+// Resolves true if the image at 'src' loads, false otherwise (downloaded in the background, see assets.js)
+function checkImage(src) {
+  return requestAsset(src, 'background');
+}
+
+// Try to load every catalog image (preview, clip frame, off-axis and colour flow image); resolves with a message for each one that fails
+function checkViewCatalogImages(catalog) {
+  const checks = catalog
+    .flatMap(view => [view.preview, view.image, view.offAxis?.image, view.colorFlow?.image].filter(Boolean)
+      .concat(Array.isArray(view.clip?.frames) ? view.clip.frames : [])
+      .map(src => checkImage(src).then(ok =>
+        ok ? null : localMessage('dataProblems.imageNotLoaded', { label: localMessage('dataProblems.viewLabel', { id: view.id }), src })
+      )));
+
+  return Promise.all(checks).then(results => results.filter(Boolean));
+}
+
+// Log data problems and list them on the title screen, replacing any earlier report with the same title
+function reportDataProblems(titleKey, problems) {
+  delete dataProblemReports[titleKey];
+  if (problems.length) {
+    console.error(`${t(titleKey)}:\n- ${problems.join('\n- ')}`);
+    dataProblemReports[titleKey] = problems;
+  }
+  renderDataProblems();
+}
+
+// List the reported problems (again, after a change of language)
+function renderDataProblems() {
+  dataErrorList.innerHTML = '';
+
+  Object.keys(dataProblemReports).forEach(titleKey => {
+    const group = document.createElement('li');
+
+    const heading = document.createElement('div');
+    heading.className = 'data-error-heading';
+    heading.textContent = t(titleKey);
+    group.appendChild(heading);
+
+    const list = document.createElement('ul');
+    dataProblemReports[titleKey].forEach(problem => {
+      const item = document.createElement('li');
+      item.textContent = problem;
+      list.appendChild(item);
+    });
+    group.appendChild(list);
+
+    dataErrorList.appendChild(group);
+  });
+
+  dataErrors.classList.toggle('hidden', dataErrorList.children.length === 0);
+}
+
+// Validate the catalog at once, then its images as they download in the background, reporting anything that is wrong
+function loadViewCatalog() {
+  const problems = validateViewCatalog(viewCatalog, bodyZones);
+  reportDataProblems('dataProblems.viewCatalogTitle', problems);
+
+  return checkViewCatalogImages(viewCatalog).then(missing => {
+    reportDataProblems('dataProblems.viewCatalogTitle', problems.concat(missing));
+  });
+}
+
+// Problems in the new language
+document.addEventListener('localechange', renderDataProblems);